@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useEffect, useMemo } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { Sword, Shield, User, BookOpen, Sparkles, Menu, Dice6 } from 'lucide-react';
 
 // Import new components
@@ -15,6 +15,9 @@ import EditableField from './components/Story/EditableField';
 
 // Import new unified roll system components
 import ModernRollInterface from './components/Rolls/ModernRollInterface';
+import PartyRollFeed from './components/Rolls/PartyRollFeed';
+import TimedModifiers from './components/Rolls/TimedModifiers';
+import PhysicalDieEntry from './components/Rolls/PhysicalDieEntry';
 
 // Import Character Context
 import { CharacterProvider, useCharacter } from './contexts/CharacterContext';
@@ -22,6 +25,17 @@ import { CharacterProvider, useCharacter } from './contexts/CharacterContext';
 // Import custom hooks
 import { useCharacterState } from './hooks/useCharacterState';
 import { useUnifiedRolls } from './hooks/useUnifiedRolls';
+import { useRollHistory } from './hooks/useRollHistory';
+import { usePartyRollFeed } from './hooks/usePartyRollFeed';
+import { useRollMacros } from './hooks/useRollMacros';
+import { usePhysicalDice } from './hooks/usePhysicalDice';
+import { useRollActionDefinitions } from './hooks/useRollActionDefinitions';
+import { rollMacroToAction } from './utils/rollMacros';
+import { applyRollOptions } from './utils/rollCommands';
+import { getRollVisibility, isRollVisibleTo } from './utils/rollVisibility';
+import { getCharacterReactions, canReactToRoll } from './utils/rollReactions';
+import { createGroupCheck, createContestedCheck, normalizeSkillName, CONTESTED_CHECKS } from './utils/skillCheckResolvers';
+import { PreRollInfo, SuccessChance } from './types/rolls';
 import { useAuth } from './hooks/useAuth';
 
 // Helper function to calculate ability modifier
@@ -36,7 +50,7 @@ const DnDCompanionApp = () => {
   const { user, loading: authLoading, error: authError, signInWithGoogle, signOut } = useAuth();
   
   // Use CharacterContext for all character data (must be called before any early returns)
-  const { activeCharacter, isLoading, error, switchCharacter, updateCharacterState } = useCharacter();
+  const { characters, activeCharacter, isLoading, error, switchCharacter, updateCharacterState } = useCharacter();
   
   // Handle page visibility for battery optimization
   useEffect(() => {
@@ -54,6 +68,7 @@ const DnDCompanionApp = () => {
   
   // Local state for UI management - MUST be declared before any early returns
   const [isHidden, setIsHidden] = useState(false);
+  const [rollVisibility, setRollVisibility] = useState('public');
   const [initiative, setInitiative] = useState(0);
   const [turnState, setTurnState] = useState({ actionUsed: false, bonusActionUsed: false, movementUsed: false });
   
@@ -71,6 +86,10 @@ const DnDCompanionApp = () => {
     phase: 'search',
     result: null
   });
+  // Engine preview of a typed roll command, shown before it is rolled
+  const [commandPreview, setCommandPreview] = useState<PreRollInfo | null>(null);
+  // Odds of the action being rolled, shown while its dice are rolling
+  const [rollOdds, setRollOdds] = useState<{ action: unknown; successChance?: SuccessChance } | null>(null);
   
   const [damageInput, setDamageInput] = useState({
     amount: '',
@@ -112,25 +131,53 @@ const DnDCompanionApp = () => {
   // Initialize unified roll system - NO LEGACY SYSTEM
   const {
     executeRoll,
+    analyzeRoll,
+    rollAttackSequence,
+    rollGroupCheck,
+    rollContestedCheck,
+    rollWithReactions,
+    applyReaction,
+    resolvePendingRoll,
+    pendingRoll,
     createRollDefinition,
     rollHistory,
-    clearHistory
+    clearHistory,
+    activeModifiers,
+    combatRound,
+    loadActiveModifiers,
+    addTimedModifiers,
+    removeTimedModifier,
+    breakConcentration,
+    endTurn,
+    setDiceRoller
   } = useUnifiedRolls();
   
-  // Roll logging (will be unified later)
-  const [rollLogs, setRollLogs] = useState([]);
-  const logRoll = useCallback((rollResult) => {
-    setRollLogs(prev => [rollResult, ...prev.slice(0, 49)]); // Keep last 50 rolls
-  }, []);
+  // Roll logging, persisted per character
+  const rollHistoryState = useRollHistory(activeCharacter?.id);
+  const { addRoll: logRoll, addResult: logRollResult, clear: clearRollHistory } = rollHistoryState;
+
+  // Completed rolls, shared live with the party when in a journal session
+  const partyFeed = usePartyRollFeed({ character: activeCharacter, user });
+  const { broadcastRoll, dismissRequest } = partyFeed;
+
+  // Saved roll macros, listed with the generated actions
+  const rollMacros = useRollMacros(activeCharacter?.id);
+
+  // Physical dice: the engine asks for each die's face instead of rolling it
+  const physicalDice = usePhysicalDice();
+  const { enabled: physicalDiceEnabled, rollDie: rollPhysicalDie } = physicalDice;
+  useEffect(() => {
+    setDiceRoller(physicalDiceEnabled ? rollPhysicalDie : undefined);
+  }, [physicalDiceEnabled, rollPhysicalDie, setDiceRoller]);
   const clearLogs = useCallback(() => {
-    setRollLogs([]);
+    clearRollHistory();
     clearHistory();
-  }, [clearHistory]);
+  }, [clearRollHistory, clearHistory]);
   
   
   // Generate roll actions for the character from Supabase data - move before early return
   const rollActions = useMemo(() => {
-    if (!activeCharacter) return { attacks: [], combat: [], saves: [], skills: [], abilities: [], healing: [], utility: [] };
+    if (!activeCharacter) return { macros: [], attacks: [], combat: [], saves: [], skills: [], abilities: [], healing: [], utility: [] };
     
     
     const attacks = (activeCharacter.dnd_character_weapons || []).map(weapon => ({
@@ -221,6 +268,7 @@ const DnDCompanionApp = () => {
       return {
         id: skill.id,
         name: `${skill.name} Check`,
+        skill: normalizeSkillName(skill.name),
         modifier: totalModifier,
         type: 'skill',
         ability: skill.ability,
@@ -300,6 +348,7 @@ const DnDCompanionApp = () => {
     ];
     
     return {
+      macros: rollMacros.macros.map(rollMacroToAction),
       attacks: attacks.sort((a, b) => b.modifier - a.modifier),
       combat: combat.sort((a, b) => b.modifier - a.modifier),
       saves: saves.sort((a, b) => b.modifier - a.modifier),
@@ -308,7 +357,7 @@ const DnDCompanionApp = () => {
       healing,
       utility
     };
-  }, [activeCharacter]);
+  }, [activeCharacter, rollMacros.macros]);
 
   // Dynamic weapon selection based on character
   const getDefaultWeapon = (character) => {
@@ -323,6 +372,13 @@ const DnDCompanionApp = () => {
     }
   };
   
+  // Restore the character's timed modifiers (Bless, Rage, ...) after a reload or switch
+  useEffect(() => {
+    if (activeCharacter?.id) {
+      loadActiveModifiers(activeCharacter.id);
+    }
+  }, [activeCharacter?.id, loadActiveModifiers]);
+  
   // Update selected weapon when character changes
   useEffect(() => {
     if (activeCharacter) {
@@ -334,7 +390,12 @@ const DnDCompanionApp = () => {
   const toggleHidden = () => setIsHidden(!isHidden);
   const setHidden = (hidden) => setIsHidden(hidden);
   const setInitiativeRoll = (init) => setInitiative(init);
-  const resetTurn = () => setTurnState({ actionUsed: false, bonusActionUsed: false, movementUsed: false });
+  const resetTurn = () => {
+    setTurnState({ actionUsed: false, bonusActionUsed: false, movementUsed: false });
+    if (activeCharacter) {
+      endTurn(activeCharacter.id);
+    }
+  };
   const useAction = () => setTurnState(prev => ({ ...prev, actionUsed: true }));
   const useBonusAction = () => setTurnState(prev => ({ ...prev, bonusActionUsed: true }));
   
@@ -414,7 +475,31 @@ const DnDCompanionApp = () => {
     }
   }, []);
 
+  // Reactions the active character can spend on their own d20 rolls
+  const characterReactions = useMemo(() => getCharacterReactions(activeCharacter), [activeCharacter]);
+  // Hands the final result of a roll held in the reaction window back to the roll that is waiting on it
+  const finishReactionsRef = useRef<{ resolve: (result) => void; reject: (error) => void } | null>(null);
+
+  const handleReaction = useCallback((reaction) => applyReaction(reaction, {
+    abilities: activeCharacter?.dnd_character_abilities ?? [],
+    resources: activeCharacter?.dnd_character_resources ?? []
+  }), [applyReaction, activeCharacter]);
+
+  const handleReactionsDone = useCallback(() => {
+    const finish = finishReactionsRef.current;
+    if (!finish) return;
+
+    finishReactionsRef.current = null;
+    try {
+      finish.resolve(resolvePendingRoll());
+    } catch (error) {
+      finish.reject(error);
+    }
+  }, [resolvePendingRoll]);
+
   const closeRollPopup = useCallback(() => {
+    // Closing the reaction window keeps the roll as it stands
+    handleReactionsDone();
     setRollPopup({
       isOpen: false,
       searchTerm: '',
@@ -422,7 +507,7 @@ const DnDCompanionApp = () => {
       phase: 'search',
       result: null
     });
-  }, []);
+  }, [handleReactionsDone]);
 
   const handlePhaseChange = useCallback((newPhase) => {
     setRollPopup(prev => ({ ...prev, phase: newPhase }));
@@ -432,6 +517,9 @@ const DnDCompanionApp = () => {
     setRollPopup(prev => ({ ...prev, searchTerm: term }));
   }, []);
 
+  // Roll definitions for actions picked in the search
+  const { createActionDefinition, createActionSequence } = useRollActionDefinitions(activeCharacter, isHidden, createRollDefinition);
+
   // Action handlers
   const handleActionSelect = useCallback(async (action) => {
     if (action.type === 'toggle' && action.id === 'hide-toggle') {
@@ -498,35 +586,70 @@ const DnDCompanionApp = () => {
       }
     }
     
+    // Macros with prompts ask for their values before rolling
+    if (action.type === 'macro' && action.macro.prompts.length > 0 && !action.promptAnswers) {
+      setRollPopup(prev => ({
+        ...prev,
+        isOpen: true,
+        selectedAction: action,
+        phase: 'macro-prompt',
+        result: null
+      }));
+      return;
+    }
+    
     setRollPopup(prev => ({
       ...prev,
       isOpen: true,
       selectedAction: action,
       phase: 'rolling'
     }));
+
+    // Work out the odds against the target while the dice roll; they are informational only
+    const oddsDefinition = createActionDefinition(action);
+    setRollOdds(null);
+    if (oddsDefinition) {
+      analyzeRoll(applyRollOptions(oddsDefinition, action.rollOptions))
+        .then(preRollInfo => setRollOdds({ action, successChance: preRollInfo.successChance }))
+        .catch(error => console.error('Failed to work out roll odds:', error));
+    }
     
-    // Start the rolling sequence
-    setTimeout(async () => {
+    // Rolls carry the chosen visibility (a DM's roll request brings its own),
+    // the action id for search ranking, and options typed in the search
+    const visibility = action.visibility ?? rollVisibility;
+    const rollWithOptions = async (definition) => {
+      const rollDefinition = { ...applyRollOptions(definition, action.rollOptions), visibility, actionId: action.id };
+      // d20 rolls the roller sees wait in the reaction window while they have a reaction to spend
+      if (characterReactions.length === 0 || !isRollVisibleTo(visibility, 'roller') || !canReactToRoll(rollDefinition)) {
+        return executeRoll(rollDefinition);
+      }
+      await rollWithReactions(rollDefinition);
+      setRollPopup(prev => ({ ...prev, phase: 'reaction' }));
+      return new Promise((resolve, reject) => {
+        finishReactionsRef.current = { resolve, reject };
+      });
+    };
+    const rollAttacks = () => {
+      const sequence = createActionSequence(action);
+      if (sequence) {
+        return rollAttackSequence({ ...applyRollOptions(sequence, action.rollOptions), visibility, actionId: action.id });
+      }
+      const definition = createActionDefinition(action);
+      return definition ? rollWithOptions(definition) : undefined;
+    };
+
+    // Follow-ups use the roll, so rolls the roller may not see leave them alone
+    const isSeenByRoller = (rolled) => isRollVisibleTo(getRollVisibility(rolled), 'roller');
+
+    const rollAction = async () => {
       let result;
       
-      if (action.type === 'attack') {
-        const weaponName = action.weapon || action.name?.replace(' Attack', '');
-        // Use unified weapon attack system
-        const weapon = activeCharacter.dnd_character_weapons?.find(w => 
-          w.name.toLowerCase() === weaponName.toLowerCase()
-        );
-        
-        if (weapon) {
-          const { performWeaponAttackUnified } = require('./utils/rollIntegration');
-          const context = { isHidden, target: 'medium' };
-          const unifiedAttack = performWeaponAttackUnified(weapon, activeCharacter, context);
-          
-          if (unifiedAttack) {
-            result = await executeRoll(unifiedAttack.rollDefinition);
-          }
-        }
+      if (action.type === 'macro') {
+        result = await rollWithOptions(createActionDefinition(action));
+      } else if (action.type === 'attack') {
+        result = await rollAttacks();
         useAction();
-        setLastAttackResult(result);
+        if (isSeenByRoller(result)) setLastAttackResult(result);
         
         if (isHidden) {
           setHidden(false); // Attacking breaks stealth
@@ -535,16 +658,9 @@ const DnDCompanionApp = () => {
         // Handle Eldritch Blast and other spell attacks
         const ability = activeCharacter.dnd_character_abilities?.find(a => a.id === action.id);
         if (ability) {
-          // Use unified spell attack system
-          const { performSpellAttackUnified } = require('./utils/rollIntegration');
-          const context = { isHidden, target: 'medium' };
-          const unifiedSpell = performSpellAttackUnified(ability, activeCharacter, context);
-          
-          if (unifiedSpell) {
-            result = await executeRoll(unifiedSpell.rollDefinition);
-          }
+          result = await rollAttacks();
           useAction();
-          setLastAttackResult(result);
+          if (isSeenByRoller(result)) setLastAttackResult(result);
           
           if (isHidden) {
             setHidden(false); // Attacking breaks stealth
@@ -595,7 +711,7 @@ const DnDCompanionApp = () => {
               environment: { advantage: false, disadvantage: false, hidden: false, blessed: false, inspired: false, conditions: [] }
             };
             const rollDefinition = createRollDefinition('damage', context, damageDice);
-            result = await executeRoll(rollDefinition);
+            result = await rollWithOptions(rollDefinition);
             // Add spell-specific metadata
             if (result.metadata) {
               result.metadata.spellDC = ability.ability_data?.saving_throw_dc || 10;
@@ -605,12 +721,24 @@ const DnDCompanionApp = () => {
           }
           
           useAction();
-          setLastAttackResult(result);
+          if (isSeenByRoller(result)) setLastAttackResult(result);
           
           if (isHidden) {
             setHidden(false);
           }
         }
+      } else if (action.type === 'group_check') {
+        // Every picked party member rolls with their own proficiencies
+        const { memberIds, checkType, checkName, dc } = action.groupCheck;
+        const members = characters.filter(character => memberIds.includes(character.id));
+        result = await rollGroupCheck({ ...createGroupCheck(members, checkType, checkName, dc), visibility });
+      } else if (action.type === 'contested_check') {
+        const { contestId, opponentId, resisting } = action.contest;
+        const own = { character: activeCharacter };
+        const opponent = { character: characters.find(character => character.id === opponentId) };
+        const contest = createContestedCheck(CONTESTED_CHECKS[contestId], resisting ? opponent : own, resisting ? own : opponent);
+        // The result's definition is the initiator's, so the visibility goes there
+        result = await rollContestedCheck({ ...contest, initiator: { ...contest.initiator, visibility } });
       } else if (action.type === 'healing') {
         // Only short rest and basic potion reach here (custom and long-rest handled earlier)
         // Use unified healing system
@@ -626,60 +754,123 @@ const DnDCompanionApp = () => {
           environment: { advantage: false, disadvantage: false, hidden: false, blessed: false, inspired: false, conditions: [] }
         };
         const rollDefinition = createRollDefinition('healing', context, action.dice || '2d4+2');
-        result = await executeRoll(rollDefinition);
+        result = await rollWithOptions(rollDefinition);
         
         // Apply healing using unified roll result
         const healingAmount = result.total || 0;
-        if (healingAmount > 0) {
+        if (healingAmount > 0 && isSeenByRoller(result)) {
           applyHealing(healingAmount);
         }
       } else {
-        // Use unified skill check system
-        const { performSkillCheckUnified } = require('./utils/rollIntegration');
-        
-        if (action.type === 'skill') {
-          const unifiedSkill = performSkillCheckUnified(activeCharacter, action.name);
-          if (unifiedSkill) {
-            result = await executeRoll(unifiedSkill.rollDefinition);
-          }
-        } else {
-          // For other action types, create a basic roll definition
-          const context = {
-            character: {
-              id: activeCharacter.id,
-              level: activeCharacter.level || 1,
-              ability_scores: (activeCharacter as any).dnd_character_stats || {},
-              proficiencyBonus: (activeCharacter as any).proficiency_bonus || Math.ceil((activeCharacter.level || 1) / 4) + 1,
-              ...activeCharacter
-            },
-            source: { type: 'ability' as const, name: action.name, tags: [action.type] },
-            environment: { advantage: false, disadvantage: false, hidden: false, blessed: false, inspired: false, conditions: [] }
-          };
-          const rollDefinition = createRollDefinition('raw', context, '1d20');
-          result = await executeRoll(rollDefinition);
+        const definition = createActionDefinition(action);
+        if (definition) {
+          result = await rollWithOptions(definition);
         }
         
         // Special handling for initiative
-        if (action.id === 'initiative') {
+        if (action.id === 'initiative' && isSeenByRoller(result)) {
           // Extract the d20 roll from unified result breakdown
           const d20Roll = result.breakdown?.[0]?.value || result.total;
           setInitiativeRoll({ roll: d20Roll, total: result.total });
         }
         
         // Special handling for stealth
-        if (action.id === 'stealth' && result.total >= 15) {
+        if (action.id === 'stealth' && isSeenByRoller(result) && result.total >= 15) {
           setHidden(true);
           useBonusAction(); // Mark bonus action as used for stealth
         }
       }
       
+      // Engine rolls go to the persistent history (placeholder results have no roll id)
+      if (result?.metadata?.rollId) {
+        logRollResult(result);
+        broadcastRoll(result);
+      }
+      
       setRollPopup(prev => ({
         ...prev,
         phase: 'result',
         result
       }));
+    };
+
+    // Start the rolling sequence; a failed roll ends it with the error instead of spinning on
+    setTimeout(() => {
+      rollAction().catch(error => {
+        console.error(`Failed to roll ${action.name}:`, error);
+        setRollPopup(prev => ({
+          ...prev,
+          phase: 'error',
+          result: null,
+          error: error instanceof Error ? error.message : String(error)
+        }));
+      });
     }, 2000);
-  }, [executeRoll, createRollDefinition, isHidden, activeCharacter, useAction, setHidden, applyHealing, setInitiativeRoll, toggleHidden, closeRollPopup]);
+  }, [executeRoll, analyzeRoll, rollWithReactions, characterReactions, rollAttackSequence, rollGroupCheck, rollContestedCheck, createRollDefinition, createActionDefinition, createActionSequence, isHidden, activeCharacter, characters, useAction, setHidden, applyHealing, setInitiativeRoll, toggleHidden, closeRollPopup, logRollResult, broadcastRoll, rollVisibility]);
+
+  // Typed roll commands show the engine's preview first; actions without a preview roll right away
+  const handleCommandSelect = useCallback(async (action) => {
+    const definition = createActionDefinition(action);
+    let preRollInfo = null;
+    if (definition) {
+      try {
+        preRollInfo = await analyzeRoll(applyRollOptions(definition, action.rollOptions));
+      } catch (error) {
+        console.error('Failed to preview roll command:', error);
+      }
+    }
+    
+    if (!preRollInfo) {
+      handleActionSelect(action);
+      return;
+    }
+    
+    setCommandPreview(preRollInfo);
+    setRollPopup(prev => ({
+      ...prev,
+      isOpen: true,
+      selectedAction: action,
+      phase: 'command-preview',
+      result: null
+    }));
+  }, [createActionDefinition, analyzeRoll, handleActionSelect]);
+
+  // Group checks picked in the popup roll like any other action, so they are logged and can be rerolled
+  const handleGroupCheck = useCallback((groupCheck) => {
+    handleActionSelect({
+      id: 'group_check',
+      name: `Group ${groupCheck.checkName} ${groupCheck.checkType === 'save' ? 'Save' : 'Check'}`,
+      type: 'group_check',
+      groupCheck
+    });
+  }, [handleActionSelect]);
+
+  // Contests against another party member, e.g. grappling them or hiding from them
+  const handleContestedCheck = useCallback((contest) => {
+    const opponent = characters.find(character => character.id === contest.opponentId);
+    handleActionSelect({
+      id: 'contested_check',
+      name: `${CONTESTED_CHECKS[contest.contestId].name} vs ${opponent?.name}`,
+      type: 'contested_check',
+      contest
+    });
+  }, [characters, handleActionSelect]);
+
+  // A DM's roll request rolls the matching action with the requested visibility
+  const handleRollRequest = useCallback((request) => {
+    const name = request.actionName.toLowerCase();
+    const action = Object.values(rollActions).flat().find(candidate => candidate.name.toLowerCase() === name)
+      ?? { id: name, name: request.actionName, type: 'raw' };
+
+    dismissRequest(request.id);
+    handleActionSelect({ ...action, visibility: request.visibility });
+  }, [rollActions, dismissRequest, handleActionSelect]);
+
+  // Checks the DM can ask the party for
+  const rollRequestOptions = useMemo(
+    () => [...rollActions.skills, ...rollActions.saves].map(action => action.name),
+    [rollActions]
+  );
 
   const handleAttack = useCallback((weaponKey) => {
     if (turnState.actionUsed) return;
@@ -829,6 +1020,31 @@ const DnDCompanionApp = () => {
         onUseBonusAction={useBonusAction}
         onActionSelect={handleActionSelect}
       />
+
+      {activeCharacter && (
+        <TimedModifiers
+          activeModifiers={activeModifiers}
+          combatRound={combatRound}
+          characterLevel={activeCharacter.level || 1}
+          isHidden={isHidden}
+          onAdd={(modifier) => addTimedModifiers(activeCharacter.id, [modifier])}
+          onRemove={(modifierId) => removeTimedModifier(activeCharacter.id, modifierId)}
+          onBreakConcentration={() => breakConcentration(activeCharacter.id)}
+        />
+      )}
+
+      <PartyRollFeed
+        feed={partyFeed.feed}
+        isLive={partyFeed.isLive}
+        sessionCode={partyFeed.sessionCode}
+        isDM={partyFeed.isDM}
+        requests={partyFeed.requests}
+        requestOptions={rollRequestOptions}
+        isHidden={isHidden}
+        onRequestRoll={partyFeed.requestRoll}
+        onRollRequest={handleRollRequest}
+        onDismissRequest={dismissRequest}
+      />
     </div>
   );
 
@@ -1593,16 +1809,40 @@ const DnDCompanionApp = () => {
         character={activeCharacter}
         currentHP={activeCharacter?.current_hp || 0}
         damageInput={damageInput}
-        rollLogs={rollLogs}
+        rollHistory={rollHistoryState}
+        characters={characters}
+        rollVisibility={rollVisibility}
+        isDM={partyFeed.isDM}
+        rollMacros={rollMacros}
+        commandPreview={commandPreview}
+        successChance={rollOdds?.action === rollPopup.selectedAction ? rollOdds.successChance : undefined}
+        pendingRoll={pendingRoll}
+        reactions={characterReactions}
         onClose={closeRollPopup}
         onSearchTermChange={handleSearchTermChange}
         onActionSelect={handleActionSelect}
+        onCommandSelect={handleCommandSelect}
+        onGroupCheck={handleGroupCheck}
+        onContestedCheck={handleContestedCheck}
         onDamageInputChange={handleDamageInputChange}
         onApplyDamage={handleApplyDamage}
         onApplyHealing={handleApplyHealing}
+        onReaction={handleReaction}
+        onReactionsDone={handleReactionsDone}
         onClearHistory={clearLogs}
         onPhaseChange={handlePhaseChange}
+        onRollVisibilityChange={setRollVisibility}
+        physicalDice={physicalDice.enabled}
+        onPhysicalDiceChange={physicalDice.setEnabled}
       />
+
+      {physicalDice.request && (
+        <PhysicalDieEntry
+          key={physicalDice.request.id}
+          request={physicalDice.request}
+          onSubmit={physicalDice.submit}
+        />
+      )}
     </div>
   );
 };
@@ -4,6 +4,7 @@ import SessionManager from './SessionManager';
 import CollaborativeEditor from './CollaborativeEditor';
 import { useAuth } from '../../hooks/useAuth';
 import { useCollaborativeJournal } from '../../hooks/useCollaborativeJournal';
+import { PARTY_SESSION_CHANGE_EVENT } from '../../utils/partyRollFeed';
 
 export default function CollaborativeJournal() {
   const { user, loading: authLoading, error: authError } = useAuth();
@@ -44,6 +45,7 @@ export default function CollaborativeJournal() {
     setDisplayName(name);
     setJournalId(id);
     setHasSession(true);
+    window.dispatchEvent(new Event(PARTY_SESSION_CHANGE_EVENT));
   };
 
   const handleLeaveSession = () => {
@@ -56,6 +58,7 @@ export default function CollaborativeJournal() {
     setDisplayName('');
     setJournalId('');
     setHasSession(false);
+    window.dispatchEvent(new Event(PARTY_SESSION_CHANGE_EVENT));
   };
 
 
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { CONTESTED_CHECKS } from '../../utils/skillCheckResolvers';
+
+interface PartyMember {
+  id: string;
+  name: string;
+}
+
+export interface ContestedCheckRequest {
+  /** Key of CONTESTED_CHECKS */
+  contestId: string;
+  opponentId: string;
+  /** The active character resists the contest instead of attempting it */
+  resisting: boolean;
+}
+
+interface ContestedCheckFormProps {
+  characters: PartyMember[];
+  activeCharacterId?: string;
+  onRoll: (request: ContestedCheckRequest) => void;
+  onBack: () => void;
+}
+
+/**
+ * Contested Check Form Component
+ *
+ * Picks a contest (grapple, shove, hide vs perceive), the opponent and which side the active character is on
+ */
+export const ContestedCheckForm: React.FC<ContestedCheckFormProps> = ({ characters, activeCharacterId, onRoll, onBack }) => {
+  const opponents = characters.filter(character => character.id !== activeCharacterId);
+  const [contestId, setContestId] = useState('grapple');
+  const [opponentId, setOpponentId] = useState(() => opponents[0]?.id ?? '');
+  const [resisting, setResisting] = useState(false);
+
+  const contest = CONTESTED_CHECKS[contestId];
+  const [ownSkills, opponentSkills] = resisting
+    ? [contest.defenderSkills, [contest.initiatorSkill]]
+    : [[contest.initiatorSkill], contest.defenderSkills];
+  const isComplete = opponents.some(opponent => opponent.id === opponentId);
+
+  return (
+    <form
+      className="space-y-4"
+      onSubmit={(event) => {
+        event.preventDefault();
+        if (isComplete) onRoll({ contestId, opponentId, resisting });
+      }}
+    >
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-bold text-white">Contest</h2>
+        <button type="button" onClick={onBack} className="text-gray-400 hover:text-white transition-colors">
+          ← Back
+        </button>
+      </div>
+
+      <div>
+        <label htmlFor="contest-type" className="block text-sm font-medium text-gray-300 mb-1">Contest</label>
+        <select
+          id="contest-type"
+          value={contestId}
+          onChange={(event) => setContestId(event.target.value)}
+          className="w-full border border-gray-600 rounded-lg bg-gray-700 text-white p-2 focus:border-blue-500 focus:outline-none"
+        >
+          {Object.entries(CONTESTED_CHECKS).map(([id, option]) => (
+            <option key={id} value={id}>{option.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label htmlFor="contest-opponent" className="block text-sm font-medium text-gray-300 mb-1">Opponent</label>
+        <select
+          id="contest-opponent"
+          value={opponentId}
+          onChange={(event) => setOpponentId(event.target.value)}
+          className="w-full border border-gray-600 rounded-lg bg-gray-700 text-white p-2 focus:border-blue-500 focus:outline-none"
+        >
+          {opponents.length === 0 && <option value="">No other characters</option>}
+          {opponents.map(opponent => (
+            <option key={opponent.id} value={opponent.id}>{opponent.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <label className="flex items-center space-x-2 text-sm text-white">
+        <input type="checkbox" checked={resisting} onChange={(event) => setResisting(event.target.checked)} />
+        <span>I am resisting</span>
+      </label>
+
+      <div className="text-sm text-gray-400">
+        {ownSkills.join(' or ')} against {opponentSkills.join(' or ')}
+      </div>
+
+      <button
+        type="submit"
+        disabled={!isComplete}
+        className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-medium py-2 px-3 rounded-lg transition-colors"
+      >
+        Roll
+      </button>
+    </form>
+  );
+};
+
+export default ContestedCheckForm;
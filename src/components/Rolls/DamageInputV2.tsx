@@ -1,8 +1,17 @@
 import React, { useState, useCallback, useMemo } from 'react';
 import { Shield, Heart, Calculator } from 'lucide-react';
 import { useUnifiedRolls } from '../../hooks/useUnifiedRolls';
-import { RollContext, ModifierType } from '../../types/rolls';
+import {
+  RollContext,
+  RollModifier,
+  ModifierType,
+  ModifierSource,
+  ApplicationTiming,
+  DamageType,
+  DamageDefenses
+} from '../../types/rolls';
 import { parseAnyDiceExpression } from '../../utils/diceParser';
+import { applyDamagePipeline, DAMAGE_TYPES } from '../../utils/damagePipeline';
 
 interface DamageInputV2Props {
   character: {
@@ -32,10 +41,10 @@ export const DamageInputV2: React.FC<DamageInputV2Props> = ({
   onApplyDamage
 }) => {
   const [damageAmount, setDamageAmount] = useState('');
-  const [damageType, setDamageType] = useState('bludgeoning');
+  const [damageType, setDamageType] = useState<DamageType>('bludgeoning');
   const [selectedDefenses, setSelectedDefenses] = useState<string[]>([]);
 
-  const { rollDirect, analyzeRoll, lastPreRollInfo } = useUnifiedRolls();
+  const { rollDirect } = useUnifiedRolls();
 
   // Get available defensive abilities
   const defensiveAbilities = useMemo(() => {
@@ -60,50 +69,34 @@ export const DamageInputV2: React.FC<DamageInputV2Props> = ({
       }));
   }, [character]);
 
-  // Calculate damage modifiers based on selected defenses and damage type
-  const damageModifiers = useMemo(() => {
-    const modifiers = [];
+  // Turn selected defenses into per-type defenses and damage modifiers
+  const { damageDefenses, damageModifiers } = useMemo(() => {
+    const defenses: DamageDefenses = { resistances: [], immunities: [] };
+    const modifiers: RollModifier[] = [];
     
     for (const defenseKey of selectedDefenses) {
       const ability = defensiveAbilities.find(a => a.key === defenseKey);
       if (!ability) continue;
 
+      // Defenses without listed damage types cover the type being taken
+      const types: DamageType[] = ability.damageTypes.length > 0 ? ability.damageTypes : [damageType];
+
       switch (ability.effect) {
         case 'resistance':
-          modifiers.push({
-            id: `resistance_${ability.id}`,
-            name: ability.name,
-            description: 'Halves damage of this type',
-            source: { type: 'class_feature', name: ability.name, tags: ['defensive'] },
-            type: ModifierType.DIVIDER,
-            value: 2,
-            application: 'on_damage' as const,
-            stacks: false,
-            priority: 10
-          });
+          defenses.resistances!.push(...types);
           break;
         case 'immunity':
-          modifiers.push({
-            id: `immunity_${ability.id}`,
-            name: ability.name,
-            description: 'Negates all damage of this type',
-            source: { type: 'class_feature', name: ability.name, tags: ['defensive'] },
-            type: ModifierType.MULTIPLIER,
-            value: 0,
-            application: 'on_damage' as const,
-            stacks: false,
-            priority: 5
-          });
+          defenses.immunities!.push(...types);
           break;
         case 'half_damage':
           modifiers.push({
             id: `dodge_${ability.id}`,
             name: ability.name,
             description: 'Halves incoming damage (reaction)',
-            source: { type: 'class_feature', name: ability.name, tags: ['defensive'] },
+            source: ModifierSource.CLASS_FEATURE,
             type: ModifierType.DIVIDER,
             value: 2,
-            application: 'on_damage' as const,
+            application: ApplicationTiming.ON_DAMAGE,
             stacks: false,
             priority: 15
           });
@@ -111,8 +104,15 @@ export const DamageInputV2: React.FC<DamageInputV2Props> = ({
       }
     }
 
-    return modifiers;
-  }, [selectedDefenses, defensiveAbilities]);
+    return { damageDefenses: defenses, damageModifiers: modifiers };
+  }, [selectedDefenses, defensiveAbilities, damageType]);
+
+  // Preview using the same damage pipeline as the roll engine
+  const damagePreview = useMemo(
+    () => applyDamagePipeline([{ type: damageType, amount: parseInt(damageAmount) || 0 }], damageDefenses, damageModifiers),
+    [damageAmount, damageType, damageDefenses, damageModifiers]
+  );
+  const damageSteps = damagePreview.packets.flatMap(packet => packet.steps);
 
   // Create roll context for damage calculation
   const createDamageContext = useCallback((): RollContext => ({
@@ -128,6 +128,9 @@ export const DamageInputV2: React.FC<DamageInputV2Props> = ({
       tags: ['damage', damageType],
       properties: { damageType }
     },
+    target: {
+      defenses: damageDefenses
+    },
     environment: {
       advantage: false,
       disadvantage: false,
@@ -136,7 +139,7 @@ export const DamageInputV2: React.FC<DamageInputV2Props> = ({
       inspired: false,
       conditions: []
     }
-  }), [character, damageType]);
+  }), [character, damageType, damageDefenses]);
 
   // Calculate final damage using unified roll system
   const calculateFinalDamage = useCallback(async () => {
@@ -157,44 +160,15 @@ export const DamageInputV2: React.FC<DamageInputV2Props> = ({
       return result.total;
     } catch (error) {
       console.error('Damage calculation failed:', error);
-      return parseInt(damageAmount) || 0;
+      return damagePreview.total;
     }
-  }, [damageAmount, damageType, damageModifiers, createDamageContext, rollDirect]);
-
-  // Preview damage calculation
-  const previewDamage = useCallback(async () => {
-    if (!damageAmount) return;
-
-    const context = createDamageContext();
-    const definition = {
-      id: `damage_preview_${Date.now()}`,
-      type: 'damage' as const,
-      name: `${damageType} damage preview`,
-      baseExpression: parseAnyDiceExpression(damageAmount.toString()),
-      context,
-      modifiers: damageModifiers
-    };
-
-    await analyzeRoll(definition);
-  }, [damageAmount, damageType, damageModifiers, createDamageContext, analyzeRoll]);
+  }, [damageAmount, damageType, damageModifiers, damagePreview, createDamageContext, rollDirect]);
 
   const handleDefenseToggle = useCallback((key: string) => {
-    setSelectedDefenses(prev => {
-      const newDefenses = prev.includes(key) 
-        ? prev.filter(d => d !== key)
-        : [...prev, key];
-      
-      // Trigger preview update
-      setTimeout(previewDamage, 100);
-      return newDefenses;
-    });
-  }, [previewDamage]);
-
-  const handleAmountChange = useCallback((value: string) => {
-    setDamageAmount(value);
-    // Trigger preview update with debounce
-    setTimeout(previewDamage, 300);
-  }, [previewDamage]);
+    setSelectedDefenses(prev => prev.includes(key) 
+      ? prev.filter(d => d !== key)
+      : [...prev, key]);
+  }, []);
 
   const handleApplyDamage = useCallback(async () => {
     const finalDamage = await calculateFinalDamage();
@@ -204,15 +178,10 @@ export const DamageInputV2: React.FC<DamageInputV2Props> = ({
       damageType,
       finalDamage,
       selectedDefenses,
-      resistances: damageModifiers,
+      defenses: damageDefenses,
       finalHP: Math.max(0, currentHP - finalDamage)
     });
-  }, [calculateFinalDamage, damageAmount, damageType, selectedDefenses, damageModifiers, currentHP, onApplyDamage]);
-
-  const damageTypes = [
-    'acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning', 
-    'necrotic', 'piercing', 'poison', 'psychic', 'radiant', 'slashing', 'thunder'
-  ];
+  }, [calculateFinalDamage, damageAmount, damageType, selectedDefenses, damageDefenses, currentHP, onApplyDamage]);
 
   return (
     <div className="space-y-6">
@@ -242,7 +211,7 @@ export const DamageInputV2: React.FC<DamageInputV2Props> = ({
               type="number"
               placeholder="Enter damage..."
               value={damageAmount}
-              onChange={(e) => handleAmountChange(e.target.value)}
+              onChange={(e) => setDamageAmount(e.target.value)}
               className={`w-full border border-gray-600 rounded-lg bg-gray-700 text-white placeholder-gray-400 focus:border-red-500 focus:outline-none ${
                 isKeyboardOpen 
                   ? 'p-4 text-xl' 
@@ -259,10 +228,10 @@ export const DamageInputV2: React.FC<DamageInputV2Props> = ({
             </label>
             <select
               value={damageType}
-              onChange={(e) => setDamageType(e.target.value)}
+              onChange={(e) => setDamageType(e.target.value as DamageType)}
               className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:ring-2 focus:ring-blue-500"
             >
-              {damageTypes.map(type => (
+              {DAMAGE_TYPES.map(type => (
                 <option key={type} value={type}>
                   {type.charAt(0).toUpperCase() + type.slice(1)}
                 </option>
@@ -272,23 +241,23 @@ export const DamageInputV2: React.FC<DamageInputV2Props> = ({
         </div>
 
         {/* Preview Calculation */}
-        {lastPreRollInfo && damageAmount && (
+        {damageAmount && damageSteps.length > 0 && (
           <div className="bg-blue-900/20 border border-blue-700 rounded-lg p-4">
             <h4 className="text-blue-300 font-medium mb-3 flex items-center space-x-2">
               <Calculator size={16} />
               <span>Damage Calculation Preview</span>
             </h4>
             <div className="space-y-2">
-              {lastPreRollInfo.modifiers.map((modifier, index) => (
+              {damageSteps.map((step, index) => (
                 <div key={index} className="flex justify-between text-sm">
-                  <span className="text-gray-300">{modifier.label}:</span>
-                  <span className="text-white font-mono">{modifier.value}</span>
+                  <span className="text-gray-300">{step.label}:</span>
+                  <span className="text-white font-mono">{step.before} → {step.after}</span>
                 </div>
               ))}
               <div className="pt-2 border-t border-gray-600">
                 <div className="flex justify-between font-bold">
                   <span className="text-white">Final Damage:</span>
-                  <span className="text-red-400">{lastPreRollInfo.estimatedRange.average.toFixed(0)}</span>
+                  <span className="text-red-400">{damagePreview.total}</span>
                 </div>
               </div>
             </div>
@@ -356,22 +325,22 @@ export const DamageInputV2: React.FC<DamageInputV2Props> = ({
                 <span className="text-gray-300">Original {damageType} damage:</span>
                 <span className="text-red-400 font-bold">{damageAmount}</span>
               </div>
-              {lastPreRollInfo && (
+              {damageSteps.length > 0 && (
                 <div className="flex justify-between items-center">
                   <span className="text-gray-300">After resistances:</span>
                   <span className="text-orange-400 font-bold">
-                    {lastPreRollInfo.estimatedRange.average.toFixed(0)}
+                    {damagePreview.total}
                   </span>
                 </div>
               )}
               <div className="flex justify-between items-center pt-2 border-t border-gray-600">
                 <span className="text-white font-semibold">Final HP:</span>
                 <span className={`font-bold text-lg ${
-                  currentHP - (lastPreRollInfo?.estimatedRange.average || parseInt(damageAmount) || 0) <= 0 
+                  currentHP - damagePreview.total <= 0 
                     ? 'text-red-400' 
                     : 'text-green-400'
                 }`}>
-                  {Math.max(0, currentHP - (lastPreRollInfo?.estimatedRange.average || parseInt(damageAmount) || 0))}/{character.max_hp}
+                  {Math.max(0, currentHP - damagePreview.total)}/{character.max_hp}
                 </span>
               </div>
             </div>
@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { SKILL_ABILITY_MAP } from '../../utils/skillCheckResolvers';
+
+interface PartyMember {
+  id: string;
+  name: string;
+}
+
+export interface GroupCheckRequest {
+  memberIds: string[];
+  checkType: 'skill' | 'save';
+  checkName: string;
+  dc: number;
+}
+
+interface GroupCheckFormProps {
+  characters: PartyMember[];
+  /** Checked when the form opens */
+  activeCharacterId?: string;
+  onRoll: (request: GroupCheckRequest) => void;
+  onBack: () => void;
+}
+
+const SAVES = ['Strength', 'Dexterity', 'Constitution', 'Intelligence', 'Wisdom', 'Charisma'];
+
+const SKILLS = Object.keys(SKILL_ABILITY_MAP).map(skill =>
+  skill.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '));
+
+/**
+ * Group Check Form Component
+ *
+ * Picks the party members, the skill or save and the DC for a group check
+ */
+export const GroupCheckForm: React.FC<GroupCheckFormProps> = ({ characters, activeCharacterId, onRoll, onBack }) => {
+  const [memberIds, setMemberIds] = useState<string[]>(() =>
+    characters.some(character => character.id === activeCharacterId) ? [activeCharacterId] : []);
+  const [check, setCheck] = useState('skill:Stealth');
+  const [dc, setDc] = useState('15');
+
+  const [checkType, checkName] = check.split(':') as ['skill' | 'save', string];
+  const parsedDc = Number.parseInt(dc, 10);
+  const isComplete = memberIds.length > 0 && parsedDc > 0;
+
+  const toggleMember = (id: string) => {
+    setMemberIds(memberIds.includes(id) ? memberIds.filter(memberId => memberId !== id) : [...memberIds, id]);
+  };
+
+  return (
+    <form
+      className="space-y-4"
+      onSubmit={(event) => {
+        event.preventDefault();
+        if (isComplete) onRoll({ memberIds, checkType, checkName, dc: parsedDc });
+      }}
+    >
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-bold text-white">Group Check</h2>
+        <button type="button" onClick={onBack} className="text-gray-400 hover:text-white transition-colors">
+          ← Back
+        </button>
+      </div>
+
+      <fieldset className="space-y-1">
+        <legend className="block text-sm font-medium text-gray-300 mb-1">Party members</legend>
+        {characters.map(character => (
+          <label key={character.id} className="flex items-center space-x-2 text-sm text-white">
+            <input
+              type="checkbox"
+              checked={memberIds.includes(character.id)}
+              onChange={() => toggleMember(character.id)}
+            />
+            <span>{character.name}</span>
+          </label>
+        ))}
+      </fieldset>
+
+      <div className="flex space-x-2">
+        <div className="flex-1">
+          <label htmlFor="group-check-name" className="block text-sm font-medium text-gray-300 mb-1">Check</label>
+          <select
+            id="group-check-name"
+            value={check}
+            onChange={(event) => setCheck(event.target.value)}
+            className="w-full border border-gray-600 rounded-lg bg-gray-700 text-white p-2 focus:border-blue-500 focus:outline-none"
+          >
+            <optgroup label="Skills">
+              {SKILLS.map(skill => <option key={skill} value={`skill:${skill}`}>{skill}</option>)}
+            </optgroup>
+            <optgroup label="Saving throws">
+              {SAVES.map(save => <option key={save} value={`save:${save}`}>{save} Save</option>)}
+            </optgroup>
+          </select>
+        </div>
+        <div className="w-20">
+          <label htmlFor="group-check-dc" className="block text-sm font-medium text-gray-300 mb-1">DC</label>
+          <input
+            id="group-check-dc"
+            type="number"
+            min="1"
+            value={dc}
+            onChange={(event) => setDc(event.target.value)}
+            className="w-full border border-gray-600 rounded-lg bg-gray-700 text-white p-2 focus:border-blue-500 focus:outline-none"
+          />
+        </div>
+      </div>
+
+      <button
+        type="submit"
+        disabled={!isComplete}
+        className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-medium py-2 px-3 rounded-lg transition-colors"
+      >
+        Roll for {memberIds.length} {memberIds.length === 1 ? 'member' : 'members'}
+      </button>
+    </form>
+  );
+};
+
+export default GroupCheckForm;
@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { Users, Wifi, WifiOff, Send, Lock, EyeOff, X } from 'lucide-react';
+import UnifiedRollDisplay from './UnifiedRollDisplay';
+import { PartyRollEvent, PartyRollRequest, RollVisibility } from '../../types/rolls';
+
+interface PartyRollFeedProps {
+  feed: PartyRollEvent[];
+  isLive: boolean;
+  sessionCode: string | null;
+  /** Signed in as the session's DM */
+  isDM: boolean;
+  /** DM roll requests waiting for this player */
+  requests: PartyRollRequest[];
+  /** Checks the DM can request */
+  requestOptions: string[];
+  isHidden?: boolean;
+  onRequestRoll: (actionName: string, visibility: RollVisibility) => boolean;
+  onRollRequest: (request: PartyRollRequest) => void;
+  onDismissRequest: (requestId: string) => void;
+}
+
+/**
+ * Party Roll Feed Component
+ *
+ * Live list of everyone's rolls in the journal session, each marked with
+ * the roller's character name and color. The DM can ask the party for a
+ * secret roll; players see the request and only a "sent" record of the roll.
+ */
+export const PartyRollFeed: React.FC<PartyRollFeedProps> = ({
+  feed,
+  isLive,
+  sessionCode,
+  isDM,
+  requests,
+  requestOptions,
+  isHidden = false,
+  onRequestRoll,
+  onRollRequest,
+  onDismissRequest
+}) => {
+  const [requestedAction, setRequestedAction] = useState('');
+  const status = isLive
+    ? `Live · ${sessionCode}`
+    : sessionCode ? 'Connecting...' : 'Local only · join a journal session to share rolls';
+
+  const handleRequest = () => {
+    const actionName = requestedAction || requestOptions[0];
+    if (actionName) {
+      onRequestRoll(actionName, 'dm');
+    }
+  };
+
+  return (
+    <div className={`bg-gradient-to-r from-gray-900 to-gray-800 rounded-2xl shadow-xl p-4 border-2 ${
+      isHidden ? 'border-purple-600' : 'border-gray-600'
+    }`}>
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-bold text-white flex items-center">
+          <Users className="mr-2 text-blue-400" size={20} />
+          Party Rolls
+        </h3>
+        <span className={`flex items-center space-x-1 text-xs ${isLive ? 'text-green-400' : 'text-gray-400'}`}>
+          {isLive ? <Wifi size={14} /> : <WifiOff size={14} />}
+          <span>{status}</span>
+        </span>
+      </div>
+
+      {isDM && (
+        <div className="text-xs text-purple-300 mb-3">You are this session's DM</div>
+      )}
+
+      {/* DM: ask the party for a secret roll */}
+      {isDM && isLive && requestOptions.length > 0 && (
+        <div className="flex space-x-2 mb-3 text-sm">
+          <select
+            aria-label="Requested roll"
+            value={requestedAction || requestOptions[0]}
+            onChange={(event) => setRequestedAction(event.target.value)}
+            className="flex-1 bg-gray-800 border border-gray-600 text-white rounded-lg px-2 py-1"
+          >
+            {requestOptions.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleRequest}
+            className="flex items-center space-x-1 bg-purple-600 hover:bg-purple-700 text-white rounded-lg px-3 py-1 transition-colors"
+          >
+            <EyeOff size={14} />
+            <span>Ask in secret</span>
+          </button>
+        </div>
+      )}
+
+      {/* Player: rolls the DM asked for */}
+      {requests.length > 0 && (
+        <div className="space-y-2 mb-3">
+          {requests.map(request => (
+            <div key={request.id} className="flex items-center justify-between bg-purple-900/40 border border-purple-600 rounded-lg px-3 py-2 text-sm">
+              <span className="text-purple-200">
+                {request.requestedBy} asks for {request.visibility === 'dm' ? 'a secret ' : ''}{request.actionName}
+              </span>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => onRollRequest(request)}
+                  className="bg-purple-600 hover:bg-purple-700 text-white rounded px-2 py-1 transition-colors"
+                >
+                  Roll
+                </button>
+                <button
+                  onClick={() => onDismissRequest(request.id)}
+                  className="text-gray-400 hover:text-white transition-colors"
+                  aria-label="Dismiss request"
+                >
+                  <X size={14} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {feed.length === 0 ? (
+        <p className="text-center text-gray-400 text-sm py-4">No rolls yet!</p>
+      ) : (
+        <div className="space-y-3 max-h-80 overflow-y-auto">
+          {feed.map(event => (
+            <div key={event.id} className="border-l-4 pl-2 space-y-2" style={{ borderColor: event.color }}>
+              <div className="flex items-center space-x-2 text-sm">
+                <span className="font-semibold" style={{ color: event.color }}>{event.characterName}</span>
+                {event.visibility === 'private' && (
+                  <span className="flex items-center space-x-1 text-xs text-gray-400">
+                    <Lock size={12} />
+                    <span>Only you</span>
+                  </span>
+                )}
+                {event.visibility === 'dm' && event.rolls.length > 0 && (
+                  <span className="flex items-center space-x-1 text-xs text-purple-300">
+                    <EyeOff size={12} />
+                    <span>DM only</span>
+                  </span>
+                )}
+              </div>
+              {event.visibility === 'dm' && event.rolls.length === 0 ? (
+                <p className="flex items-center space-x-1 text-sm text-gray-400">
+                  <Send size={14} />
+                  <span>Roll sent to the DM</span>
+                </p>
+              ) : event.rolls.map((roll, index) => (
+                <UnifiedRollDisplay key={`${roll.id}-${index}`} roll={roll} />
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PartyRollFeed;
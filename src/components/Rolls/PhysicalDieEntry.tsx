@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { Dices } from 'lucide-react';
+import { PhysicalDieRequest } from '../../types/rolls';
+import { isValidDieFace } from '../../utils/rollEngine';
+
+interface PhysicalDieEntryProps {
+  request: PhysicalDieRequest;
+  onSubmit: (value: number) => void;
+}
+
+// Dice up to this size get a button per face
+const MAX_FACE_BUTTONS = 20;
+
+/**
+ * Physical Die Entry Component
+ *
+ * Asks for the face of one real die while the roll engine waits. Only faces
+ * of the die are accepted; "Roll for me" fills in a random face instead.
+ */
+export const PhysicalDieEntry: React.FC<PhysicalDieEntryProps> = ({ request, onSubmit }) => {
+  const [value, setValue] = useState('');
+  const { sides } = request;
+  const face = Number(value);
+  const isValid = value !== '' && isValidDieFace(face, sides);
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/50 p-4">
+      <form
+        className="w-80 space-y-4 rounded-2xl border-2 border-gray-600 bg-gradient-to-br from-gray-900 to-gray-800 p-6 shadow-2xl"
+        onSubmit={(event) => {
+          event.preventDefault();
+          if (isValid) onSubmit(face);
+        }}
+      >
+        <h2 className="flex items-center text-xl font-bold text-white">
+          <Dices className="mr-2 text-blue-400" size={22} />
+          Roll a d{sides}
+        </h2>
+
+        {sides <= MAX_FACE_BUTTONS && (
+          <div className="grid grid-cols-5 gap-2">
+            {Array.from({ length: sides }, (_, index) => index + 1).map(faceValue => (
+              <button
+                key={faceValue}
+                type="button"
+                onClick={() => onSubmit(faceValue)}
+                className="rounded-lg border border-gray-600 bg-gray-700 py-2 font-mono text-white transition-colors hover:bg-gray-600"
+              >
+                {faceValue}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <input
+          type="number"
+          inputMode="numeric"
+          min={1}
+          max={sides}
+          aria-label={`d${sides} result`}
+          placeholder={`1-${sides}`}
+          value={value}
+          onChange={(event) => setValue(event.target.value)}
+          className="w-full rounded-lg border border-gray-600 bg-gray-700 p-2 text-white focus:border-blue-500 focus:outline-none"
+          autoFocus
+        />
+        {value !== '' && !isValid && (
+          <p className="text-xs text-red-400">A d{sides} shows 1 to {sides}</p>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={!isValid}
+            className="flex-1 rounded-lg bg-blue-600 px-3 py-2 font-medium text-white transition-colors hover:bg-blue-700 disabled:cursor-not-allowed disabled:bg-gray-600"
+          >
+            Enter
+          </button>
+          <button
+            type="button"
+            onClick={() => onSubmit(Math.floor(Math.random() * sides) + 1)}
+            className="rounded-lg bg-gray-700 px-3 py-2 text-gray-300 transition-colors hover:bg-gray-600"
+          >
+            Roll for me
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PhysicalDieEntry;
@@ -1,5 +1,6 @@
 import React from 'react';
-import { PreRollInfo, DicePreview, ModifierPreview, ConditionPreview } from '../../types/rolls';
+import { PreRollInfo, DicePreview, ModifierPreview, ConditionPreview, SuccessChance } from '../../types/rolls';
+import { formatCriticalRange } from '../../utils/rollEngine';
 
 interface PreRollDisplayProps {
   preRollInfo: PreRollInfo;
@@ -18,7 +19,7 @@ export const PreRollDisplay: React.FC<PreRollDisplayProps> = ({
   onConfirmRoll, 
   onCancel 
 }) => {
-  const { dice, modifiers, conditions, estimatedRange, criticalRange, notes } = preRollInfo;
+  const { dice, modifiers, conditions, estimatedRange, criticalRange, notes, successChance } = preRollInfo;
 
   const hasAdvantage = conditions.some(c => c.type === 'advantage' && c.active);
   const hasDisadvantage = conditions.some(c => c.type === 'disadvantage' && c.active);
@@ -84,10 +85,17 @@ export const PreRollDisplay: React.FC<PreRollDisplayProps> = ({
           <div>
             <span className="text-gray-400">Critical Range:</span>
             <div className="text-white font-mono">
-              {critRange.join(', ')}
+              {critRange.length > 0 ? `crits on ${formatCriticalRange(critRange)}` : 'None'}
             </div>
           </div>
         </div>
+
+        {/* Odds against the target */}
+        {successChance && (
+          <div className="mt-2 pt-2 border-t border-gray-700 text-sm">
+            <SuccessChanceDisplay successChance={successChance} />
+          </div>
+        )}
         
         {/* Special Conditions Summary */}
         {(hasAdvantage || hasDisadvantage) && (
@@ -133,6 +141,34 @@ export const PreRollDisplay: React.FC<PreRollDisplayProps> = ({
   );
 };
 
+const formatChance = (probability: number): string => {
+  const percent = probability * 100;
+  // Avoid showing 0% or 100% for outcomes that are merely unlikely/likely
+  if (percent > 0 && percent < 1) return '<1%';
+  if (percent < 100 && percent > 99) return '>99%';
+  return `${Math.round(percent)}%`;
+};
+
+const getChanceColor = (probability: number): string => {
+  if (probability >= 0.65) return 'text-green-400';
+  if (probability >= 0.35) return 'text-yellow-400';
+  return 'text-red-400';
+};
+
+/**
+ * Odds against the target, e.g. "62% to beat DC 15"
+ */
+export const SuccessChanceDisplay: React.FC<{ successChance: SuccessChance }> = ({ successChance }) => (
+  <>
+    <span className={`font-bold ${getChanceColor(successChance.probability)}`}>
+      {formatChance(successChance.probability)}
+    </span>
+    <span className="text-gray-300">
+      {' '}to {successChance.targetType === 'ac' ? 'hit AC' : 'beat DC'} {successChance.target}
+    </span>
+  </>
+);
+
 const DiceDisplay: React.FC<{ dice: DicePreview }> = ({ dice }) => {
   const getDiceColor = (category: string) => {
     switch (category) {
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { ModifierType, PendingRoll, RollReaction } from '../../types/rolls';
+
+interface ReactionWindowProps {
+  pendingRoll: PendingRoll;
+  /** Reactions the roller can spend, from getCharacterReactions */
+  reactions: RollReaction[];
+  onReact: (reaction: RollReaction) => Promise<unknown>;
+  onDone: () => void;
+}
+
+const D20_FACES = Array.from({ length: 20 }, (_, index) => 20 - index);
+
+/**
+ * Reaction Window Component
+ *
+ * Holds a d20 roll open after it is seen, so Lucky or Portent can change it
+ * before it is final. Each reaction is spent at most once per roll.
+ */
+export const ReactionWindow: React.FC<ReactionWindowProps> = ({ pendingRoll, reactions, onReact, onDone }) => {
+  const [portentFace, setPortentFace] = useState(20);
+  const [isReacting, setIsReacting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const { result } = pendingRoll;
+  const d20 = pendingRoll.reactions[pendingRoll.reactions.length - 1]?.newRoll
+    ?? result.breakdown.find(item => item.type === 'die' && item.details?.sides === 20)?.value;
+  const spent = new Set(pendingRoll.reactions.map(applied => applied.reaction.id));
+
+  const react = async (reaction: RollReaction) => {
+    setIsReacting(true);
+    setError(null);
+    try {
+      await onReact(reaction.type === ModifierType.REPLACE_DIE ? { ...reaction, value: portentFace } : reaction);
+    } catch (reactionError) {
+      setError(reactionError instanceof Error ? reactionError.message : String(reactionError));
+    } finally {
+      setIsReacting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <h2 className="text-lg font-bold text-white text-center">{result.metadata.definition.name}</h2>
+
+      <div className="text-center">
+        <div className="text-4xl font-bold text-white">{result.total}</div>
+        <div className="text-sm text-gray-400">d20 shows {d20}</div>
+      </div>
+
+      <div className="space-y-2">
+        {reactions.map(reaction => (
+          <div key={reaction.id} className="flex items-center space-x-2">
+            {reaction.type === ModifierType.REPLACE_DIE && (
+              <select
+                aria-label={`${reaction.name} roll`}
+                value={portentFace}
+                onChange={(event) => setPortentFace(Number(event.target.value))}
+                disabled={spent.has(reaction.id)}
+                className="border border-gray-600 rounded-lg bg-gray-700 text-white p-2 focus:border-blue-500 focus:outline-none"
+              >
+                {D20_FACES.map(face => <option key={face} value={face}>{face}</option>)}
+              </select>
+            )}
+            <button
+              onClick={() => react(reaction)}
+              disabled={isReacting || spent.has(reaction.id)}
+              className="flex-1 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-medium py-2 px-3 rounded-lg text-sm transition-colors"
+            >
+              {spent.has(reaction.id) ? `${reaction.name} used` : `Use ${reaction.name}`}
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {error && (
+        <div className="text-red-400 text-sm bg-red-900/20 border border-red-500/20 rounded-lg p-3">
+          {error}
+        </div>
+      )}
+
+      <button
+        onClick={onDone}
+        disabled={isReacting}
+        className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-medium py-2 px-3 rounded-lg transition-colors"
+      >
+        Keep this roll
+      </button>
+    </div>
+  );
+};
+
+export default ReactionWindow;
@@ -1,47 +1,303 @@
-import React from 'react';
+import React, { useRef, useState } from 'react';
 import PropTypes from 'prop-types';
-import { Dice6 } from 'lucide-react';
+import { Dice6, BarChart3, Search, X, Download, Upload } from 'lucide-react';
 import UnifiedRollDisplay from './UnifiedRollDisplay';
-import { transformRollLogToUnified } from '../../utils/rollDataTransforms';
+import { ROLL_SESSION_ID } from '../../utils/rollHistoryStore';
+import { ROLL_HISTORY_EXPORT_FILES, getRollHistoryExportFileName } from '../../utils/rollHistoryExport';
+import { formatRelativeTime } from '../../utils/timeUtils';
+
+const RETENTION_OPTIONS = [
+  { label: '7 days', value: 7 },
+  { label: '30 days', value: 30 },
+  { label: '90 days', value: 90 },
+  { label: 'Forever', value: null }
+];
+
+const ROLL_TYPE_OPTIONS = [
+  'attack', 'damage', 'skill', 'save', 'ability', 'initiative', 'concentration',
+  'death_save', 'spell_save', 'spell_attack', 'healing', 'raw'
+];
+
+const OUTCOME_OPTIONS = [
+  { label: 'Critical hits', value: 'critical' },
+  { label: 'Fumbles', value: 'fumble' },
+  { label: 'Successes', value: 'success' },
+  { label: 'Failures', value: 'failure' }
+];
+
+const formatRollType = (rollType) =>
+  rollType.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+// Date inputs work in local YYYY-MM-DD; the filter keeps timestamps
+const toDateInput = (timestamp) => {
+  if (timestamp === undefined) return '';
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const fromDateInput = (value, endOfDay) =>
+  value ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).getTime() : undefined;
+
+const EXPORT_OPTIONS = [
+  { label: 'CSV', value: 'csv' },
+  { label: 'JSON', value: 'json' },
+  { label: 'Markdown', value: 'markdown' }
+];
+
+const downloadFile = (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Distance from the bottom of the list at which the next page loads
+const LOAD_MORE_THRESHOLD = 40;
 
 const RollHistory = ({
-  rollLogs,
+  sessions,
+  hasMore,
+  isLoading,
+  retentionDays,
   isHidden,
+  filter,
+  isFiltering,
+  characters,
+  characterId,
   onBack,
-  onClearHistory
+  onLoadMore,
+  onClearHistory,
+  onRetentionChange,
+  onFilterChange,
+  onCharacterChange,
+  onExport,
+  onImport,
+  onShowStats
 }) => {
-  // Transform legacy roll logs to unified format and flatten
-  const unifiedRolls = rollLogs.flatMap(log => transformRollLogToUnified(log));
+  const hasRolls = sessions.length > 0;
+  const importInputRef = useRef(null);
+  const [transferMessage, setTransferMessage] = useState(null);
+  const characterName = characters.find(character => character.id === characterId)?.name ?? 'Character';
+  const selectClassName = 'bg-gray-800 border border-gray-600 text-white rounded-lg px-2 py-1';
+
+  const updateFilter = (changes) => onFilterChange({ ...filter, ...changes });
+
+  const handleExport = async (format) => {
+    try {
+      const content = await onExport(format, characterName);
+      downloadFile(content, getRollHistoryExportFileName(format, characterName), ROLL_HISTORY_EXPORT_FILES[format].mimeType);
+      setTransferMessage(null);
+    } catch (error) {
+      console.error('Failed to export roll history:', error);
+      setTransferMessage({ isError: true, text: 'Export failed' });
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const count = await onImport(await file.text());
+      setTransferMessage({ isError: false, text: `Imported ${count} roll${count === 1 ? '' : 's'}` });
+    } catch (error) {
+      setTransferMessage({ isError: true, text: error.message });
+    }
+  };
+
+  // Infinite scroll: load older rolls as the list nears its end
+  const handleScroll = (event) => {
+    const { scrollTop, clientHeight, scrollHeight } = event.currentTarget;
+    if (hasMore && !isLoading && scrollTop + clientHeight >= scrollHeight - LOAD_MORE_THRESHOLD) {
+      onLoadMore();
+    }
+  };
 
   return (
     <div className="space-y-4">
       <div className="flex justify-between items-center">
         <h2 className="text-xl font-bold text-white">Roll History</h2>
-        <button
-          onClick={onBack}
-          className="text-gray-400 hover:text-white transition-colors"
-        >
-          ← Back
-        </button>
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={onShowStats}
+            className="text-gray-400 hover:text-white transition-colors"
+            aria-label="Roll statistics"
+          >
+            <BarChart3 size={18} />
+          </button>
+          <button
+            onClick={onBack}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            ← Back
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="space-y-2 text-sm">
+        <div className="relative">
+          <Search className="absolute left-2 top-1/2 -translate-y-1/2 text-gray-400" size={14} />
+          <input
+            type="search"
+            aria-label="Search rolls"
+            placeholder="Search roll names and notes"
+            value={filter.text ?? ''}
+            onChange={(event) => updateFilter({ text: event.target.value || undefined })}
+            className="w-full bg-gray-800 border border-gray-600 text-white rounded-lg pl-7 pr-2 py-1"
+          />
+        </div>
+        <div className="grid grid-cols-3 gap-2">
+          <select
+            aria-label="Character"
+            value={characterId ?? ''}
+            onChange={(event) => onCharacterChange(event.target.value || undefined)}
+            className={selectClassName}
+          >
+            {characters.map(character => (
+              <option key={character.id} value={character.id}>{character.name}</option>
+            ))}
+          </select>
+          <select
+            aria-label="Roll type"
+            value={filter.type ?? ''}
+            onChange={(event) => updateFilter({ type: event.target.value || undefined })}
+            className={selectClassName}
+          >
+            <option value="">All types</option>
+            {ROLL_TYPE_OPTIONS.map(rollType => (
+              <option key={rollType} value={rollType}>{formatRollType(rollType)}</option>
+            ))}
+          </select>
+          <select
+            aria-label="Outcome"
+            value={filter.outcome ?? ''}
+            onChange={(event) => updateFilter({ outcome: event.target.value || undefined })}
+            className={selectClassName}
+          >
+            <option value="">All outcomes</option>
+            {OUTCOME_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-center space-x-2">
+          <input
+            type="date"
+            aria-label="From date"
+            value={toDateInput(filter.from)}
+            onChange={(event) => updateFilter({ from: fromDateInput(event.target.value, false) })}
+            className={`flex-1 ${selectClassName}`}
+          />
+          <span className="text-gray-400">to</span>
+          <input
+            type="date"
+            aria-label="To date"
+            value={toDateInput(filter.to)}
+            onChange={(event) => updateFilter({ to: fromDateInput(event.target.value, true) })}
+            className={`flex-1 ${selectClassName}`}
+          />
+          {isFiltering && (
+            <button
+              onClick={() => onFilterChange({})}
+              className="text-gray-400 hover:text-white transition-colors"
+              aria-label="Clear filters"
+            >
+              <X size={16} />
+            </button>
+          )}
+        </div>
       </div>
       
-      {unifiedRolls.length === 0 ? (
+      {!hasRolls ? (
         <div className="text-center py-8">
           <Dice6 className="mx-auto text-gray-400 mb-3" size={32} />
-          <p className="text-gray-400">No rolls yet!</p>
+          <p className="text-gray-400">
+            {isLoading ? 'Loading rolls...' : isFiltering ? 'No rolls match these filters' : 'No rolls yet!'}
+          </p>
         </div>
       ) : (
-        <div className="space-y-3 max-h-80 overflow-y-auto">
-          {unifiedRolls.slice(0, 20).map((roll, index) => (
-            <UnifiedRollDisplay 
-              key={`${roll.id}-${index}`} 
-              roll={roll} 
-            />
+        <div className="space-y-3 max-h-80 overflow-y-auto" onScroll={handleScroll}>
+          {sessions.map(session => (
+            <div key={`${session.sessionId}-${session.startedAt}`} className="space-y-3">
+              <div className="text-xs font-medium uppercase tracking-wide text-gray-400">
+                {session.sessionId === ROLL_SESSION_ID
+                  ? 'This session'
+                  : `Session from ${formatRelativeTime(session.startedAt)}`}
+              </div>
+              {session.entries.flatMap(entry => entry.rolls).map((roll, index) => (
+                <UnifiedRollDisplay 
+                  key={`${roll.id}-${index}`} 
+                  roll={roll} 
+                />
+              ))}
+            </div>
+          ))}
+          {hasMore && (
+            <button
+              onClick={onLoadMore}
+              disabled={isLoading}
+              className="w-full text-sm text-gray-400 hover:text-white py-2 transition-colors"
+            >
+              {isLoading ? 'Loading...' : 'Load older rolls'}
+            </button>
+          )}
+        </div>
+      )}
+      
+      <div className="flex items-center justify-between text-sm">
+        <label htmlFor="roll-history-retention" className="text-gray-400">Keep history for</label>
+        <select
+          id="roll-history-retention"
+          value={retentionDays ?? ''}
+          onChange={(event) => onRetentionChange(event.target.value === '' ? null : Number(event.target.value))}
+          className="bg-gray-800 border border-gray-600 text-white rounded-lg px-2 py-1"
+        >
+          {RETENTION_OPTIONS.map(option => (
+            <option key={option.label} value={option.value ?? ''}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+      
+      <div className="flex items-center justify-between text-sm">
+        <div className="flex items-center space-x-2">
+          <Download className="text-gray-400" size={14} />
+          {EXPORT_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              onClick={() => handleExport(option.value)}
+              disabled={!hasRolls}
+              className="text-gray-400 hover:text-white disabled:opacity-50 transition-colors"
+            >
+              {option.label}
+            </button>
           ))}
         </div>
+        <button
+          onClick={() => importInputRef.current?.click()}
+          className="flex items-center space-x-1 text-gray-400 hover:text-white transition-colors"
+        >
+          <Upload size={14} />
+          <span>Import</span>
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept="application/json,.json"
+          aria-label="Import roll history"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+      {transferMessage && (
+        <p className={`text-xs ${transferMessage.isError ? 'text-red-400' : 'text-green-400'}`}>{transferMessage.text}</p>
       )}
       
-      {unifiedRolls.length > 0 && (
+      {hasRolls && (
         <div className="flex space-x-2">
           <button 
             onClick={onClearHistory}
@@ -56,23 +312,47 @@ const RollHistory = ({
 };
 
 RollHistory.propTypes = {
-  rollLogs: PropTypes.arrayOf(PropTypes.shape({
-    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
-    name: PropTypes.string.isRequired,
-    type: PropTypes.string.isRequired,
-    timestamp: PropTypes.string.isRequired,
-    dice: PropTypes.arrayOf(PropTypes.shape({
-      name: PropTypes.string.isRequired,
-      dice: PropTypes.arrayOf(PropTypes.string).isRequired,
-      bonus: PropTypes.number,
-      total: PropTypes.number.isRequired
-    })).isRequired,
-    isCritical: PropTypes.bool,
-    details: PropTypes.object
+  sessions: PropTypes.arrayOf(PropTypes.shape({
+    sessionId: PropTypes.string.isRequired,
+    startedAt: PropTypes.number.isRequired,
+    entries: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      timestamp: PropTypes.number.isRequired,
+      rolls: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+        name: PropTypes.string.isRequired,
+        type: PropTypes.string.isRequired,
+        total: PropTypes.number.isRequired,
+        breakdown: PropTypes.array.isRequired
+      })).isRequired
+    })).isRequired
   })).isRequired,
+  hasMore: PropTypes.bool.isRequired,
+  isLoading: PropTypes.bool.isRequired,
+  retentionDays: PropTypes.number,
   isHidden: PropTypes.bool.isRequired,
+  filter: PropTypes.shape({
+    type: PropTypes.string,
+    outcome: PropTypes.oneOf(['critical', 'fumble', 'success', 'failure']),
+    from: PropTypes.number,
+    to: PropTypes.number,
+    text: PropTypes.string
+  }).isRequired,
+  isFiltering: PropTypes.bool.isRequired,
+  characters: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  })).isRequired,
+  characterId: PropTypes.string,
   onBack: PropTypes.func.isRequired,
-  onClearHistory: PropTypes.func.isRequired
+  onLoadMore: PropTypes.func.isRequired,
+  onClearHistory: PropTypes.func.isRequired,
+  onRetentionChange: PropTypes.func.isRequired,
+  onFilterChange: PropTypes.func.isRequired,
+  onCharacterChange: PropTypes.func.isRequired,
+  onExport: PropTypes.func.isRequired,
+  onImport: PropTypes.func.isRequired,
+  onShowStats: PropTypes.func.isRequired
 };
 
 export default RollHistory;
\ No newline at end of file
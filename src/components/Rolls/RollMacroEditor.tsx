@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { Plus, Pencil, Trash2, X } from 'lucide-react';
+import { RollMacro, RollMacroPrompt, RollType } from '../../types/rolls';
+import { validateRollMacro, MACRO_ROLL_TYPES } from '../../utils/rollMacros';
+
+interface RollMacroEditorProps {
+  macros: RollMacro[];
+  onSave: (macro: RollMacro) => void;
+  onDelete: (macroId: string) => void;
+  onBack: () => void;
+}
+
+const EMPTY_MACRO: RollMacro = {
+  id: '',
+  name: '',
+  expression: '',
+  type: 'attack',
+  tags: [],
+  prompts: []
+};
+
+const inputClassName = 'w-full bg-gray-800 border border-gray-600 text-white rounded-lg px-2 py-1 placeholder-gray-500';
+
+const formatRollType = (rollType: string): string =>
+  rollType.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+/**
+ * Roll Macro Editor Component
+ *
+ * Lists a character's saved macros and edits one at a time: a name, a labeled
+ * dice expression, the roll type, tags and prompts filled in before each roll
+ */
+export const RollMacroEditor: React.FC<RollMacroEditorProps> = ({ macros, onSave, onDelete, onBack }) => {
+  const [draft, setDraft] = useState<RollMacro | null>(null);
+  // Tags are edited as text so a trailing comma survives typing
+  const [tagsText, setTagsText] = useState('');
+
+  const startEditing = (macro: RollMacro) => {
+    setDraft(macro);
+    setTagsText(macro.tags.join(', '));
+  };
+
+  if (!draft) {
+    return (
+      <div className="space-y-4">
+        <div className="flex justify-between items-center">
+          <h2 className="text-xl font-bold text-white">Roll Macros</h2>
+          <button onClick={onBack} className="text-gray-400 hover:text-white transition-colors">
+            ← Back
+          </button>
+        </div>
+
+        {macros.length === 0 ? (
+          <p className="text-center text-gray-400 py-4 text-sm">
+            No macros yet. Save a roll like "Rapier + Sneak Attack" to roll it from the search.
+          </p>
+        ) : (
+          <div className="space-y-2 max-h-64 overflow-y-auto">
+            {macros.map(macro => (
+              <div key={macro.id} className="flex justify-between items-center bg-gray-700 border border-gray-600 rounded-lg p-2 text-sm">
+                <div className="min-w-0">
+                  <div className="font-medium text-white truncate">{macro.name}</div>
+                  <div className="text-xs text-gray-400 font-mono truncate">{macro.expression}</div>
+                </div>
+                <div className="flex items-center space-x-2 ml-2">
+                  <button
+                    onClick={() => startEditing(macro)}
+                    className="text-gray-400 hover:text-white transition-colors"
+                    aria-label={`Edit ${macro.name}`}
+                  >
+                    <Pencil size={14} />
+                  </button>
+                  <button
+                    onClick={() => onDelete(macro.id)}
+                    className="text-gray-400 hover:text-red-400 transition-colors"
+                    aria-label={`Delete ${macro.name}`}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <button
+          onClick={() => startEditing(EMPTY_MACRO)}
+          className="w-full flex items-center justify-center space-x-2 bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-3 rounded-lg text-sm transition-colors"
+        >
+          <Plus size={16} />
+          <span>New Macro</span>
+        </button>
+      </div>
+    );
+  }
+
+  const macro: RollMacro = {
+    ...draft,
+    tags: tagsText.split(',').map(tag => tag.trim()).filter(Boolean)
+  };
+  const errors = validateRollMacro(macro);
+
+  const update = (changes: Partial<RollMacro>) => setDraft({ ...draft, ...changes });
+  const updatePrompt = (index: number, changes: Partial<RollMacroPrompt>) =>
+    update({ prompts: draft.prompts.map((prompt, i) => i === index ? { ...prompt, ...changes } : prompt) });
+
+  const handleSave = () => {
+    if (errors.length > 0) return;
+    onSave(macro);
+    setDraft(null);
+  };
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-bold text-white">{draft.id ? 'Edit Macro' : 'New Macro'}</h2>
+        <button onClick={() => setDraft(null)} className="text-gray-400 hover:text-white transition-colors">
+          Cancel
+        </button>
+      </div>
+
+      <input
+        aria-label="Macro name"
+        placeholder="Rapier + Sneak Attack"
+        value={draft.name}
+        onChange={(event) => update({ name: event.target.value })}
+        className={inputClassName}
+      />
+      <input
+        aria-label="Dice expression"
+        placeholder="attack:1d20+7,damage:1d8+4+{sneak}d6"
+        value={draft.expression}
+        onChange={(event) => update({ expression: event.target.value })}
+        className={`${inputClassName} font-mono`}
+      />
+      <div className="grid grid-cols-2 gap-2">
+        <select
+          aria-label="Roll type"
+          value={draft.type}
+          onChange={(event) => update({ type: event.target.value as RollType })}
+          className={inputClassName}
+        >
+          {MACRO_ROLL_TYPES.map(rollType => (
+            <option key={rollType} value={rollType}>{formatRollType(rollType)}</option>
+          ))}
+        </select>
+        <input
+          aria-label="Tags"
+          placeholder="Tags: melee, finesse"
+          value={tagsText}
+          onChange={(event) => setTagsText(event.target.value)}
+          className={inputClassName}
+        />
+      </div>
+
+      {/* Prompts fill {id} placeholders in the expression */}
+      <div className="space-y-2">
+        {draft.prompts.map((prompt, index) => (
+          <div key={index} className="flex items-center space-x-1">
+            <input
+              aria-label="Prompt id"
+              placeholder="sneak"
+              value={prompt.id}
+              onChange={(event) => updatePrompt(index, { id: event.target.value.replace(/[^\w-]/g, '') })}
+              className={`${inputClassName} w-20 font-mono`}
+            />
+            <input
+              aria-label="Prompt question"
+              placeholder="Sneak Attack dice"
+              value={prompt.label}
+              onChange={(event) => updatePrompt(index, { label: event.target.value })}
+              className={inputClassName}
+            />
+            <input
+              aria-label="Prompt default"
+              placeholder="Default"
+              value={prompt.defaultValue ?? ''}
+              onChange={(event) => updatePrompt(index, { defaultValue: event.target.value || undefined })}
+              className={`${inputClassName} w-16`}
+            />
+            <button
+              onClick={() => update({ prompts: draft.prompts.filter((_, i) => i !== index) })}
+              className="text-gray-400 hover:text-red-400 transition-colors"
+              aria-label="Remove prompt"
+            >
+              <X size={14} />
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={() => update({ prompts: [...draft.prompts, { id: '', label: '' }] })}
+          className="flex items-center space-x-1 text-gray-400 hover:text-white transition-colors"
+        >
+          <Plus size={14} />
+          <span>Add prompt</span>
+        </button>
+      </div>
+
+      {errors.length > 0 && (draft.name || draft.expression) && (
+        <ul className="text-xs text-red-400 space-y-1">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      <button
+        onClick={handleSave}
+        disabled={errors.length > 0}
+        className="w-full bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-medium py-2 px-3 rounded-lg transition-colors"
+      >
+        Save Macro
+      </button>
+    </div>
+  );
+};
+
+export default RollMacroEditor;
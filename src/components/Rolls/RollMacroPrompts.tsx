@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { RollMacro } from '../../types/rolls';
+
+interface RollMacroPromptsProps {
+  macro: RollMacro;
+  onRoll: (answers: Record<string, string>) => void;
+  onClose: () => void;
+}
+
+/**
+ * Roll Macro Prompts Component
+ *
+ * Asks a macro's prompts before it is rolled, starting from their defaults
+ */
+export const RollMacroPrompts: React.FC<RollMacroPromptsProps> = ({ macro, onRoll, onClose }) => {
+  const [answers, setAnswers] = useState<Record<string, string>>(() =>
+    Object.fromEntries(macro.prompts.map(prompt => [prompt.id, prompt.defaultValue ?? ''])));
+
+  const isComplete = macro.prompts.every(prompt => answers[prompt.id]?.trim());
+
+  return (
+    <form
+      className="space-y-4"
+      onSubmit={(event) => {
+        event.preventDefault();
+        if (isComplete) onRoll(answers);
+      }}
+    >
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-bold text-white">{macro.name}</h2>
+        <button type="button" onClick={onClose} className="text-gray-400 hover:text-white transition-colors">
+          ✕
+        </button>
+      </div>
+
+      {macro.prompts.map((prompt, index) => (
+        <div key={prompt.id}>
+          <label htmlFor={`macro-prompt-${prompt.id}`} className="block text-sm font-medium text-gray-300 mb-1">
+            {prompt.label}
+          </label>
+          <input
+            id={`macro-prompt-${prompt.id}`}
+            value={answers[prompt.id] ?? ''}
+            onChange={(event) => setAnswers({ ...answers, [prompt.id]: event.target.value })}
+            className="w-full border border-gray-600 rounded-lg bg-gray-700 text-white p-2 focus:border-blue-500 focus:outline-none"
+            autoFocus={index === 0}
+          />
+        </div>
+      ))}
+
+      <button
+        type="submit"
+        disabled={!isComplete}
+        className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-medium py-2 px-3 rounded-lg transition-colors"
+      >
+        Roll
+      </button>
+    </form>
+  );
+};
+
+export default RollMacroPrompts;
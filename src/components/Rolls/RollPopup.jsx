@@ -1,12 +1,21 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import { Dice6, Target, Eye } from 'lucide-react';
+import { Dice6, Target, Eye, Send } from 'lucide-react';
 import RollSearch from './RollSearch';
 import RollResult from './RollResult';
 import RollHistory from './RollHistory';
+import RollStatistics from './RollStatistics';
+import RollMacroEditor from './RollMacroEditor';
+import RollMacroPrompts from './RollMacroPrompts';
+import GroupCheckForm from './GroupCheckForm';
+import ContestedCheckForm from './ContestedCheckForm';
+import { PreRollDisplay, SuccessChanceDisplay } from './PreRollDisplay';
+import ReactionWindow from './ReactionWindow';
 import DamageInput from './DamageInput';
 import HealingInput from './HealingInput';
 import CompactDiceAnimation from './CompactDiceAnimation';
+import { getRollVisibility, ROLL_VISIBILITY_LABELS } from '../../utils/rollVisibility';
+import { describeRollOptions } from '../../utils/rollCommands';
 
 const RollPopup = ({
   rollActions,
@@ -17,15 +26,31 @@ const RollPopup = ({
   character,
   currentHP,
   damageInput,
-  rollLogs,
+  rollHistory,
+  characters,
+  rollVisibility,
+  isDM,
+  rollMacros,
+  commandPreview,
+  successChance,
+  pendingRoll,
+  reactions,
   onClose,
   onSearchTermChange,
   onActionSelect,
+  onCommandSelect,
+  onGroupCheck,
+  onContestedCheck,
   onDamageInputChange,
   onApplyDamage,
   onApplyHealing,
+  onReaction,
+  onReactionsDone,
   onClearHistory,
-  onPhaseChange
+  onPhaseChange,
+  onRollVisibilityChange,
+  physicalDice,
+  onPhysicalDiceChange
 }) => {
   if (!rollPopup.isOpen) return null;
 
@@ -61,14 +86,93 @@ const RollPopup = ({
         onClick={(e) => e.stopPropagation()}
       >
         {rollPopup.phase === 'search' && (
-          <RollSearch
-            rollActions={rollActions}
-            searchTerm={rollPopup.searchTerm}
-            isKeyboardOpen={isKeyboardOpen}
-            isHidden={isHidden}
-            onSearchTermChange={onSearchTermChange}
-            onActionSelect={onActionSelect}
-            onShowHistory={() => onPhaseChange('logs')}
+          <>
+            <div className="flex justify-end items-center space-x-2 mb-3 text-xs">
+              <label className="flex items-center space-x-1 text-gray-400 mr-auto">
+                <input
+                  type="checkbox"
+                  checked={physicalDice}
+                  onChange={(event) => onPhysicalDiceChange(event.target.checked)}
+                />
+                <span>Real dice</span>
+              </label>
+              <label htmlFor="roll-visibility" className="text-gray-400">Visible to</label>
+              <select
+                id="roll-visibility"
+                value={rollVisibility}
+                onChange={(event) => onRollVisibilityChange(event.target.value)}
+                className="bg-gray-800 border border-gray-600 text-white rounded-lg px-2 py-1"
+              >
+                {Object.entries(ROLL_VISIBILITY_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <RollSearch
+              rollActions={rollActions}
+              actionUsage={rollHistory.actionUsage}
+              searchTerm={rollPopup.searchTerm}
+              isKeyboardOpen={isKeyboardOpen}
+              isHidden={isHidden}
+              onSearchTermChange={onSearchTermChange}
+              onActionSelect={onActionSelect}
+              onCommandSelect={onCommandSelect}
+              onShowHistory={() => onPhaseChange('logs')}
+              onShowMacros={() => onPhaseChange('macros')}
+              onShowGroupCheck={() => onPhaseChange('group-check')}
+              onShowContestedCheck={() => onPhaseChange('contested-check')}
+            />
+          </>
+        )}
+
+        {rollPopup.phase === 'command-preview' && commandPreview && (
+          <div className="space-y-3">
+            <div>
+              <h2 className="text-xl font-bold text-white">{rollPopup.selectedAction?.name}</h2>
+              <div className="text-sm text-blue-300">
+                {describeRollOptions(rollPopup.selectedAction?.rollOptions).join(' · ')}
+              </div>
+            </div>
+            <PreRollDisplay
+              preRollInfo={commandPreview}
+              onConfirmRoll={() => onActionSelect(rollPopup.selectedAction)}
+              onCancel={() => onPhaseChange('search')}
+            />
+          </div>
+        )}
+
+        {rollPopup.phase === 'macros' && (
+          <RollMacroEditor
+            macros={rollMacros.macros}
+            onSave={rollMacros.saveMacro}
+            onDelete={rollMacros.deleteMacro}
+            onBack={() => onPhaseChange('search')}
+          />
+        )}
+
+        {rollPopup.phase === 'macro-prompt' && rollPopup.selectedAction?.macro && (
+          <RollMacroPrompts
+            macro={rollPopup.selectedAction.macro}
+            onRoll={(promptAnswers) => onActionSelect({ ...rollPopup.selectedAction, promptAnswers })}
+            onClose={onClose}
+          />
+        )}
+
+        {rollPopup.phase === 'group-check' && (
+          <GroupCheckForm
+            characters={characters}
+            activeCharacterId={character?.id}
+            onRoll={onGroupCheck}
+            onBack={() => onPhaseChange('search')}
+          />
+        )}
+
+        {rollPopup.phase === 'contested-check' && (
+          <ContestedCheckForm
+            characters={characters}
+            activeCharacterId={character?.id}
+            onRoll={onContestedCheck}
+            onBack={() => onPhaseChange('search')}
           />
         )}
 
@@ -115,10 +219,59 @@ const RollPopup = ({
             <p className="text-sm text-gray-300">
               Rolling...
             </p>
+
+            {successChance && (
+              <div className="text-sm">
+                <SuccessChanceDisplay successChance={successChance} />
+              </div>
+            )}
           </div>
         )}
 
-        {rollPopup.phase === 'result' && rollPopup.result && (
+        {rollPopup.phase === 'reaction' && pendingRoll && (
+          <ReactionWindow
+            pendingRoll={pendingRoll}
+            reactions={reactions}
+            onReact={onReaction}
+            onDone={onReactionsDone}
+          />
+        )}
+
+        {rollPopup.phase === 'error' && (
+          <div className="space-y-4">
+            <h2 className="text-lg font-bold text-white text-center">
+              Could not roll {rollPopup.selectedAction?.name || 'that'}
+            </h2>
+            <div className="text-red-400 text-sm bg-red-900/20 border border-red-500/20 rounded-lg p-3">
+              {rollPopup.error}
+            </div>
+            <button
+              onClick={onClose}
+              className="w-full bg-gray-600 hover:bg-gray-700 text-white font-medium py-2 px-3 rounded-lg text-sm transition-colors"
+            >
+              Close
+            </button>
+          </div>
+        )}
+
+        {/* The roller never sees a roll sent to the DM */}
+        {rollPopup.phase === 'result' && rollPopup.result && getRollVisibility(rollPopup.result) === 'dm' && !isDM && (
+          <div className="space-y-4 text-center">
+            <Send className="mx-auto text-purple-400" size={32} />
+            <h2 className="text-lg font-bold text-white">Roll sent</h2>
+            <p className="text-sm text-gray-300">
+              Your {rollPopup.selectedAction?.name || 'roll'} went to the DM.
+            </p>
+            <button
+              onClick={onClose}
+              className="w-full bg-gray-600 hover:bg-gray-700 text-white font-medium py-2 px-3 rounded-lg text-sm transition-colors"
+            >
+              Close
+            </button>
+          </div>
+        )}
+
+        {rollPopup.phase === 'result' && rollPopup.result && (getRollVisibility(rollPopup.result) !== 'dm' || isDM) && (
           <RollResult
             result={rollPopup.result}
             selectedAction={rollPopup.selectedAction}
@@ -135,10 +288,31 @@ const RollPopup = ({
 
         {rollPopup.phase === 'logs' && (
           <RollHistory
-            rollLogs={rollLogs}
+            sessions={rollHistory.sessions}
+            hasMore={rollHistory.hasMore}
+            isLoading={rollHistory.isLoading}
+            retentionDays={rollHistory.retentionDays}
             isHidden={isHidden}
+            filter={rollHistory.filter}
+            isFiltering={rollHistory.isFiltering}
+            characters={characters}
+            characterId={rollHistory.historyCharacterId}
             onBack={() => onPhaseChange('search')}
+            onLoadMore={rollHistory.loadMore}
             onClearHistory={onClearHistory}
+            onRetentionChange={rollHistory.setRetentionDays}
+            onFilterChange={rollHistory.setFilter}
+            onCharacterChange={rollHistory.setHistoryCharacterId}
+            onExport={rollHistory.exportHistory}
+            onImport={rollHistory.importHistory}
+            onShowStats={() => onPhaseChange('stats')}
+          />
+        )}
+
+        {rollPopup.phase === 'stats' && (
+          <RollStatistics
+            loadEntries={rollHistory.loadAllEntries}
+            onBack={() => onPhaseChange('logs')}
           />
         )}
       </div>
@@ -151,10 +325,11 @@ RollPopup.propTypes = {
   rollActions: PropTypes.object.isRequired,
   rollPopup: PropTypes.shape({
     isOpen: PropTypes.bool.isRequired,
-    phase: PropTypes.oneOf(['search', 'rolling', 'result', 'logs', 'damage-input', 'healing-input']).isRequired,
+    phase: PropTypes.oneOf(['search', 'rolling', 'result', 'logs', 'stats', 'command-preview', 'macros', 'macro-prompt', 'group-check', 'contested-check', 'damage-input', 'healing-input', 'reaction', 'error']).isRequired,
     searchTerm: PropTypes.string,
     selectedAction: PropTypes.object,
-    result: PropTypes.object
+    result: PropTypes.object,
+    error: PropTypes.string
   }).isRequired,
   isKeyboardOpen: PropTypes.bool.isRequired,
   viewportHeight: PropTypes.number.isRequired,
@@ -162,15 +337,55 @@ RollPopup.propTypes = {
   character: PropTypes.object.isRequired,
   currentHP: PropTypes.number.isRequired,
   damageInput: PropTypes.object,
-  rollLogs: PropTypes.array.isRequired,
+  rollHistory: PropTypes.shape({
+    sessions: PropTypes.array.isRequired,
+    hasMore: PropTypes.bool.isRequired,
+    isLoading: PropTypes.bool.isRequired,
+    retentionDays: PropTypes.number,
+    filter: PropTypes.object.isRequired,
+    isFiltering: PropTypes.bool.isRequired,
+    historyCharacterId: PropTypes.string,
+    loadMore: PropTypes.func.isRequired,
+    loadAllEntries: PropTypes.func.isRequired,
+    exportHistory: PropTypes.func.isRequired,
+    importHistory: PropTypes.func.isRequired,
+    setRetentionDays: PropTypes.func.isRequired,
+    setFilter: PropTypes.func.isRequired,
+    setHistoryCharacterId: PropTypes.func.isRequired,
+    actionUsage: PropTypes.object.isRequired
+  }).isRequired,
+  characters: PropTypes.array.isRequired,
+  rollVisibility: PropTypes.oneOf(['public', 'private', 'dm']).isRequired,
+  isDM: PropTypes.bool.isRequired,
+  rollMacros: PropTypes.shape({
+    macros: PropTypes.array.isRequired,
+    saveMacro: PropTypes.func.isRequired,
+    deleteMacro: PropTypes.func.isRequired
+  }).isRequired,
+  commandPreview: PropTypes.object,
+  successChance: PropTypes.shape({
+    target: PropTypes.number.isRequired,
+    targetType: PropTypes.oneOf(['ac', 'dc']).isRequired,
+    probability: PropTypes.number.isRequired
+  }),
+  pendingRoll: PropTypes.object,
+  reactions: PropTypes.array.isRequired,
   onClose: PropTypes.func.isRequired,
   onSearchTermChange: PropTypes.func.isRequired,
   onActionSelect: PropTypes.func.isRequired,
+  onCommandSelect: PropTypes.func.isRequired,
+  onGroupCheck: PropTypes.func.isRequired,
+  onContestedCheck: PropTypes.func.isRequired,
   onDamageInputChange: PropTypes.func,
   onApplyDamage: PropTypes.func,
   onApplyHealing: PropTypes.func,
+  onReaction: PropTypes.func.isRequired,
+  onReactionsDone: PropTypes.func.isRequired,
   onClearHistory: PropTypes.func.isRequired,
-  onPhaseChange: PropTypes.func.isRequired
+  onPhaseChange: PropTypes.func.isRequired,
+  onRollVisibilityChange: PropTypes.func.isRequired,
+  physicalDice: PropTypes.bool.isRequired,
+  onPhysicalDiceChange: PropTypes.func.isRequired
 };
 
 export default RollPopup;
\ No newline at end of file
@@ -2,6 +2,7 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { Target, Sword, Heart, Eye, Sparkles } from 'lucide-react';
 import UnifiedRollDisplay from './UnifiedRollDisplay';
+import UnifiedRollDisplayV2 from './UnifiedRollDisplayV2';
 import { createUnifiedRoll } from '../../utils/rollDataTransforms';
 
 const RollResult = ({
@@ -262,6 +263,9 @@ const RollResult = ({
     return <UnifiedRollDisplay roll={standardRoll} />;
   };
 
+  // Engine results made of several rolls (attack sequences, group and contested checks) list each part
+  const isCompositeRoll = Boolean(result.attacks || result.group || result.contest);
+
   return (
     <div className="space-y-4 text-center">
       <div className="flex items-center justify-between">
@@ -280,10 +284,11 @@ const RollResult = ({
       
       <div className="bg-gray-800 p-4 rounded-lg border border-gray-600">
         <div className="text-2xl font-bold text-white mb-2">
-          {result.type === 'attack' && renderAttackResult()}
+          {isCompositeRoll && <UnifiedRollDisplayV2 rollResult={result} />}
+          {!isCompositeRoll && result.type === 'attack' && renderAttackResult()}
           {result.type === 'healing' && renderHealingResult()}
           {result.type === 'spell_save' && renderSpellSaveResult()}
-          {result.type !== 'attack' && result.type !== 'healing' && result.type !== 'spell_save' && renderStandardResult()}
+          {!isCompositeRoll && result.type !== 'attack' && result.type !== 'healing' && result.type !== 'spell_save' && renderStandardResult()}
         </div>
         
         {selectedAction?.id === 'stealth' && result.total >= 15 && (
@@ -307,7 +312,7 @@ const RollResult = ({
 
 RollResult.propTypes = {
   result: PropTypes.shape({
-    type: PropTypes.string.isRequired,
+    type: PropTypes.string,
     roll: PropTypes.number,
     total: PropTypes.number,
     totalAttack: PropTypes.number,
@@ -319,7 +324,10 @@ RollResult.propTypes = {
     baseDamageRoll: PropTypes.number,
     sneakAttackTotal: PropTypes.number,
     weaponDiceSize: PropTypes.number,
-    modifier: PropTypes.number
+    modifier: PropTypes.number,
+    attacks: PropTypes.array,
+    group: PropTypes.array,
+    contest: PropTypes.object
   }).isRequired,
   selectedAction: PropTypes.object,
   character: PropTypes.object.isRequired,
@@ -1,32 +1,65 @@
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
+import { searchRollActions } from '../../utils/rollActionSearch';
+import { parseRollCommand, resolveRollCommand, describeRollOptions } from '../../utils/rollCommands';
 
 const RollSearch = ({
   rollActions,
+  actionUsage,
   searchTerm,
   isKeyboardOpen,
   isHidden,
   onSearchTermChange,
   onActionSelect,
-  onShowHistory
+  onCommandSelect,
+  onShowHistory,
+  onShowMacros,
+  onShowGroupCheck,
+  onShowContestedCheck
 }) => {
-  // Filter actions based on search term (maintain descending order)
-  const getFilteredActions = () => {
-    const term = searchTerm.toLowerCase();
-    const filtered = {};
-    
-    Object.keys(rollActions).forEach(category => {
-      filtered[category] = rollActions[category]
-        .filter(action => action.name.toLowerCase().includes(term))
-        .sort((a, b) => b.modifier - a.modifier); // Ensure sorting is maintained after filtering
-    });
-    
-    return filtered;
-  };
+  // Phrases like "stealth with advantage" become a command for the named action
+  const command = parseRollCommand(searchTerm);
+  const commandAction = command && resolveRollCommand(command, rollActions, actionUsage);
+
+  // Fuzzy match the search term, most used actions first within equal matches
+  const filtered = searchRollActions(rollActions, command ? command.actionQuery : searchTerm, actionUsage);
+  const visibleActions = Object.values(filtered).flat();
+  // The command comes first in keyboard order
+  const selectableActions = commandAction ? [commandAction, ...visibleActions] : visibleActions;
+
+  // Keyboard selection: arrows move, Enter rolls, Shift+Enter rolls with advantage
+  const [highlightedIndex, setHighlightedIndex] = useState(0);
+  const highlightedRef = useRef(null);
+
+  useEffect(() => {
+    setHighlightedIndex(0);
+  }, [searchTerm]);
+
+  useEffect(() => {
+    highlightedRef.current?.scrollIntoView?.({ block: 'nearest' });
+  }, [highlightedIndex]);
+
+  const handleKeyDown = (e) => {
+    if (selectableActions.length === 0) return;
 
-  const filtered = getFilteredActions();
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlightedIndex(index => (index + step + selectableActions.length) % selectableActions.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      const action = selectableActions[Math.min(highlightedIndex, selectableActions.length - 1)];
+      const selected = e.shiftKey ? { ...action, rollOptions: { ...action.rollOptions, advantage: true } } : action;
+      if (action === commandAction) {
+        onCommandSelect(selected);
+      } else {
+        onActionSelect(selected);
+      }
+    }
+  };
   
   const categoryLabels = {
+    macros: 'Macros',
     attacks: 'Attacks',
     skills: 'Skills', 
     abilities: 'Ability Checks',
@@ -37,6 +70,7 @@ const RollSearch = ({
   };
   
   const categoryColors = {
+    macros: 'bg-indigo-600 text-indigo-200',
     attacks: 'bg-red-600 text-red-200',
     skills: 'bg-blue-600 text-blue-200',
     abilities: 'bg-green-600 text-green-200',
@@ -46,7 +80,7 @@ const RollSearch = ({
     utility: 'bg-gray-600 text-gray-200'
   };
 
-  const hasResults = Object.values(filtered).some(arr => arr.length > 0);
+  const hasResults = selectableActions.length > 0;
 
   return (
     <div className="space-y-4">
@@ -58,6 +92,8 @@ const RollSearch = ({
         placeholder="Search actions..."
         value={searchTerm}
         onChange={(e) => onSearchTermChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        aria-label="Search actions (arrow keys to choose, Enter to roll, Shift+Enter for advantage)"
         className={`w-full border border-gray-600 rounded-lg bg-gray-700 text-white placeholder-gray-400 focus:border-blue-500 focus:outline-none ${
           isKeyboardOpen 
             ? 'p-4 text-lg' // Larger padding and text for mobile keyboards
@@ -74,42 +110,66 @@ const RollSearch = ({
           ? 'max-h-48' // Smaller height when keyboard is open
           : 'max-h-64' // Normal height when keyboard closed
       }`}>
+        {commandAction && (
+          <button
+            ref={highlightedIndex === 0 ? highlightedRef : null}
+            onClick={() => onCommandSelect(commandAction)}
+            className={`w-full text-left bg-blue-900/40 hover:bg-blue-900/60 rounded-lg p-2 text-sm border transition-colors ${
+              highlightedIndex === 0 ? 'border-blue-500' : 'border-blue-700'
+            }`}
+          >
+            <div className="font-medium text-white">Roll {commandAction.name}</div>
+            <div className="text-xs text-blue-300">{describeRollOptions(commandAction.rollOptions).join(' · ')}</div>
+          </button>
+        )}
+
         {Object.entries(filtered).map(([category, actions]) => {
           if (actions.length === 0) return null;
           return (
             <div key={category}>
               <h3 className="text-sm font-semibold text-gray-300 mb-2">{categoryLabels[category]}</h3>
               <div className="space-y-1">
-                {actions.map(action => (
-                  <button
-                    key={action.id}
-                    onClick={() => onActionSelect(action)}
-                    className={`w-full text-left bg-gray-700 hover:bg-gray-600 active:bg-gray-500 rounded-lg flex justify-between items-center transition-colors text-sm border border-gray-600 hover:border-gray-500 ${
-                      isKeyboardOpen 
-                        ? 'p-3' // Larger touch targets when keyboard is open
-                        : 'p-2' // Normal size when keyboard closed
-                    }`}
-                  >
-                    <div className="flex items-center space-x-2">
-                      <span className="font-medium text-white">{action.name}</span>
-                      {action.proficient && (
-                        <span className="text-xs bg-green-600 text-green-200 px-1 rounded">
-                          {action.expertise ? 'EXP' : 'PROF'}
+                {actions.map(action => {
+                  const isHighlighted = selectableActions[highlightedIndex] === action;
+                  return (
+                    <button
+                      key={action.id}
+                      ref={isHighlighted ? highlightedRef : null}
+                      onClick={() => onActionSelect(action)}
+                      className={`w-full text-left bg-gray-700 hover:bg-gray-600 active:bg-gray-500 rounded-lg flex justify-between items-center transition-colors text-sm border ${
+                        isHighlighted ? 'border-blue-500' : 'border-gray-600 hover:border-gray-500'
+                      } ${
+                        isKeyboardOpen 
+                          ? 'p-3' // Larger touch targets when keyboard is open
+                          : 'p-2' // Normal size when keyboard closed
+                      }`}
+                    >
+                      <div className="flex items-center space-x-2">
+                        <span className="font-medium text-white">{action.name}</span>
+                        {action.proficient && (
+                          <span className="text-xs bg-green-600 text-green-200 px-1 rounded">
+                            {action.expertise ? 'EXP' : 'PROF'}
+                          </span>
+                        )}
+                      </div>
+                      {action.type === 'macro' && (
+                        <span className={`text-xs px-2 py-1 rounded font-mono truncate max-w-[50%] ${categoryColors[category]}`}>
+                          {action.description}
+                        </span>
+                      )}
+                      {action.type !== 'toggle' && action.type !== 'raw' && action.type !== 'macro' && (
+                        <span className={`text-xs px-2 py-1 rounded ${categoryColors[category]}`}>
+                          {action.modifier >= 0 ? '+' : ''}{action.modifier}
                         </span>
                       )}
-                    </div>
-                    {action.type !== 'toggle' && action.type !== 'raw' && (
-                      <span className={`text-xs px-2 py-1 rounded ${categoryColors[category]}`}>
-                        {action.modifier >= 0 ? '+' : ''}{action.modifier}
-                      </span>
-                    )}
-                    {action.type === 'raw' && (
-                      <span className="text-xs bg-gray-600 text-gray-300 px-2 py-1 rounded">
-                        d{action.dice || 20}
-                      </span>
-                    )}
-                  </button>
-                ))}
+                      {action.type === 'raw' && (
+                        <span className="text-xs bg-gray-600 text-gray-300 px-2 py-1 rounded">
+                          d{action.dice || 20}
+                        </span>
+                      )}
+                    </button>
+                  );
+                })}
               </div>
             </div>
           );
@@ -122,10 +182,28 @@ const RollSearch = ({
         )}
       </div>
       
-      <div className="flex">
+      <div className="flex space-x-2">
+        <button
+          onClick={onShowMacros}
+          className="p-3 rounded-lg font-medium transition-colors border bg-gray-700 hover:bg-gray-600 text-white border-gray-600"
+        >
+          Macros
+        </button>
+        <button
+          onClick={onShowGroupCheck}
+          className="p-3 rounded-lg font-medium transition-colors border bg-gray-700 hover:bg-gray-600 text-white border-gray-600"
+        >
+          Group
+        </button>
+        <button
+          onClick={onShowContestedCheck}
+          className="p-3 rounded-lg font-medium transition-colors border bg-gray-700 hover:bg-gray-600 text-white border-gray-600"
+        >
+          Contest
+        </button>
         <button
           onClick={onShowHistory}
-          className={`w-full p-3 rounded-lg font-medium transition-colors border ${isHidden 
+          className={`flex-1 p-3 rounded-lg font-medium transition-colors border ${isHidden 
             ? 'bg-purple-600 hover:bg-purple-700 text-white border-purple-500'
             : 'bg-blue-600 hover:bg-blue-700 text-white border-blue-500'
           }`}
@@ -139,12 +217,17 @@ const RollSearch = ({
 
 RollSearch.propTypes = {
   rollActions: PropTypes.object.isRequired,
+  actionUsage: PropTypes.object.isRequired,
   searchTerm: PropTypes.string.isRequired,
   isKeyboardOpen: PropTypes.bool.isRequired,
   isHidden: PropTypes.bool.isRequired,
   onSearchTermChange: PropTypes.func.isRequired,
   onActionSelect: PropTypes.func.isRequired,
-  onShowHistory: PropTypes.func.isRequired
+  onCommandSelect: PropTypes.func.isRequired,
+  onShowHistory: PropTypes.func.isRequired,
+  onShowMacros: PropTypes.func.isRequired,
+  onShowGroupCheck: PropTypes.func.isRequired,
+  onShowContestedCheck: PropTypes.func.isRequired
 };
 
 export default RollSearch;
\ No newline at end of file
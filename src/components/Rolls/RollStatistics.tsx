@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { BarChart3 } from 'lucide-react';
+import { RollHistoryEntry, RollType, DiceFairness, D20Statistics } from '../../types/rolls';
+import { calculateRollStatistics } from '../../utils/rollStatistics';
+import { groupRollHistoryBySession, ROLL_SESSION_ID } from '../../utils/rollHistoryStore';
+import { formatRelativeTime } from '../../utils/timeUtils';
+
+interface RollStatisticsProps {
+  /** Loads every stored history entry for the character */
+  loadEntries: () => Promise<RollHistoryEntry[]>;
+  onBack: () => void;
+}
+
+/**
+ * Roll Statistics Component
+ *
+ * Luck dashboard over the stored roll history: d20 faces against a fair die,
+ * natural 20s and 1s, average damage per weapon and hit rate by target AC
+ */
+export const RollStatistics: React.FC<RollStatisticsProps> = ({ loadEntries, onBack }) => {
+  const [entries, setEntries] = useState<RollHistoryEntry[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [sessionId, setSessionId] = useState('');
+  const [type, setType] = useState<RollType | ''>('');
+
+  useEffect(() => {
+    let cancelled = false;
+    loadEntries()
+      .then(loaded => {
+        if (!cancelled) setEntries(loaded);
+      })
+      .catch(error => console.error('Failed to load roll statistics:', error))
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [loadEntries]);
+
+  const sessions = useMemo(() => groupRollHistoryBySession(entries), [entries]);
+  const rollTypes = useMemo(() => [...new Set(
+    entries.flatMap(entry => entry.outcome ? [entry.outcome.type] : [])
+  )].sort(), [entries]);
+  const statistics = useMemo(
+    () => calculateRollStatistics(entries, { sessionId: sessionId || undefined, type: type || undefined }),
+    [entries, sessionId, type]
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-bold text-white">Roll Statistics</h2>
+        <button
+          onClick={onBack}
+          className="text-gray-400 hover:text-white transition-colors"
+        >
+          ← Back
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="grid grid-cols-2 gap-2 text-sm">
+        <select
+          aria-label="Session"
+          value={sessionId}
+          onChange={(event) => setSessionId(event.target.value)}
+          className="bg-gray-800 border border-gray-600 text-white rounded-lg px-2 py-1"
+        >
+          <option value="">All sessions</option>
+          {/* A session can appear in several runs; list each once */}
+          {[...new Map(sessions.map(session => [session.sessionId, session])).values()].map(session => (
+            <option key={session.sessionId} value={session.sessionId}>
+              {session.sessionId === ROLL_SESSION_ID ? 'This session' : `Session from ${formatRelativeTime(session.startedAt)}`}
+            </option>
+          ))}
+        </select>
+        <select
+          aria-label="Roll type"
+          value={type}
+          onChange={(event) => setType(event.target.value as RollType | '')}
+          className="bg-gray-800 border border-gray-600 text-white rounded-lg px-2 py-1"
+        >
+          <option value="">All roll types</option>
+          {rollTypes.map(rollType => (
+            <option key={rollType} value={rollType}>{formatRollType(rollType)}</option>
+          ))}
+        </select>
+      </div>
+
+      {isLoading ? (
+        <p className="text-center text-gray-400 py-8">Loading rolls...</p>
+      ) : statistics.rolls === 0 ? (
+        <div className="text-center py-8">
+          <BarChart3 className="mx-auto text-gray-400 mb-3" size={32} />
+          <p className="text-gray-400">No rolls to analyze yet!</p>
+        </div>
+      ) : (
+        <div className="space-y-4 max-h-96 overflow-y-auto">
+          {/* Luck summary */}
+          <div className="grid grid-cols-4 gap-2 text-center">
+            <Stat label="Rolls" value={statistics.rolls} />
+            <Stat label="Nat 20s" value={statistics.d20.natural20s} className="text-yellow-400" />
+            <Stat label="Nat 1s" value={statistics.d20.natural1s} className="text-red-400" />
+            <Stat
+              label="Avg d20"
+              value={statistics.d20.average !== undefined ? statistics.d20.average.toFixed(1) : '–'}
+            />
+          </div>
+
+          <FairnessIndicator d20={statistics.d20} />
+          <D20Distribution d20={statistics.d20} />
+
+          {/* Average damage per weapon */}
+          {statistics.weapons.length > 0 && (
+            <div>
+              <h4 className="text-sm font-semibold text-red-300 mb-1">Average Damage</h4>
+              <div className="space-y-1 text-sm">
+                {statistics.weapons.map(weapon => (
+                  <div key={weapon.name} className="flex justify-between bg-gray-800 rounded px-2 py-1">
+                    <span className="text-gray-300">{weapon.name}</span>
+                    <span className="text-white font-mono">
+                      {weapon.averageDamage.toFixed(1)} <span className="text-gray-500">({weapon.rolls})</span>
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Hit rate by target AC */}
+          {statistics.hitRateByAC.length > 0 && (
+            <div>
+              <h4 className="text-sm font-semibold text-green-300 mb-1">Hit Rate by AC</h4>
+              <div className="space-y-1 text-sm">
+                {statistics.hitRateByAC.map(row => (
+                  <div key={row.ac} className="flex justify-between bg-gray-800 rounded px-2 py-1">
+                    <span className="text-gray-300">AC {row.ac}</span>
+                    <span className="text-white font-mono">
+                      {Math.round(row.hitRate * 100)}% <span className="text-gray-500">({row.hits}/{row.attacks})</span>
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const formatRollType = (rollType: string): string =>
+  rollType.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+const FAIRNESS_LABELS: Record<DiceFairness, { label: string; color: string }> = {
+  fair: { label: '✅ Looks fair', color: 'text-green-400' },
+  suspicious: { label: '🤨 Suspicious', color: 'text-yellow-400' },
+  loaded: { label: '😈 Cursed', color: 'text-red-400' },
+  insufficient: { label: '🎲 Not enough rolls yet', color: 'text-gray-400' }
+};
+
+const Stat: React.FC<{ label: string; value: number | string; className?: string }> = ({ label, value, className = 'text-white' }) => (
+  <div className="bg-gray-800 rounded-lg py-2">
+    <div className={`text-lg font-bold ${className}`}>{value}</div>
+    <div className="text-xs text-gray-400">{label}</div>
+  </div>
+);
+
+const FairnessIndicator: React.FC<{ d20: D20Statistics }> = ({ d20 }) => {
+  const { label, color } = FAIRNESS_LABELS[d20.fairness];
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-3 text-sm">
+      <div className={`font-bold ${color}`}>{label}</div>
+      <div className="text-xs text-gray-400">
+        {d20.fairness === 'insufficient'
+          ? `${d20.rolls} straight d20s so far; the fairness test needs 100`
+          : `χ² = ${d20.chiSquare.toFixed(1)}, p = ${d20.pValue!.toFixed(3)} over ${d20.rolls} straight d20s`}
+      </div>
+    </div>
+  );
+};
+
+const D20Distribution: React.FC<{ d20: D20Statistics }> = ({ d20 }) => {
+  const scale = Math.max(d20.expected, ...d20.counts) || 1;
+
+  return (
+    <div>
+      <h4 className="text-sm font-semibold text-blue-300 mb-1">d20 Distribution</h4>
+      <div className="h-24 bg-gray-800 rounded-lg p-1">
+        <div className="relative flex items-end gap-px h-full">
+          {/* Expected count for a fair die */}
+          <div
+            className="absolute inset-x-0 border-t border-dashed border-gray-400"
+            style={{ bottom: `${(d20.expected / scale) * 100}%` }}
+          />
+          {d20.counts.map((count, index) => (
+            <div
+              key={index}
+              title={`${index + 1}: ${count} (expected ${d20.expected.toFixed(1)})`}
+              className={`flex-1 rounded-t ${index === 19 ? 'bg-yellow-500' : index === 0 ? 'bg-red-500' : 'bg-blue-500'}`}
+              style={{ height: `${(count / scale) * 100}%` }}
+            />
+          ))}
+        </div>
+      </div>
+      <div className="flex justify-between text-[10px] text-gray-500 px-1">
+        <span>1</span>
+        <span>10</span>
+        <span>20</span>
+      </div>
+    </div>
+  );
+};
+
+export default RollStatistics;
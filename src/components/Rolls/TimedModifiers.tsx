@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { Clock, X } from 'lucide-react';
+import { ActiveModifier, RollModifier } from '../../types/rolls';
+import { TIMED_MODIFIER_PRESETS } from '../../utils/timedModifierPresets';
+
+interface TimedModifiersProps {
+  activeModifiers: ActiveModifier[];
+  combatRound: number;
+  /** Scales presets such as Rage damage */
+  characterLevel: number;
+  isHidden?: boolean;
+  onAdd: (modifier: RollModifier) => void;
+  onRemove: (modifierId: string) => void;
+  onBreakConcentration: () => void;
+}
+
+const isConcentration = (modifier: RollModifier) =>
+  modifier.duration?.unit === 'concentration' || modifier.duration?.concentration === true;
+
+/**
+ * Timed Modifiers Component
+ *
+ * The active character's buffs (Bless, Rage, Hunter's Mark) with the rounds
+ * they have left. Adding one again refreshes it; ending the turn counts them down.
+ */
+export const TimedModifiers: React.FC<TimedModifiersProps> = ({
+  activeModifiers,
+  combatRound,
+  characterLevel,
+  isHidden = false,
+  onAdd,
+  onRemove,
+  onBreakConcentration
+}) => {
+  const [presetId, setPresetId] = useState(TIMED_MODIFIER_PRESETS[0].id);
+  const hasConcentration = activeModifiers.some(active => isConcentration(active.modifier));
+
+  const handleAdd = () => {
+    const preset = TIMED_MODIFIER_PRESETS.find(candidate => candidate.id === presetId);
+    if (preset) onAdd(preset.create(characterLevel));
+  };
+
+  return (
+    <div className={`bg-gradient-to-r from-gray-900 to-gray-800 rounded-2xl shadow-xl p-4 border-2 ${
+      isHidden ? 'border-purple-600' : 'border-gray-600'
+    }`}>
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-bold text-white flex items-center">
+          <Clock className="mr-2 text-yellow-400" size={20} />
+          Active Effects
+        </h3>
+        <span className="text-xs text-gray-400">Round {combatRound}</span>
+      </div>
+
+      {activeModifiers.length > 0 && (
+        <div className="space-y-2 mb-3">
+          {activeModifiers.map(({ modifier, remainingRounds }) => (
+            <div key={modifier.id} className="flex items-center justify-between bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-sm">
+              <div>
+                <span className="text-white">{modifier.name}</span>
+                <span className="text-gray-400 ml-2">
+                  {remainingRounds !== undefined ? `${remainingRounds} ${remainingRounds === 1 ? 'round' : 'rounds'}` : 'until removed'}
+                  {isConcentration(modifier) && ' · concentration'}
+                </span>
+              </div>
+              <button
+                onClick={() => onRemove(modifier.id)}
+                className="text-gray-400 hover:text-white transition-colors"
+                aria-label={`End ${modifier.name}`}
+              >
+                <X size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex space-x-2 text-sm">
+        <select
+          aria-label="Effect to add"
+          value={presetId}
+          onChange={(event) => setPresetId(event.target.value)}
+          className="flex-1 bg-gray-800 border border-gray-600 text-white rounded-lg px-2 py-1"
+        >
+          {TIMED_MODIFIER_PRESETS.map(preset => (
+            <option key={preset.id} value={preset.id}>{preset.name}</option>
+          ))}
+        </select>
+        <button
+          onClick={handleAdd}
+          className="bg-blue-600 hover:bg-blue-700 text-white rounded-lg px-3 py-1 transition-colors"
+        >
+          Add
+        </button>
+        {hasConcentration && (
+          <button
+            onClick={onBreakConcentration}
+            className="bg-red-600 hover:bg-red-700 text-white rounded-lg px-3 py-1 transition-colors"
+          >
+            Lose concentration
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TimedModifiers;
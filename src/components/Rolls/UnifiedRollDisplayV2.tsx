@@ -349,7 +349,7 @@ export const UnifiedRollDisplayV2: React.FC<UnifiedRollDisplayV2Props> = ({
       
       if (item.type === 'die' && item.details?.sides === 1 && item.details?.rolls?.length === 1) {
         const nextItem = breakdown[i + 1];
-        if (nextItem && nextItem.type === 'modifier') {
+        if (nextItem && nextItem.type === 'modifier' && !nextItem.details?.rolls) {
           // Merge flat number
           processedBreakdown.push({
             ...item,
@@ -404,7 +404,9 @@ export const UnifiedRollDisplayV2: React.FC<UnifiedRollDisplayV2Props> = ({
               <span className={`text-xs font-medium ${
                 isPositive ? 'text-green-300' : isNegative ? 'text-red-300' : 'text-gray-300'
               }`}>
-                {cleanLabel} <span className="text-blue-300">[{isPositive ? '+' : ''}{item.value}]</span>
+                {cleanLabel} <span className="text-blue-300">
+                  {item.details?.sides ? `[d${item.details.sides}]` : `[${isPositive ? '+' : ''}${item.value}]`}
+                </span>
                 {isPreview ? ' (preview)' : ''}
               </span>
             </div>
@@ -432,7 +434,7 @@ export const UnifiedRollDisplayV2: React.FC<UnifiedRollDisplayV2Props> = ({
         const nextItem = roll.breakdown[i + 1];
         
         // If the next item is a modifier and they likely belong together (flat number case)
-        if (nextItem && nextItem.type === 'modifier') {
+        if (nextItem && nextItem.type === 'modifier' && !nextItem.details?.rolls) {
           // Merge them into a single flat number display
           processedBreakdown.push({
             ...item,
@@ -558,6 +560,38 @@ export const UnifiedRollDisplayV2: React.FC<UnifiedRollDisplayV2Props> = ({
             </div>
           );
         }
+      } else if (item.type === 'critical') {
+        // Critical hit extra damage, with the extra dice listed in the source
+        breakdownItems.push(
+          <div key={index} className="flex items-center justify-between py-1 px-2 bg-yellow-700/20 border border-yellow-600/40 rounded">
+            <div className="flex-1">
+              <span className="text-xs font-medium text-yellow-300">
+                💥 {item.label} {item.details?.sides && <span className="text-blue-300">[d{item.details.sides}]</span>}
+              </span>
+              {item.details?.source && (
+                <div className="text-xs text-gray-500 mt-1">{item.details.source}</div>
+              )}
+            </div>
+            <span className="font-mono text-lg text-yellow-300">+{item.value}</span>
+          </div>
+        );
+      } else if (item.type === 'modifier' && item.details?.rolls) {
+        // Dice bonus (Bless, Bardic Inspiration...), rolled as part of this roll
+        breakdownItems.push(
+          <div key={index} className="flex items-center justify-between py-1 px-2 bg-green-700/20 rounded">
+            <div className="flex-1">
+              <span className="text-xs font-medium text-green-300">
+                {item.label} <span className="text-blue-300">[d{item.details.sides}]</span>
+              </span>
+              {item.details.source && (
+                <div className="text-xs text-gray-500 mt-1">{item.details.source}</div>
+              )}
+            </div>
+            <span className="font-mono text-lg text-green-300">
+              {item.value >= 0 ? '+' : ''}{item.value}
+            </span>
+          </div>
+        );
       } else {
         // Modifier breakdown
         const isPositive = item.value > 0;
@@ -653,6 +687,68 @@ export const UnifiedRollDisplayV2: React.FC<UnifiedRollDisplayV2Props> = ({
     );
   };
 
+  const renderAttackOutcomes = (roll: RollResult) => {
+    return roll.attacks!.map((outcome, index) => (
+      <div key={index} className={`flex items-center justify-between py-1 px-2 rounded ${
+        outcome.critical ? 'bg-yellow-700/20' : outcome.hit ? 'bg-green-700/20' : 'bg-gray-700/30'
+      }`}>
+        <div className="flex flex-col">
+          <span className="text-xs font-medium text-gray-300">
+            {outcome.label}: {outcome.attack.total} vs AC {roll.targetNumber}
+          </span>
+          <span className="text-xs text-gray-500">{outcome.reason}</span>
+        </div>
+        <span className={`text-sm font-bold ${
+          outcome.critical ? 'text-yellow-300' : outcome.hit ? 'text-green-300' : 'text-gray-500'
+        }`}>
+          {outcome.critical ? '💥 CRIT' : outcome.hit ? 'HIT' : 'MISS'}
+          {outcome.damage && ` · ${outcome.damage.total} dmg`}
+        </span>
+      </div>
+    ));
+  };
+
+  const renderGroupOutcomes = (roll: RollResult) => {
+    return roll.group!.map(outcome => (
+      <div key={outcome.characterId} className={`flex items-center justify-between py-1 px-2 rounded ${
+        outcome.success ? 'bg-green-700/20' : 'bg-gray-700/30'
+      }`}>
+        <span className="text-xs font-medium text-gray-300">{outcome.name}</span>
+        <span className={`text-sm font-bold ${outcome.success ? 'text-green-300' : 'text-gray-500'}`}>
+          {outcome.result.total} · {outcome.success ? 'PASS' : 'FAIL'}
+        </span>
+      </div>
+    ));
+  };
+
+  const renderContest = (roll: RollResult) => {
+    const { initiator, defender, winner, tie } = roll.contest!;
+    const sides = [
+      { key: 'initiator', result: initiator },
+      { key: 'defender', result: defender }
+    ];
+
+    return (
+      <>
+        {sides.map(side => (
+          <div key={side.key} className={`flex items-center justify-between py-1 px-2 rounded ${
+            !tie && winner === side.key ? 'bg-green-700/20' : 'bg-gray-700/30'
+          }`}>
+            <span className="text-xs font-medium text-gray-300">
+              {side.result.metadata.definition.name}
+            </span>
+            <span className={`text-sm font-bold ${!tie && winner === side.key ? 'text-green-300' : 'text-gray-400'}`}>
+              {side.result.total}
+            </span>
+          </div>
+        ))}
+        {tie && (
+          <div className="text-xs text-gray-400 text-center">Tie - the situation stays as it was</div>
+        )}
+      </>
+    );
+  };
+
   const renderExecutedRoll = (roll: RollResult) => {
     const { icon, color } = getIconAndColorForRollType(roll.metadata.type);
     const critStatus = getCriticalStatus(roll);
@@ -687,6 +783,30 @@ export const UnifiedRollDisplayV2: React.FC<UnifiedRollDisplayV2Props> = ({
           </div>
         )}
 
+        {/* Hit or miss for each attack in a sequence */}
+        {roll.attacks && (
+          <div className="p-4 space-y-1 border-b border-gray-600">
+            {renderAttackOutcomes(roll)}
+          </div>
+        )}
+
+        {/* Both sides of a contested check */}
+        {roll.contest && (
+          <div className="p-4 space-y-1 border-b border-gray-600">
+            {renderContest(roll)}
+          </div>
+        )}
+
+        {/* Individual results for a group check */}
+        {roll.group && (
+          <div className="p-4 space-y-1 border-b border-gray-600">
+            <div className="text-xs text-gray-400">
+              {roll.total} of {roll.group.length} succeeded (half needed)
+            </div>
+            {renderGroupOutcomes(roll)}
+          </div>
+        )}
+
         {/* Transparent breakdown for executed roll */}
         <div className="p-4 space-y-2">
           {renderTransparentBreakdown(roll)}
@@ -696,7 +816,9 @@ export const UnifiedRollDisplayV2: React.FC<UnifiedRollDisplayV2Props> = ({
         {roll.targetNumber && (
           <div className="p-3 bg-gray-700 border-t border-gray-600">
             <div className="text-center">
-              <div className="text-xs text-gray-400">vs DC {roll.targetNumber}</div>
+              <div className="text-xs text-gray-400">
+                {roll.contest ? `vs opposing ${roll.targetNumber}` : `vs DC ${roll.targetNumber}`}
+              </div>
               <div className={`font-bold ${roll.success ? 'text-green-400' : 'text-red-400'}`}>
                 {roll.success ? '✓ SUCCESS' : '✗ FAILURE'}
               </div>
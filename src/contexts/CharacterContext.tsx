@@ -290,7 +290,8 @@ export const CharacterProvider: React.FC<CharacterProviderProps> = ({ children }
             properties: weapon.weapon_data?.properties?.join(', ') || '',
             range_normal: weapon.weapon_data?.range?.[0] || null,
             range_long: weapon.weapon_data?.range?.[1] || null,
-            description: weapon.weapon_data?.description || ''
+            description: weapon.weapon_data?.description || '',
+            critical_range: weapon.weapon_data?.criticalRange || null
           }));
           character.dnd_character_resources = resources || [];
         }
@@ -7,6 +7,7 @@
 
 import { getAllSkillsData, SKILLS } from './skillsSystem.js';
 import { getAbilityModifier, getProficiencyBonus } from '../hooks/useCharacterData.js';
+import { compareActionsByUsage } from '../utils/rollActionSearch';
 
 // =============================================================================
 // ROLL ACTION GENERATION
@@ -396,12 +397,13 @@ export const getRollActionsByType = (rollActions, type) => {
 };
 
 /**
- * Get the top roll actions by modifier
+ * Get the top roll actions, most used first and then by modifier
  * @param {Object} rollActions - Generated roll actions object
  * @param {number} count - Number of actions to return
- * @returns {Array} Array of top actions by modifier
+ * @param {Object} usage - Action usage from roll history (see getRollActionUsage)
+ * @returns {Array} Array of top actions
  */
-export const getTopRollActions = (rollActions, count = 5) => {
+export const getTopRollActions = (rollActions, count = 5, usage = {}) => {
   const allActions = [
     ...rollActions.attacks,
     ...rollActions.skills,
@@ -412,7 +414,7 @@ export const getTopRollActions = (rollActions, count = 5) => {
   
   return allActions
     .filter(action => action.modifier !== undefined)
-    .sort((a, b) => b.modifier - a.modifier)
+    .sort((a, b) => compareActionsByUsage(a, b, usage))
     .slice(0, count);
 };
 
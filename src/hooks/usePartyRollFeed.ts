@@ -0,0 +1,187 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import type { RealtimeChannel } from '@supabase/supabase-js';
+import { supabase, isSupabaseConfigured, getJournal } from '../utils/supabase';
+import {
+  addPartyRoll,
+  createPartyRollEvent,
+  createPartyRollRequest,
+  toSentRollEvent,
+  getPartyChannelName,
+  getPartyDMChannelName,
+  getPartyRequestChannelName,
+  getPartySessionCode,
+  isPartyDMUser,
+  PARTY_ROLL_EVENT,
+  PARTY_DM_ROLL_EVENT,
+  PARTY_ROLL_REQUEST_EVENT,
+  PARTY_SESSION_CHANGE_EVENT
+} from '../utils/partyRollFeed';
+import { isRollVisibleTo } from '../utils/rollVisibility';
+import { PartyRollEvent, PartyRollRequest, RollResult, RollVisibility } from '../types/rolls';
+
+interface PartyRollFeedOptions {
+  character?: { id: string; name: string } | null;
+  user?: { id: string } | null;
+}
+
+/**
+ * React hook for the live party roll feed
+ *
+ * Joins the party channel for the current journal session and collects
+ * everyone's rolls. Local rolls always show, even when the feed is offline.
+ * Roll visibility decides what is sent: private rolls stay on this device and
+ * DM-only rolls reach only the DM, leaving everyone else a "roll sent" record.
+ * The signed-in user who created the session is its DM.
+ */
+export const usePartyRollFeed = ({ character, user }: PartyRollFeedOptions) => {
+  const [feed, setFeed] = useState<PartyRollEvent[]>([]);
+  const [sessionCode, setSessionCode] = useState<string | null>(() => getPartySessionCode());
+  const [isLive, setIsLive] = useState(false);
+  const [isDM, setIsDM] = useState(false);
+  const [requests, setRequests] = useState<PartyRollRequest[]>([]);
+  const channelRef = useRef<RealtimeChannel | null>(null);
+  const dmChannelRef = useRef<RealtimeChannel | null>(null);
+  const requestChannelRef = useRef<RealtimeChannel | null>(null);
+  const userId = user?.id;
+
+  // Follow the journal session as it is joined or left, here or in another tab
+  useEffect(() => {
+    const handleSessionChange = () => setSessionCode(getPartySessionCode());
+
+    window.addEventListener(PARTY_SESSION_CHANGE_EVENT, handleSessionChange);
+    window.addEventListener('storage', handleSessionChange);
+    return () => {
+      window.removeEventListener(PARTY_SESSION_CHANGE_EVENT, handleSessionChange);
+      window.removeEventListener('storage', handleSessionChange);
+    };
+  }, []);
+
+  // Only the session's creator is its DM; the private channels enforce this server-side
+  useEffect(() => {
+    setIsDM(false);
+    if (!sessionCode || !userId) return;
+
+    let cancelled = false;
+    getJournal(sessionCode).then(journal => {
+      if (!cancelled) setIsDM(isPartyDMUser(journal, userId));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionCode, userId]);
+
+  useEffect(() => {
+    if (!isSupabaseConfigured || !supabase || !sessionCode) return;
+
+    const channel = supabase
+      .channel(getPartyChannelName(sessionCode), { config: { broadcast: { self: false } } })
+      .on('broadcast', { event: PARTY_ROLL_EVENT }, ({ payload }) => {
+        setFeed(prev => addPartyRoll(prev, payload as PartyRollEvent));
+      })
+      .subscribe((status) => {
+        setIsLive(status === 'SUBSCRIBED');
+        if (status === 'CHANNEL_ERROR') {
+          console.error('Party roll feed subscription error');
+        }
+      });
+
+    // Only the DM listens for secret rolls and only players listen for requests;
+    // sending on a channel needs no subscription
+    const dmChannel = supabase.channel(getPartyDMChannelName(sessionCode), { config: { private: true } });
+    const requestChannel = supabase.channel(getPartyRequestChannelName(sessionCode), { config: { private: true } });
+    if (isDM) {
+      dmChannel
+        .on('broadcast', { event: PARTY_DM_ROLL_EVENT }, ({ payload }) => {
+          setFeed(prev => addPartyRoll(prev, payload as PartyRollEvent));
+        })
+        .subscribe((status) => {
+          if (status === 'CHANNEL_ERROR') {
+            console.error('DM roll feed subscription error');
+          }
+        });
+    } else {
+      requestChannel
+        .on('broadcast', { event: PARTY_ROLL_REQUEST_EVENT }, ({ payload }) => {
+          setRequests(prev => [...prev, payload as PartyRollRequest]);
+        })
+        .subscribe((status) => {
+          if (status === 'CHANNEL_ERROR') {
+            console.error('Roll request subscription error');
+          }
+        });
+    }
+    channelRef.current = channel;
+    dmChannelRef.current = dmChannel;
+    requestChannelRef.current = requestChannel;
+
+    return () => {
+      channelRef.current = null;
+      dmChannelRef.current = null;
+      requestChannelRef.current = null;
+      setIsLive(false);
+      [channel, dmChannel, requestChannel].forEach(joined => supabase?.removeChannel(joined));
+    };
+  }, [sessionCode, isDM]);
+
+  /** Share a completed roll with the party */
+  const broadcastRoll = useCallback((result: RollResult) => {
+    if (!character) return;
+
+    const event = createPartyRollEvent(result, {
+      characterId: character.id,
+      characterName: character.name,
+      userId: user?.id ?? character.id
+    });
+    const sent = toSentRollEvent(event);
+    const isSecret = event.visibility === 'dm';
+    const shown = isRollVisibleTo(event.visibility, 'roller') || (isSecret && isDM) ? event : sent;
+    setFeed(prev => addPartyRoll(prev, shown));
+
+    if (event.visibility === 'private') return;
+    channelRef.current
+      ?.send({ type: 'broadcast', event: PARTY_ROLL_EVENT, payload: isSecret ? sent : event })
+      .catch(error => console.error('Failed to share roll with the party:', error));
+    if (isSecret && !isDM) {
+      dmChannelRef.current
+        ?.send({ type: 'broadcast', event: PARTY_DM_ROLL_EVENT, payload: event })
+        .catch(error => console.error('Failed to send roll to the DM:', error));
+    }
+  }, [character, user, isDM]);
+
+  /**
+   * Ask the party to make a roll (DM only)
+   *
+   * @returns Whether the request was sent; it needs a live channel
+   */
+  const requestRoll = useCallback((actionName: string, visibility: RollVisibility = 'dm'): boolean => {
+    if (!isDM || !channelRef.current || !requestChannelRef.current) return false;
+
+    const request = createPartyRollRequest(actionName, character?.name ?? 'DM', visibility);
+    requestChannelRef.current
+      .send({ type: 'broadcast', event: PARTY_ROLL_REQUEST_EVENT, payload: request })
+      .catch(error => console.error('Failed to send roll request:', error));
+    return true;
+  }, [character, isDM]);
+
+  const dismissRequest = useCallback((requestId: string) => {
+    setRequests(prev => prev.filter(request => request.id !== requestId));
+  }, []);
+
+  const clearFeed = useCallback(() => setFeed([]), []);
+
+  return {
+    feed,
+    sessionCode,
+    /** Connected to the party channel; otherwise the feed is local-only */
+    isLive,
+    /** Signed in as the session's DM */
+    isDM,
+    requests,
+    broadcastRoll,
+    requestRoll,
+    dismissRequest,
+    clearFeed
+  };
+};
+
+export type UsePartyRollFeedReturn = ReturnType<typeof usePartyRollFeed>;
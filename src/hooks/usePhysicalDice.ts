@@ -0,0 +1,45 @@
+import { useState, useCallback, useRef } from 'react';
+import { CharacterStorage } from '../utils/characterStorage';
+import { PhysicalDieRequest } from '../types/rolls';
+
+/**
+ * React hook for rolling real dice
+ *
+ * `rollDie` is a custom dice roller for the roll engine: it shows a request
+ * for one die and resolves with the face the player enters. The engine still
+ * does the math (modifiers, crits, breakdown). The mode is remembered.
+ */
+export const usePhysicalDice = () => {
+  const [enabled, setEnabledState] = useState<boolean>(() => CharacterStorage.getPhysicalDiceMode());
+  const [request, setRequest] = useState<PhysicalDieRequest | null>(null);
+  const resolveRef = useRef<((value: number) => void) | null>(null);
+  const nextIdRef = useRef(1);
+
+  const rollDie = useCallback((sides: number): Promise<number> => new Promise(resolve => {
+    resolveRef.current = resolve;
+    setRequest({ id: nextIdRef.current++, sides });
+  }), []);
+
+  /** Answer the waiting request with the die's face */
+  const submit = useCallback((value: number) => {
+    const resolve = resolveRef.current;
+    resolveRef.current = null;
+    setRequest(null);
+    resolve?.(value);
+  }, []);
+
+  const setEnabled = useCallback((value: boolean) => {
+    CharacterStorage.setPhysicalDiceMode(value);
+    setEnabledState(value);
+  }, []);
+
+  return {
+    enabled,
+    setEnabled,
+    request,
+    rollDie,
+    submit
+  };
+};
+
+export type UsePhysicalDiceReturn = ReturnType<typeof usePhysicalDice>;
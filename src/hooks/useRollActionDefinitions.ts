@@ -0,0 +1,152 @@
+import { useCallback } from 'react';
+import { useCharacter } from '../contexts/CharacterContext';
+import { UseUnifiedRollsReturn } from './useUnifiedRolls';
+import { applyMacroPrompts } from '../utils/rollMacros';
+import {
+  performWeaponAttackUnified,
+  performSpellAttackUnified,
+  performSkillCheckUnified,
+  toLabeledExpression,
+  createWeaponAttackSequence,
+  getAttacksPerAction
+} from '../utils/rollIntegration';
+import { createSpellAttackSequence } from '../utils/spellResolvers';
+import { AttackSequenceDefinition, RollDefinition, RollMacro, RollOptions } from '../types/rolls';
+
+type ActiveCharacter = ReturnType<typeof useCharacter>['activeCharacter'];
+
+/** An action listed in the roll search, generated for the character or from a macro */
+export interface RollSearchAction {
+  id: string;
+  name: string;
+  type: string;
+  /** Weapon an attack uses, when the name does not say */
+  weapon?: string;
+  /** Normalized skill of a skill check, e.g. "sleight_of_hand" */
+  skill?: string;
+  proficient?: boolean;
+  macro?: RollMacro;
+  /** Answers to a macro's prompts */
+  promptAnswers?: Record<string, string>;
+  /** Options typed with a roll command */
+  rollOptions?: RollOptions;
+}
+
+/**
+ * React hook building roll definitions and attack sequences for the actions
+ * listed in the roll search
+ */
+export const useRollActionDefinitions = (
+  activeCharacter: ActiveCharacter,
+  isHidden: boolean,
+  createRollDefinition: UseUnifiedRollsReturn['createRollDefinition']
+) => {
+  // Roll definition for an action that rolls straight from the search (previewed by commands);
+  // spell saves and healing build theirs while rolling. The integration wrappers' expressions
+  // become labeled expressions so the engine can parse them.
+  const createActionDefinition = useCallback((action: RollSearchAction): RollDefinition | null => {
+    if (!activeCharacter) return null;
+    
+    const attackContext = { isHidden: isHidden || Boolean(action.rollOptions?.hidden), target: 'medium' };
+    const context = {
+      character: {
+        id: activeCharacter.id,
+        level: activeCharacter.level || 1,
+        ability_scores: activeCharacter['dnd_character_stats'] || {},
+        proficiencyBonus: activeCharacter['proficiency_bonus'] || Math.ceil((activeCharacter.level || 1) / 4) + 1,
+        ...activeCharacter
+      },
+      source: { type: 'ability' as const, name: action.name, tags: [action.type] },
+      environment: { advantage: false, disadvantage: false, hidden: false, blessed: false, inspired: false, conditions: [] }
+    };
+    
+    if (action.type === 'macro') {
+      const { macro } = action;
+      const expression = applyMacroPrompts(macro.expression, macro.prompts, action.promptAnswers);
+      return {
+        ...createRollDefinition(macro.type, { ...context, source: { type: 'custom' as const, name: macro.name, tags: macro.tags } }, expression),
+        name: macro.name
+      };
+    }
+    
+    if (action.type === 'attack') {
+      const weaponName = action.weapon || action.name?.replace(' Attack', '');
+      // Use unified weapon attack system
+      const weapon = activeCharacter.dnd_character_weapons?.find(w => 
+        w.name.toLowerCase() === weaponName.toLowerCase()
+      );
+      if (!weapon) return null;
+      
+      const unifiedAttack = performWeaponAttackUnified(weapon, activeCharacter, attackContext);
+      if (!unifiedAttack) return null;
+      
+      return createRollDefinition('attack', {
+        ...context,
+        source: { type: 'weapon' as const, name: weapon.name, tags: ['weapon_attack'] },
+        target: unifiedAttack.rollDefinition.context.target
+      }, toLabeledExpression(unifiedAttack.rollDefinition));
+    }
+    
+    if (action.type === 'spell_attack') {
+      const ability = activeCharacter.dnd_character_abilities?.find(a => a.id === action.id);
+      if (!ability) return null;
+      
+      // Use unified spell attack system
+      const unifiedSpell = performSpellAttackUnified(ability, activeCharacter, attackContext);
+      if (!unifiedSpell) return null;
+      
+      return createRollDefinition('spell_attack', {
+        ...context,
+        source: { type: 'spell' as const, name: ability.ability_name, tags: ['spell_attack'] },
+        target: unifiedSpell.rollDefinition.context.target
+      }, toLabeledExpression(unifiedSpell.rollDefinition));
+    }
+    
+    if (action.type === 'skill') {
+      // Use unified skill check system
+      const unifiedSkill = performSkillCheckUnified(activeCharacter, action.name);
+      if (!unifiedSkill) return null;
+      
+      return createRollDefinition('skill', {
+        ...context,
+        source: { type: 'skill' as const, name: action.name, tags: ['skill'], properties: { skill: action.skill, proficient: action.proficient } }
+      }, toLabeledExpression(unifiedSkill.rollDefinition));
+    }
+    
+    if (action.type === 'spell_save' || action.type === 'healing') return null;
+    
+    // For other action types, create a basic roll definition
+    return createRollDefinition('raw', context, '1d20');
+  }, [activeCharacter, isHidden, createRollDefinition]);
+
+  // Attacks that take several attack rolls (Extra Attack swings, Eldritch Blast beams) roll as a
+  // sequence, each hit or miss on its own; single attacks return null and roll from their definition
+  const createActionSequence = useCallback((action: RollSearchAction): AttackSequenceDefinition | null => {
+    const definition = createActionDefinition(action);
+    if (!definition || (action.type !== 'attack' && action.type !== 'spell_attack')) return null;
+    
+    const attackContext = { isHidden: isHidden || Boolean(action.rollOptions?.hidden), target: 'medium' };
+    
+    if (action.type === 'attack') {
+      const attackCount = getAttacksPerAction(activeCharacter);
+      const weapon = activeCharacter.dnd_character_weapons?.find(w => w.name === definition.context.source.name);
+      const weaponAttack = attackCount > 1 && weapon && performWeaponAttackUnified(weapon, activeCharacter, attackContext);
+      return weaponAttack ? createWeaponAttackSequence(weaponAttack, attackCount, definition.context) : null;
+    }
+    
+    const ability = activeCharacter.dnd_character_abilities?.find(a => a.id === action.id);
+    const unifiedSpell = ability && performSpellAttackUnified(ability, activeCharacter, attackContext);
+    if (!unifiedSpell || unifiedSpell.numBeams < 2) return null;
+    
+    // Hidden casters make every beam with advantage
+    return createSpellAttackSequence(unifiedSpell.spellConfig, {
+      ...definition.context,
+      environment: { ...definition.context.environment, advantage: attackContext.isHidden }
+    }) as AttackSequenceDefinition;
+  }, [activeCharacter, isHidden, createActionDefinition]);
+
+  return {
+    createActionDefinition,
+    createActionSequence
+  };
+};
@@ -0,0 +1,248 @@
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import {
+  createRollHistoryStore,
+  createRollHistoryEntry,
+  groupRollHistoryBySession,
+  getAllRollHistory,
+  getRollHistoryBetween,
+  filterRollHistory,
+  isRollHistoryFilterActive,
+  ROLL_HISTORY_PAGE_SIZE
+} from '../utils/rollHistoryStore';
+import { exportRollHistory, importRollHistory } from '../utils/rollHistoryExport';
+import { getRollActionUsage, recordRollActionUsage, USAGE_HISTORY_LIMIT } from '../utils/rollActionSearch';
+import { transformRollResultToLog } from '../utils/rollDataTransforms';
+import { getRollVisibility, isRollVisibleTo } from '../utils/rollVisibility';
+import { CharacterStorage } from '../utils/characterStorage';
+import {
+  RollLog,
+  RollResult,
+  RollHistoryEntry,
+  RollHistoryFilter,
+  RollHistoryExportFormat,
+  RollActionUsageMap
+} from '../types/rolls';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * React hook for a character's persistent roll history
+ *
+ * Loads the newest page when the character changes and older pages on demand.
+ * Entries older than the retention setting are pruned before loading.
+ * Filters search the whole stored history, which is loaded once a filter is set.
+ * Another character's history can be viewed; new rolls are always recorded
+ * for the active character. Exports cover every entry matching the filter.
+ * Action usage summarizes the active character's newest rolls for the search and
+ * is kept up to date as rolls are logged, without rereading the history.
+ */
+export const useRollHistory = (characterId?: string) => {
+  const store = useMemo(() => createRollHistoryStore(), []);
+  const [entries, setEntries] = useState<RollHistoryEntry[]>([]);
+  const [cursor, setCursor] = useState<number | undefined>(undefined);
+  const [isLoading, setIsLoading] = useState(false);
+  const [retentionDays, setRetentionDaysState] = useState<number | null>(() => CharacterStorage.getRollHistoryRetention());
+  const [viewedCharacterId, setViewedCharacterId] = useState<string | undefined>(undefined);
+  const [filter, setFilter] = useState<RollHistoryFilter>({});
+  // Every stored entry of the viewed character, loaded for filtering
+  const [allEntries, setAllEntries] = useState<RollHistoryEntry[] | null>(null);
+  // Bumped whenever the list is replaced, so stale page loads are dropped
+  const generationRef = useRef(0);
+  // How often and how lately the active character rolled each action
+  const [actionUsage, setActionUsage] = useState<RollActionUsageMap>({});
+  // Bumped when stored history changes outside addRoll, to recount usage
+  const [usageVersion, setUsageVersion] = useState(0);
+
+  const historyCharacterId = viewedCharacterId ?? characterId;
+  const isFiltering = isRollHistoryFilterActive(filter);
+
+  // Switching the active character goes back to its own history
+  useEffect(() => {
+    setViewedCharacterId(undefined);
+  }, [characterId]);
+
+  const loadPage = useCallback(async (before?: number) => {
+    if (!historyCharacterId) return;
+
+    const generation = generationRef.current;
+    setIsLoading(true);
+    try {
+      const page = await store.getPage(historyCharacterId, { before, limit: ROLL_HISTORY_PAGE_SIZE });
+      if (generation !== generationRef.current) return;
+
+      setEntries(prev => before === undefined ? page.entries : [...prev, ...page.entries]);
+      setCursor(page.nextCursor);
+    } catch (error) {
+      console.error('Failed to load roll history:', error);
+    } finally {
+      if (generation === generationRef.current) {
+        setIsLoading(false);
+      }
+    }
+  }, [historyCharacterId, store]);
+
+  // Prune and load the newest page for the viewed character
+  useEffect(() => {
+    generationRef.current++;
+    setEntries([]);
+    setAllEntries(null);
+    setCursor(undefined);
+    if (!historyCharacterId) return;
+
+    const prune = retentionDays === null
+      ? Promise.resolve()
+      : store.prune(historyCharacterId, Date.now() - retentionDays * DAY_MS);
+
+    prune
+      .catch(error => console.error('Failed to prune roll history:', error))
+      .then(() => loadPage());
+  }, [historyCharacterId, retentionDays, store, loadPage]);
+
+  // Load the whole history the first time a filter needs it
+  useEffect(() => {
+    if (!isFiltering || allEntries !== null || !historyCharacterId) return;
+
+    const generation = generationRef.current;
+    setIsLoading(true);
+    getAllRollHistory(store, historyCharacterId)
+      .then(loaded => {
+        if (generation === generationRef.current) setAllEntries(loaded);
+      })
+      .catch(error => console.error('Failed to search roll history:', error))
+      .finally(() => {
+        if (generation === generationRef.current) setIsLoading(false);
+      });
+  }, [isFiltering, allEntries, historyCharacterId, store]);
+
+  useEffect(() => {
+    setActionUsage({});
+    if (!characterId) return;
+
+    let cancelled = false;
+    store.getPage(characterId, { limit: USAGE_HISTORY_LIMIT })
+      .then(page => {
+        if (!cancelled) setActionUsage(getRollActionUsage(page.entries));
+      })
+      .catch(error => console.error('Failed to load roll action usage:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [characterId, usageVersion, store]);
+
+  const loadMore = useCallback(async () => {
+    if (cursor === undefined || isLoading || isFiltering) return;
+    await loadPage(cursor);
+  }, [cursor, isLoading, isFiltering, loadPage]);
+
+  const addRoll = useCallback((log: RollLog, result?: RollResult): RollHistoryEntry | null => {
+    if (!characterId) return null;
+
+    const entry = createRollHistoryEntry(log, characterId, { result });
+    if (historyCharacterId === characterId) {
+      setEntries(prev => [entry, ...prev]);
+      setAllEntries(prev => prev && [entry, ...prev]);
+    }
+    setActionUsage(prev => recordRollActionUsage(prev, entry));
+    store.add(entry).catch(error => console.error('Failed to save roll to history:', error));
+    return entry;
+  }, [characterId, historyCharacterId, store]);
+
+  /** Record a roll engine result; rolls sent to the DM are not kept on the roller's device */
+  const addResult = useCallback((result: RollResult) => {
+    if (!isRollVisibleTo(getRollVisibility(result), 'roller')) return null;
+    return addRoll(transformRollResultToLog(result), result);
+  }, [addRoll]);
+
+  /** Every stored entry, for statistics over the whole history */
+  const loadAllEntries = useCallback(async (): Promise<RollHistoryEntry[]> => {
+    return historyCharacterId ? getAllRollHistory(store, historyCharacterId) : [];
+  }, [historyCharacterId, store]);
+
+  /** The viewed history as a file, limited to the filter when one is set */
+  const exportHistory = useCallback(async (format: RollHistoryExportFormat, characterName: string): Promise<string> => {
+    if (!historyCharacterId) return exportRollHistory([], format, { id: '', name: characterName });
+
+    const stored = allEntries ?? await getAllRollHistory(store, historyCharacterId);
+    const exported = isFiltering ? filterRollHistory(stored, filter) : stored;
+    return exportRollHistory(exported, format, { id: historyCharacterId, name: characterName });
+  }, [historyCharacterId, allEntries, isFiltering, filter, store]);
+
+  /**
+   * Import a JSON export into the viewed character's history, skipping rolls it already has
+   *
+   * @returns Number of rolls imported
+   */
+  const importHistory = useCallback(async (text: string): Promise<number> => {
+    if (!historyCharacterId) return 0;
+
+    const imported = importRollHistory(text, historyCharacterId);
+    if (imported.length === 0) return 0;
+
+    // A roll already stored has the same timestamp, so only the imported time span is read
+    const oldest = imported.reduce((min, entry) => Math.min(min, entry.timestamp), Infinity);
+    const newest = imported.reduce((max, entry) => Math.max(max, entry.timestamp), -Infinity);
+    const stored = await getRollHistoryBetween(store, historyCharacterId, oldest, newest);
+    const existing = new Set(stored.map(entry => entry.id));
+    const added = imported.filter(entry => !existing.has(entry.id));
+    for (const entry of added) {
+      await store.add(entry);
+    }
+
+    // Imported rolls can land anywhere in the timeline; reload from the newest
+    generationRef.current++;
+    setAllEntries(null);
+    setUsageVersion(version => version + 1);
+    await loadPage();
+    return added.length;
+  }, [historyCharacterId, store, loadPage]);
+
+  const clear = useCallback(async () => {
+    generationRef.current++;
+    setEntries([]);
+    setAllEntries(null);
+    setCursor(undefined);
+    if (!historyCharacterId) return;
+
+    try {
+      await store.clear(historyCharacterId);
+    } catch (error) {
+      console.error('Failed to clear roll history:', error);
+    }
+    setUsageVersion(version => version + 1);
+  }, [historyCharacterId, store]);
+
+  const setRetentionDays = useCallback((days: number | null) => {
+    CharacterStorage.setRollHistoryRetention(days);
+    setRetentionDaysState(days);
+  }, []);
+
+  const visibleEntries = useMemo(
+    () => isFiltering ? filterRollHistory(allEntries ?? [], filter) : entries,
+    [isFiltering, allEntries, filter, entries]
+  );
+  const sessions = useMemo(() => groupRollHistoryBySession(visibleEntries), [visibleEntries]);
+
+  return {
+    entries: visibleEntries,
+    sessions,
+    hasMore: !isFiltering && cursor !== undefined,
+    isLoading,
+    loadMore,
+    addRoll,
+    addResult,
+    loadAllEntries,
+    exportHistory,
+    importHistory,
+    clear,
+    retentionDays,
+    setRetentionDays,
+    historyCharacterId,
+    setHistoryCharacterId: setViewedCharacterId,
+    filter,
+    setFilter,
+    isFiltering,
+    actionUsage
+  };
+};
+
+export type UseRollHistoryReturn = ReturnType<typeof useRollHistory>;
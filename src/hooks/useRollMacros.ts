@@ -0,0 +1,48 @@
+import { useState, useCallback, useEffect } from 'react';
+import { CharacterStorage } from '../utils/characterStorage';
+import { createRollMacroId } from '../utils/rollMacros';
+import { RollMacro } from '../types/rolls';
+
+/**
+ * React hook for a character's saved roll macros
+ *
+ * Macros are stored with the character and reloaded when it changes.
+ */
+export const useRollMacros = (characterId?: string) => {
+  const [macros, setMacros] = useState<RollMacro[]>([]);
+
+  useEffect(() => {
+    setMacros(characterId ? CharacterStorage.getRollMacros(characterId) : []);
+  }, [characterId]);
+
+  const persist = useCallback((update: (prev: RollMacro[]) => RollMacro[]) => {
+    if (!characterId) return;
+
+    setMacros(prev => {
+      const next = update(prev);
+      CharacterStorage.saveRollMacros(characterId, next);
+      return next;
+    });
+  }, [characterId]);
+
+  /** Add a macro, or replace the one with the same id */
+  const saveMacro = useCallback((macro: RollMacro): RollMacro => {
+    const saved = { ...macro, id: macro.id || createRollMacroId() };
+    persist(prev => prev.some(existing => existing.id === saved.id)
+      ? prev.map(existing => existing.id === saved.id ? saved : existing)
+      : [...prev, saved]);
+    return saved;
+  }, [persist]);
+
+  const deleteMacro = useCallback((macroId: string) => {
+    persist(prev => prev.filter(macro => macro.id !== macroId));
+  }, [persist]);
+
+  return {
+    macros,
+    saveMacro,
+    deleteMacro
+  };
+};
+
+export type UseRollMacrosReturn = ReturnType<typeof useRollMacros>;
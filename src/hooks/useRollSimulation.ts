@@ -0,0 +1,55 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { runSimulation } from '../utils/rollSimulation';
+import { SimulationRequest, SimulationProgress, SimulationResult } from '../types/rolls';
+
+/**
+ * React hook for comparing rolls by simulation ("Shortbow or Rapier against AC 15?")
+ *
+ * Runs each request in a Web Worker one after another. Starting a new comparison,
+ * calling cancel() or unmounting stops the current one.
+ */
+export const useRollSimulation = () => {
+  const [results, setResults] = useState<SimulationResult[]>([]);
+  const [progress, setProgress] = useState<SimulationProgress | null>(null);
+  const [isSimulating, setIsSimulating] = useState(false);
+  const controllerRef = useRef<AbortController | null>(null);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  const simulate = useCallback(async (requests: SimulationRequest[]): Promise<SimulationResult[]> => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setIsSimulating(true);
+    setResults([]);
+    try {
+      const completed: SimulationResult[] = [];
+      for (const request of requests) {
+        completed.push(await runSimulation(request, { signal: controller.signal, onProgress: setProgress }));
+        setResults([...completed]);
+      }
+      return completed;
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsSimulating(false);
+        setProgress(null);
+      }
+    }
+  }, []);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  return {
+    simulate,
+    cancel,
+    results,
+    progress,
+    isSimulating
+  };
+};
+
+export type UseRollSimulationReturn = ReturnType<typeof useRollSimulation>;
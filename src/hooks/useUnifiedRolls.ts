@@ -1,6 +1,9 @@
 import { useState, useCallback, useMemo } from 'react';
 import { RollEngine } from '../utils/rollEngine';
 import { parseAnyDiceExpression } from '../utils/diceParser';
+import { useAbilityResource as spendAbilityResource, refundAbilityResource } from '../utils/resourceManager';
+import { CharacterStorage } from '../utils/characterStorage';
+import { FEATURE_PLUGINS } from '../utils/rollResolvers';
 import { 
   RollDefinition, 
   RollResult, 
@@ -8,7 +11,16 @@ import {
   RollContext,
   RollType,
   RollEngineConfig,
-  CriticalRules 
+  CriticalRules,
+  AttackSequenceDefinition,
+  GroupCheckDefinition,
+  ContestedCheckDefinition,
+  RollReaction,
+  PendingRoll,
+  RollEngineError,
+  RollModifier,
+  ActiveModifier,
+  SimulationRequest
 } from '../types/rolls';
 
 /**
@@ -18,13 +30,19 @@ import {
  * - Pre-roll analysis showing dice, modifiers, and conditions
  * - Unified roll execution with full breakdown
  * - Roll history and logging
+ * - Reactions to pending rolls (Lucky, Portent, Silvery Barbs, Bardic Inspiration)
+ * - Timed modifiers (Bless, Rage, Hunter's Mark) persisted per character
+ * - Roll plugins passed through `config.plugins`
  * - Configurable critical hit rules and modifiers
  */
 export const useUnifiedRolls = (config?: Partial<RollEngineConfig>) => {
   const [rollHistory, setRollHistory] = useState<RollResult[]>([]);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [pendingRoll, setPendingRoll] = useState<PendingRoll | null>(null);
   const [isRolling, setIsRolling] = useState(false);
   const [lastPreRollInfo, setLastPreRollInfo] = useState<PreRollInfo | null>(null);
+  const [activeModifiers, setActiveModifiers] = useState<ActiveModifier[]>([]);
+  const [combatRound, setCombatRound] = useState(1);
 
   // Create roll engine instance with configuration
   const rollEngine = useMemo(() => {
@@ -38,7 +56,9 @@ export const useUnifiedRolls = (config?: Partial<RollEngineConfig>) => {
       enablePreRollAnalysis: true,
       maxExecutionTime: 5000,
       enableLogging: true,
-      ...config
+      ...config,
+      // Features that change the d20 (Reliable Talent, Halfling Lucky) or its crit range always apply
+      plugins: [...FEATURE_PLUGINS, ...(config?.plugins || [])]
     };
 
     return new RollEngine(defaultConfig);
@@ -79,6 +99,13 @@ export const useUnifiedRolls = (config?: Partial<RollEngineConfig>) => {
     }
   }, [rollEngine]);
 
+  /**
+   * Re-derive a previous roll from its recorded seed so it can be audited
+   */
+  const replayRoll = useCallback((result: RollResult): Promise<RollResult> => {
+    return rollEngine.replayRoll(result);
+  }, [rollEngine]);
+
   /**
    * Analyze and execute a roll in one step
    * Useful for simple cases where pre-roll analysis isn't needed
@@ -177,7 +204,8 @@ export const useUnifiedRolls = (config?: Partial<RollEngineConfig>) => {
   ): Promise<RollResult> => {
     const definition = createRollDefinition('damage', {
       ...context,
-      source: { type: 'weapon', name: weaponName, tags: ['damage'] }
+      // Keep source properties so the damage type reaches the target's defenses
+      source: { type: 'weapon', name: weaponName, tags: ['damage'], properties: context.source.properties }
     }, damageExpression);
     return rollDirect(definition);
   }, [createRollDefinition, rollDirect]);
@@ -276,19 +304,19 @@ export const useUnifiedRolls = (config?: Partial<RollEngineConfig>) => {
     // Determine if the attack was a critical hit
     const wasCritical = attackResult.criticalSuccess;
     
-    // Modify damage expression for critical hits
-    let finalDamageExpression = damageExpression;
-    if (wasCritical) {
-      // For critical hits, double the weapon dice (not modifiers)
-      // Parse the damage expression and double dice components
-      finalDamageExpression = applyCriticalDamage(damageExpression);
-    }
-    
-    // Roll damage with modified expression
-    const damageDefinition = createRollDefinition('damage', {
-      ...context,
-      source: { type: 'weapon', name: weaponName, tags: ['damage', wasCritical ? 'critical' : 'normal'] }
-    }, finalDamageExpression);
+    // Roll damage - the engine applies the configured critical damage strategy
+    const damageDefinition: RollDefinition = {
+      ...createRollDefinition('damage', {
+        ...context,
+        source: {
+          type: 'weapon',
+          name: weaponName,
+          tags: ['damage', wasCritical ? 'critical' : 'normal'],
+          properties: context.source.properties
+        }
+      }, damageExpression),
+      critical: wasCritical
+    };
     
     const damageResult = await rollDirect(damageDefinition);
     
@@ -296,28 +324,168 @@ export const useUnifiedRolls = (config?: Partial<RollEngineConfig>) => {
   }, [createRollDefinition, rollDirect]);
 
   /**
-   * Apply critical hit damage rules to a damage expression
+   * Roll several attacks against one target; damage is only rolled for hits
+   */
+  const rollAttackSequence = useCallback(async (sequence: AttackSequenceDefinition): Promise<RollResult> => {
+    setIsRolling(true);
+    try {
+      const result = await rollEngine.executeAttackSequence(sequence);
+      setRollHistory(prev => [result, ...prev].slice(0, 100));
+      return result;
+    } finally {
+      setIsRolling(false);
+    }
+  }, [rollEngine]);
+
+  /**
+   * Roll one skill check or save for several party members; the group
+   * succeeds when at least half of them do
+   */
+  const rollGroupCheck = useCallback(async (group: GroupCheckDefinition): Promise<RollResult> => {
+    setIsRolling(true);
+    try {
+      const result = await rollEngine.executeGroupCheck(group);
+      setRollHistory(prev => [result, ...prev].slice(0, 100));
+      return result;
+    } finally {
+      setIsRolling(false);
+    }
+  }, [rollEngine]);
+
+  /**
+   * Roll two opposing checks (grapple, shove, hide vs perceive) as one result
+   */
+  const rollContestedCheck = useCallback(async (contest: ContestedCheckDefinition): Promise<RollResult> => {
+    setIsRolling(true);
+    try {
+      const result = await rollEngine.executeContestedCheck(contest);
+      setRollHistory(prev => [result, ...prev].slice(0, 100));
+      return result;
+    } finally {
+      setIsRolling(false);
+    }
+  }, [rollEngine]);
+
+  /**
+   * Roll and hold the result open for reactions before it is final
+   */
+  const rollWithReactions = useCallback(async (definition: RollDefinition): Promise<PendingRoll> => {
+    setIsRolling(true);
+    try {
+      const pending = await rollEngine.executePendingRoll(definition);
+      setPendingRoll({ ...pending });
+      return pending;
+    } finally {
+      setIsRolling(false);
+    }
+  }, [rollEngine]);
+
+  /**
+   * Spend a reaction on the pending roll. The reaction is checked before its
+   * resource (a Lucky point, Inspiration) is deducted, and the resource is
+   * refunded if the engine still fails to apply it, so a rejected reaction costs nothing.
+   * @param resources - Abilities and resources of the character paying for the reaction;
+   *                    required when the reaction uses an ability
    */
-  const applyCriticalDamage = useCallback((damageExpression: string): string => {
-    // Split by commas to handle multiple damage components
-    const parts = damageExpression.split(',');
+  const applyReaction = useCallback(async (
+    reaction: RollReaction,
+    resources?: { abilities: unknown[]; resources: unknown[] }
+  ): Promise<PendingRoll> => {
+    if (!pendingRoll) {
+      throw new RollEngineError('No pending roll to react to', 'PENDING_ROLL_NOT_FOUND', { reaction });
+    }
     
-    return parts.map(part => {
-      const trimmed = part.trim();
-      
-      // Check if it has a label (e.g., "sneak:3d6")
-      const labelMatch = trimmed.match(/^([^:]+):(.+)$/);
-      const expression = labelMatch ? labelMatch[2] : trimmed;
-      const label = labelMatch ? labelMatch[1] : '';
-      
-      // Double dice in the expression (e.g., "1d8+3" becomes "2d8+3")
-      const doubledExpression = expression.replace(/(\d+)d(\d+)/g, (match, count, sides) => {
-        return `${parseInt(count) * 2}d${sides}`;
-      });
-      
-      return label ? `${label}:${doubledExpression}` : doubledExpression;
-    }).join(',');
-  }, []);
+    rollEngine.validateReaction(pendingRoll.id, reaction);
+    
+    const characterId = reaction.reactorId || pendingRoll.result.metadata.definition.context.character.id;
+    if (reaction.abilityId) {
+      if (!resources) {
+        throw new RollEngineError(
+          `Cannot use ${reaction.name}: the character's abilities and resources are needed to pay for it`,
+          'RESOURCE_UNAVAILABLE',
+          { reaction }
+        );
+      }
+      const spent = await spendAbilityResource(characterId, reaction.abilityId, resources.abilities, resources.resources);
+      if (!spent.success) {
+        throw new RollEngineError(`Cannot use ${reaction.name}: ${spent.error}`, 'RESOURCE_UNAVAILABLE', { reaction });
+      }
+    }
+    
+    try {
+      const updated = await rollEngine.applyReaction(pendingRoll.id, reaction);
+      setPendingRoll({ ...updated });
+      return updated;
+    } catch (error) {
+      if (reaction.abilityId) {
+        const refunded = await refundAbilityResource(characterId, reaction.abilityId, resources.abilities, resources.resources);
+        if (!refunded.success) {
+          console.error(`Failed to refund ${reaction.name}:`, refunded.error);
+        }
+      }
+      throw error;
+    }
+  }, [rollEngine, pendingRoll]);
+
+  /**
+   * Close the reaction window and record the final result
+   */
+  const resolvePendingRoll = useCallback((): RollResult | null => {
+    if (!pendingRoll) return null;
+    
+    const result = rollEngine.resolvePendingRoll(pendingRoll.id);
+    setRollHistory(prev => [result, ...prev].slice(0, 100));
+    setPendingRoll(null);
+    return result;
+  }, [rollEngine, pendingRoll]);
+
+  /**
+   * Save a character's timed modifiers and refresh the exposed state
+   */
+  const syncActiveModifiers = useCallback((characterId: string) => {
+    const state = rollEngine.getActiveModifierState(characterId);
+    CharacterStorage.saveActiveModifiers(characterId, state);
+    setActiveModifiers(rollEngine.getActiveModifiers(characterId));
+    setCombatRound(state.round);
+  }, [rollEngine]);
+
+  /**
+   * Restore a character's saved timed modifiers, dropping any that expired
+   */
+  const loadActiveModifiers = useCallback((characterId: string) => {
+    const saved = CharacterStorage.getActiveModifiers(characterId);
+    if (saved) {
+      rollEngine.restoreActiveModifierState(characterId, saved);
+      rollEngine.clearExpiredModifiers();
+    }
+    syncActiveModifiers(characterId);
+  }, [rollEngine, syncActiveModifiers]);
+
+  const addTimedModifiers = useCallback((characterId: string, modifiers: RollModifier[]) => {
+    rollEngine.addTemporaryModifiers(modifiers, characterId);
+    syncActiveModifiers(characterId);
+  }, [rollEngine, syncActiveModifiers]);
+
+  const removeTimedModifier = useCallback((characterId: string, modifierId: string) => {
+    rollEngine.removeTemporaryModifier(modifierId, characterId);
+    syncActiveModifiers(characterId);
+  }, [rollEngine, syncActiveModifiers]);
+
+  /**
+   * End the character's turn, advancing the round clock
+   * @returns Modifiers that expired
+   */
+  const endTurn = useCallback((characterId: string): RollModifier[] => {
+    const expired = rollEngine.endTurn(characterId);
+    syncActiveModifiers(characterId);
+    return expired;
+  }, [rollEngine, syncActiveModifiers]);
+
+  const breakConcentration = useCallback((characterId: string): RollModifier[] => {
+    const ended = rollEngine.breakConcentration(characterId);
+    syncActiveModifiers(characterId);
+    return ended;
+  }, [rollEngine, syncActiveModifiers]);
 
   /**
    * Roll history management
@@ -340,11 +508,37 @@ export const useUnifiedRolls = (config?: Partial<RollEngineConfig>) => {
     console.warn('Runtime configuration updates not yet implemented. Please recreate the hook with new config.');
   }, []);
 
+  /**
+   * Simulation request that rolls like this engine: its critical rules and the
+   * roller's character and timed modifiers (Bless, Rage) go with the definition
+   */
+  const createSimulationRequest = useCallback((
+    definition: RollDefinition,
+    iterations: number,
+    seed?: number
+  ): SimulationRequest => ({
+    id: `${definition.id}_simulation`,
+    definition,
+    iterations,
+    seed,
+    criticalRules: rollEngine.getCriticalRules(),
+    activeModifiers: rollEngine.getRollerModifiers(definition.context.character.id)
+  }), [rollEngine]);
+
+  /**
+   * Roll dice with a custom roller, e.g. physical dice entered by the player;
+   * undefined goes back to random rolls. The engine and its modifiers are kept.
+   */
+  const setDiceRoller = useCallback((roller?: RollEngineConfig['customDiceRoller']) => {
+    rollEngine.setCustomDiceRoller(roller);
+  }, [rollEngine]);
+
   return {
     // Core roll functions
     analyzeRoll,
     executeRoll,
     rollDirect,
+    replayRoll,
     createRollDefinition,
 
     // Convenience roll methods
@@ -357,6 +551,24 @@ export const useUnifiedRolls = (config?: Partial<RollEngineConfig>) => {
     rollMultiExpression,
     rollAttackAndDamage,
     rollAttackThenDamage,
+    rollAttackSequence,
+    rollGroupCheck,
+    rollContestedCheck,
+
+    // Reactions
+    rollWithReactions,
+    applyReaction,
+    resolvePendingRoll,
+    pendingRoll,
+
+    // Timed modifiers
+    activeModifiers,
+    combatRound,
+    loadActiveModifiers,
+    addTimedModifiers,
+    removeTimedModifier,
+    endTurn,
+    breakConcentration,
 
     // State and history
     rollHistory,
@@ -368,6 +580,8 @@ export const useUnifiedRolls = (config?: Partial<RollEngineConfig>) => {
 
     // Configuration
     updateCriticalRules,
+    setDiceRoller,
+    createSimulationRequest,
     rollEngine,
 
     // Statistics
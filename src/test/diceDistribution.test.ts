@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getDiceDistribution,
+  probabilityAtLeast,
+  probabilityOf,
+  getDistributionMean,
+  getCumulativeDistribution,
+  calculateSuccessProbability
+} from '../utils/diceDistribution'
+import { parseDiceExpression } from '../utils/diceParser'
+
+const total = (probabilities: number[]) => probabilities.reduce((sum, p) => sum + p, 0)
+
+describe('Dice distributions', () => {
+  it('convolves groups and modifiers', () => {
+    const distribution = getDiceDistribution('2d6+1d4-1')
+
+    expect(distribution.min).toBe(2)
+    expect(distribution.max).toBe(15)
+    expect(total(distribution.probabilities)).toBeCloseTo(1, 10)
+    expect(getDistributionMean(distribution)).toBeCloseTo(8.5, 10)
+  })
+
+  it('handles advantage and ability score generation', () => {
+    expect(probabilityAtLeast(getDiceDistribution('2d20kh1'), 15)).toBeCloseTo(1 - (14 / 20) ** 2, 10)
+    expect(probabilityAtLeast(getDiceDistribution('2d20kl1'), 15)).toBeCloseTo((6 / 20) ** 2, 10)
+    expect(getDistributionMean(getDiceDistribution('4d6dl1'))).toBeCloseTo(15869 / 1296, 10)
+  })
+
+  it('handles rerolls, minimums and explosions', () => {
+    // Great Weapon Fighting on a d6: reroll 1s and 2s once
+    expect(getDistributionMean(getDiceDistribution('1d6r1,2'))).toBeCloseTo(25 / 6, 10)
+    expect(probabilityOf(getDiceDistribution('1d6m3'), 3)).toBeCloseTo(0.5, 10)
+
+    const exploding = getDiceDistribution('1d6x')
+    expect(probabilityOf(exploding, 6)).toBe(0)
+    expect(probabilityOf(exploding, 7)).toBeCloseTo(1 / 36, 10)
+    expect(getDistributionMean(exploding)).toBeCloseTo(4.2, 6)
+  })
+
+  it('applies floor division', () => {
+    const distribution = getDiceDistribution('1d6/2')
+
+    expect(distribution.min).toBe(0)
+    expect(probabilityOf(distribution, 1)).toBeCloseTo(2 / 6, 10)
+    expect(getCumulativeDistribution(distribution).at(-1)).toBeCloseTo(1, 10)
+  })
+
+  it('counts natural 20s and 1s for success chance', () => {
+    const attack = parseDiceExpression('1d20+5')
+
+    expect(calculateSuccessProbability(attack, 15)).toBeCloseTo(0.55, 10)
+    expect(calculateSuccessProbability(attack, 30, { autoSuccess: [20] })).toBeCloseTo(0.05, 10)
+    expect(calculateSuccessProbability(attack, 2, { autoFailure: [1] })).toBeCloseTo(0.95, 10)
+  })
+})
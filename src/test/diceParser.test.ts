@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseDiceExpression,
+  tryParseDiceExpression,
+  parseAnyDiceExpression,
+  formatDiceAst,
+  getDiceTerms,
+  estimateAverage,
+  estimateRange
+} from '../utils/diceParser'
+import { RollEngine } from '../utils/rollEngine'
+import { DiceParseError, RollDefinition } from '../types/rolls'
+
+const createDefinition = (expression: string): RollDefinition => ({
+  id: 'test',
+  name: 'Test',
+  type: 'damage',
+  baseExpression: parseAnyDiceExpression(expression),
+  context: {
+    character: { id: 'char', name: 'Tester', level: 1, abilities: {}, proficiencyBonus: 2 },
+    source: { type: 'custom', name: 'Test' },
+    environment: {}
+  }
+} as unknown as RollDefinition)
+
+// Deterministic roller: every die shows its highest face
+const maxRoller = (sides: number) => sides
+
+describe('Dice expression parser', () => {
+  it('parses multiple dice groups', () => {
+    const expression = parseDiceExpression('1d8+2d6+3')
+    const terms = getDiceTerms(expression.ast!)
+
+    expect(terms.map(t => `${t.term.count}d${t.term.sides}`)).toEqual(['1d8', '2d6'])
+    expect(expression.parsed).toMatchObject({ count: 1, sides: 8, modifier: 3 })
+  })
+
+  it('attaches operations to the group they follow', () => {
+    const expression = parseDiceExpression('2d20kh1+1d6x')
+    const [attack, bonus] = getDiceTerms(expression.ast!)
+
+    expect(attack.term.operations).toEqual([{ type: 'keep_highest', value: 1 }])
+    expect(bonus.term.operations).toEqual([{ type: 'explode', value: 6 }])
+  })
+
+  it('parses parentheses, multiplication and subtraction', () => {
+    const expression = parseDiceExpression('(1d6 + 2) * 2 - 1d4')
+
+    expect(formatDiceAst(expression.ast!)).toBe('(1d6+2)*2-1d4')
+    expect(getDiceTerms(expression.ast!).map(t => t.sign)).toEqual([1, -1])
+  })
+
+  it('keeps flat numbers working for legacy consumers', () => {
+    const expression = parseDiceExpression('5')
+
+    expect(expression.parsed).toMatchObject({ count: 1, sides: 1, modifier: 4 })
+  })
+
+  it('keeps reroll lists together in multi-expressions', () => {
+    const multi = parseAnyDiceExpression('attack:1d20+5,damage:2d6r1,2+3')
+
+    expect(multi.expressions).toHaveLength(2)
+    expect(multi.expressions[1].expression.parsed.operations).toEqual([{ type: 'reroll', value: [1, 2] }])
+  })
+
+  it.each([
+    ['1d7', 'Invalid die size'],
+    ['0d6', 'Invalid dice count'],
+    ['1d6+', 'Unexpected end of expression'],
+    ['(1d6+2', 'Missing ")"'],
+    ['1d6/0', 'Division by zero'],
+    ['3d6+2kh1', 'Unexpected operation'],
+    ['1d6?', 'Unexpected character']
+  ])('rejects %s', (input, reason) => {
+    const result = tryParseDiceExpression(input)
+
+    expect(result.valid).toBe(false)
+    expect(result.error).toContain(reason)
+    expect(() => parseDiceExpression(input)).toThrow(DiceParseError)
+  })
+
+  it('formats every operation so the expression parses again', () => {
+    const source = '4d6dl1+2d6r1,2+1d6x6+2d6m3+2d6max4-(1d4+1)*2'
+    const formatted = formatDiceAst(parseDiceExpression(source).ast!)
+
+    expect(formatted).toBe(source)
+    expect(parseDiceExpression(formatted).ast).toEqual(parseDiceExpression(source).ast)
+    expect(getDiceTerms(parseDiceExpression('2d6max4').ast!)[0].term.operations).toEqual([{ type: 'maximum', value: 4 }])
+    expect(estimateRange(parseDiceExpression('2d6max4'))).toEqual({ min: 2, max: 8 })
+  })
+
+  it('estimates across groups and arithmetic', () => {
+    expect(estimateAverage(parseDiceExpression('1d8+2d6+3'))).toBe(15)
+    expect(estimateRange(parseDiceExpression('(1d6+2)*2'))).toEqual({ min: 6, max: 16 })
+  })
+})
+
+describe('RollEngine expression evaluation', () => {
+  it('rolls every group and shows each in the breakdown', async () => {
+    const engine = new RollEngine({ customDiceRoller: maxRoller })
+    const result = await engine.executeRoll(createDefinition('1d8+2d6-1d4+3'))
+
+    expect(result.total).toBe(8 + 12 - 4 + 3)
+    expect(result.breakdown.filter(item => item.type === 'die').map(item => item.value)).toEqual([8, 12, -4])
+    expect(result.breakdown.reduce((sum, item) => sum + item.value, 0)).toBe(result.total)
+  })
+
+  it('applies multiplication and floor division', async () => {
+    const engine = new RollEngine({ customDiceRoller: maxRoller })
+
+    expect((await engine.executeRoll(createDefinition('(1d6+2)*2'))).total).toBe(16)
+    expect((await engine.executeRoll(createDefinition('1d6/4'))).total).toBe(1)
+
+    const halved = await engine.executeRoll(createDefinition('(2d6+3)/2'))
+    expect(halved.total).toBe(7)
+    expect(halved.breakdown.reduce((sum, item) => sum + item.value, 0)).toBe(7)
+  })
+
+  it('caps dice at the maximum', async () => {
+    const engine = new RollEngine({ customDiceRoller: maxRoller })
+
+    expect((await engine.executeRoll(createDefinition('2d6max4'))).total).toBe(8)
+  })
+
+  it('rolls constant-only expressions as a flat number', async () => {
+    const engine = new RollEngine({ customDiceRoller: maxRoller })
+    const result = await engine.executeRoll(createDefinition('5'))
+
+    expect(result.total).toBe(5)
+    expect(result.breakdown).toHaveLength(1)
+    expect(result.breakdown[0].details?.isFlatNumber).toBe(true)
+  })
+})
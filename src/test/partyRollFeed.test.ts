@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import { addPartyRoll, createPartyRollEvent, isPartyDMUser, toSentRollEvent, PARTY_FEED_LIMIT } from '../utils/partyRollFeed'
+import { isRollVisibleTo, RollAudience } from '../utils/rollVisibility'
+import { generateUserColor } from '../utils/supabase'
+import { RollEngine } from '../utils/rollEngine'
+import { parseAnyDiceExpression } from '../utils/diceParser'
+import { PartyRollEvent, RollDefinition } from '../types/rolls'
+
+const definition = {
+  id: 'feed',
+  name: 'Perception',
+  type: 'skill',
+  baseExpression: parseAnyDiceExpression('1d20+4'),
+  context: {
+    character: { id: 'char', name: 'Thorin', level: 1, abilities: {}, proficiencyBonus: 2 },
+    source: { type: 'skill', name: 'Perception', tags: [] },
+    environment: {}
+  },
+  modifiers: []
+} as unknown as RollDefinition
+
+describe('Party roll feed', () => {
+  it('shares display rolls in the player color without the definition', async () => {
+    const result = await new RollEngine({ customDiceRoller: () => 11 }).executeRoll(definition)
+    const event = createPartyRollEvent(result, { characterId: 'char', characterName: 'Thorin', userId: 'user-1' })
+
+    expect(event).toMatchObject({ id: result.metadata.rollId, characterName: 'Thorin', color: generateUserColor('user-1') })
+    expect(event.rolls[0]).toMatchObject({ total: 15 })
+    expect(JSON.stringify(event)).not.toContain('proficiencyBonus')
+  })
+
+  it('keeps the feed newest first, without repeats, up to the limit', () => {
+    const event = (id: number) => ({ id: `roll-${id}`, timestamp: id, rolls: [] }) as PartyRollEvent
+    let feed = [event(1)]
+    feed = addPartyRoll(feed, event(3))
+    feed = addPartyRoll(feed, event(2))
+    feed = addPartyRoll(feed, event(3))
+
+    expect(feed.map(roll => roll.id)).toEqual(['roll-3', 'roll-2', 'roll-1'])
+
+    for (let i = 4; i < PARTY_FEED_LIMIT + 10; i++) {
+      feed = addPartyRoll(feed, event(i))
+    }
+    expect(feed).toHaveLength(PARTY_FEED_LIMIT)
+  })
+
+  it('keeps secret rolls from everyone but their audience', async () => {
+    const result = await new RollEngine({ seed: 1 }).executeRoll({ ...definition, visibility: 'dm' })
+    const event = createPartyRollEvent(result, { characterId: 'char', characterName: 'Thorin', userId: 'user-1' })
+
+    expect(event.visibility).toBe('dm')
+    expect(toSentRollEvent(event)).toMatchObject({ characterName: 'Thorin', rolls: [], outcome: undefined })
+    expect(['roller', 'party', 'dm'].map(audience => isRollVisibleTo('dm', audience as RollAudience))).toEqual([false, false, true])
+    expect(['roller', 'party', 'dm'].map(audience => isRollVisibleTo('private', audience as RollAudience))).toEqual([true, false, false])
+  })
+
+  it('lets the full secret roll replace the sent record in the DM feed', async () => {
+    const result = await new RollEngine({ seed: 1 }).executeRoll({ ...definition, visibility: 'dm' })
+    const event = createPartyRollEvent(result, { characterId: 'char', characterName: 'Thorin', userId: 'user-1' })
+
+    expect(addPartyRoll([toSentRollEvent(event)], event)).toEqual([event])
+    expect(addPartyRoll([event], toSentRollEvent(event))).toEqual([event])
+  })
+
+  it('trusts only the session creator as the DM', () => {
+    const journal = { dm_user_id: 'dm-user' }
+
+    expect(isPartyDMUser(journal, 'dm-user')).toBe(true)
+    expect(isPartyDMUser(journal, 'player')).toBe(false)
+    expect(isPartyDMUser({ dm_user_id: null }, undefined)).toBe(false)
+  })
+})
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest'
+import { RollEngine, isValidDieFace } from '../utils/rollEngine'
+import { parseAnyDiceExpression } from '../utils/diceParser'
+import { RollDefinition } from '../types/rolls'
+
+const createDefinition = (expression: string): RollDefinition => ({
+  id: 'test',
+  name: 'Test',
+  type: 'attack',
+  baseExpression: parseAnyDiceExpression(expression),
+  context: {
+    character: { id: 'char', name: 'Tester', level: 1, abilities: {}, proficiencyBonus: 2 },
+    source: { type: 'custom', name: 'Test' },
+    environment: {},
+    target: { ac: 15 }
+  }
+} as unknown as RollDefinition)
+
+// Player entering faces one at a time, a little later than the engine asks
+const enterFaces = (faces: number[], delay = 0) => {
+  const asked: number[] = []
+  const roller = (sides: number) => {
+    asked.push(sides)
+    return new Promise<number>(resolve => setTimeout(() => resolve(faces.shift()!), delay))
+  }
+  return { asked, roller }
+}
+
+describe('Physical dice', () => {
+  it('checks faces against the die size', () => {
+    expect(isValidDieFace(20, 20)).toBe(true)
+    expect(isValidDieFace(0, 20)).toBe(false)
+    expect(isValidDieFace(7, 6)).toBe(false)
+    expect(isValidDieFace(2.5, 6)).toBe(false)
+  })
+
+  it('runs entered faces through the normal crit and breakdown math', async () => {
+    // The critical hit asks for the damage die twice
+    const { asked, roller } = enterFaces([20, 6, 3])
+    const result = await new RollEngine({ customDiceRoller: roller }).executeRoll(createDefinition('attack:1d20+5,damage:1d8+3'))
+    const [attack, damage] = result.multiResults!
+
+    expect(asked).toEqual([20, 8, 8])
+    expect(attack.result).toMatchObject({ total: 25, criticalSuccess: true })
+    expect(damage.result.breakdown.find(item => item.type === 'die')?.details?.rolls).toContain(6)
+    expect(result.metadata.random).toBeUndefined()
+  })
+
+  it('rejects faces the die does not have', async () => {
+    const { roller } = enterFaces([21])
+
+    await expect(new RollEngine({ customDiceRoller: roller }).executeRoll(createDefinition('1d20+5')))
+      .rejects.toMatchObject({ code: 'INVALID_DIE_VALUE' })
+  })
+
+  it('waits for the player past the execution time limit', async () => {
+    const { roller } = enterFaces([12], 30)
+    const result = await new RollEngine({ customDiceRoller: roller, maxExecutionTime: 10 }).executeRoll(createDefinition('1d20+5'))
+
+    expect(result.total).toBe(17)
+  })
+
+  it('switches between physical and seeded dice on the same engine', async () => {
+    const engine = new RollEngine({ seed: 42 })
+    const { asked, roller } = enterFaces([4])
+
+    engine.setCustomDiceRoller(roller)
+    expect((await engine.executeRoll(createDefinition('1d6'))).total).toBe(4)
+
+    engine.setCustomDiceRoller(undefined)
+    const seeded = await engine.executeRoll(createDefinition('1d6'))
+    expect(seeded.metadata.random).toBeDefined()
+
+    // Replays re-derive their dice from the seed even while physical dice are on
+    engine.setCustomDiceRoller(roller)
+    expect((await engine.replayRoll(seeded)).total).toBe(seeded.total)
+    expect(asked).toEqual([6])
+  })
+})
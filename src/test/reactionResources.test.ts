@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { renderHook, act } from '@testing-library/react'
+import { useUnifiedRolls } from '../hooks/useUnifiedRolls'
+import { useAbilityResource, refundAbilityResource } from '../utils/resourceManager'
+import { RollEngine } from '../utils/rollEngine'
+import { parseAnyDiceExpression } from '../utils/diceParser'
+import { ModifierType, RollDefinition, RollEngineError, RollReaction } from '../types/rolls'
+
+vi.mock('../utils/resourceManager', () => ({
+  useAbilityResource: vi.fn(async () => ({ success: true })),
+  refundAbilityResource: vi.fn(async () => ({ success: true }))
+}))
+
+const definition = {
+  id: 'attack',
+  name: 'Attack',
+  type: 'attack',
+  baseExpression: parseAnyDiceExpression('1d20+5'),
+  context: {
+    character: { id: 'char', name: 'Tester', level: 1, abilities: {}, proficiencyBonus: 2 },
+    source: { type: 'custom', name: 'Test' },
+    environment: {},
+    target: { ac: 15 }
+  }
+} as unknown as RollDefinition
+
+// Stable config, so the hook keeps one engine across renders
+const config = { customDiceRoller: () => 3 }
+const resources = { abilities: [{ id: 'portent' }], resources: [] }
+const portent: RollReaction = { id: 'portent', name: 'Portent', type: ModifierType.REPLACE_DIE, value: 18, abilityId: 'portent' }
+
+const renderWithPendingRoll = async () => {
+  const { result } = renderHook(() => useUnifiedRolls(config))
+  await act(() => result.current.rollWithReactions(definition))
+  return result
+}
+
+describe('Reaction resources', () => {
+  beforeEach(() => {
+    vi.mocked(useAbilityResource).mockClear()
+    vi.mocked(refundAbilityResource).mockClear()
+  })
+
+  it('spends nothing on a reaction the engine rejects', async () => {
+    const hook = await renderWithPendingRoll()
+
+    await expect(act(() => hook.current.applyReaction({ ...portent, value: 21 }, resources))).rejects.toThrow('1 to 20')
+    expect(useAbilityResource).not.toHaveBeenCalled()
+    expect(hook.current.pendingRoll?.result.total).toBe(8)
+  })
+
+  it('requires resources for reactions that use an ability', async () => {
+    const hook = await renderWithPendingRoll()
+
+    await expect(act(() => hook.current.applyReaction(portent))).rejects.toMatchObject({ code: 'RESOURCE_UNAVAILABLE' })
+    expect(hook.current.pendingRoll?.result.total).toBe(8)
+  })
+
+  it('spends the resource once the reaction is valid', async () => {
+    const hook = await renderWithPendingRoll()
+
+    await act(() => hook.current.applyReaction(portent, resources))
+
+    expect(useAbilityResource).toHaveBeenCalledWith('char', 'portent', resources.abilities, resources.resources)
+    expect(hook.current.pendingRoll?.result.total).toBe(23)
+  })
+
+  it('refunds the resource when the engine fails to apply the reaction', async () => {
+    const hook = await renderWithPendingRoll()
+    const failure = new RollEngineError('No pending roll to react to', 'PENDING_ROLL_NOT_FOUND')
+    const applyReaction = vi.spyOn(RollEngine.prototype, 'applyReaction').mockRejectedValueOnce(failure)
+
+    let error: unknown
+    await act(() => hook.current.applyReaction(portent, resources).catch(caught => { error = caught }))
+
+    expect(error).toBe(failure)
+    expect(useAbilityResource).toHaveBeenCalledOnce()
+    expect(refundAbilityResource).toHaveBeenCalledWith('char', 'portent', resources.abilities, resources.resources)
+    expect(hook.current.pendingRoll?.result.total).toBe(8)
+    applyReaction.mockRestore()
+  })
+})
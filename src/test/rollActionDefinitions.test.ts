@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest'
+import { renderHook, act } from '@testing-library/react'
+import { useUnifiedRolls } from '../hooks/useUnifiedRolls'
+import { useRollActionDefinitions } from '../hooks/useRollActionDefinitions'
+
+type ActiveCharacter = Parameters<typeof useRollActionDefinitions>[0]
+
+const rogue = {
+  id: 'rogue',
+  name: 'Rogue',
+  level: 11,
+  dnd_character_abilities: [{ id: 'reliable-talent', ability_name: 'Reliable Talent' }]
+}
+
+const stealth = { id: 'stealth', name: 'Stealth Check', type: 'skill', skill: 'stealth', proficient: true }
+
+// Stable config, so the hook keeps one engine across renders
+const config = { customDiceRoller: () => 9 }
+
+const renderRolls = () => renderHook(() => {
+  const rolls = useUnifiedRolls(config)
+  return { ...rolls, ...useRollActionDefinitions(rogue as unknown as ActiveCharacter, false, rolls.createRollDefinition) }
+}).result
+
+describe('Roll action definitions', () => {
+  it('keeps skill proficiency on the source, so Reliable Talent floors proficient checks', async () => {
+    const hook = renderRolls()
+
+    const definition = hook.current.createActionDefinition(stealth)
+    const proficient = await act(() => hook.current.executeRoll(definition))
+    const untrained = await act(() => hook.current.executeRoll(hook.current.createActionDefinition({ ...stealth, proficient: false })))
+
+    expect(definition.context.source.properties).toEqual({ skill: 'stealth', proficient: true })
+    expect(proficient.breakdown[0].details!.source).toContain('Reliable Talent: 9 → 10')
+    expect(proficient.total - untrained.total).toBe(1)
+  })
+})
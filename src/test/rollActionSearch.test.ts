@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest'
+import { fuzzyMatchScore, getRollActionUsage, searchRollActions } from '../utils/rollActionSearch'
+import { getTopRollActions } from '../data/rollActionsGenerator'
+import { RollHistoryEntry } from '../types/rolls'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const now = Date.UTC(2025, 0, 31)
+
+const createEntry = (name: string, daysAgo: number, actionId?: string): RollHistoryEntry => ({
+  id: `${name}-${daysAgo}`,
+  characterId: 'char',
+  sessionId: 'session',
+  timestamp: now - daysAgo * DAY_MS,
+  log: { type: 'skill', name, dice: [] },
+  rolls: [],
+  outcome: { type: 'skill', actionId, fairD20s: [], criticalSuccess: false, criticalFailure: false }
+})
+
+const skills = [
+  { id: 'perception', name: 'Perception', modifier: 2 },
+  { id: 'persuasion', name: 'Persuasion', modifier: 5 },
+  { id: 'sleight-of-hand', name: 'Sleight of Hand', modifier: 4 },
+  { id: 'stealth', name: 'Stealth', modifier: 7 }
+]
+
+describe('Roll action search', () => {
+  it('matches letters in order, preferring word starts', () => {
+    expect(fuzzyMatchScore('perc', 'Perception')).not.toBeNull()
+    expect(fuzzyMatchScore('xyz', 'Perception')).toBeNull()
+    expect(fuzzyMatchScore('sa', 'Sneak Attack')).toBeGreaterThan(fuzzyMatchScore('sa', 'Sleight of Hand') as number)
+
+    const { skills: found } = searchRollActions({ skills }, 'perc')
+    expect(found.map(action => action.name)).toEqual(['Perception'])
+  })
+
+  it('ranks equally good matches by recent use, then by modifier', () => {
+    const usage = getRollActionUsage([
+      createEntry('Perception Check', 1, 'perception'),
+      createEntry('Perception Check', 2, 'perception'),
+      createEntry('Persuasion Check', 60, 'persuasion'),
+      createEntry('Persuasion Check', 61, 'persuasion'),
+      createEntry('Persuasion Check', 62, 'persuasion')
+    ], now)
+
+    expect(usage.perception.count).toBe(2)
+    expect(usage.perception.score).toBeGreaterThan(usage.persuasion.score)
+
+    const { skills: ranked } = searchRollActions({ skills }, 'pe', usage)
+    expect(ranked.map(action => action.id)).toEqual(['perception', 'persuasion'])
+  })
+
+  it('puts the most used actions at the top', () => {
+    const usage = getRollActionUsage([createEntry('sleight of hand', 0)], now)
+    const rollActions = { attacks: [], skills, abilities: [], saves: [], combat: [] }
+
+    expect(getTopRollActions(rollActions, 2, usage).map(action => action.id)).toEqual(['sleight-of-hand', 'stealth'])
+  })
+})
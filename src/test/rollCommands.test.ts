@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import { parseRollCommand, resolveRollCommand, applyRollOptions, describeRollOptions } from '../utils/rollCommands'
+import { toLabeledExpression } from '../utils/rollIntegration'
+import { RollDefinition } from '../types/rolls'
+
+const rollActions = {
+  attacks: [{ id: 'rapier', name: 'Rapier Attack', type: 'attack', modifier: 5 }],
+  skills: [{ id: 'stealth', name: 'Stealth', type: 'skill', modifier: 7 }],
+  saves: [{ id: 'wisdom-save', name: 'Wisdom Save', type: 'save', modifier: 1 }],
+  utility: [{ id: 'hide-toggle', name: 'Hide/Reveal', type: 'toggle', modifier: 0 }]
+}
+
+const definition = {
+  id: 'roll',
+  type: 'attack',
+  name: 'Rapier Attack',
+  modifiers: [],
+  context: {
+    character: { id: 'char', level: 3, ability_scores: {}, proficiencyBonus: 2 },
+    source: { type: 'weapon', name: 'Rapier', tags: [] },
+    target: { ac: 15 },
+    environment: { advantage: false, disadvantage: false, hidden: false, blessed: false, inspired: false, conditions: [] }
+  }
+} as unknown as RollDefinition
+
+describe('Roll commands', () => {
+  it('splits phrases into an action and options', () => {
+    expect(parseRollCommand('stealth with advantage')).toEqual({ actionQuery: 'stealth', options: { advantage: true } })
+    expect(parseRollCommand('Rapier attack vs AC 15')).toEqual({ actionQuery: 'rapier attack', options: { targetAC: 15 } })
+    expect(parseRollCommand('roll a wisdom saving throw at disadvantage DC 14')).toEqual({
+      actionQuery: 'wisdom saving throw',
+      options: { disadvantage: true, dc: 14 }
+    })
+    expect(parseRollCommand('rapier from hiding vs the goblin')).toEqual({
+      actionQuery: 'rapier',
+      options: { hidden: true, targetAC: 13, targetName: 'Goblin' }
+    })
+    expect(parseRollCommand('stealth')).toBeNull()
+  })
+
+  it('finds the named action across categories', () => {
+    expect(resolveRollCommand(parseRollCommand('stealth check adv')!, rollActions)).toMatchObject({
+      id: 'stealth',
+      rollOptions: { advantage: true }
+    })
+    expect(resolveRollCommand(parseRollCommand('wisdom saving throw dc 12')!, rollActions)?.id).toBe('wisdom-save')
+    expect(resolveRollCommand(parseRollCommand('hide adv')!, rollActions)).toBeNull()
+  })
+
+  it('sets the options on a roll definition', () => {
+    const withTarget = applyRollOptions(definition, { advantage: true, hidden: true, targetAC: 17 })
+    expect(withTarget.context.environment).toMatchObject({ advantage: true, hidden: true, disadvantage: false })
+    expect(withTarget.context.target?.ac).toBe(17)
+
+    const withDC = applyRollOptions(definition, { dc: 14 })
+    expect(withDC.context.target).toEqual({ ac: undefined, saveBonus: 14 })
+    expect(definition.context.target).toEqual({ ac: 15 })
+
+    expect(describeRollOptions({ advantage: true, dc: 14, targetAC: 13, targetName: 'Goblin' }))
+      .toEqual(['Advantage', 'DC 14', 'vs Goblin (AC 13)'])
+  })
+
+  it('turns integration wrapper expressions into labeled expressions', () => {
+    expect(toLabeledExpression({
+      baseExpression: { expressions: [{ label: 'attack', expression: '1d20', modifier: 5 }, { label: 'damage', expression: '1d10' }] }
+    })).toBe('attack:1d20+5,damage:1d10')
+  })
+})
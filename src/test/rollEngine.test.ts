@@ -0,0 +1,756 @@
+import { describe, it, expect, vi } from 'vitest'
+import { RollEngine } from '../utils/rollEngine'
+import { parseAnyDiceExpression, parseDiceExpression } from '../utils/diceParser'
+import { SeededRandom } from '../utils/seededRandom'
+import { applyDamagePipeline } from '../utils/damagePipeline'
+import { createGroupCheck, createContestedCheck, CONTESTED_CHECKS } from '../utils/skillCheckResolvers'
+import { performWeaponAttackUnified, createWeaponAttackSequence, getAttacksPerAction } from '../utils/rollIntegration'
+import { dieFloorFeaturesPlugin, criticalRangeFeaturesPlugin, defaultResolversPlugin, FEATURE_PLUGINS } from '../utils/rollResolvers'
+import { transformRollResultToLog } from '../utils/rollDataTransforms'
+import { getRollVisibility } from '../utils/rollVisibility'
+import {
+  RollDefinition,
+  RollModifier,
+  RollType,
+  ModifierType,
+  ModifierSource,
+  ApplicationTiming,
+  DamageDefenses,
+  AttackSequenceDefinition,
+  RollReaction,
+  RollPlugin
+} from '../types/rolls'
+
+const createDefinition = (expression: string, type: RollType = 'damage'): RollDefinition => ({
+  id: 'test',
+  name: 'Test',
+  type,
+  baseExpression: parseAnyDiceExpression(expression),
+  context: {
+    character: { id: 'char', name: 'Tester', level: 1, abilities: {}, proficiencyBonus: 2 },
+    source: { type: 'custom', name: 'Test' },
+    environment: {}
+  }
+} as unknown as RollDefinition)
+
+// Deterministic roller: every die shows its highest face
+const maxRoller = (sides: number) => sides
+
+describe('Seeded rolls', () => {
+  it('produces the same dice for the same seed', async () => {
+    const first = await new RollEngine({ seed: 1234 }).executeRoll(createDefinition('4d6dl1+2d8'))
+    const second = await new RollEngine({ seed: 1234 }).executeRoll(createDefinition('4d6dl1+2d8'))
+
+    expect(second.breakdown).toEqual(first.breakdown)
+    expect(second.total).toBe(first.total)
+  })
+
+  it('records the seed and draw index of each roll', async () => {
+    const engine = new RollEngine({ seed: 99 })
+    const first = await engine.executeRoll(createDefinition('2d20kh1'))
+    const second = await engine.executeRoll(createDefinition('1d6x'))
+
+    expect(first.metadata.random).toEqual({ seed: 99, drawIndex: 0, draws: 2 })
+    expect(second.metadata.random?.drawIndex).toBe(2)
+    expect(engine.getRandomState().drawIndex).toBe(2 + second.metadata.random!.draws)
+  })
+
+  it('replays any roll in history exactly', async () => {
+    const engine = new RollEngine({ seed: 7 })
+    const rolls = []
+    for (let i = 0; i < 5; i++) {
+      rolls.push(await engine.executeRoll(createDefinition('attack:1d20+5,damage:2d6r1,2+3')))
+    }
+
+    const replayed = await new RollEngine().replayRoll(rolls[3])
+
+    expect(replayed.total).toBe(rolls[3].total)
+    expect(replayed.breakdown).toEqual(rolls[3].breakdown)
+  })
+
+  it('keeps draw indices consistent when rolls overlap', async () => {
+    const engine = new RollEngine({ seed: 3 })
+    const results = await Promise.all([
+      engine.executeRoll(createDefinition('3d6')),
+      engine.executeRoll(createDefinition('3d6'))
+    ])
+
+    expect(results.map(r => r.metadata.random?.drawIndex)).toEqual([0, 3])
+    expect((await engine.replayRoll(results[1])).breakdown).toEqual(results[1].breakdown)
+  })
+
+  it('does not record a seed for custom dice rollers', async () => {
+    const engine = new RollEngine({ customDiceRoller: () => 1 })
+    const result = await engine.executeRoll(createDefinition('1d20'))
+
+    expect(result.metadata.random).toBeUndefined()
+    await expect(engine.replayRoll(result)).rejects.toThrow('cannot be replayed')
+  })
+
+  it('resumes a stream at a draw index', () => {
+    const stream = new SeededRandom(42)
+    const draws = Array.from({ length: 6 }, () => stream.rollDie(20))
+
+    const resumed = new SeededRandom(42, undefined, 3)
+
+    expect([resumed.rollDie(20), resumed.rollDie(20), resumed.rollDie(20)]).toEqual(draws.slice(3))
+    expect(resumed.drawIndex).toBe(6)
+  })
+})
+
+describe('Critical damage', () => {
+  // Natural 20 on the attack, 1s on every damage die
+  const critRoller = (sides: number) => sides === 20 ? 20 : 1
+  const attackWithRiders = 'attack:1d20+5,damage:1d8+3,sneak_attack:2d6'
+
+  const criticalRows = (result: Awaited<ReturnType<RollEngine['executeRoll']>>) =>
+    result.breakdown.filter(item => item.type === 'critical')
+
+  const createEngine = (damageStrategy: string, affectedDice = 'weapon_only', additionalDice?: string) => new RollEngine({
+    customDiceRoller: critRoller,
+    criticalRules: { range: [20], damageStrategy, affectedDice, additionalDice, failureRange: [1] }
+  } as any)
+
+  it('rolls extra weapon dice and skips riders with weapon_only', async () => {
+    const result = await createEngine('double_dice').executeRoll(createDefinition(attackWithRiders, 'attack'))
+
+    expect(result.criticalSuccess).toBe(true)
+    expect(criticalRows(result).map(row => row.value)).toEqual([1])
+    expect(result.total).toBe(25 + (1 + 3) + 2 + 1)
+  })
+
+  it('includes rider dice with all_damage', async () => {
+    const result = await createEngine('double_dice', 'all_damage').executeRoll(createDefinition(attackWithRiders, 'attack'))
+
+    expect(criticalRows(result).map(row => row.details?.rolls)).toEqual([[1], [1, 1]])
+  })
+
+  it('adds maximum dice for max_plus_roll', async () => {
+    const result = await createEngine('max_plus_roll').executeRoll(createDefinition(attackWithRiders, 'attack'))
+
+    expect(criticalRows(result).map(row => row.value)).toEqual([8])
+  })
+
+  it('doubles dice and modifiers for double_total', async () => {
+    const engine = createEngine('double_total')
+    const result = await engine.executeRoll(createDefinition(attackWithRiders, 'attack'))
+    const excluded = await createEngine('double_total', 'exclude_modifiers').executeRoll(createDefinition(attackWithRiders, 'attack'))
+
+    expect(criticalRows(result).map(row => row.value)).toEqual([1, 3])
+    expect(criticalRows(excluded).map(row => row.value)).toEqual([1, 2])
+  })
+
+  it('adds extra weapon dice for brutal crits', async () => {
+    const result = await createEngine('brutal').executeRoll(createDefinition(attackWithRiders, 'attack'))
+    const custom = await createEngine('brutal', 'weapon_only', '2d8').executeRoll(createDefinition(attackWithRiders, 'attack'))
+
+    expect(criticalRows(result).map(row => row.value)).toEqual([8, 1])
+    expect(criticalRows(custom).map(row => row.details?.rolls)).toEqual([[8], [1, 1]])
+  })
+
+  it('applies to separate damage rolls that follow a critical hit', async () => {
+    const engine = createEngine('double_dice')
+    const normal = await engine.executeRoll(createDefinition('2d6+3'))
+    const critical = await engine.executeRoll({ ...createDefinition('2d6+3'), critical: true })
+
+    expect(criticalRows(normal)).toHaveLength(0)
+    expect(critical.total).toBe(2 + 3 + 2)
+  })
+
+  it('leaves damage alone when the attack misses the critical range', async () => {
+    const engine = new RollEngine({ customDiceRoller: sides => sides === 20 ? 19 : 1 })
+    const result = await engine.executeRoll(createDefinition(attackWithRiders, 'attack'))
+
+    expect(result.criticalSuccess).toBe(false)
+    expect(criticalRows(result)).toHaveLength(0)
+  })
+})
+
+describe('Dice bonus modifiers', () => {
+  const createDiceBonus = (id: string, name: string, dice: string, application: ApplicationTiming): RollModifier => ({
+    id,
+    name,
+    source: ModifierSource.SPELL,
+    type: ModifierType.DICE_BONUS,
+    value: parseDiceExpression(dice),
+    application,
+    stacks: true,
+    priority: 50
+  })
+
+  const bless = createDiceBonus('bless', 'Bless', '1d4', ApplicationTiming.BEFORE_ROLL)
+  const sneakAttack = createDiceBonus('sneak_attack', 'Sneak Attack', '2d6', ApplicationTiming.ON_DAMAGE)
+
+  it('rolls dice bonuses into d20 totals as their own rows', async () => {
+    const engine = new RollEngine({ customDiceRoller: sides => sides === 4 ? 3 : 10 })
+    engine.addTemporaryModifiers([bless])
+    const result = await engine.executeRoll(createDefinition('1d20+5', 'attack'))
+
+    expect(result.total).toBe(10 + 5 + 3)
+    expect(result.breakdown.at(-1)).toMatchObject({ type: 'modifier', label: 'Bless', value: 3, details: { rolls: [3], sides: 4 } })
+    expect(result.metadata.modifiersApplied).toEqual(['bless'])
+  })
+
+  it('adds damage riders to damage only and doubles them on a crit', async () => {
+    const engine = new RollEngine({
+      customDiceRoller: sides => sides === 20 ? 20 : 2,
+      criticalRules: { range: [20], damageStrategy: 'double_dice', affectedDice: 'all_damage', failureRange: [1] }
+    } as any)
+    engine.addTemporaryModifiers([bless, sneakAttack])
+    const result = await engine.executeRoll(createDefinition('attack:1d20+5,damage:1d8+3', 'attack'))
+    const [attack, damage] = result.multiResults!
+
+    expect(attack.result.breakdown.map(item => item.label)).not.toContain('Sneak Attack')
+    expect(damage.result.breakdown.map(item => item.label)).not.toContain('Bless')
+    expect(damage.result.total).toBe((2 + 3) + 4 + 2 + 4)
+  })
+})
+
+describe('Damage types', () => {
+  const createDamage = (expression: string, defenses: DamageDefenses, damageType = 'slashing') => {
+    const definition = createDefinition(expression)
+    definition.context.source.properties = { damageType }
+    definition.context.target = { defenses }
+    return definition
+  }
+
+  it('applies flat reductions before halving and rounds down', () => {
+    const result = applyDamagePipeline(
+      [{ type: 'slashing', amount: 10 }],
+      { resistances: ['slashing'], reductions: [{ amount: 3, source: 'Heavy Armor Master' }] }
+    )
+
+    expect(result.total).toBe(3)
+    expect(result.packets[0].steps.map(step => step.label)).toEqual(['Heavy Armor Master', 'Slashing Resistance'])
+  })
+
+  it('applies defenses per damage type across a roll', async () => {
+    const engine = new RollEngine({ customDiceRoller: maxRoller })
+    const result = await engine.executeRoll(createDamage(
+      'damage:1d8+3,fire:2d6,necrotic:1d4',
+      { resistances: ['slashing'], vulnerabilities: ['fire'], immunities: ['necrotic'] }
+    ))
+
+    expect(result.damage?.packets.map(packet => [packet.type, packet.final])).toEqual([
+      ['slashing', 5], ['fire', 24], ['necrotic', 0]
+    ])
+    expect(result.total).toBe(5 + 24)
+    expect(result.breakdown.reduce((sum, item) => sum + item.value, 0)).toBe(result.total)
+  })
+
+  it('combines damage of the same type before halving', async () => {
+    const engine = new RollEngine({ customDiceRoller: maxRoller })
+    const result = await engine.executeRoll(createDamage('damage:1d4+1,sneak_attack:1d4+1', { resistances: ['slashing'] }))
+
+    expect(result.total).toBe(5)
+  })
+
+  it('applies divider modifiers before resistance', async () => {
+    const engine = new RollEngine({ customDiceRoller: maxRoller })
+    const definition = createDamage('15', { resistances: ['fire'] }, 'fire')
+    definition.modifiers = [{
+      id: 'uncanny_dodge',
+      name: 'Uncanny Dodge',
+      source: ModifierSource.CLASS_FEATURE,
+      type: ModifierType.DIVIDER,
+      value: 2,
+      application: ApplicationTiming.ON_DAMAGE,
+      stacks: false,
+      priority: 15
+    }]
+
+    expect((await engine.executeRoll(definition)).total).toBe(3)
+  })
+})
+
+describe('Attack sequences', () => {
+  const createSequence = (attackRolls: number[], modifiers: RollModifier[] = []): [RollEngine, AttackSequenceDefinition] => {
+    const queue = [...attackRolls]
+    const engine = new RollEngine({ customDiceRoller: sides => sides === 20 ? queue.shift()! : 1 })
+    const context = createDefinition('1d20').context
+    context.target = { ac: 15 }
+
+    return [engine, {
+      id: 'extra_attack',
+      name: 'Longsword',
+      context,
+      modifiers,
+      attacks: attackRolls.map((_, index) => ({
+        label: `Attack ${index + 1}`,
+        attack: parseDiceExpression('1d20+5'),
+        damage: parseAnyDiceExpression('1d8+3'),
+        damageType: 'slashing' as const
+      }))
+    }]
+  }
+
+  it('only rolls damage for hits', async () => {
+    const [engine, sequence] = createSequence([12, 2, 20])
+    const result = await engine.executeAttackSequence(sequence)
+
+    expect(result.attacks!.map(outcome => [outcome.hit, outcome.critical])).toEqual([[true, false], [false, false], [true, true]])
+    expect(result.attacks![1].damage).toBeUndefined()
+    expect(result.total).toBe((1 + 3) + (1 + 3 + 1))
+    expect(result.success).toBe(true)
+  })
+
+  it('applies once-per-turn riders to the first hit only', async () => {
+    const sneakAttack: RollModifier = {
+      id: 'sneak_attack',
+      name: 'Sneak Attack',
+      source: ModifierSource.CLASS_FEATURE,
+      type: ModifierType.DICE_BONUS,
+      value: parseDiceExpression('3d6'),
+      application: ApplicationTiming.ONCE_PER_TURN,
+      stacks: false,
+      priority: 50
+    }
+    const [engine, sequence] = createSequence([5, 15, 18], [sneakAttack])
+    const result = await engine.executeAttackSequence(sequence)
+    const riders = result.attacks!.map(outcome => outcome.damage?.metadata.modifiersApplied)
+
+    expect(riders).toEqual([undefined, ['sneak_attack'], []])
+    expect(result.total).toBe((1 + 3 + 3) + (1 + 3))
+  })
+
+  it('requires a target AC', async () => {
+    const [engine, sequence] = createSequence([10])
+    sequence.context.target = undefined
+
+    await expect(engine.executeAttackSequence(sequence)).rejects.toThrow('target AC')
+  })
+
+  it('swings once per attack for characters with Extra Attack', async () => {
+    const weapon = { name: 'Longsword', attack_bonus: 5, damage_dice: '1d8', damage_bonus: 3, damage_type: 'Slashing' }
+    const fighter = { dnd_character_abilities: [{ ability_name: 'Extra Attack (2)' }] }
+    const context = { ...createDefinition('1d20').context, target: { ac: 15 } }
+
+    expect(getAttacksPerAction(fighter)).toBe(3)
+    expect(getAttacksPerAction({ dnd_character_abilities: [{ ability_name: 'Extra Attack' }] })).toBe(2)
+    expect(getAttacksPerAction({})).toBe(1)
+
+    const sequence = createWeaponAttackSequence(performWeaponAttackUnified(weapon, fighter), 3, context)
+    const queue = [12, 2, 20]
+    const result = await new RollEngine({ customDiceRoller: sides => sides === 20 ? queue.shift()! : 1 }).executeAttackSequence(sequence)
+
+    expect(result.attacks!.map(outcome => outcome.hit)).toEqual([true, false, true])
+    expect(result.attacks![0].damage!.metadata.definition.context.source.properties?.damageType).toBe('slashing')
+    expect(result.total).toBe((1 + 3) + (1 + 3 + 1))
+  })
+})
+
+describe('Reactions', () => {
+  const lucky: RollReaction = { id: 'lucky', name: 'Lucky', type: ModifierType.REROLL, keep: 'highest' }
+
+  const createAttack = () => {
+    const definition = createDefinition('1d20+5', 'attack')
+    definition.context.target = { ac: 15 }
+    return definition
+  }
+
+  it('rerolls the d20 and keeps the original in the breakdown', async () => {
+    const rolls = [3, 19]
+    const engine = new RollEngine({ customDiceRoller: () => rolls.shift()! })
+    const pending = await engine.executePendingRoll(createAttack())
+
+    expect(pending.result.multiResults![0].result.success).toBe(false)
+
+    await engine.applyReaction(pending.id, lucky)
+    const result = engine.resolvePendingRoll(pending.id)
+
+    expect(result.total).toBe(24)
+    expect(result.multiResults![0].result.success).toBe(true)
+    expect(result.breakdown.map(item => [item.type, item.value])).toEqual([['die', 3], ['reroll', 16], ['modifier', 5]])
+    expect(result.reactions![0]).toMatchObject({ originalRoll: 3, newRoll: 19, rolls: [3, 19] })
+    expect(engine.getPendingRoll(pending.id)).toBeUndefined()
+  })
+
+  it('replaces the d20 with a portent and re-checks criticals', async () => {
+    const engine = new RollEngine({ customDiceRoller: () => 20 })
+    const pending = await engine.executePendingRoll(createAttack())
+    const portent: RollReaction = { id: 'portent', name: 'Portent', type: ModifierType.REPLACE_DIE, value: 2 }
+
+    await engine.applyReaction(pending.id, portent)
+
+    expect(pending.result.criticalSuccess).toBe(false)
+    expect(pending.result.total).toBe(7)
+    await expect(engine.applyReaction(pending.id, { ...portent, value: 21 })).rejects.toThrow('1 to 20')
+  })
+
+  it('adds bardic inspiration as its own row', async () => {
+    const engine = new RollEngine({ customDiceRoller: sides => sides === 20 ? 8 : 4 })
+    const pending = await engine.executePendingRoll(createAttack())
+    const inspiration: RollReaction = {
+      id: 'bardic_inspiration',
+      name: 'Bardic Inspiration',
+      type: ModifierType.DICE_BONUS,
+      value: parseDiceExpression('1d6')
+    }
+
+    await engine.applyReaction(pending.id, inspiration)
+
+    expect(pending.result.total).toBe(8 + 5 + 4)
+    expect(pending.result.breakdown[1]).toMatchObject({ label: 'Bardic Inspiration', value: 4, details: { sides: 6 } })
+  })
+})
+
+describe('Timed modifiers', () => {
+  const createTimed = (id: string, duration: RollModifier['duration']): RollModifier => ({
+    id,
+    name: id,
+    source: ModifierSource.SPELL,
+    type: ModifierType.FLAT_BONUS,
+    value: 2,
+    application: ApplicationTiming.AFTER_ROLL,
+    stacks: true,
+    priority: 50,
+    duration
+  })
+
+  const activeIds = (engine: RollEngine) => engine.getActiveModifiers('char').map(active => active.modifier.id)
+
+  it('expires round, minute and end-of-turn durations on the clock', () => {
+    const engine = new RollEngine()
+    engine.addTemporaryModifiers([
+      createTimed('rage', { unit: 'minutes', amount: 1 }),
+      createTimed('shield', { unit: 'rounds', amount: 1 }),
+      createTimed('dodge', { unit: 'end_of_turn' })
+    ], 'char')
+
+    expect(engine.endTurn('char').map(modifier => modifier.id)).toEqual(['dodge', 'shield'])
+    expect(engine.getCombatClock().round).toBe(2)
+
+    for (let turn = 0; turn < 8; turn++) engine.endTurn('char')
+    expect(activeIds(engine)).toEqual(['rage'])
+    engine.endTurn('char')
+    expect(activeIds(engine)).toEqual([])
+  })
+
+  it("counts down only the ending character's modifiers", () => {
+    const engine = new RollEngine()
+    engine.addTemporaryModifiers([createTimed('bless', { unit: 'rounds', amount: 2 })], 'char')
+    engine.addTemporaryModifiers([createTimed('rage', { unit: 'rounds', amount: 2 })], 'other')
+
+    engine.endTurn('other')
+    engine.endTurn('other')
+
+    expect(engine.getActiveModifiers('other')).toEqual([])
+    expect(engine.getActiveModifiers('char')).toMatchObject([{ modifier: { id: 'bless' }, remainingRounds: 2 }])
+  })
+
+  it('ends concentration effects and only applies to their character', async () => {
+    const engine = new RollEngine({ customDiceRoller: maxRoller })
+    engine.addTemporaryModifiers([
+      createTimed('bless', { unit: 'minutes', amount: 1, concentration: true }),
+      createTimed('rage', { unit: 'minutes', amount: 1 })
+    ], 'char')
+    engine.addTemporaryModifiers([createTimed('hunters_mark', { unit: 'concentration' })], 'other')
+
+    expect((await engine.executeRoll(createDefinition('1d20', 'attack'))).total).toBe(24)
+
+    engine.breakConcentration('char')
+    expect(activeIds(engine)).toEqual(['rage'])
+    expect(engine.getActiveModifiers('other')).toHaveLength(1)
+  })
+
+  it('restores a saved snapshot with its remaining rounds', () => {
+    const engine = new RollEngine()
+    engine.addTemporaryModifiers([createTimed('bless', { unit: 'rounds', amount: 3 })], 'char')
+    engine.endTurn('char')
+    const saved = JSON.parse(JSON.stringify(engine.getActiveModifierState('char')))
+
+    const reloaded = new RollEngine()
+    reloaded.restoreActiveModifierState('char', saved)
+
+    expect(reloaded.getCombatClock().round).toBe(2)
+    expect(reloaded.getActiveModifiers('char')[0]).toMatchObject({ remainingRounds: 2, appliedRound: 1 })
+  })
+
+  it('rebuilds keyed conditions after a reload and does not save unkeyed ones', async () => {
+    const engine = new RollEngine()
+    engine.addTemporaryModifiers([
+      { ...createTimed('vs_undead', { unit: 'minutes', amount: 1 }), conditionKey: 'target_type:undead' },
+      { ...createTimed('vs_dragons', { unit: 'minutes', amount: 1 }), condition: ctx => ctx.target?.creatureType === 'dragon' }
+    ], 'char')
+    const saved = JSON.parse(JSON.stringify(engine.getActiveModifierState('char')))
+
+    const reloaded = new RollEngine({ customDiceRoller: () => 10 })
+    reloaded.restoreActiveModifierState('char', saved)
+    const rollAgainst = (creatureType: string) => {
+      const definition = createDefinition('1d20', 'attack')
+      definition.context.target = { creatureType }
+      return reloaded.executeRoll(definition)
+    }
+
+    expect(reloaded.getActiveModifiers('char').map(active => active.modifier.id)).toEqual(['vs_undead'])
+    expect((await rollAgainst('undead')).total).toBe(12)
+    expect((await rollAgainst('beast')).total).toBe(10)
+    expect(() => engine.addTemporaryModifiers([{ ...createTimed('odd', undefined), conditionKey: 'phase_of_moon:full' }], 'char'))
+      .toThrow('Unknown modifier condition')
+  })
+})
+
+describe('Plugins', () => {
+  it('runs hooks in priority order and lets beforeRoll change the definition', async () => {
+    const calls: string[] = []
+    const homebrew: RollPlugin = {
+      id: 'homebrew',
+      priority: 10,
+      beforeRoll: definition => {
+        calls.push('homebrew')
+        return { ...definition, baseExpression: parseAnyDiceExpression('1d20+1') }
+      }
+    }
+    const feed: RollPlugin = {
+      id: 'feed',
+      beforeRoll: () => { calls.push('feed') },
+      afterRoll: async result => { calls.push(`after ${result.total}`) },
+      onCritical: () => { calls.push('critical') }
+    }
+    const engine = new RollEngine({ customDiceRoller: maxRoller, plugins: [feed, homebrew] })
+
+    const result = await engine.executeRoll(createDefinition('1d20', 'attack'))
+
+    expect(result.total).toBe(21)
+    expect(calls).toEqual(['homebrew', 'feed', 'after 21', 'critical'])
+  })
+
+  it('fails the roll when a before hook throws but only logs failing subscribers', async () => {
+    const engine = new RollEngine({ customDiceRoller: maxRoller })
+    const unregister = engine.registerPlugin({ id: 'broken', beforeRoll: () => { throw new Error('bad rule') } })
+
+    await expect(engine.executeRoll(createDefinition('1d6'))).rejects.toMatchObject({ code: 'PLUGIN_ERROR' })
+
+    unregister()
+    const errors = vi.spyOn(console, 'error').mockImplementation(() => {})
+    engine.registerPlugin({ id: 'sound', afterRoll: () => { throw new Error('no audio') } })
+
+    expect((await engine.executeRoll(createDefinition('1d6'))).total).toBe(6)
+    expect(errors).toHaveBeenCalledOnce()
+    errors.mockRestore()
+  })
+
+  it('notifies pending rolls once they are resolved', async () => {
+    const afterRoll = vi.fn()
+    const engine = new RollEngine({ customDiceRoller: () => 8, plugins: [{ id: 'journal', afterRoll }] })
+    const pending = await engine.executePendingRoll(createDefinition('1d20', 'attack'))
+
+    expect(afterRoll).not.toHaveBeenCalled()
+    engine.resolvePendingRoll(pending.id)
+    await vi.waitFor(() => expect(afterRoll).toHaveBeenCalledWith(pending.result))
+  })
+})
+
+describe('Group checks', () => {
+  const createCharacter = (id: string, dexterity: number, stealthProficient = false) => ({
+    id,
+    name: id,
+    level: 1,
+    dnd_character_stats: { dexterity },
+    dnd_character_proficiencies: { skill_proficiencies: stealthProficient ? ['Stealth'] : [] }
+  })
+
+  it('succeeds when at least half of the party succeeds', async () => {
+    const engine = new RollEngine({ customDiceRoller: () => 10 })
+    const party = [createCharacter('rogue', 16), createCharacter('cleric', 10), createCharacter('ranger', 14, true), createCharacter('fighter', 8)]
+
+    const result = await engine.executeGroupCheck(createGroupCheck(party, 'skill', 'Stealth', 13))
+
+    expect(result.group!.map(outcome => [outcome.name, outcome.result.total, outcome.success])).toEqual([
+      ['rogue', 13, true],
+      ['cleric', 10, false],
+      ['ranger', 14, true],
+      ['fighter', 9, false]
+    ])
+    expect(result.total).toBe(2)
+    expect(result.success).toBe(true)
+    expect(result.targetNumber).toBe(13)
+  })
+
+  it('ignores natural 20s and rejects an empty group', async () => {
+    const engine = new RollEngine({ customDiceRoller: () => 20 })
+    const result = await engine.executeGroupCheck(createGroupCheck([createCharacter('wizard', 8)], 'save', 'Dexterity', 25))
+
+    expect(result.success).toBe(false)
+    await expect(engine.executeGroupCheck({ id: 'g', name: 'Stealth', type: 'skill', dc: 10, members: [] }))
+      .rejects.toMatchObject({ code: 'EMPTY_GROUP' })
+  })
+
+  it('keeps its visibility and logs one dice group per member', async () => {
+    const engine = new RollEngine({ customDiceRoller: () => 10 })
+    const party = [createCharacter('rogue', 16), createCharacter('fighter', 8)]
+
+    const result = await engine.executeGroupCheck({ ...createGroupCheck(party, 'skill', 'Stealth', 13), visibility: 'dm' })
+    const log = transformRollResultToLog(result)
+
+    expect(getRollVisibility(result)).toBe('dm')
+    expect(log.name).toBe('Group Stealth Check')
+    expect(log.dice.map(group => [group.name, group.dice, group.total])).toEqual([
+      ['Rogue', ['d20: 10'], 13],
+      ['Fighter', ['d20: 10'], 9]
+    ])
+  })
+})
+
+describe('Contested checks', () => {
+  const createCharacter = (id: string, stats: Record<string, number>, skills: string[] = []) => ({
+    character: {
+      id,
+      name: id,
+      level: 1,
+      dnd_character_stats: stats,
+      dnd_character_proficiencies: { skill_proficiencies: skills }
+    }
+  })
+
+  it('lets the defender use their better skill and the initiator win by beating it', async () => {
+    const engine = new RollEngine({ customDiceRoller: () => 10 })
+    const contest = createContestedCheck(
+      CONTESTED_CHECKS.grapple,
+      createCharacter('fighter', { strength: 16 }, ['Athletics']),
+      createCharacter('rogue', { strength: 10, dexterity: 14 })
+    )
+
+    const result = await engine.executeContestedCheck(contest)
+
+    expect(contest.defender.context.source.name).toBe('Acrobatics')
+    expect(result.contest).toMatchObject({ winner: 'initiator', tie: false })
+    expect(result.total).toBe(15)
+    expect(result.targetNumber).toBe(12)
+    expect(result.success).toBe(true)
+  })
+
+  it('leaves the situation unchanged on a tie', async () => {
+    const engine = new RollEngine({ customDiceRoller: () => 10 })
+    const result = await engine.executeContestedCheck(createContestedCheck(
+      CONTESTED_CHECKS.hide,
+      createCharacter('rogue', { dexterity: 12 }),
+      createCharacter('guard', { wisdom: 12 })
+    ))
+
+    expect(result.contest).toMatchObject({ winner: 'defender', tie: true })
+    expect(result.success).toBe(false)
+  })
+
+  it('keeps the initiator\'s visibility and logs both sides', async () => {
+    const engine = new RollEngine({ customDiceRoller: () => 10 })
+    const contest = createContestedCheck(
+      CONTESTED_CHECKS.shove,
+      createCharacter('fighter', { strength: 16 }, ['Athletics']),
+      createCharacter('rogue', { strength: 10, dexterity: 14 })
+    )
+
+    const result = await engine.executeContestedCheck({ ...contest, initiator: { ...contest.initiator, visibility: 'private' } })
+    const log = transformRollResultToLog(result)
+
+    expect(getRollVisibility(result)).toBe('private')
+    expect(log.name).toBe('Shove')
+    expect(log.dice.map(group => [group.name, group.total])).toEqual([['Fighter', 15], ['Rogue', 12]])
+  })
+})
+
+describe('Die floor features', () => {
+  const createCheck = (expression: string, character: Record<string, unknown>, proficient = true) => {
+    const definition = createDefinition(expression, 'skill')
+    Object.assign(definition.context.character, character)
+    definition.context.source = { type: 'skill', name: 'Stealth', tags: [], properties: { proficient } }
+    return definition
+  }
+  const sequenceRoller = (...rolls: number[]) => () => rolls.shift() ?? 10
+
+  it('treats a low d20 as 10 on proficient checks with Reliable Talent', async () => {
+    const engine = new RollEngine({ customDiceRoller: () => 4, plugins: [dieFloorFeaturesPlugin] })
+    const rogue = { dnd_character_abilities: [{ ability_name: 'Reliable Talent' }] }
+
+    const proficient = await engine.executeRoll(createCheck('1d20+7', rogue))
+    const untrained = await engine.executeRoll(createCheck('1d20+1', rogue, false))
+
+    expect(proficient.total).toBe(17)
+    expect(proficient.breakdown[0].details!.source).toBe('Original: [4]; Reliable Talent: 4 → 10')
+    expect(proficient.multiResults![0].result.breakdown[0].label).toBe('Dice (Reliable Talent: 4 → 10)')
+    expect(proficient.metadata.modifiersApplied).toContain('reliable_talent')
+    expect(untrained.total).toBe(5)
+  })
+
+  it('rerolls a natural 1 once for halflings, before advantage keeps a die', async () => {
+    const halfling = { race: 'Lightfoot Halfling' }
+    const engine = new RollEngine({ customDiceRoller: sequenceRoller(1, 1), plugins: [dieFloorFeaturesPlugin] })
+
+    // Only once: a second 1 stands
+    expect((await engine.executeRoll(createCheck('1d20', halfling))).total).toBe(1)
+
+    const advantage = new RollEngine({ customDiceRoller: sequenceRoller(1, 8, 12), plugins: [dieFloorFeaturesPlugin] })
+    const kept = await advantage.executeRoll(createCheck('2d20kh1', halfling))
+
+    expect(kept.total).toBe(12)
+    expect(kept.breakdown[0].details!.source).toBe('Original: [1, 8]; Lucky: 1 → 12')
+  })
+
+  it('leaves d20 features to the feature plugins, not the default resolvers', () => {
+    const featureResolvers = FEATURE_PLUGINS.flatMap(plugin => Object.values(plugin.resolvers!))
+
+    expect(Object.values(defaultResolversPlugin.resolvers!).filter(resolver => featureResolvers.includes(resolver))).toEqual([])
+  })
+
+  it('previews a floor as a die operation rather than a bonus', async () => {
+    const engine = new RollEngine({ plugins: [dieFloorFeaturesPlugin] })
+    const rogue = { dnd_character_abilities: [{ ability_name: 'Reliable Talent' }] }
+
+    const preview = await engine.analyzeRoll(createCheck('1d20+7', rogue))
+
+    expect(preview.conditions.map(condition => condition.label)).toContain('d20 minimum 10')
+    expect(preview.breakdown.filter(item => item.type === 'modifier').map(item => item.value)).toEqual([7])
+    expect(preview.modifiers).toEqual([])
+    expect(preview.estimatedRange).toMatchObject({ min: 17, max: 27 })
+  })
+
+  it('floors Persuasion and Deception for Silver Tongue by skill key, whatever the action is called', async () => {
+    const engine = new RollEngine({ customDiceRoller: () => 3, plugins: [dieFloorFeaturesPlugin] })
+    const bard = { dnd_character_abilities: [{ ability_name: 'Silver Tongue' }] }
+    const checkFor = (name: string, skill: string) => {
+      const definition = createCheck('1d20+5', bard, false)
+      definition.context.source = { type: 'skill', name, tags: ['skill'], properties: { skill } }
+      return definition
+    }
+
+    expect((await engine.executeRoll(checkFor('Persuasion Check', 'persuasion'))).total).toBe(15)
+    expect((await engine.executeRoll(checkFor('Deception Check', 'deception'))).total).toBe(15)
+    expect((await engine.executeRoll(checkFor('Insight Check', 'insight'))).total).toBe(8)
+
+    const [member] = createGroupCheck([{ id: 'bard', name: 'Bard', ...bard }], 'skill', 'Persuasion', 10).members
+    expect((await engine.executeRoll(member)).total).toBe(10)
+  })
+})
+
+describe('Critical range features', () => {
+  const createAttack = (character: Record<string, unknown>, conditions: string[] = []) => {
+    const definition = createDefinition('1d20+5', 'attack')
+    Object.assign(definition.context.character, character)
+    definition.context.target = { ac: 30, conditions }
+    return definition
+  }
+
+  it('crits on the merged range and shows it before the roll', async () => {
+    const engine = new RollEngine({ customDiceRoller: () => 18, plugins: [criticalRangeFeaturesPlugin] })
+    const champion = { level: 15, subclass: 'Champion', dnd_character_abilities: [{ ability_name: 'Improved Critical' }] }
+
+    const preview = await engine.analyzeRoll(createAttack(champion))
+    const result = await engine.executeRoll(createAttack(champion))
+
+    expect(preview.criticalRange).toEqual([18, 19, 20])
+    expect(preview.conditions.map(condition => condition.label)).toContain('Crits on 18-20')
+    expect(preview.breakdown.filter(item => item.type === 'modifier').map(item => item.value)).toEqual([5])
+    expect(preview.modifiers).toEqual([])
+    expect(result.criticalSuccess).toBe(true)
+    expect(result.multiResults![0].result.success).toBe(true)
+    expect(result.multiResults![0].result.metadata.criticalRange).toEqual([18, 19, 20])
+  })
+
+  it("only expands the range against the target of Hexblade's Curse", async () => {
+    const engine = new RollEngine({ customDiceRoller: () => 19, plugins: [criticalRangeFeaturesPlugin] })
+    const hexblade = { dnd_character_abilities: [{ ability_name: "Hexblade's Curse" }] }
+
+    expect((await engine.executeRoll(createAttack(hexblade))).criticalSuccess).toBe(false)
+    expect((await engine.executeRoll(createAttack(hexblade, ['hexblade_cursed']))).criticalSuccess).toBe(true)
+  })
+})
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import { exportRollHistory, importRollHistory } from '../utils/rollHistoryExport'
+import { createRollHistoryEntry, getAllRollHistory, MemoryRollHistoryStore } from '../utils/rollHistoryStore'
+import { RollLog } from '../types/rolls'
+
+const character = { id: 'char', name: 'Thorin' }
+
+const createLog = (name: string, total: number): RollLog => ({
+  type: 'skill',
+  name,
+  dice: [{ name, dice: [`d20: ${total - 3}`], bonus: 3, total }],
+  notes: ['Guidance, "blessed"']
+})
+
+describe('Roll history export', () => {
+  const entries = [
+    createRollHistoryEntry(createLog('Athletics', 15), 'char', { sessionId: 'b' }),
+    createRollHistoryEntry(createLog('Stealth', 9), 'char', { sessionId: 'a' })
+  ]
+
+  it('writes one CSV row per roll with quoted breakdowns and notes', () => {
+    const [header, first] = exportRollHistory(entries, 'csv', character).split('\r\n')
+
+    expect(header).toBe('Timestamp,Session,Character,Type,Roll,Total,Breakdown,Outcome,Notes')
+    expect(first).toContain(',b,Thorin,skill,Athletics,15,')
+    expect(first).toContain('"Guidance, ""blessed"""')
+  })
+
+  it('writes a Markdown table per session', () => {
+    const markdown = exportRollHistory(entries, 'markdown', character)
+
+    expect(markdown).toMatch(/^# Roll History: Thorin/)
+    expect(markdown.match(/^## Session/gm)).toHaveLength(2)
+    expect(markdown).toContain('| skill | Stealth | 9 |')
+  })
+
+  it('imports its own JSON export for another character', () => {
+    const imported = importRollHistory(exportRollHistory(entries, 'json', character), 'other')
+
+    expect(imported).toEqual(entries.map(entry => ({ ...entry, id: `other:${entry.id}`, characterId: 'other' })))
+    expect(importRollHistory(exportRollHistory(entries, 'json', character), 'char')).toEqual(entries)
+    expect(() => importRollHistory('{"kind":"something-else"}', 'other')).toThrow('not a roll history export')
+    expect(() => importRollHistory('not json', 'other')).toThrow('not JSON')
+  })
+
+  it('keeps the exporting character\'s rolls when another character imports them', async () => {
+    const store = new MemoryRollHistoryStore()
+    for (const entry of entries) {
+      await store.add(entry)
+    }
+
+    const exported = exportRollHistory(entries, 'json', character)
+    for (const entry of [...importRollHistory(exported, 'other'), ...importRollHistory(exported, 'other')]) {
+      await store.add(entry)
+    }
+
+    expect(await getAllRollHistory(store, 'char')).toHaveLength(2)
+    expect(await getAllRollHistory(store, 'other')).toHaveLength(2)
+  })
+})
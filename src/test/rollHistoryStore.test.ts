@@ -0,0 +1,101 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  MemoryRollHistoryStore,
+  SupabaseRollHistoryStore,
+  createRollHistoryEntry,
+  getRollHistoryBetween,
+  groupRollHistoryBySession,
+  filterRollHistory
+} from '../utils/rollHistoryStore'
+import { RollLog } from '../types/rolls'
+
+const createLog = (name: string, total: number): RollLog => ({
+  type: 'skill',
+  name,
+  dice: [{ name, dice: [`d20: ${total}`], bonus: 0, total }]
+})
+
+describe('Roll history', () => {
+  it('stamps and transforms logs once when they are written', () => {
+    const entry = createRollHistoryEntry(createLog('Stealth', 14), 'char', { sessionId: 'session-a' })
+
+    expect(entry.log.id).toBe(entry.id)
+    expect(entry.log.timestamp).toBe(new Date(entry.timestamp).toISOString())
+    expect(entry.rolls).toEqual([
+      expect.objectContaining({ id: entry.id, name: 'Stealth', total: 14, breakdown: [expect.objectContaining({ type: 'die', value: 14 })] })
+    ])
+  })
+
+  it('pages newest first without skipping rolls, per character', async () => {
+    const store = new MemoryRollHistoryStore()
+    const entries = Array.from({ length: 5 }, (_, i) => createRollHistoryEntry(createLog(`Roll ${i}`, i + 1), 'char'))
+    for (const entry of entries) {
+      await store.add(entry)
+    }
+    await store.add(createRollHistoryEntry(createLog('Other', 3), 'other'))
+
+    const first = await store.getPage('char', { limit: 2 })
+    const second = await store.getPage('char', { limit: 2, before: first.nextCursor })
+    const last = await store.getPage('char', { limit: 2, before: second.nextCursor })
+
+    expect([...first.entries, ...second.entries, ...last.entries].map(entry => entry.log.name))
+      .toEqual(['Roll 4', 'Roll 3', 'Roll 2', 'Roll 1', 'Roll 0'])
+    expect(last.nextCursor).toBeUndefined()
+
+    await store.prune('char', entries[3].timestamp)
+    expect((await store.getPage('char')).entries).toHaveLength(2)
+    expect((await store.getPage('other')).entries).toHaveLength(1)
+  })
+
+  it('reads only the pages overlapping a time range', async () => {
+    const store = new MemoryRollHistoryStore()
+    const entries = Array.from({ length: 450 }, (_, i) => createRollHistoryEntry(createLog(`Roll ${i}`, 10), 'char'))
+    for (const entry of entries) {
+      await store.add(entry)
+    }
+    const getPage = vi.spyOn(store, 'getPage')
+
+    const between = await getRollHistoryBetween(store, 'char', entries[300].timestamp, entries[310].timestamp)
+
+    expect(between.map(entry => entry.log.name)).toEqual(entries.slice(300, 311).reverse().map(entry => entry.log.name))
+    expect(getPage).toHaveBeenCalledTimes(1)
+  })
+
+  it('groups consecutive entries from the same session', () => {
+    const newest = createRollHistoryEntry(createLog('Perception', 9), 'char', { sessionId: 'session-b' })
+    const older = createRollHistoryEntry(createLog('Athletics', 12), 'char', { sessionId: 'session-a' })
+    const oldest = createRollHistoryEntry(createLog('Arcana', 5), 'char', { sessionId: 'session-a' })
+
+    const sessions = groupRollHistoryBySession([newest, older, oldest])
+
+    expect(sessions.map(session => session.sessionId)).toEqual(['session-b', 'session-a'])
+    expect(sessions[1].entries).toHaveLength(2)
+    expect(sessions[1].startedAt).toBe(oldest.timestamp)
+  })
+
+  it('filters by type, outcome, date and text over names and notes', () => {
+    const stealth = createRollHistoryEntry({ ...createLog('Stealth', 20), isCritical: true, notes: ['Pass without Trace'] }, 'char')
+    const attack = createRollHistoryEntry({ ...createLog('Longsword', 7), type: 'attack' }, 'char')
+    const later = createRollHistoryEntry(createLog('Perception', 3), 'char')
+    const entries = [later, attack, stealth]
+
+    expect(filterRollHistory(entries, { type: 'attack' })).toEqual([attack])
+    expect(filterRollHistory(entries, { outcome: 'critical' })).toEqual([stealth])
+    expect(filterRollHistory(entries, { text: 'pass without' })).toEqual([stealth])
+    expect(filterRollHistory(entries, { text: 'LONG' })).toEqual([attack])
+    expect(filterRollHistory(entries, { from: attack.timestamp, to: attack.timestamp })).toEqual([attack])
+  })
+
+  it('replaces an entry with the same id in every store', async () => {
+    const entry = createRollHistoryEntry(createLog('Stealth', 14), 'char')
+    const memory = new MemoryRollHistoryStore()
+    await memory.add(entry)
+    await memory.add({ ...entry, sessionId: 'reimported' })
+    expect((await memory.getPage('char')).entries.map(stored => stored.sessionId)).toEqual(['reimported'])
+
+    const upsert = vi.fn(async () => ({ error: null }))
+    const client = { from: () => ({ upsert }) } as unknown as ConstructorParameters<typeof SupabaseRollHistoryStore>[0]
+    await new SupabaseRollHistoryStore(client).add(entry)
+    expect(upsert).toHaveBeenCalledWith([expect.objectContaining({ id: entry.id })], { onConflict: 'id' })
+  })
+})
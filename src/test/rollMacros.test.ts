@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest'
+import { applyMacroPrompts, validateRollMacro, rollMacroToAction } from '../utils/rollMacros'
+import { RollMacro } from '../types/rolls'
+
+const sneakAttack: RollMacro = {
+  id: 'sneak',
+  name: 'Rapier + Sneak Attack',
+  expression: 'attack:1d20+7,damage:1d8+4+{sneak}d6',
+  type: 'attack',
+  tags: ['melee'],
+  prompts: [{ id: 'sneak', label: 'Sneak Attack dice', defaultValue: '3' }]
+}
+
+describe('Roll macros', () => {
+  it('fills prompts from answers, falling back to defaults', () => {
+    expect(applyMacroPrompts(sneakAttack.expression, sneakAttack.prompts, { sneak: '5' }))
+      .toBe('attack:1d20+7,damage:1d8+4+5d6')
+    expect(applyMacroPrompts(sneakAttack.expression, sneakAttack.prompts))
+      .toBe('attack:1d20+7,damage:1d8+4+3d6')
+    expect(() => applyMacroPrompts('1d20+{bonus}', [{ id: 'bonus', label: 'Bonus' }]))
+      .toThrow('No value for "{bonus}"')
+  })
+
+  it('reports missing names, prompts and bad expressions', () => {
+    expect(validateRollMacro(sneakAttack)).toEqual([])
+
+    const errors = validateRollMacro({ ...sneakAttack, name: ' ', expression: '1d20+{bonus}+x', prompts: [] })
+    expect(errors).toContain('Give the macro a name')
+    expect(errors).toContain('{bonus} has no prompt')
+    expect(errors.length).toBe(3)
+  })
+
+  it('becomes a macro roll action', () => {
+    const action = rollMacroToAction(sneakAttack)
+
+    expect(action).toMatchObject({ id: 'macro-sneak', name: 'Rapier + Sneak Attack', type: 'macro', macro: sneakAttack })
+  })
+})
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest'
+import { getCharacterReactions, canReactToRoll } from '../utils/rollReactions'
+import { parseAnyDiceExpression } from '../utils/diceParser'
+import { ModifierType } from '../types/rolls'
+
+describe('Roll reactions', () => {
+  it('offers Lucky only when it has luck points to spend, and Portent', () => {
+    const diviner = {
+      dnd_character_abilities: [
+        { id: 'lucky-feat', ability_name: 'Lucky', ability_data: { resource_link: 'Luck Points' } },
+        { id: 'portent', ability_name: 'Portent' }
+      ]
+    }
+    const halfling = { dnd_character_abilities: [{ id: 'halfling-lucky', ability_name: 'Lucky' }] }
+
+    expect(getCharacterReactions(diviner)).toEqual([
+      { id: 'lucky', name: 'Lucky', type: ModifierType.REROLL, keep: 'highest', abilityId: 'lucky-feat' },
+      { id: 'portent', name: 'Portent', type: ModifierType.REPLACE_DIE, abilityId: 'portent' }
+    ])
+    expect(getCharacterReactions(halfling)).toEqual([])
+    expect(getCharacterReactions(null)).toEqual([])
+  })
+
+  it('reacts only to single d20 rolls', () => {
+    expect(canReactToRoll({ baseExpression: parseAnyDiceExpression('1d20+5') })).toBe(true)
+    expect(canReactToRoll({ baseExpression: parseAnyDiceExpression('2d6+3') })).toBe(false)
+    expect(canReactToRoll({ baseExpression: parseAnyDiceExpression('1d20+5, 1d20+5') })).toBe(false)
+  })
+})
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest'
+import { simulateRolls, runSimulation } from '../utils/rollSimulation'
+import { parseAnyDiceExpression } from '../utils/diceParser'
+import {
+  RollDefinition,
+  RollType,
+  SimulationRequest,
+  ModifierType,
+  ModifierSource,
+  ApplicationTiming
+} from '../types/rolls'
+
+const createRequest = (expression: string, type: RollType = 'damage', ac?: number): SimulationRequest => ({
+  id: expression,
+  iterations: 2000,
+  seed: 42,
+  definition: {
+    id: 'sim',
+    name: 'Sim',
+    type,
+    baseExpression: parseAnyDiceExpression(expression),
+    context: {
+      character: { id: 'char', name: 'Tester', level: 1, abilities: {}, proficiencyBonus: 2 },
+      source: { type: 'custom', name: 'Sim' },
+      environment: {},
+      ...(ac !== undefined && { target: { ac } })
+    },
+    modifiers: []
+  } as unknown as RollDefinition
+})
+
+describe('Roll simulation', () => {
+  it('summarizes totals into a reproducible histogram and percentiles', async () => {
+    const result = await simulateRolls(createRequest('2d6'))
+    const repeat = await simulateRolls(createRequest('2d6'))
+
+    expect(result.histogram).toEqual(repeat.histogram)
+    expect(result.histogram.reduce((sum, bucket) => sum + bucket.count, 0)).toBe(2000)
+    expect(result.min).toBeGreaterThanOrEqual(2)
+    expect(result.max).toBeLessThanOrEqual(12)
+    expect(result.mean).toBeGreaterThan(6.7)
+    expect(result.mean).toBeLessThan(7.3)
+    expect(result.percentiles.p50).toBe(7)
+    expect(result.hitRate).toBeUndefined()
+  })
+
+  it('only counts damage for hits against a target AC', async () => {
+    const result = await simulateRolls(createRequest('attack:1d20+5,damage:1d8+3', 'attack', 15))
+
+    expect(result.hitRate).toBeGreaterThan(0.5)
+    expect(result.hitRate).toBeLessThan(0.6)
+    expect(result.histogram[0]).toMatchObject({ value: 0 })
+    expect(result.histogram[0].count / result.iterations).toBeCloseTo(1 - result.hitRate!, 10)
+  })
+
+  it('rolls with the feature plugins and the roller\'s modifiers like the app engine', async () => {
+    const request = createRequest('attack:1d20+5,damage:1d8+3', 'attack', 15)
+    request.definition.context.character.subclass = 'Champion'
+    request.definition.context.character.level = 3
+    request.activeModifiers = [{
+      id: 'vs_undead',
+      name: 'Vs Undead',
+      source: ModifierSource.SPELL,
+      type: ModifierType.FLAT_BONUS,
+      value: 10,
+      condition: ctx => ctx.target?.creatureType === 'undead',
+      application: ApplicationTiming.AFTER_ROLL,
+      stacks: true,
+      priority: 50
+    }]
+
+    const result = await runSimulation(request)
+    request.definition.context.target!.creatureType = 'undead'
+    const againstUndead = await runSimulation(request)
+
+    // Improved Critical crits on 19-20; the bonus only applies against undead
+    expect(result.criticalRate).toBeGreaterThan(0.08)
+    expect(result.criticalRate).toBeLessThan(0.12)
+    expect(result.hitRate).toBeLessThan(0.6)
+    expect(againstUndead.hitRate).toBeGreaterThan(0.9)
+  })
+
+  it('rejects when cancelled', async () => {
+    const controller = new AbortController()
+    const simulation = runSimulation(createRequest('1d6'), {
+      signal: controller.signal,
+      onProgress: () => controller.abort()
+    })
+
+    await expect(simulation).rejects.toMatchObject({ code: 'SIMULATION_CANCELLED' })
+  })
+})
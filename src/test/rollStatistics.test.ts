@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import { calculateRollStatistics, chiSquarePValue, summarizeRollResult } from '../utils/rollStatistics'
+import { createRollHistoryEntry } from '../utils/rollHistoryStore'
+import { transformRollResultToLog } from '../utils/rollDataTransforms'
+import { RollEngine } from '../utils/rollEngine'
+import { dieFloorFeaturesPlugin } from '../utils/rollResolvers'
+import { parseAnyDiceExpression } from '../utils/diceParser'
+import { RollDefinition, RollHistoryEntry, RollType } from '../types/rolls'
+
+const createDefinition = (expression: string, type: RollType, ac?: number): RollDefinition => ({
+  id: 'stats',
+  name: 'Longsword',
+  type,
+  baseExpression: parseAnyDiceExpression(expression),
+  context: {
+    character: { id: 'char', name: 'Tester', level: 1, abilities: {}, proficiencyBonus: 2 },
+    source: { type: 'weapon', name: 'Longsword', tags: [] },
+    environment: {},
+    ...(ac !== undefined && { target: { ac } })
+  },
+  modifiers: []
+} as unknown as RollDefinition)
+
+const rollEntries = async (engine: RollEngine, definition: RollDefinition, count: number, sessionId = 'session') => {
+  const entries: RollHistoryEntry[] = []
+  for (let i = 0; i < count; i++) {
+    const result = await engine.executeRoll(definition)
+    entries.push(createRollHistoryEntry(transformRollResultToLog(result), 'char', { sessionId, result }))
+  }
+  return entries
+}
+
+describe('Roll statistics', () => {
+  it('computes chi-square p-values for 19 degrees of freedom', () => {
+    expect(chiSquarePValue(30.144, 19)).toBeCloseTo(0.05, 3)
+    expect(chiSquarePValue(36.191, 19)).toBeCloseTo(0.01, 3)
+    expect(chiSquarePValue(0, 19)).toBe(1)
+  })
+
+  it('summarizes attacks with damage for hit rate and average damage', async () => {
+    const engine = new RollEngine({ customDiceRoller: (sides: number) => sides === 20 ? 12 : 4 })
+    const result = await engine.executeRoll(createDefinition('attack:1d20+5,damage:1d8+3', 'attack', 15))
+
+    expect(summarizeRollResult(result)).toMatchObject({
+      type: 'attack',
+      source: 'Longsword',
+      naturalD20: 12,
+      fairD20s: [12],
+      targetAC: 15,
+      hit: true,
+      damage: 7
+    })
+  })
+
+  it('judges a fair die fair and a loaded one cursed, per session and type', async () => {
+    const fair = await rollEntries(new RollEngine({ seed: 3 }), createDefinition('1d20', 'skill'), 400, 'fair')
+    let face = 0
+    const loaded = await rollEntries(
+      new RollEngine({ customDiceRoller: () => [1, 1, 2, 3][face++ % 4] }),
+      createDefinition('attack:1d20+5,damage:1d8', 'attack', 15),
+      200,
+      'loaded'
+    )
+    const entries = [...loaded, ...fair]
+
+    const fairStats = calculateRollStatistics(entries, { sessionId: 'fair' })
+    const loadedStats = calculateRollStatistics(entries, { type: 'attack' })
+
+    expect(fairStats.d20.rolls).toBe(400)
+    expect(fairStats.d20.fairness).toBe('fair')
+    expect(loadedStats.rolls).toBe(200)
+    expect(loadedStats.d20.fairness).toBe('loaded')
+    expect(loadedStats.d20.natural1s).toBe(100)
+    expect(loadedStats.hitRateByAC).toEqual([{ ac: 15, attacks: 200, hits: 0, hitRate: 0 }])
+    expect(loadedStats.weapons[0]).toMatchObject({ name: 'Longsword', rolls: 200 })
+  })
+
+  it('counts d20s as first rolled when Lucky rerolls them, but not under advantage', async () => {
+    const engine = new RollEngine({ seed: 5, plugins: [dieFloorFeaturesPlugin] })
+    const createCheck = (advantage: boolean) => {
+      const definition = createDefinition('1d20', 'skill')
+      Object.assign(definition.context.character, { race: 'Halfling' })
+      Object.assign(definition.context.environment, { advantage })
+      return definition
+    }
+
+    const lucky = await engine.executeRoll(createCheck(false))
+    const rerolled = lucky.breakdown[0].details!
+    expect(summarizeRollResult(lucky).fairD20s).toEqual(rerolled.originalRolls)
+    expect(summarizeRollResult(await engine.executeRoll(createCheck(true))).fairD20s).toEqual([])
+
+    const entries = [...await rollEntries(engine, createCheck(false), 400), ...await rollEntries(engine, createCheck(true), 20)]
+    const stats = calculateRollStatistics(entries, {})
+
+    expect(stats.d20.rolls).toBe(400)
+    expect(stats.d20.natural1s).toBeGreaterThan(0)
+    expect(stats.d20.fairness).toBe('fair')
+  })
+})
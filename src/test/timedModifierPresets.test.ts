@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest'
+import { RollEngine } from '../utils/rollEngine'
+import { parseAnyDiceExpression } from '../utils/diceParser'
+import { TIMED_MODIFIER_PRESETS } from '../utils/timedModifierPresets'
+import { RollDefinition, RollType } from '../types/rolls'
+
+const createRoll = (expression: string, type: RollType, source: { type: string; tags: string[] }): RollDefinition => ({
+  id: type,
+  name: type,
+  type,
+  baseExpression: parseAnyDiceExpression(expression),
+  context: {
+    character: { id: 'char', name: 'Tester', level: 9, abilities: {}, proficiencyBonus: 4 },
+    source: { name: 'Longsword', ...source },
+    environment: {}
+  }
+} as unknown as RollDefinition)
+
+const weapon = { type: 'weapon', tags: ['weapon_attack'] }
+const attack = createRoll('1d20+5', 'attack', weapon)
+const damage = createRoll('1d8+3', 'damage', weapon)
+const save = createRoll('1d20+2', 'save', { type: 'save', tags: [] })
+const skill = createRoll('1d20+2', 'skill', { type: 'skill', tags: ['skill'] })
+
+// Every die shows its highest face
+const engineWith = (...presetIds: string[]) => {
+  const engine = new RollEngine({ customDiceRoller: sides => sides })
+  engine.addTemporaryModifiers(
+    TIMED_MODIFIER_PRESETS.filter(preset => presetIds.includes(preset.id)).map(preset => preset.create(9)),
+    'char'
+  )
+  return engine
+}
+
+const totals = async (engine: RollEngine) =>
+  Promise.all([attack, damage, save, skill].map(async definition => (await engine.executeRoll(definition)).total))
+
+describe('Timed modifier presets', () => {
+  it('adds Bless to attacks and saves only', async () => {
+    expect(await totals(engineWith('bless'))).toEqual([25 + 4, 11, 22 + 4, 22])
+  })
+
+  it("adds Rage and Hunter's Mark to weapon damage only, together", async () => {
+    expect(await totals(engineWith('rage', 'hunters_mark'))).toEqual([25, 11 + 3 + 6, 22, 22])
+  })
+
+  it('keeps their conditions after a reload', async () => {
+    const saved = JSON.parse(JSON.stringify(engineWith('bless', 'rage').getActiveModifierState('char')))
+    const engine = new RollEngine({ customDiceRoller: sides => sides })
+    engine.restoreActiveModifierState('char', saved)
+
+    expect(saved.modifiers).toHaveLength(2)
+    expect(await totals(engine)).toEqual([25 + 4, 11 + 3, 22 + 4, 22])
+  })
+})
@@ -24,15 +24,20 @@ export type RollType =
 // =============================================================================
 
 export interface DiceExpression {
-  /** Raw expression string like "3d6+2kh1" for parsing */
+  /** Raw expression string like "1d8+2d6+3" for parsing */
   expression: string;
-  /** Parsed components for execution */
+  /**
+   * Legacy view of the expression: the first dice group plus the net flat
+   * modifier. Kept for consumers that predate the expression tree.
+   */
   parsed: {
     count: number;
     sides: number;
     modifier?: number;
     operations: Operation[];
   };
+  /** Full expression tree, evaluated by the roll engine */
+  ast?: DiceAstNode;
 }
 
 /** Multi-expression support for comma-separated dice expressions */
@@ -55,12 +60,62 @@ export interface Operation {
   type: 'keep_highest' | 'keep_lowest' | 'drop_highest' | 'drop_lowest' 
        | 'reroll' | 'explode' | 'minimum' | 'maximum';
   value: number | number[]; // how many to keep/drop, or threshold for reroll/explode/minimum
+  /** Feature that added this operation (e.g. "Reliable Talent"), shown in the breakdown */
+  source?: string;
+}
+
+// =============================================================================
+// DICE EXPRESSION AST
+// =============================================================================
+
+export type DiceAstNode = DiceTermNode | NumberNode | BinaryNode | NegateNode | GroupNode;
+
+/** A group of dice with its per-term operations, e.g. "4d6dl1" */
+export interface DiceTermNode {
+  type: 'dice';
+  count: number;
+  sides: number;
+  operations: Operation[];
+}
+
+/** A flat constant, e.g. the "3" in "1d8+3" */
+export interface NumberNode {
+  type: 'number';
+  value: number;
+}
+
+/** Arithmetic between two sub-expressions; "/" rounds down */
+export interface BinaryNode {
+  type: 'binary';
+  operator: '+' | '-' | '*' | '/';
+  left: DiceAstNode;
+  right: DiceAstNode;
+}
+
+/** Unary minus, e.g. "-1d4" */
+export interface NegateNode {
+  type: 'negate';
+  operand: DiceAstNode;
+}
+
+/** Parenthesised sub-expression, kept so the expression can be re-printed */
+export interface GroupNode {
+  type: 'group';
+  expression: DiceAstNode;
 }
 
 // =============================================================================
 // ROLL DEFINITION SYSTEM
 // =============================================================================
 
+/**
+ * Who sees a roll's result:
+ * - public: the roller and the party
+ * - private: only the roller; never shared with the party
+ * - dm: only the DM; the roller is told the roll was sent
+ */
+export type RollVisibility = 'public' | 'private' | 'dm';
+
 export interface RollDefinition {
   id: string;
   type: RollType;
@@ -68,6 +123,112 @@ export interface RollDefinition {
   baseExpression: MultiDiceExpression; // Always use unified format
   context: RollContext;
   modifiers: RollModifier[];
+  /** Damage for an attack that was a critical hit (applies the critical damage strategy) */
+  critical?: boolean;
+  /** Ids of once-per-turn modifiers already used this turn, which the engine skips */
+  spentModifiers?: string[];
+  /** Defaults to public */
+  visibility?: RollVisibility;
+  /** Search action that started the roll, for ranking actions by use */
+  actionId?: string;
+}
+
+// =============================================================================
+// ATTACK SEQUENCES
+// =============================================================================
+
+/** One attack in a sequence (an Extra Attack swing, an Eldritch Blast beam, a Scorching Ray ray) */
+export interface AttackSequenceStep {
+  /** Label shown for this attack (e.g. "Beam 2") */
+  label: string;
+  /** Attack roll, e.g. 1d20+7 */
+  attack: DiceExpression;
+  /** Damage rolled only if the attack hits */
+  damage: MultiDiceExpression;
+  damageType?: DamageType;
+  /** Defaults to 'attack' */
+  type?: 'attack' | 'spell_attack';
+  /** Source of this attack when it differs from the sequence (e.g. an off-hand weapon) */
+  source?: RollContext['source'];
+}
+
+/**
+ * Several attacks against one target. The target AC comes from context.target.ac.
+ * Once-per-turn modifiers (e.g. Sneak Attack) are added to the first hit they apply to.
+ */
+export interface AttackSequenceDefinition {
+  id: string;
+  name: string;
+  context: RollContext;
+  attacks: AttackSequenceStep[];
+  modifiers?: RollModifier[];
+  /** Defaults to public */
+  visibility?: RollVisibility;
+  /** Search action that started the sequence, for ranking actions by use */
+  actionId?: string;
+}
+
+export interface AttackOutcome {
+  label: string;
+  attack: RollResult;
+  hit: boolean;
+  critical: boolean;
+  /** Why the attack hit or missed, e.g. "17 >= 15" or "Natural 1" */
+  reason: string;
+  /** Damage roll, for hits only */
+  damage?: RollResult;
+}
+
+// =============================================================================
+// GROUP CHECKS
+// =============================================================================
+
+/**
+ * One skill check or saving throw made by several party members at once.
+ * The group succeeds when at least half of the members succeed.
+ */
+export interface GroupCheckDefinition {
+  id: string;
+  /** Check name, e.g. "Stealth" or "Dexterity" */
+  name: string;
+  type: 'skill' | 'save';
+  dc: number;
+  /** One roll per member, each with that member's own context and modifiers */
+  members: RollDefinition[];
+  /** Defaults to public */
+  visibility?: RollVisibility;
+}
+
+export interface GroupCheckOutcome {
+  characterId: string;
+  name: string;
+  result: RollResult;
+  success: boolean;
+}
+
+// =============================================================================
+// CONTESTED CHECKS
+// =============================================================================
+
+/**
+ * Two opposing checks (grapple, shove, hide vs perceive). The initiator only
+ * wins by beating the defender; a tie leaves the situation unchanged.
+ */
+export interface ContestedCheckDefinition {
+  id: string;
+  /** Contest name, e.g. "Grapple" */
+  name: string;
+  /** Side attempting something (the grappler, the creature hiding) */
+  initiator: RollDefinition;
+  /** Side resisting it */
+  defender: RollDefinition;
+}
+
+export interface ContestedCheckOutcome {
+  initiator: RollResult;
+  defender: RollResult;
+  winner: 'initiator' | 'defender';
+  tie: boolean;
 }
 
 // =============================================================================
@@ -82,9 +243,16 @@ export interface RollModifier {
   type: ModifierType;
   value: number | DiceExpression;
   condition?: (context: RollContext) => boolean;
+  /**
+   * Saveable name of the condition, e.g. "target_type:undead" (see modifierConditions).
+   * Timed modifiers need one for their condition to survive a reload.
+   */
+  conditionKey?: string;
   application: ApplicationTiming;
   stacks: boolean;
   priority: number; // Lower numbers apply first
+  /** How long a temporary modifier lasts; without one it lasts until removed */
+  duration?: ModifierDuration;
 }
 
 export enum ModifierSource {
@@ -94,6 +262,7 @@ export enum ModifierSource {
   ITEM = 'item',
   SPELL = 'spell',
   CLASS_FEATURE = 'class_feature',
+  RACIAL_TRAIT = 'racial_trait',
   FEAT = 'feat',
   CONDITION = 'condition',
   HOMEBREW = 'homebrew',
@@ -125,6 +294,46 @@ export enum ApplicationTiming {
   ONCE_PER_REST = 'once_rest'  // Inspiration
 }
 
+// =============================================================================
+// MODIFIER DURATIONS
+// =============================================================================
+
+/**
+ * - rounds / minutes: expire after `amount` rounds (10 rounds to a minute)
+ * - end_of_turn: expire when the character's current turn ends
+ * - concentration: last until concentration breaks
+ */
+export type ModifierDurationUnit = 'rounds' | 'minutes' | 'end_of_turn' | 'concentration';
+
+export interface ModifierDuration {
+  unit: ModifierDurationUnit;
+  amount?: number;
+  /** Timed effects that also end when concentration breaks (Bless, Hunter's Mark) */
+  concentration?: boolean;
+}
+
+/** A temporary modifier with its remaining duration */
+export interface ActiveModifier {
+  modifier: RollModifier;
+  /** Character the modifier belongs to; applies to every roll when omitted */
+  characterId?: string;
+  /** Rounds left before expiry; undefined for untimed modifiers */
+  remainingRounds?: number;
+  /** Round in which the modifier was added */
+  appliedRound: number;
+}
+
+/** Round counter advanced each time a turn ends */
+export interface CombatClock {
+  round: number;
+}
+
+/** Per-character snapshot saved so active modifiers survive reloads */
+export interface ActiveModifierState {
+  round: number;
+  modifiers: ActiveModifier[];
+}
+
 // =============================================================================
 // CRITICAL HIT SYSTEM
 // =============================================================================
@@ -132,11 +341,22 @@ export enum ApplicationTiming {
 export interface CriticalRules {
   /** Critical hit range - [20] standard, [19,20] Champion */
   range: number[];
-  /** How to calculate critical damage */
-  damageStrategy: 'double_dice' | 'max_base_dice' | 'double_total';
-  /** Which dice are affected by critical hits */
+  /**
+   * How to calculate critical damage:
+   * - double_dice: roll every damage die again
+   * - max_plus_roll: add the maximum of every damage die to the roll
+   * - double_total: double the rolled dice (and flat modifiers)
+   * - brutal: max_plus_roll plus extra weapon dice (homebrew)
+   */
+  damageStrategy: 'double_dice' | 'max_plus_roll' | 'double_total' | 'brutal';
+  /**
+   * Which dice are affected by critical hits:
+   * - weapon_only: weapon damage only, not riders like Sneak Attack or Hex
+   * - all_damage: weapon damage and riders
+   * - exclude_modifiers: all damage dice, but double_total never doubles flat modifiers
+   */
   affectedDice: 'weapon_only' | 'all_damage' | 'exclude_modifiers';
-  /** Additional dice on critical (Brutal Critical) */
+  /** Extra weapon dice for the brutal strategy (defaults to one more of the largest weapon die) */
   additionalDice?: string;
   /** Critical failure range - [1] standard */
   failureRange?: number[];
@@ -159,6 +379,10 @@ export interface PreRollInfo {
   criticalFailureRange: number[];
   /** Special notes about the roll */
   notes: string[];
+  /** Exact distribution of the primary expression total (including flat and dice bonuses) */
+  distribution?: DiceDistribution;
+  /** Chance to meet the target AC/DC, when the context has a target */
+  successChance?: SuccessChance;
   
   /** @deprecated Use breakdown instead */
   dice?: DicePreview[];
@@ -207,6 +431,139 @@ export interface ConditionPreview {
   type: 'advantage' | 'disadvantage' | 'bonus' | 'penalty' | 'special';
 }
 
+// =============================================================================
+// PROBABILITY DISTRIBUTIONS
+// =============================================================================
+
+/** Exact probability mass function of a roll total */
+export interface DiceDistribution {
+  /** Lowest possible total */
+  min: number;
+  /** Highest possible total */
+  max: number;
+  /** probabilities[i] is the chance of a total of exactly min + i */
+  probabilities: number[];
+}
+
+export interface SuccessChance {
+  /** Total needed to succeed */
+  target: number;
+  /** Whether the target is an armor class or a difficulty class */
+  targetType: 'ac' | 'dc';
+  /** Chance of success from 0 to 1, counting natural 20s/1s where they apply */
+  probability: number;
+}
+
+// =============================================================================
+// MONTE CARLO SIMULATION
+// =============================================================================
+
+export interface SimulationRequest {
+  id: string;
+  /**
+   * Roll repeated every iteration. With a target AC, the d20 expression is
+   * rolled as the attack and the rest only counts as damage on a hit.
+   * Must be structured-cloneable: conditional modifiers are resolved beforehand.
+   */
+  definition: RollDefinition;
+  iterations: number;
+  /** Seed for a reproducible run (random if omitted) */
+  seed?: number;
+  criticalRules?: CriticalRules;
+  /** Character and timed modifiers of the roller, resolved like the definition's own */
+  activeModifiers?: RollModifier[];
+}
+
+export interface SimulationProgress {
+  id: string;
+  completed: number;
+  iterations: number;
+}
+
+export interface SimulationResult {
+  id: string;
+  /** Iterations actually run */
+  iterations: number;
+  mean: number;
+  min: number;
+  max: number;
+  standardDeviation: number;
+  /** Count of iterations per total, sorted by total */
+  histogram: Array<{ value: number; count: number }>;
+  percentiles: { p10: number; p25: number; p50: number; p75: number; p90: number };
+  /** Share of attacks that hit, when simulated against a target AC */
+  hitRate?: number;
+  criticalRate: number;
+  seed: number;
+  executionTime: number;
+}
+
+// =============================================================================
+// DAMAGE TYPES
+// =============================================================================
+
+export type DamageType =
+  | 'acid'
+  | 'bludgeoning'
+  | 'cold'
+  | 'fire'
+  | 'force'
+  | 'lightning'
+  | 'necrotic'
+  | 'piercing'
+  | 'poison'
+  | 'psychic'
+  | 'radiant'
+  | 'slashing'
+  | 'thunder';
+
+/** Flat reduction to incoming damage (e.g. Heavy Armor Master reduces nonmagical B/P/S by 3) */
+export interface DamageReduction {
+  amount: number;
+  /** Damage types this applies to (all types when omitted) */
+  types?: DamageType[];
+  /** Name of the feature granting the reduction */
+  source?: string;
+}
+
+/** How a target modifies incoming damage, per damage type */
+export interface DamageDefenses {
+  resistances?: DamageType[];
+  vulnerabilities?: DamageType[];
+  immunities?: DamageType[];
+  reductions?: DamageReduction[];
+}
+
+/** A portion of damage of a single type (untyped damage ignores type-based defenses) */
+export interface DamagePacket {
+  type?: DamageType;
+  amount: number;
+}
+
+export interface DamageStep {
+  kind: 'immunity' | 'reduction' | 'modifier' | 'resistance' | 'vulnerability';
+  label: string;
+  /** Damage before and after this step */
+  before: number;
+  after: number;
+}
+
+export interface DamagePacketResult extends DamagePacket {
+  /** Damage after defenses */
+  final: number;
+  /** Adjustments in the order they were applied */
+  steps: DamageStep[];
+}
+
+export interface DamageResult {
+  /** One result per damage type */
+  packets: DamagePacketResult[];
+  /** Damage before defenses */
+  original: number;
+  /** Damage after defenses */
+  total: number;
+}
+
 // =============================================================================
 // ROLL CONTEXT SYSTEM
 // =============================================================================
@@ -229,6 +586,10 @@ export interface RollContext {
     ac?: number;
     saveBonus?: number;
     conditions?: string[]; // ['prone', 'stunned', etc.]
+    /** Kind of creature, e.g. "undead" or "fiend" */
+    creatureType?: string;
+    /** Resistances, vulnerabilities, immunities and reductions applied to damage */
+    defenses?: DamageDefenses;
   };
   environment: {
     advantage: boolean;
@@ -241,6 +602,49 @@ export interface RollContext {
   };
 }
 
+// =============================================================================
+// REACTIONS
+// =============================================================================
+
+/**
+ * A feature used after seeing a d20 roll but before its outcome is final:
+ * - REROLL: roll the d20 again (Lucky, Silvery Barbs)
+ * - REPLACE_DIE: replace the d20 with a foretold value (Portent)
+ * - DICE_BONUS: add a die to the total (Bardic Inspiration)
+ */
+export interface RollReaction {
+  id: string;
+  name: string;
+  type: ModifierType.REROLL | ModifierType.REPLACE_DIE | ModifierType.DICE_BONUS;
+  /** Replacement d20 face for REPLACE_DIE, or the die to add for DICE_BONUS */
+  value?: number | DiceExpression;
+  /** Which d20 stands after a reroll (default 'new'; Lucky picks, Silvery Barbs forces 'new') */
+  keep?: 'new' | 'highest' | 'lowest';
+  /** Character spending the resource, when it isn't the roller (e.g. an ally's Silvery Barbs) */
+  reactorId?: string;
+  /** Ability whose linked resource pays for the reaction */
+  abilityId?: string;
+}
+
+export interface AppliedReaction {
+  reaction: RollReaction;
+  /** Natural d20 before and after the reaction (unchanged for dice bonuses) */
+  originalRoll: number;
+  newRoll: number;
+  /** Dice rolled by the reaction */
+  rolls: number[];
+  /** Change to the total */
+  value: number;
+}
+
+/** A roll held open so reactions can change it before the outcome is final */
+export interface PendingRoll {
+  id: string;
+  /** The result as it currently stands */
+  result: RollResult;
+  reactions: AppliedReaction[];
+}
+
 // =============================================================================
 // ROLL RESULT SYSTEM
 // =============================================================================
@@ -264,6 +668,16 @@ export interface RollResult {
   metadata: RollMetadata;
   /** Multiple labeled results for multi-expression rolls */
   multiResults?: LabeledRollResult[];
+  /** Damage per type after the target's defenses (damage rolls only) */
+  damage?: DamageResult;
+  /** Per-attack outcomes for attack sequences */
+  attacks?: AttackOutcome[];
+  /** Per-member outcomes for group checks */
+  group?: GroupCheckOutcome[];
+  /** Both sides of a contested check */
+  contest?: ContestedCheckOutcome;
+  /** Reactions that changed this roll after it was made, in order */
+  reactions?: AppliedReaction[];
 }
 
 /** Individual result from a labeled dice expression */
@@ -285,6 +699,8 @@ export interface RollBreakdown {
   details?: {
     /** Original die roll before modifiers */
     originalRoll?: number;
+    /** Faces as first rolled, before rerolls, floors and keeps */
+    originalRolls?: number[];
     /** Die size */
     sides?: number;
     /** Source of this component */
@@ -315,6 +731,19 @@ export interface RollMetadata {
   rollId: string;
   /** Duration of roll execution in ms */
   executionTime?: number;
+  /** Seeded RNG position for replaying this roll (absent when a custom dice roller was used) */
+  random?: RollRandomState;
+  /** Natural d20 results that counted as a critical hit for this roll */
+  criticalRange?: number[];
+}
+
+export interface RollRandomState {
+  /** Seed of the random stream */
+  seed: number;
+  /** Index of the first draw used by this roll */
+  drawIndex: number;
+  /** Number of draws this roll consumed */
+  draws: number;
 }
 
 // =============================================================================
@@ -336,6 +765,30 @@ export interface DiceRoll {
   critical: boolean;
 }
 
+/** One rolled dice group within a larger expression */
+export interface DiceGroupRoll {
+  /** Notation of this group, e.g. "2d6" */
+  notation: string;
+  /** The parsed dice group */
+  term: DiceTermNode;
+  /** +1 or -1 when the group is summed into the total, e.g. -1 for "-1d4" */
+  sign: 1 | -1;
+  /** Whether the group sits under "*" or "/" and so is not summed directly */
+  scaled: boolean;
+  /** The dice that were rolled */
+  roll: DiceRoll;
+}
+
+/** Result of evaluating a full dice expression tree */
+export interface ExpressionRoll {
+  /** Final value after all arithmetic */
+  total: number;
+  /** Every dice group, in the order it appears in the expression */
+  groups: DiceGroupRoll[];
+  /** Net flat constant from additive number terms */
+  constant: number;
+}
+
 export interface AppliedOperation {
   /** Type of operation */
   type: Operation['type'];
@@ -347,6 +800,8 @@ export interface AppliedOperation {
   affectedIndices: number[];
   /** Description of what happened */
   description: string;
+  /** Feature that added the operation */
+  source?: string;
 }
 
 // =============================================================================
@@ -362,6 +817,8 @@ export interface DiceParseResult {
   modifier: number;
   /** Parsed operations */
   operations: Operation[];
+  /** Full expression tree when the parse succeeded */
+  ast?: DiceAstNode;
   /** Whether the parse was successful */
   valid: boolean;
   /** Error message if invalid */
@@ -377,8 +834,8 @@ export interface ModifierRegistry {
   spells: Map<string, RollModifier[]>;
   /** Condition-based modifiers */
   conditions: Map<string, RollModifier[]>;
-  /** Temporary modifiers */
-  temporary: RollModifier[];
+  /** Temporary modifiers with their remaining durations */
+  temporary: ActiveModifier[];
 }
 
 // =============================================================================
@@ -394,8 +851,14 @@ export interface RollEngineConfig {
   maxExecutionTime: number;
   /** Whether to log roll details */
   enableLogging: boolean;
-  /** Custom dice rolling function */
-  customDiceRoller?: (sides: number) => number;
+  /** Custom dice rolling function; may wait for the value, e.g. a physical die the player enters */
+  customDiceRoller?: (sides: number) => number | Promise<number>;
+  /** Seed for the engine's random stream (random if omitted) */
+  seed?: number;
+  /** PRNG algorithm used for seeded rolls (mulberry32 if omitted) */
+  randomFactory?: (seed: number) => () => number;
+  /** Plugins registered when the engine is created */
+  plugins?: RollPlugin[];
 }
 
 export interface ResolverConfig {
@@ -411,6 +874,311 @@ export interface ResolverConfig {
 
 export type ModifierResolver = (context: RollContext) => RollModifier[];
 
+// =============================================================================
+// ROLL PLUGINS
+// =============================================================================
+
+/** Definition hooks may return a replacement definition (homebrew rules) */
+export type RollDefinitionHook = (definition: RollDefinition) => RollDefinition | void | Promise<RollDefinition | void>;
+
+/** Result hooks observe finished rolls (party feeds, journal logging, sound effects) */
+export type RollResultHook = (result: RollResult) => void | Promise<void>;
+
+export type RollPluginHook = 'beforeAnalyze' | 'beforeRoll' | 'afterRoll' | 'onCritical';
+
+export interface RollPlugin {
+  id: string;
+  /** Lower numbers run first; plugins with equal priority run in registration order */
+  priority?: number;
+  /** Modifier resolvers consulted whenever modifiers are gathered */
+  resolvers?: Record<string, ModifierResolver>;
+  /** Before pre-roll analysis */
+  beforeAnalyze?: RollDefinitionHook;
+  /** Before any dice are drawn */
+  beforeRoll?: RollDefinitionHook;
+  /** After a roll is final; pending rolls notify once they are resolved */
+  afterRoll?: RollResultHook;
+  /** After afterRoll, for rolls with a critical success */
+  onCritical?: RollResultHook;
+}
+
+// =============================================================================
+// ROLL HISTORY
+// =============================================================================
+
+/** A logged roll as the app records it (attacks, saves, damage taken, healing) */
+export interface RollLog {
+  id?: string | number;
+  type: string;
+  name: string;
+  /** ISO timestamp, set when the log is written to history if missing */
+  timestamp?: string;
+  dice: Array<{
+    name: string;
+    dice: string[];
+    bonus?: number;
+    total: number;
+    type?: string;
+  }>;
+  isCritical?: boolean;
+  /** Searchable notes, e.g. the modifiers and conditions that applied */
+  notes?: string[];
+  details?: Record<string, unknown>;
+}
+
+/** A roll in the shape the history display renders */
+export interface HistoryRoll {
+  id: string | number;
+  type: string;
+  name: string;
+  total: number;
+  timestamp: string;
+  breakdown: Array<{ type: string; label: string; value: number; [key: string]: unknown }>;
+}
+
+/** One logged roll in a character's persistent history */
+export interface RollHistoryEntry {
+  id: string;
+  characterId: string;
+  /** App session the roll was made in, for grouping */
+  sessionId: string;
+  /** Epoch milliseconds; history is ordered and paged by this */
+  timestamp: number;
+  log: RollLog;
+  /** Display rolls, transformed once when the entry was written */
+  rolls: HistoryRoll[];
+  /** What the roll meant, summarized once when the entry was written (absent on older entries) */
+  outcome?: RollOutcome;
+}
+
+/** Serializable summary of a roll, used for statistics */
+export interface RollOutcome {
+  type: RollType;
+  /** Weapon, spell or skill that made the roll */
+  source?: string;
+  /** Search action that started the roll */
+  actionId?: string;
+  /** Natural d20 that decided the roll (the kept die) */
+  naturalD20?: number;
+  /** d20s rolled straight, without advantage or features changing them; used to judge fairness */
+  fairD20s: number[];
+  criticalSuccess: boolean;
+  criticalFailure: boolean;
+  /** Whether the roll beat its AC or DC, when it had one */
+  success?: boolean;
+  targetNumber?: number;
+  /** AC the attack was rolled against */
+  targetAC?: number;
+  hit?: boolean;
+  /** Damage the roll dealt */
+  damage?: number;
+}
+
+export interface RollHistoryPage {
+  entries: RollHistoryEntry[];
+  /** Pass as `before` to load the next (older) page; absent on the last page */
+  nextCursor?: number;
+}
+
+/** Outcomes roll history can be filtered by */
+export type RollHistoryOutcomeFilter = 'critical' | 'fumble' | 'success' | 'failure';
+
+export interface RollHistoryFilter {
+  type?: RollType;
+  outcome?: RollHistoryOutcomeFilter;
+  /** Epoch milliseconds, inclusive */
+  from?: number;
+  to?: number;
+  /** Matched against roll names and notes */
+  text?: string;
+}
+
+/** Consecutive history entries from the same app session */
+export interface RollHistorySession {
+  sessionId: string;
+  startedAt: number;
+  entries: RollHistoryEntry[];
+}
+
+export type RollHistoryExportFormat = 'csv' | 'json' | 'markdown';
+
+/** JSON export of a character's roll history, readable by the import */
+export interface RollHistoryExport {
+  kind: 'dnd-roll-history';
+  version: number;
+  /** ISO timestamp */
+  exportedAt: string;
+  character: { id: string; name: string };
+  /** Newest first */
+  entries: RollHistoryEntry[];
+}
+
+// =============================================================================
+// ROLL STATISTICS
+// =============================================================================
+
+export interface RollStatisticsFilter {
+  sessionId?: string;
+  type?: RollType;
+}
+
+/**
+ * How likely the d20s are to be fair, from a chi-square goodness-of-fit test:
+ * - insufficient: too few rolls for the test (under 5 expected per face)
+ * - suspicious: p < 0.05
+ * - loaded: p < 0.01
+ */
+export type DiceFairness = 'fair' | 'suspicious' | 'loaded' | 'insufficient';
+
+export interface D20Statistics {
+  /** Rolls of each face, index 0 is a natural 1 */
+  counts: number[];
+  /** Straight d20s counted in `counts` */
+  rolls: number;
+  /** Expected rolls of each face for a fair die */
+  expected: number;
+  /** Average natural d20 that decided a roll (10.5 for a fair die) */
+  average?: number;
+  natural20s: number;
+  natural1s: number;
+  chiSquare: number;
+  pValue?: number;
+  fairness: DiceFairness;
+}
+
+export interface WeaponDamageStatistics {
+  name: string;
+  rolls: number;
+  averageDamage: number;
+}
+
+export interface HitRateStatistics {
+  ac: number;
+  attacks: number;
+  hits: number;
+  hitRate: number;
+}
+
+export interface RollStatistics {
+  /** Entries matching the filter */
+  rolls: number;
+  d20: D20Statistics;
+  weapons: WeaponDamageStatistics[];
+  hitRateByAC: HitRateStatistics[];
+}
+
+// =============================================================================
+// ACTION SEARCH
+// =============================================================================
+
+/** How often and how lately a search action was rolled */
+export interface RollActionUsage {
+  count: number;
+  /** Epoch milliseconds of the newest roll */
+  lastUsed: number;
+  /** Rolls weighted by age, so recent use counts for more */
+  score: number;
+}
+
+/** Usage keyed by action id, or by lowercased roll name for rolls made before ids were kept */
+export type RollActionUsageMap = Record<string, RollActionUsage>;
+
+// =============================================================================
+// ROLL COMMANDS
+// =============================================================================
+
+/** Context flags set on a roll from the search box ("with advantage", "vs AC 15") */
+export interface RollOptions {
+  advantage?: boolean;
+  disadvantage?: boolean;
+  hidden?: boolean;
+  /** DC the roll must meet */
+  dc?: number;
+  /** Target AC, given directly or taken from a named target */
+  targetAC?: number;
+  /** Known target the AC came from, e.g. "Goblin" */
+  targetName?: string;
+}
+
+/** A typed phrase split into the action it names and the flags around it */
+export interface RollCommand {
+  /** Text naming the action, with the option phrases removed */
+  actionQuery: string;
+  options: RollOptions;
+}
+
+// =============================================================================
+// ROLL MACROS
+// =============================================================================
+
+/** A value asked for each time a macro is rolled, filled in wherever "{id}" appears */
+export interface RollMacroPrompt {
+  id: string;
+  /** Question shown before rolling, e.g. "Sneak Attack dice" */
+  label: string;
+  defaultValue?: string;
+}
+
+/** A player's saved multi-step roll, e.g. "Rapier + Sneak Attack" */
+export interface RollMacro {
+  id: string;
+  name: string;
+  /** Labeled expressions, e.g. "attack:1d20+7,damage:1d8+4+{sneak}d6" */
+  expression: string;
+  /** Roll type the macro is made as; decides which modifiers apply */
+  type: RollType;
+  /** Source tags, matched by modifier conditions (e.g. "finesse") */
+  tags: string[];
+  prompts: RollMacroPrompt[];
+}
+
+// =============================================================================
+// PARTY ROLL FEED
+// =============================================================================
+
+/**
+ * A completed roll as it is shared with the party
+ *
+ * Carries display rolls and an outcome rather than the RollResult itself;
+ * the result's definition holds the roller's whole character.
+ */
+export interface PartyRollEvent {
+  id: string;
+  characterId: string;
+  characterName: string;
+  /** Player who rolled; their feed color comes from this */
+  userId: string;
+  color: string;
+  /** Epoch milliseconds */
+  timestamp: number;
+  visibility: RollVisibility;
+  /** Empty on the roller's own record of a roll sent to the DM */
+  rolls: HistoryRoll[];
+  outcome?: RollOutcome;
+}
+
+/** A roll the DM asks the party to make, usually in secret */
+export interface PartyRollRequest {
+  id: string;
+  /** Action to roll, matched by name, e.g. "Perception" */
+  actionName: string;
+  visibility: RollVisibility;
+  requestedBy: string;
+  /** Epoch milliseconds */
+  timestamp: number;
+}
+
+// =============================================================================
+// PHYSICAL DICE
+// =============================================================================
+
+/** A die the engine is waiting for the player to roll and enter */
+export interface PhysicalDieRequest {
+  /** Increases with every request, so the entry form resets */
+  id: number;
+  sides: number;
+}
+
 // =============================================================================
 // ERROR TYPES
 // =============================================================================
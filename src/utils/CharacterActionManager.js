@@ -158,7 +158,7 @@ const RACE_ACTIONS = {
     lucky: {
       name: 'Lucky',
       type: 'passive',
-      description: 'Reroll natural 1s on attack rolls, ability checks, and saving throws'
+      description: 'Reroll natural 1s on attack rolls, ability checks, and saving throws (applied automatically to d20 rolls)'
     }
   },
   elf: {
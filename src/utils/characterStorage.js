@@ -4,9 +4,16 @@
 const STORAGE_KEYS = {
   CHARACTERS: 'dnd-helper-characters',
   CURRENT_CHARACTER_ID: 'dnd-helper-current-character',
-  CHARACTER_GAME_STATE: 'dnd-helper-character-states' // Per-character game state
+  CHARACTER_GAME_STATE: 'dnd-helper-character-states', // Per-character game state
+  ACTIVE_MODIFIERS: 'dnd-helper-active-modifiers', // Per-character timed roll modifiers
+  ROLL_HISTORY_RETENTION: 'dnd-helper-roll-history-retention', // Days of roll history to keep
+  ROLL_MACROS: 'dnd-helper-roll-macros', // Per-character saved roll macros
+  PHYSICAL_DICE: 'dnd-helper-physical-dice' // Whether rolls use dice entered by the player
 };
 
+// Days of roll history kept when no retention has been chosen
+export const DEFAULT_ROLL_HISTORY_RETENTION_DAYS = 30;
+
 export class CharacterStorage {
   // Save a character to localStorage
   static saveCharacter(character) {
@@ -80,6 +87,7 @@ export class CharacterStorage {
       
       // Clear any game state for this character
       this.clearCharacterGameState(characterId);
+      this.clearActiveModifiers(characterId);
       
       return true;
     } catch (error) {
@@ -173,6 +181,136 @@ export class CharacterStorage {
     }
   }
   
+  // Save a character's active temporary modifiers and the round clock
+  // (from RollEngine.getActiveModifierState, which keeps conditions as their conditionKey)
+  static saveActiveModifiers(characterId, modifierState) {
+    try {
+      const allStates = this.getAllActiveModifiers();
+      allStates[characterId] = modifierState;
+      
+      localStorage.setItem(STORAGE_KEYS.ACTIVE_MODIFIERS, JSON.stringify(allStates));
+      return true;
+    } catch (error) {
+      console.error('Failed to save active modifiers:', error);
+      return false;
+    }
+  }
+  
+  // Get a character's active temporary modifiers
+  static getActiveModifiers(characterId) {
+    try {
+      const allStates = this.getAllActiveModifiers();
+      return allStates[characterId] || null;
+    } catch (error) {
+      console.error('Failed to get active modifiers:', error);
+      return null;
+    }
+  }
+  
+  // Get active temporary modifiers for every character
+  static getAllActiveModifiers() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEYS.ACTIVE_MODIFIERS);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Failed to get all active modifiers:', error);
+      return {};
+    }
+  }
+  
+  // Clear active temporary modifiers for a specific character
+  static clearActiveModifiers(characterId) {
+    try {
+      const allStates = this.getAllActiveModifiers();
+      delete allStates[characterId];
+      
+      localStorage.setItem(STORAGE_KEYS.ACTIVE_MODIFIERS, JSON.stringify(allStates));
+      return true;
+    } catch (error) {
+      console.error('Failed to clear active modifiers:', error);
+      return false;
+    }
+  }
+  
+  // Save a character's roll macros
+  static saveRollMacros(characterId, macros) {
+    try {
+      const allMacros = this.getAllRollMacros();
+      allMacros[characterId] = macros;
+      
+      localStorage.setItem(STORAGE_KEYS.ROLL_MACROS, JSON.stringify(allMacros));
+      return true;
+    } catch (error) {
+      console.error('Failed to save roll macros:', error);
+      return false;
+    }
+  }
+  
+  // Get a character's roll macros
+  static getRollMacros(characterId) {
+    try {
+      const allMacros = this.getAllRollMacros();
+      return allMacros[characterId] || [];
+    } catch (error) {
+      console.error('Failed to get roll macros:', error);
+      return [];
+    }
+  }
+  
+  // Get roll macros for every character
+  static getAllRollMacros() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEYS.ROLL_MACROS);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Failed to get all roll macros:', error);
+      return {};
+    }
+  }
+  
+  // Save how many days of roll history to keep (null keeps everything)
+  static setRollHistoryRetention(days) {
+    try {
+      localStorage.setItem(STORAGE_KEYS.ROLL_HISTORY_RETENTION, JSON.stringify(days));
+      return true;
+    } catch (error) {
+      console.error('Failed to save roll history retention:', error);
+      return false;
+    }
+  }
+  
+  // Get how many days of roll history to keep
+  static getRollHistoryRetention() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEYS.ROLL_HISTORY_RETENTION);
+      return stored ? JSON.parse(stored) : DEFAULT_ROLL_HISTORY_RETENTION_DAYS;
+    } catch (error) {
+      console.error('Failed to get roll history retention:', error);
+      return DEFAULT_ROLL_HISTORY_RETENTION_DAYS;
+    }
+  }
+  
+  // Save whether rolls ask for physical dice values
+  static setPhysicalDiceMode(enabled) {
+    try {
+      localStorage.setItem(STORAGE_KEYS.PHYSICAL_DICE, JSON.stringify(enabled));
+      return true;
+    } catch (error) {
+      console.error('Failed to save physical dice mode:', error);
+      return false;
+    }
+  }
+  
+  // Get whether rolls ask for physical dice values
+  static getPhysicalDiceMode() {
+    try {
+      return localStorage.getItem(STORAGE_KEYS.PHYSICAL_DICE) === 'true';
+    } catch (error) {
+      console.error('Failed to get physical dice mode:', error);
+      return false;
+    }
+  }
+  
   // Initialize storage with default character (migration helper)
   static initializeWithDefaultCharacter(defaultCharacter) {
     try {
@@ -199,10 +337,12 @@ export class CharacterStorage {
       if (!character) return null;
       
       const gameState = this.getCharacterGameState(characterId);
+      const rollMacros = this.getRollMacros(characterId);
       
       return {
         character,
         gameState,
+        rollMacros,
         exportedAt: new Date().toISOString(),
         version: '1.0'
       };
@@ -238,6 +378,10 @@ export class CharacterStorage {
         this.saveCharacterGameState(newId, exportData.gameState);
       }
       
+      if (exportData.rollMacros) {
+        this.saveRollMacros(newId, exportData.rollMacros);
+      }
+      
       return importedCharacter;
     } catch (error) {
       console.error('Failed to import character:', error);
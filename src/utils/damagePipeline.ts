@@ -0,0 +1,122 @@
+/**
+ * Damage Type Pipeline
+ *
+ * Applies a target's defenses to typed damage in 5e order:
+ * - Damage of the same type is totalled first
+ * - Immunity reduces it to 0
+ * - Flat reductions, then damage multipliers/dividers (e.g. Uncanny Dodge)
+ * - Resistance halves, then vulnerability doubles
+ *
+ * Every division rounds down and reductions never take damage below 0.
+ */
+
+import {
+  DamageType,
+  DamageDefenses,
+  DamagePacket,
+  DamagePacketResult,
+  DamageResult,
+  DamageStep,
+  RollModifier,
+  ModifierType
+} from '../types/rolls';
+
+export const DAMAGE_TYPES: DamageType[] = [
+  'acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning',
+  'necrotic', 'piercing', 'poison', 'psychic', 'radiant', 'slashing', 'thunder'
+];
+
+export function isDamageType(value: unknown): value is DamageType {
+  return typeof value === 'string' && (DAMAGE_TYPES as string[]).includes(value);
+}
+
+/**
+ * Find the damage type named in a label like "fire" or "fire_damage"
+ */
+export function findDamageType(label?: string): DamageType | undefined {
+  const lower = label?.toLowerCase();
+  return lower ? DAMAGE_TYPES.find(type => lower.includes(type)) : undefined;
+}
+
+/**
+ * Total packets by damage type, in the order each type first appears
+ */
+export function combineDamagePackets(packets: DamagePacket[]): DamagePacket[] {
+  const totals = new Map<DamageType | undefined, number>();
+
+  for (const packet of packets) {
+    totals.set(packet.type, (totals.get(packet.type) ?? 0) + packet.amount);
+  }
+
+  return [...totals].map(([type, amount]) => ({ type, amount }));
+}
+
+/**
+ * Apply defenses and damage multiplier/divider modifiers to a single packet
+ */
+export function applyDamageDefenses(
+  packet: DamagePacket,
+  defenses: DamageDefenses = {},
+  modifiers: RollModifier[] = []
+): DamagePacketResult {
+  const steps: DamageStep[] = [];
+  const typeName = packet.type ? `${packet.type.charAt(0).toUpperCase()}${packet.type.slice(1)} ` : '';
+  const appliesTo = (types?: DamageType[]) => packet.type !== undefined && (types ?? []).includes(packet.type);
+  let damage = packet.amount;
+
+  const applyStep = (kind: DamageStep['kind'], label: string, after: number) => {
+    if (after !== damage) {
+      steps.push({ kind, label, before: damage, after });
+      damage = after;
+    }
+  };
+
+  if (appliesTo(defenses.immunities)) {
+    applyStep('immunity', `${typeName}Immunity`, 0);
+    return { ...packet, final: damage, steps };
+  }
+
+  for (const reduction of defenses.reductions ?? []) {
+    if (!reduction.types || appliesTo(reduction.types)) {
+      applyStep('reduction', reduction.source ?? 'Damage Reduction', Math.max(0, damage - reduction.amount));
+    }
+  }
+
+  for (const modifier of modifiers) {
+    if (typeof modifier.value !== 'number') {
+      continue;
+    }
+    if (modifier.type === ModifierType.DIVIDER && modifier.value > 0) {
+      applyStep('modifier', modifier.name, Math.floor(damage / modifier.value));
+    } else if (modifier.type === ModifierType.MULTIPLIER) {
+      applyStep('modifier', modifier.name, Math.floor(damage * modifier.value));
+    }
+  }
+
+  // Resistance and then vulnerability come after every other adjustment
+  if (appliesTo(defenses.resistances)) {
+    applyStep('resistance', `${typeName}Resistance`, Math.floor(damage / 2));
+  }
+  if (appliesTo(defenses.vulnerabilities)) {
+    applyStep('vulnerability', `${typeName}Vulnerability`, damage * 2);
+  }
+
+  return { ...packet, final: damage, steps };
+}
+
+/**
+ * Run damage through the target's defenses, with one result per damage type
+ */
+export function applyDamagePipeline(
+  packets: DamagePacket[],
+  defenses?: DamageDefenses,
+  modifiers: RollModifier[] = []
+): DamageResult {
+  const results = combineDamagePackets(packets).map(packet => applyDamageDefenses(packet, defenses, modifiers));
+
+  return {
+    packets: results,
+    original: results.reduce((sum, packet) => sum + packet.amount, 0),
+    total: results.reduce((sum, packet) => sum + packet.final, 0)
+  };
+}
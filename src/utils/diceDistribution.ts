@@ -0,0 +1,556 @@
+/**
+ * Dice Probability Distributions
+ *
+ * Computes exact probability distributions for parsed dice expressions:
+ * - Convolution of dice groups and flat modifiers
+ * - Keep/drop highest/lowest via order statistics
+ * - Rerolls (once, matching the roll engine), minimums and capped explosions
+ * - Multiplication and floor division between independent parts
+ *
+ * Operations that come after a multi-die keep (e.g. "4d6kh3r1") are applied to
+ * every die before keeping. This is exact for minimums and an approximation for
+ * rerolls and explosions. Exploded dice are treated as one compound die.
+ */
+
+import {
+  DiceExpression,
+  DiceAstNode,
+  DiceTermNode,
+  DiceDistribution,
+  RollEngineError
+} from '../types/rolls';
+
+import { parseDiceExpression } from './diceParser';
+
+export interface DistributionOptions {
+  /** Maximum number of extra dice a single exploding die may add (default 20) */
+  maxExplosions?: number;
+}
+
+const DEFAULT_MAX_EXPLOSIONS = 20;
+
+/** Rough operation budget for keep/drop order statistics, so previews stay responsive */
+const MAX_KEEP_WORK = 50_000_000;
+
+// =============================================================================
+// DISTRIBUTION PRIMITIVES
+// =============================================================================
+
+/**
+ * Distribution that is always the same value
+ */
+export function pointDistribution(value: number): DiceDistribution {
+  return { min: value, max: value, probabilities: [1] };
+}
+
+/**
+ * Distribution of a single fair die
+ */
+export function uniformDistribution(sides: number): DiceDistribution {
+  return { min: 1, max: sides, probabilities: Array(sides).fill(1 / sides) };
+}
+
+/**
+ * Build a distribution from value → probability pairs, trimming empty edges
+ */
+function fromMap(masses: Map<number, number>): DiceDistribution {
+  const values = [...masses.keys()].filter(value => masses.get(value)! > 0);
+
+  if (values.length === 0) {
+    return pointDistribution(0);
+  }
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const probabilities = Array(max - min + 1).fill(0);
+
+  for (const value of values) {
+    probabilities[value - min] = masses.get(value)!;
+  }
+
+  return { min, max, probabilities };
+}
+
+/**
+ * Iterate over the values with non-zero probability
+ */
+function forEachValue(distribution: DiceDistribution, callback: (value: number, probability: number) => void): void {
+  distribution.probabilities.forEach((probability, index) => {
+    if (probability > 0) {
+      callback(distribution.min + index, probability);
+    }
+  });
+}
+
+/**
+ * Rescale so the probabilities sum to 1
+ */
+function normalize(distribution: DiceDistribution): DiceDistribution {
+  const total = distribution.probabilities.reduce((sum, p) => sum + p, 0);
+  if (total === 0 || total === 1) return distribution;
+  return { ...distribution, probabilities: distribution.probabilities.map(p => p / total) };
+}
+
+/**
+ * Distribution of the sum of two independent distributions
+ */
+export function convolve(a: DiceDistribution, b: DiceDistribution): DiceDistribution {
+  const probabilities = Array(a.probabilities.length + b.probabilities.length - 1).fill(0);
+
+  for (let i = 0; i < a.probabilities.length; i++) {
+    const pa = a.probabilities[i];
+    if (pa === 0) continue;
+    for (let j = 0; j < b.probabilities.length; j++) {
+      probabilities[i + j] += pa * b.probabilities[j];
+    }
+  }
+
+  return { min: a.min + b.min, max: a.max + b.max, probabilities };
+}
+
+/**
+ * Distribution of the sum of n independent copies (binary exponentiation)
+ */
+function convolvePower(distribution: DiceDistribution, n: number): DiceDistribution {
+  let result = pointDistribution(0);
+  let base = distribution;
+  let remaining = n;
+
+  while (remaining > 0) {
+    if (remaining & 1) result = convolve(result, base);
+    remaining >>= 1;
+    if (remaining > 0) base = convolve(base, base);
+  }
+
+  return result;
+}
+
+function negateDistribution(distribution: DiceDistribution): DiceDistribution {
+  return {
+    min: -distribution.max,
+    max: -distribution.min,
+    probabilities: [...distribution.probabilities].reverse()
+  };
+}
+
+/**
+ * Combine two independent distributions with an arbitrary operator.
+ * Pairs where the operator returns null (e.g. division by zero) are discarded.
+ */
+function combineDistributions(
+  a: DiceDistribution,
+  b: DiceDistribution,
+  operator: (x: number, y: number) => number | null
+): DiceDistribution {
+  const masses = new Map<number, number>();
+
+  forEachValue(a, (x, px) => {
+    forEachValue(b, (y, py) => {
+      const value = operator(x, y);
+      if (value === null) return;
+      masses.set(value, (masses.get(value) || 0) + px * py);
+    });
+  });
+
+  return normalize(fromMap(masses));
+}
+
+// =============================================================================
+// DIE OPERATIONS
+// =============================================================================
+
+/**
+ * Reroll once on any listed value, taking the new roll
+ */
+function applyReroll(die: DiceDistribution, values: number[], sides: number): DiceDistribution {
+  const masses = new Map<number, number>();
+  let rerollChance = 0;
+
+  forEachValue(die, (value, probability) => {
+    if (values.includes(value)) {
+      rerollChance += probability;
+    } else {
+      masses.set(value, (masses.get(value) || 0) + probability);
+    }
+  });
+
+  for (let face = 1; face <= sides; face++) {
+    masses.set(face, (masses.get(face) || 0) + rerollChance / sides);
+  }
+
+  return fromMap(masses);
+}
+
+/**
+ * Raise any value below the minimum up to it
+ */
+function applyMinimum(die: DiceDistribution, minimum: number): DiceDistribution {
+  const masses = new Map<number, number>();
+
+  forEachValue(die, (value, probability) => {
+    const clamped = Math.max(value, minimum);
+    masses.set(clamped, (masses.get(clamped) || 0) + probability);
+  });
+
+  return fromMap(masses);
+}
+
+/**
+ * Treat every face above the maximum as the maximum
+ */
+function applyMaximum(die: DiceDistribution, maximum: number): DiceDistribution {
+  const masses = new Map<number, number>();
+
+  forEachValue(die, (value, probability) => {
+    const clamped = Math.min(value, maximum);
+    masses.set(clamped, (masses.get(clamped) || 0) + probability);
+  });
+
+  return fromMap(masses);
+}
+
+/**
+ * Roll another die whenever a die meets the threshold, up to maxExplosions extra dice
+ */
+function applyExplode(die: DiceDistribution, threshold: number, sides: number, maxExplosions: number): DiceDistribution {
+  const explodeOnce = (current: DiceDistribution, chain: DiceDistribution): DiceDistribution => {
+    const masses = new Map<number, number>();
+
+    forEachValue(current, (value, probability) => {
+      if (value >= threshold) {
+        forEachValue(chain, (extra, chance) => {
+          masses.set(value + extra, (masses.get(value + extra) || 0) + probability * chance);
+        });
+      } else {
+        masses.set(value, (masses.get(value) || 0) + probability);
+      }
+    });
+
+    return fromMap(masses);
+  };
+
+  // Build the chain of follow-up dice from the deepest allowed explosion upward
+  const face = uniformDistribution(sides);
+  let chain = face;
+  for (let depth = 1; depth < maxExplosions; depth++) {
+    chain = explodeOnce(face, chain);
+  }
+
+  return maxExplosions > 0 ? explodeOnce(die, chain) : die;
+}
+
+/**
+ * Distribution of the sum of the kept dice when keeping the highest/lowest k of n
+ * independent dice, using a DP over face values in keep order
+ */
+function keepDice(die: DiceDistribution, n: number, keep: number, mode: 'highest' | 'lowest'): DiceDistribution {
+  if (keep <= 0) return pointDistribution(0);
+  if (keep >= n) return convolvePower(die, n);
+
+  const faces: Array<{ value: number; probability: number }> = [];
+  forEachValue(die, (value, probability) => faces.push({ value, probability }));
+  faces.sort((a, b) => mode === 'highest' ? b.value - a.value : a.value - b.value);
+
+  // Shift values so kept sums index from zero
+  const offset = die.min;
+  const maxSum = keep * (die.max - offset);
+
+  if (faces.length * (n * n / 2) * (maxSum + 1) > MAX_KEEP_WORK) {
+    throw new RollEngineError(
+      `Distribution for keeping ${keep} of ${n} dice is too expensive to compute`,
+      'DISTRIBUTION_TOO_LARGE',
+      { dice: n, keep, faces: faces.length }
+    );
+  }
+
+  const binomial: number[][] = [];
+  for (let i = 0; i <= n; i++) {
+    binomial[i] = [1];
+    for (let j = 1; j <= i; j++) {
+      binomial[i][j] = binomial[i - 1][j - 1] + (j < i ? binomial[i - 1][j] : 0);
+    }
+  }
+
+  // dp[j][s]: j dice assigned so far, s = shifted sum of the dice kept among them
+  let dp: number[][] = Array.from({ length: n + 1 }, () => Array(maxSum + 1).fill(0));
+  dp[0][0] = 1;
+
+  for (const { value, probability } of faces) {
+    const next: number[][] = Array.from({ length: n + 1 }, () => Array(maxSum + 1).fill(0));
+    const shifted = value - offset;
+
+    for (let j = 0; j <= n; j++) {
+      const row = dp[j];
+      if (!row.some(p => p > 0)) continue;
+
+      let power = 1;
+      for (let c = 0; j + c <= n; c++) {
+        const weight = binomial[n - j][c] * power;
+        const keptHere = Math.max(0, Math.min(c, keep - j));
+        const add = keptHere * shifted;
+
+        for (let s = 0; s + add <= maxSum; s++) {
+          if (row[s] > 0) {
+            next[j + c][s + add] += row[s] * weight;
+          }
+        }
+        power *= probability;
+      }
+    }
+
+    dp = next;
+  }
+
+  return {
+    min: keep * offset,
+    max: keep * offset + maxSum,
+    probabilities: dp[n]
+  };
+}
+
+// =============================================================================
+// EXPRESSION DISTRIBUTIONS
+// =============================================================================
+
+/**
+ * Exact distribution of a single dice group, applying its operations in order
+ */
+export function getTermDistribution(term: DiceTermNode, options: DistributionOptions = {}): DiceDistribution {
+  const maxExplosions = options.maxExplosions ?? DEFAULT_MAX_EXPLOSIONS;
+  let die = uniformDistribution(term.sides);
+  let keep: { count: number; mode: 'highest' | 'lowest' } | null = null;
+  let keptDie: DiceDistribution | null = null;
+
+  for (const op of term.operations) {
+    const current = keep?.count ?? term.count;
+    let transform: ((d: DiceDistribution) => DiceDistribution) | null = null;
+
+    switch (op.type) {
+      case 'keep_highest':
+      case 'keep_lowest':
+        keep = {
+          count: Math.min(current, typeof op.value === 'number' ? op.value : current),
+          mode: op.type === 'keep_highest' ? 'highest' : 'lowest'
+        };
+        keptDie = null;
+        break;
+      case 'drop_highest':
+      case 'drop_lowest':
+        keep = {
+          count: Math.max(0, current - (typeof op.value === 'number' ? op.value : 0)),
+          mode: op.type === 'drop_highest' ? 'lowest' : 'highest'
+        };
+        keptDie = null;
+        break;
+      case 'reroll': {
+        const values = Array.isArray(op.value) ? op.value : [op.value];
+        transform = d => applyReroll(d, values, term.sides);
+        break;
+      }
+      case 'minimum':
+        if (typeof op.value === 'number') {
+          const minimum = op.value;
+          transform = d => applyMinimum(d, minimum);
+        }
+        break;
+      case 'maximum':
+        if (typeof op.value === 'number') {
+          const maximum = op.value;
+          transform = d => applyMaximum(d, maximum);
+        }
+        break;
+      case 'explode':
+        if (typeof op.value === 'number') {
+          const threshold = op.value;
+          transform = d => applyExplode(d, threshold, term.sides, maxExplosions);
+        }
+        break;
+    }
+
+    if (!transform) continue;
+
+    // A single kept die can be transformed exactly; otherwise apply to every die
+    if (keep && keep.count === 1 && term.count > 1) {
+      keptDie = transform(keptDie ?? keepDice(die, term.count, 1, keep.mode));
+    } else {
+      die = transform(die);
+    }
+  }
+
+  if (keptDie) {
+    return keptDie;
+  }
+
+  if (keep && keep.count < term.count) {
+    return keepDice(die, term.count, keep.count, keep.mode);
+  }
+
+  return convolvePower(die, term.count);
+}
+
+/**
+ * Exact distribution of an expression tree
+ * @param node - Expression tree from the dice parser
+ * @param options - Distribution options
+ * @param overrides - Distributions to use instead of rolling specific dice groups
+ */
+export function getAstDistribution(
+  node: DiceAstNode,
+  options: DistributionOptions = {},
+  overrides?: Map<DiceTermNode, DiceDistribution>
+): DiceDistribution {
+  switch (node.type) {
+    case 'dice':
+      return overrides?.get(node) ?? getTermDistribution(node, options);
+    case 'number':
+      return pointDistribution(node.value);
+    case 'group':
+      return getAstDistribution(node.expression, options, overrides);
+    case 'negate':
+      return negateDistribution(getAstDistribution(node.operand, options, overrides));
+    case 'binary': {
+      const left = getAstDistribution(node.left, options, overrides);
+      const right = getAstDistribution(node.right, options, overrides);
+
+      switch (node.operator) {
+        case '+':
+          return convolve(left, right);
+        case '-':
+          return convolve(left, negateDistribution(right));
+        case '*':
+          return combineDistributions(left, right, (x, y) => x * y);
+        case '/':
+          // Matches the engine: division rounds down; divide-by-zero outcomes are excluded
+          return combineDistributions(left, right, (x, y) => y === 0 ? null : Math.floor(x / y));
+      }
+    }
+  }
+}
+
+/**
+ * Exact distribution of a dice expression
+ * @param expression - Parsed expression or dice notation
+ */
+export function getDiceDistribution(expression: DiceExpression | string, options: DistributionOptions = {}): DiceDistribution {
+  const parsed = typeof expression === 'string' ? parseDiceExpression(expression) : expression;
+  const ast = parsed.ast ?? parseDiceExpression(parsed.expression).ast!;
+  return getAstDistribution(ast, options);
+}
+
+// =============================================================================
+// QUERIES
+// =============================================================================
+
+/**
+ * Chance of rolling exactly the given total
+ */
+export function probabilityOf(distribution: DiceDistribution, total: number): number {
+  return distribution.probabilities[total - distribution.min] || 0;
+}
+
+/**
+ * Chance of rolling the given total or higher (e.g. meeting a DC)
+ */
+export function probabilityAtLeast(distribution: DiceDistribution, total: number): number {
+  const start = Math.max(0, total - distribution.min);
+  let sum = 0;
+  for (let i = start; i < distribution.probabilities.length; i++) {
+    sum += distribution.probabilities[i];
+  }
+  return Math.min(1, sum);
+}
+
+/**
+ * Chance of rolling the given total or lower
+ */
+export function probabilityAtMost(distribution: DiceDistribution, total: number): number {
+  return Math.max(0, 1 - probabilityAtLeast(distribution, total + 1));
+}
+
+/**
+ * Cumulative distribution: entry i is the chance of rolling min + i or lower
+ */
+export function getCumulativeDistribution(distribution: DiceDistribution): number[] {
+  let running = 0;
+  return distribution.probabilities.map(p => {
+    running += p;
+    return Math.min(1, running);
+  });
+}
+
+/**
+ * Expected value of a distribution
+ */
+export function getDistributionMean(distribution: DiceDistribution): number {
+  return distribution.probabilities.reduce((sum, p, i) => sum + p * (distribution.min + i), 0);
+}
+
+/**
+ * Chance that an expression meets a target, accounting for natural results on
+ * its first d20 that succeed or fail regardless of the total
+ * @param expression - Parsed roll expression
+ * @param target - Total needed
+ * @param options.bonus - Extra independent distribution added to the total (flat or dice bonuses)
+ * @param options.autoSuccess - d20 faces that always succeed (e.g. [20] on attacks)
+ * @param options.autoFailure - d20 faces that always fail (e.g. [1])
+ */
+export function calculateSuccessProbability(
+  expression: DiceExpression,
+  target: number,
+  options: DistributionOptions & {
+    bonus?: DiceDistribution;
+    autoSuccess?: number[];
+    autoFailure?: number[];
+  } = {}
+): number {
+  const ast = expression.ast ?? parseDiceExpression(expression.expression).ast!;
+  const bonus = options.bonus ?? pointDistribution(0);
+  const autoSuccess = options.autoSuccess ?? [];
+  const autoFailure = options.autoFailure ?? [];
+
+  const d20 = findNaturalD20(ast);
+
+  if (!d20 || (autoSuccess.length === 0 && autoFailure.length === 0)) {
+    return probabilityAtLeast(convolve(getAstDistribution(ast, options), bonus), target);
+  }
+
+  // Condition on the natural d20 result; everything else is independent of it
+  const natural = getTermDistribution(d20, options);
+  const rest = convolve(
+    getAstDistribution(ast, options, new Map([[d20, pointDistribution(0)]])),
+    bonus
+  );
+
+  let probability = 0;
+  forEachValue(natural, (face, chance) => {
+    if (autoSuccess.includes(face)) {
+      probability += chance;
+    } else if (!autoFailure.includes(face)) {
+      probability += chance * probabilityAtLeast(rest, target - face);
+    }
+  });
+
+  return Math.min(1, probability);
+}
+
+/**
+ * First d20 group that keeps a single die and is added straight into the total
+ */
+function findNaturalD20(node: DiceAstNode): DiceTermNode | null {
+  switch (node.type) {
+    case 'dice': {
+      const keepsOne = node.count === 1 || node.operations.some(op =>
+        (op.type === 'keep_highest' || op.type === 'keep_lowest') && op.value === 1
+      );
+      return node.sides === 20 && keepsOne ? node : null;
+    }
+    case 'number':
+    case 'negate':
+      return null;
+    case 'group':
+      return findNaturalD20(node.expression);
+    case 'binary':
+      if (node.operator !== '+' && node.operator !== '-') return null;
+      return findNaturalD20(node.left) ?? (node.operator === '+' ? findNaturalD20(node.right) : null);
+  }
+}
@@ -1,17 +1,591 @@
 /**
  * Advanced Dice Expression Parser
  * 
+ * Tokenizes dice notation and parses it into an expression tree (AST).
  * Supports D&D 5e dice notation including:
  * - Basic: "1d20", "3d6", "2d8+3"
+ * - Multiple groups: "1d8+2d6+3", "2d6+1d4-1"
+ * - Arithmetic: "+ - * /" with floor division and parentheses, e.g. "(1d6+2)*2"
  * - Advantage/Disadvantage: "2d20kh1", "2d20kl1"
  * - Drop dice: "4d6dl1" (ability score generation)
  * - Rerolls: "2d6r1,2" (Great Weapon Fighting)
- * - Exploding: "1d6x6" (explode on 6s)
+ * - Exploding: "1d6x6" (explode on 6s), "1d6x" (explode on max)
  * - Minimum: "2d6m3" (minimum 3 per die)
- * - Complex: "3d6+2kh1r1x6" (multiple operations)
+ * - Maximum: "2d6max4" (maximum 4 per die)
+ * - Per-group operations: "2d20kh1+1d6x" (operations attach to the dice before them)
  */
 
-import { DiceExpression, Operation, DiceParseResult, DiceParseError, MultiDiceExpression, LabeledDiceExpression } from '../types/rolls';
+import {
+  DiceExpression,
+  Operation,
+  DiceParseResult,
+  DiceParseError,
+  MultiDiceExpression,
+  LabeledDiceExpression,
+  DiceAstNode,
+  DiceTermNode,
+  RollEngineError
+} from '../types/rolls';
+
+const SUPPORTED_DIE_SIZES = [2, 3, 4, 6, 8, 10, 12, 20, 100];
+const MAX_DICE_COUNT = 100;
+
+// =============================================================================
+// TOKENIZER
+// =============================================================================
+
+export type DiceToken =
+  | { type: 'number'; value: number; position: number }
+  | { type: 'dice'; position: number }
+  | { type: 'operation'; value: 'kh' | 'kl' | 'dh' | 'dl' | 'r' | 'x' | 'm' | 'max'; position: number }
+  | { type: 'operator'; value: '+' | '-' | '*' | '/'; position: number }
+  | { type: 'paren'; value: '(' | ')'; position: number }
+  | { type: 'comma'; position: number };
+
+/**
+ * Normalize an expression for tokenizing (lowercase, no whitespace)
+ */
+function normalizeExpression(expression: string): string {
+  return expression.trim().toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * Split a dice expression into tokens
+ * @param expression - Dice expression like "2d20kh1+1d4"
+ * @returns Tokens in source order; throws DiceParseError on unknown characters
+ */
+export function tokenizeDiceExpression(expression: string): DiceToken[] {
+  const source = normalizeExpression(expression);
+  const tokens: DiceToken[] = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (/\d/.test(char)) {
+      const start = i;
+      while (i < source.length && /\d/.test(source[i])) i++;
+      tokens.push({ type: 'number', value: parseInt(source.slice(start, i), 10), position: start });
+      continue;
+    }
+
+    switch (char) {
+      case 'd':
+        if (next === 'h' || next === 'l') {
+          tokens.push({ type: 'operation', value: next === 'h' ? 'dh' : 'dl', position: i });
+          i += 2;
+        } else {
+          tokens.push({ type: 'dice', position: i });
+          i++;
+        }
+        continue;
+      case 'k':
+        // Bare "k" is shorthand for keep highest
+        if (next === 'h' || next === 'l') {
+          tokens.push({ type: 'operation', value: next === 'h' ? 'kh' : 'kl', position: i });
+          i += 2;
+        } else {
+          tokens.push({ type: 'operation', value: 'kh', position: i });
+          i++;
+        }
+        continue;
+      case 'm':
+        if (source.startsWith('max', i)) {
+          tokens.push({ type: 'operation', value: 'max', position: i });
+          i += 3;
+        } else {
+          tokens.push({ type: 'operation', value: 'm', position: i });
+          i++;
+        }
+        continue;
+      case 'r':
+      case 'x':
+        tokens.push({ type: 'operation', value: char, position: i });
+        i++;
+        continue;
+      case '+':
+      case '-':
+      case '*':
+      case '/':
+        tokens.push({ type: 'operator', value: char, position: i });
+        i++;
+        continue;
+      case '×':
+        tokens.push({ type: 'operator', value: '*', position: i });
+        i++;
+        continue;
+      case '÷':
+        tokens.push({ type: 'operator', value: '/', position: i });
+        i++;
+        continue;
+      case '(':
+      case ')':
+        tokens.push({ type: 'paren', value: char, position: i });
+        i++;
+        continue;
+      case ',':
+        tokens.push({ type: 'comma', position: i });
+        i++;
+        continue;
+    }
+
+    throw new DiceParseError(expression, `Unexpected character "${char}" at position ${i}`);
+  }
+
+  return tokens;
+}
+
+// =============================================================================
+// AST PARSER
+// =============================================================================
+
+/**
+ * Recursive descent parser over the token stream.
+ *
+ * Grammar:
+ *   expression := term (("+" | "-") term)*
+ *   term       := unary (("*" | "/") unary)*
+ *   unary      := ("-" | "+") unary | primary
+ *   primary    := NUMBER | dice | "(" expression ")"
+ *   dice       := NUMBER? "d" NUMBER operation*
+ */
+class DiceAstParser {
+  private index = 0;
+
+  constructor(private tokens: DiceToken[], private source: string) {}
+
+  parse(): DiceAstNode {
+    if (this.tokens.length === 0) {
+      this.fail('Empty expression');
+    }
+
+    const node = this.parseExpression();
+
+    const leftover = this.peek();
+    if (leftover) {
+      this.fail(`Unexpected ${describeToken(leftover)} at position ${leftover.position}`);
+    }
+
+    return node;
+  }
+
+  private parseExpression(): DiceAstNode {
+    let left = this.parseTerm();
+
+    let token = this.peek();
+    while (token?.type === 'operator' && (token.value === '+' || token.value === '-')) {
+      this.index++;
+      const right = this.parseTerm();
+      left = { type: 'binary', operator: token.value, left, right };
+      token = this.peek();
+    }
+
+    return left;
+  }
+
+  private parseTerm(): DiceAstNode {
+    let left = this.parseUnary();
+
+    let token = this.peek();
+    while (token?.type === 'operator' && (token.value === '*' || token.value === '/')) {
+      this.index++;
+      const right = this.parseUnary();
+      if (token.value === '/' && right.type === 'number' && right.value === 0) {
+        this.fail('Division by zero');
+      }
+      left = { type: 'binary', operator: token.value, left, right };
+      token = this.peek();
+    }
+
+    return left;
+  }
+
+  private parseUnary(): DiceAstNode {
+    const token = this.peek();
+
+    if (token?.type === 'operator' && token.value === '-') {
+      this.index++;
+      return { type: 'negate', operand: this.parseUnary() };
+    }
+
+    if (token?.type === 'operator' && token.value === '+') {
+      this.index++;
+      return this.parseUnary();
+    }
+
+    return this.parsePrimary();
+  }
+
+  private parsePrimary(): DiceAstNode {
+    const token = this.peek();
+
+    if (!token) {
+      this.fail('Unexpected end of expression');
+    }
+
+    if (token.type === 'paren' && token.value === '(') {
+      this.index++;
+      const expression = this.parseExpression();
+      const closing = this.peek();
+      if (closing?.type !== 'paren' || closing.value !== ')') {
+        this.fail(`Missing ")" for "(" at position ${token.position}`);
+      }
+      this.index++;
+      return { type: 'group', expression };
+    }
+
+    if (token.type === 'number') {
+      this.index++;
+      if (this.peek()?.type === 'dice') {
+        return this.parseDice(token.value);
+      }
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'dice') {
+      return this.parseDice(1);
+    }
+
+    this.fail(`Unexpected ${describeToken(token)} at position ${token.position}`);
+  }
+
+  private parseDice(count: number): DiceTermNode {
+    const diceToken = this.next();
+    const sidesToken = this.peek();
+
+    if (sidesToken?.type !== 'number') {
+      this.fail(`Expected die size after "d" at position ${diceToken.position}`);
+    }
+    this.index++;
+
+    const sides = sidesToken.value;
+
+    if (count <= 0 || count > MAX_DICE_COUNT) {
+      this.fail(`Invalid dice count: ${count} (must be 1-${MAX_DICE_COUNT})`);
+    }
+
+    if (!SUPPORTED_DIE_SIZES.includes(sides)) {
+      this.fail(`Invalid die size: d${sides} (supported: ${SUPPORTED_DIE_SIZES.map(s => `d${s}`).join(',')})`);
+    }
+
+    const operations: Operation[] = [];
+    let token = this.peek();
+
+    while (token?.type === 'operation') {
+      this.index++;
+      operations.push(this.parseOperation(token.value, sides));
+      token = this.peek();
+    }
+
+    return { type: 'dice', count, sides, operations };
+  }
+
+  private parseOperation(code: 'kh' | 'kl' | 'dh' | 'dl' | 'r' | 'x' | 'm' | 'max', sides: number): Operation {
+    switch (code) {
+      case 'kh':
+        return { type: 'keep_highest', value: this.optionalNumber(1) };
+      case 'kl':
+        return { type: 'keep_lowest', value: this.optionalNumber(1) };
+      case 'dh':
+        return { type: 'drop_highest', value: this.optionalNumber(1) };
+      case 'dl':
+        return { type: 'drop_lowest', value: this.optionalNumber(1) };
+      case 'x':
+        return { type: 'explode', value: this.optionalNumber(sides) };
+      case 'm':
+        return { type: 'minimum', value: this.requiredNumber('m') };
+      case 'max':
+        return { type: 'maximum', value: this.requiredNumber('max') };
+      case 'r': {
+        const values = [this.requiredNumber('r')];
+        while (this.peek()?.type === 'comma' && this.peek(1)?.type === 'number') {
+          this.index++;
+          values.push(this.requiredNumber('r'));
+        }
+        return { type: 'reroll', value: values };
+      }
+    }
+  }
+
+  private optionalNumber(fallback: number): number {
+    const token = this.peek();
+    if (token?.type === 'number') {
+      this.index++;
+      return token.value;
+    }
+    return fallback;
+  }
+
+  private requiredNumber(code: string): number {
+    const token = this.peek();
+    if (token?.type !== 'number') {
+      this.fail(`Operation "${code}" requires a number`);
+    }
+    this.index++;
+    return token.value;
+  }
+
+  private peek(offset: number = 0): DiceToken | undefined {
+    return this.tokens[this.index + offset];
+  }
+
+  private next(): DiceToken {
+    return this.tokens[this.index++];
+  }
+
+  private fail(reason: string): never {
+    throw new DiceParseError(this.source, reason);
+  }
+}
+
+function describeToken(token: DiceToken): string {
+  switch (token.type) {
+    case 'number': return `number ${token.value}`;
+    case 'dice': return '"d"';
+    case 'operation': return `operation "${token.value}"`;
+    case 'operator': return `"${token.value}"`;
+    case 'paren': return `"${token.value}"`;
+    case 'comma': return '","';
+  }
+}
+
+/**
+ * Parse a dice expression string into an expression tree
+ * @param expression - Dice expression like "(1d6+2)*2"
+ * @returns Root AST node or throws DiceParseError
+ */
+export function parseDiceAst(expression: string): DiceAstNode {
+  const tokens = tokenizeDiceExpression(expression);
+  return new DiceAstParser(tokens, expression).parse();
+}
+
+// =============================================================================
+// AST UTILITIES
+// =============================================================================
+
+/** A dice group found in an expression tree along with how it is summed */
+export interface DiceTermEntry {
+  term: DiceTermNode;
+  /** -1 when the group is subtracted from the total */
+  sign: 1 | -1;
+  /** Whether the group sits under "*" or "/" */
+  scaled: boolean;
+}
+
+/**
+ * Collect every dice group in an expression tree, in source order
+ */
+export function getDiceTerms(node: DiceAstNode): DiceTermEntry[] {
+  return collectAdditiveParts(node).terms;
+}
+
+/**
+ * Sum of the flat numbers that are added or subtracted at the top level
+ * (numbers under "*" or "/" are excluded)
+ */
+export function getAdditiveConstant(node: DiceAstNode): number {
+  return collectAdditiveParts(node).constant;
+}
+
+/**
+ * Whether the tree only uses "+" and "-" (so dice rows and the constant sum to the total)
+ */
+export function isAdditiveExpression(node: DiceAstNode): boolean {
+  switch (node.type) {
+    case 'dice':
+    case 'number':
+      return true;
+    case 'group':
+      return isAdditiveExpression(node.expression);
+    case 'negate':
+      return isAdditiveExpression(node.operand);
+    case 'binary':
+      return (node.operator === '+' || node.operator === '-') &&
+             isAdditiveExpression(node.left) &&
+             isAdditiveExpression(node.right);
+  }
+}
+
+function collectAdditiveParts(root: DiceAstNode): { terms: DiceTermEntry[]; constant: number } {
+  const parts = { terms: [] as DiceTermEntry[], constant: 0 };
+
+  const visit = (node: DiceAstNode, sign: 1 | -1, scaled: boolean) => {
+    switch (node.type) {
+      case 'dice':
+        parts.terms.push({ term: node, sign, scaled });
+        break;
+      case 'number':
+        if (!scaled) parts.constant += sign * node.value;
+        break;
+      case 'group':
+        visit(node.expression, sign, scaled);
+        break;
+      case 'negate':
+        visit(node.operand, scaled ? 1 : (-sign as 1 | -1), scaled);
+        break;
+      case 'binary':
+        if (node.operator === '+' || node.operator === '-') {
+          visit(node.left, sign, scaled);
+          visit(node.right, node.operator === '-' && !scaled ? (-sign as 1 | -1) : sign, scaled);
+        } else {
+          visit(node.left, 1, true);
+          visit(node.right, 1, true);
+        }
+        break;
+    }
+  };
+
+  visit(root, 1, false);
+  return parts;
+}
+
+/**
+ * Evaluate an expression tree, delegating each dice group to a roller
+ * @param node - Root of the expression tree
+ * @param rollTerm - Rolls one dice group and returns its value
+ * @returns Final value; "/" rounds down
+ */
+export async function evaluateDiceAst(
+  node: DiceAstNode,
+  rollTerm: (entry: DiceTermEntry) => Promise<number> | number
+): Promise<number> {
+  const visit = async (current: DiceAstNode, sign: 1 | -1, scaled: boolean): Promise<number> => {
+    switch (current.type) {
+      case 'dice':
+        return rollTerm({ term: current, sign, scaled });
+      case 'number':
+        return current.value;
+      case 'group':
+        return visit(current.expression, sign, scaled);
+      case 'negate':
+        return -(await visit(current.operand, scaled ? 1 : (-sign as 1 | -1), scaled));
+      case 'binary': {
+        if (current.operator === '+' || current.operator === '-') {
+          const left = await visit(current.left, sign, scaled);
+          const rightSign = current.operator === '-' && !scaled ? (-sign as 1 | -1) : sign;
+          const right = await visit(current.right, rightSign, scaled);
+          return current.operator === '+' ? left + right : left - right;
+        }
+
+        const left = await visit(current.left, 1, true);
+        const right = await visit(current.right, 1, true);
+
+        if (current.operator === '*') {
+          return left * right;
+        }
+
+        if (right === 0) {
+          throw new RollEngineError(
+            `Division by zero in "${formatDiceAst(node)}"`,
+            'DIVISION_BY_ZERO',
+            { expression: formatDiceAst(node) }
+          );
+        }
+        return Math.floor(left / right);
+      }
+    }
+  };
+
+  return visit(node, 1, false);
+}
+
+/**
+ * Print an expression tree back to dice notation
+ */
+export function formatDiceAst(node: DiceAstNode): string {
+  switch (node.type) {
+    case 'dice':
+      return formatDiceTerm(node);
+    case 'number':
+      return `${node.value}`;
+    case 'group':
+      return `(${formatDiceAst(node.expression)})`;
+    case 'negate':
+      return `-${formatDiceAst(node.operand)}`;
+    case 'binary':
+      return `${formatDiceAst(node.left)}${node.operator}${formatDiceAst(node.right)}`;
+  }
+}
+
+/**
+ * Print a single dice group, e.g. "4d6dl1" or "2d6r1,2"
+ */
+export function formatDiceTerm(term: DiceTermNode): string {
+  const codes: Record<Operation['type'], string> = {
+    keep_highest: 'kh',
+    keep_lowest: 'kl',
+    drop_highest: 'dh',
+    drop_lowest: 'dl',
+    reroll: 'r',
+    explode: 'x',
+    minimum: 'm',
+    maximum: 'max'
+  };
+
+  const operations = term.operations.map(op => {
+    const value = Array.isArray(op.value) ? op.value.join(',') : `${op.value}`;
+    return `${codes[op.type]}${value}`;
+  }).join('');
+
+  return `${term.count}d${term.sides}${operations}`;
+}
+
+/**
+ * Evaluate a tree that contains no dice
+ */
+function evaluateConstantAst(node: DiceAstNode): number {
+  switch (node.type) {
+    case 'dice':
+      throw new DiceParseError(formatDiceAst(node), 'Expected a constant expression');
+    case 'number':
+      return node.value;
+    case 'group':
+      return evaluateConstantAst(node.expression);
+    case 'negate':
+      return -evaluateConstantAst(node.operand);
+    case 'binary': {
+      const left = evaluateConstantAst(node.left);
+      const right = evaluateConstantAst(node.right);
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/':
+          if (right === 0) {
+            throw new DiceParseError(formatDiceAst(node), 'Division by zero');
+          }
+          return Math.floor(left / right);
+      }
+    }
+  }
+}
+
+/**
+ * Build the legacy `parsed` view from a tree: the first dice group plus the
+ * net additive modifier. Constant-only trees become 1d1 + (value - 1).
+ */
+function toLegacyParsed(ast: DiceAstNode): DiceExpression['parsed'] {
+  const terms = getDiceTerms(ast);
+
+  if (terms.length === 0) {
+    const value = evaluateConstantAst(ast);
+    return {
+      count: 1,
+      sides: 1,
+      modifier: value - 1, // Since 1d1 always rolls 1, we add (value-1) as modifier to get the desired value
+      operations: []
+    };
+  }
+
+  const head = terms[0].term;
+  return {
+    count: head.count,
+    sides: head.sides,
+    modifier: getAdditiveConstant(ast),
+    operations: head.operations
+  };
+}
 
 // =============================================================================
 // DICE EXPRESSION PARSER
@@ -19,7 +593,7 @@ import { DiceExpression, Operation, DiceParseResult, DiceParseError, MultiDiceEx
 
 /**
  * Parse a dice expression string into structured data
- * @param expression - Dice expression like "3d6+2kh1"
+ * @param expression - Dice expression like "1d8+2d6+3"
  * @returns Parsed dice expression or throws DiceParseError
  */
 export function parseDiceExpression(expression: string): DiceExpression {
@@ -36,7 +610,8 @@ export function parseDiceExpression(expression: string): DiceExpression {
       sides: result.sides,
       modifier: result.modifier,
       operations: result.operations
-    }
+    },
+    ast: result.ast
   };
 }
 
@@ -47,85 +622,15 @@ export function parseDiceExpression(expression: string): DiceExpression {
  */
 export function tryParseDiceExpression(expression: string): DiceParseResult {
   try {
-    const normalized = expression.trim().toLowerCase().replace(/\s+/g, '');
-    
-    if (!normalized) {
-      return {
-        count: 0,
-        sides: 0,
-        modifier: 0,
-        operations: [],
-        valid: false,
-        error: 'Empty expression'
-      };
-    }
-
-    // Extract the basic dice part (XdY)
-    const diceMatch = normalized.match(/^(\d+)?d(\d+)/);
-    if (!diceMatch) {
-      // Handle raw numbers like "5" (treated as 1-sided die with fixed value)
-      const numberMatch = normalized.match(/^[+-]?(\d+)$/);
-      if (numberMatch) {
-        const value = parseInt(normalized, 10);
-        return {
-          count: 1,
-          sides: 1,
-          modifier: value - 1, // Since 1d1 always rolls 1, we add (value-1) as modifier to get the desired value
-          operations: [],
-          valid: true
-        };
-      }
-      
-      return {
-        count: 0,
-        sides: 0,
-        modifier: 0,
-        operations: [],
-        valid: false,
-        error: 'Invalid dice format - expected XdY or number'
-      };
-    }
-
-    const count = parseInt(diceMatch[1] || '1', 10);
-    const sides = parseInt(diceMatch[2], 10);
-
-    // Validate basic dice values
-    if (count <= 0 || count > 100) {
-      return {
-        count: 0,
-        sides: 0,
-        modifier: 0,
-        operations: [],
-        valid: false,
-        error: `Invalid dice count: ${count} (must be 1-100)`
-      };
-    }
-
-    if (![2, 3, 4, 6, 8, 10, 12, 20, 100].includes(sides)) {
-      return {
-        count: 0,
-        sides: 0,
-        modifier: 0,
-        operations: [],
-        valid: false,
-        error: `Invalid die size: d${sides} (supported: d2,d3,d4,d6,d8,d10,d12,d20,d100)`
-      };
-    }
-
-    // Extract the rest after the basic dice
-    const remainder = normalized.substring(diceMatch[0].length);
-    
-    // Parse modifier
-    const modifier = parseModifier(remainder);
-    
-    // Parse operations
-    const operations = parseOperations(remainder);
+    const ast = parseDiceAst(expression);
+    const parsed = toLegacyParsed(ast);
 
     return {
-      count,
-      sides,
-      modifier,
-      operations,
+      count: parsed.count,
+      sides: parsed.sides,
+      modifier: parsed.modifier || 0,
+      operations: parsed.operations,
+      ast,
       valid: true
     };
 
@@ -136,101 +641,13 @@ export function tryParseDiceExpression(expression: string): DiceParseResult {
       modifier: 0,
       operations: [],
       valid: false,
-      error: error instanceof Error ? error.message : 'Unknown parsing error'
+      error: error instanceof DiceParseError
+        ? (error.context?.reason as string)
+        : error instanceof Error ? error.message : 'Unknown parsing error'
     };
   }
 }
 
-// =============================================================================
-// OPERATION PARSERS
-// =============================================================================
-
-/**
- * Parse modifier from dice expression remainder
- * @param remainder - String after dice part (e.g., "+5kh1" -> "+5")
- */
-function parseModifier(remainder: string): number {
-  const modifierMatch = remainder.match(/([+-]\d+)/);
-  return modifierMatch ? parseInt(modifierMatch[1], 10) : 0;
-}
-
-/**
- * Parse operations from dice expression remainder
- * @param remainder - String after dice part
- */
-function parseOperations(remainder: string): Operation[] {
-  const operations: Operation[] = [];
-  
-  // Remove the modifier part to focus on operations
-  const operationsStr = remainder.replace(/[+-]\d+/, '');
-  
-  // Keep highest: kh1, kh2, etc.
-  const khMatch = operationsStr.match(/kh(\d+)/);
-  if (khMatch) {
-    operations.push({
-      type: 'keep_highest',
-      value: parseInt(khMatch[1], 10)
-    });
-  }
-  
-  // Keep lowest: kl1, kl2, etc.
-  const klMatch = operationsStr.match(/kl(\d+)/);
-  if (klMatch) {
-    operations.push({
-      type: 'keep_lowest',
-      value: parseInt(klMatch[1], 10)
-    });
-  }
-  
-  // Drop highest: dh1, dh2, etc.
-  const dhMatch = operationsStr.match(/dh(\d+)/);
-  if (dhMatch) {
-    operations.push({
-      type: 'drop_highest',
-      value: parseInt(dhMatch[1], 10)
-    });
-  }
-  
-  // Drop lowest: dl1, dl2, etc.
-  const dlMatch = operationsStr.match(/dl(\d+)/);
-  if (dlMatch) {
-    operations.push({
-      type: 'drop_lowest',
-      value: parseInt(dlMatch[1], 10)
-    });
-  }
-  
-  // Reroll: r1, r1,2, r1,2,3, etc.
-  const rMatch = operationsStr.match(/r([\d,]+)/);
-  if (rMatch) {
-    const rerollValues = rMatch[1].split(',').map(v => parseInt(v.trim(), 10));
-    operations.push({
-      type: 'reroll',
-      value: rerollValues
-    });
-  }
-  
-  // Exploding: x6, x10, etc.
-  const xMatch = operationsStr.match(/x(\d+)/);
-  if (xMatch) {
-    operations.push({
-      type: 'explode',
-      value: parseInt(xMatch[1], 10)
-    });
-  }
-  
-  // Minimum: m1, m2, etc.
-  const mMatch = operationsStr.match(/m(\d+)/);
-  if (mMatch) {
-    operations.push({
-      type: 'minimum',
-      value: parseInt(mMatch[1], 10)
-    });
-  }
-  
-  return operations;
-}
-
 // =============================================================================
 // DICE OPERATION VALIDATION
 // =============================================================================
@@ -291,6 +708,12 @@ export function validateOperations(operations: Operation[], count: number, sides
           errors.push(`Minimum value ${op.value} outside die range 1-${sides}`);
         }
         break;
+
+      case 'maximum':
+        if (typeof op.value !== 'number' || op.value < 1 || op.value > sides) {
+          errors.push(`Maximum value ${op.value} outside die range 1-${sides}`);
+        }
+        break;
     }
   }
   
@@ -334,7 +757,26 @@ export function createDiceExpression(count: number, sides: number, modifier: num
       sides,
       modifier,
       operations: []
-    }
+    },
+    ast: legacyToAst(count, sides, modifier, [])
+  };
+}
+
+/**
+ * Build an expression tree equivalent to a legacy `parsed` block
+ */
+function legacyToAst(count: number, sides: number, modifier: number, operations: Operation[]): DiceAstNode {
+  const dice: DiceAstNode = { type: 'dice', count, sides, operations };
+
+  if (modifier === 0) {
+    return dice;
+  }
+
+  return {
+    type: 'binary',
+    operator: modifier > 0 ? '+' : '-',
+    left: dice,
+    right: { type: 'number', value: Math.abs(modifier) }
   };
 }
 
@@ -427,7 +869,70 @@ export function getEffectiveDiceCount(expression: DiceExpression): number {
  * Estimate the average result for a dice expression
  */
 export function estimateAverage(expression: DiceExpression): number {
+  return Math.round(estimateNode(getExpressionAst(expression)).average);
+}
+
+/**
+ * Expression tree for a dice expression, falling back to the legacy fields
+ */
+function getExpressionAst(expression: DiceExpression): DiceAstNode {
+  if (expression.ast) {
+    return expression.ast;
+  }
   const { count, sides, modifier, operations } = expression.parsed;
+  return legacyToAst(count, sides, modifier, operations);
+}
+
+/**
+ * Combine per-group estimates through the expression tree
+ */
+function estimateNode(node: DiceAstNode): { average: number; min: number; max: number } {
+  switch (node.type) {
+    case 'dice':
+      return {
+        average: estimateTermAverage(node),
+        ...estimateTermRange(node)
+      };
+    case 'number':
+      return { average: node.value, min: node.value, max: node.value };
+    case 'group':
+      return estimateNode(node.expression);
+    case 'negate': {
+      const inner = estimateNode(node.operand);
+      return { average: -inner.average, min: -inner.max, max: -inner.min };
+    }
+    case 'binary': {
+      const left = estimateNode(node.left);
+      const right = estimateNode(node.right);
+
+      switch (node.operator) {
+        case '+':
+          return { average: left.average + right.average, min: left.min + right.min, max: left.max + right.max };
+        case '-':
+          return { average: left.average - right.average, min: left.min - right.max, max: left.max - right.min };
+        case '*': {
+          const corners = [left.min * right.min, left.min * right.max, left.max * right.min, left.max * right.max];
+          return { average: left.average * right.average, min: Math.min(...corners), max: Math.max(...corners) };
+        }
+        case '/': {
+          // Dice never roll 0, so only a constant 0 divisor is possible and the parser rejects it
+          const divisors = [right.min, right.max].filter(value => value !== 0);
+          const corners = divisors.flatMap(divisor => [Math.floor(left.min / divisor), Math.floor(left.max / divisor)]);
+          const average = right.average === 0 ? 0 : left.average / right.average;
+          return corners.length > 0
+            ? { average, min: Math.min(...corners), max: Math.max(...corners) }
+            : { average, min: 0, max: 0 };
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Estimate the average of a single dice group (before modifiers)
+ */
+function estimateTermAverage(term: DiceTermNode): number {
+  const { count, sides, operations } = term;
   
   // Check for keep highest/lowest operations
   const keepHighest = operations.find(op => op.type === 'keep_highest');
@@ -435,26 +940,25 @@ export function estimateAverage(expression: DiceExpression): number {
   
   if (keepHighest && typeof keepHighest.value === 'number' && keepHighest.value === 1) {
     // This is advantage: rolling multiple dice and keeping the highest 1
-    return Math.round(calculateExpectedValue(sides, count, 'kh') + modifier);
+    return calculateExpectedValue(sides, count, 'kh');
   }
   
   if (keepLowest && typeof keepLowest.value === 'number' && keepLowest.value === 1) {
     // This is disadvantage: rolling multiple dice and keeping the lowest 1
-    return Math.round(calculateExpectedValue(sides, count, 'kl') + modifier);
+    return calculateExpectedValue(sides, count, 'kl');
   }
   
   // For other keep operations, use the proper mathematical calculation
   if (keepHighest && typeof keepHighest.value === 'number') {
-    return Math.round(calculateExpectedValueKeep(sides, count, keepHighest.value, 'kh') + modifier);
+    return calculateExpectedValueKeep(sides, count, keepHighest.value, 'kh');
   }
   
   if (keepLowest && typeof keepLowest.value === 'number') {
-    return Math.round(calculateExpectedValueKeep(sides, count, keepLowest.value, 'kl') + modifier);
+    return calculateExpectedValueKeep(sides, count, keepLowest.value, 'kl');
   }
   
   // Base case: no keep operations, just standard dice
   const dieAverage = (sides + 1) / 2;
-  let effectiveCount = count;
   
   // Adjust for minimum values
   const minimumOp = operations.find(op => op.type === 'minimum');
@@ -465,7 +969,7 @@ export function estimateAverage(expression: DiceExpression): number {
     adjustedAverage = calculateExpectedValueWithMinimum(sides, minimumOp.value);
   }
   
-  return Math.round((effectiveCount * adjustedAverage) + modifier);
+  return count * adjustedAverage;
 }
 
 /**
@@ -531,7 +1035,19 @@ function calculateExpectedValueWithMinimum(sides: number, minimum: number): numb
  * Estimate the minimum and maximum possible results
  */
 export function estimateRange(expression: DiceExpression): { min: number; max: number } {
-  const { count, sides, modifier, operations } = expression.parsed;
+  const { min, max } = estimateNode(getExpressionAst(expression));
+  
+  return { 
+    min: Math.max(0, min), 
+    max 
+  };
+}
+
+/**
+ * Estimate the range of a single dice group (before modifiers)
+ */
+function estimateTermRange(term: DiceTermNode): { min: number; max: number } {
+  const { count, sides, operations } = term;
   
   // Check for keep operations
   const keepHighest = operations.find(op => op.type === 'keep_highest');
@@ -563,6 +1079,13 @@ export function estimateRange(expression: DiceExpression): { min: number; max: n
     const minConstraint = minimumOp.value;
     min = Math.max(min, effectiveCount * minConstraint);
   }
+
+  // Apply maximum constraint
+  const maximumOp = operations.find(op => op.type === 'maximum');
+  if (maximumOp && typeof maximumOp.value === 'number') {
+    max = Math.min(max, effectiveCount * maximumOp.value);
+    min = Math.min(min, max);
+  }
   
   // Exploding dice make max potentially infinite, so we cap it reasonably
   const hasExploding = operations.some(op => op.type === 'explode');
@@ -570,10 +1093,7 @@ export function estimateRange(expression: DiceExpression): { min: number; max: n
     max = max * 2; // Rough estimate - exploding dice could go higher
   }
   
-  return { 
-    min: Math.max(0, min + modifier), 
-    max: max + modifier 
-  };
+  return { min, max };
 }
 
 // =============================================================================
@@ -590,7 +1110,7 @@ export function parseAnyDiceExpression(fullExpression: string): MultiDiceExpress
   const trimmed = fullExpression.trim();
   
   // Split on commas (single expressions will have one part)
-  const parts = trimmed.split(',').map(part => part.trim()).filter(part => part.length > 0);
+  const parts = splitExpressionList(trimmed).map(part => part.trim()).filter(part => part.length > 0);
   const expressions: LabeledDiceExpression[] = [];
   
   if (parts.length === 0) {
@@ -608,6 +1128,38 @@ export function parseAnyDiceExpression(fullExpression: string): MultiDiceExpress
   };
 }
 
+/**
+ * Split a comma separated expression list. Commas inside parentheses or
+ * continuing a reroll list ("2d6r1,2") stay with their expression.
+ */
+function splitExpressionList(fullExpression: string): string[] {
+  const parts: string[] = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < fullExpression.length; i++) {
+    const char = fullExpression[i];
+
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (char === ',' && depth === 0) {
+      const continuesReroll = /r\d+(,\d+)*\s*$/i.test(current) &&
+                              /^\s*\d+(?![\d:]|\s*d)/i.test(fullExpression.slice(i + 1));
+      if (!continuesReroll) {
+        parts.push(current);
+        current = '';
+        continue;
+      }
+    }
+
+    current += char;
+  }
+
+  parts.push(current);
+  return parts;
+}
+
 /**
  * Legacy function - now just calls parseAnyDiceExpression
  * @deprecated Use parseAnyDiceExpression instead
@@ -672,10 +1224,10 @@ export function tryParseMultiDiceExpression(fullExpression: string): {
 /**
  * Check if an expression contains multiple dice expressions
  * @param expression - Expression to check
- * @returns True if multi-expression (contains comma)
+ * @returns True if multi-expression (contains a separating comma)
  */
 export function isMultiExpression(expression: string): boolean {
-  return expression.trim().includes(',');
+  return splitExpressionList(expression.trim()).length > 1;
 }
 
 /**
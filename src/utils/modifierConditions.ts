@@ -0,0 +1,62 @@
+/**
+ * Modifier Conditions
+ *
+ * Named conditions for modifiers that only apply to some rolls. A modifier's
+ * `condition` is a function and is lost when it is saved, so timed modifiers
+ * name their condition with a `conditionKey` that is rebuilt after a reload:
+ * - "target_type:undead" - the target is that kind of creature (Protection from Evil and Good)
+ * - "target_condition:hexblade_cursed" - the target has that condition
+ * - "source_type:weapon" - the roll comes from that kind of source
+ * - "source_tag:melee" - the roll's source has that tag
+ * Keys joined with "|" apply when any of them does, e.g. "source_tag:weapon_attack|source_type:save"
+ */
+
+import { RollContext, RollModifier } from '../types/rolls';
+
+type ConditionFactory = (argument: string) => (context: RollContext) => boolean;
+
+const CONDITION_FACTORIES: Record<string, ConditionFactory> = {
+  target_type: type => context => context.target?.creatureType?.toLowerCase() === type,
+  target_condition: condition => context => context.target?.conditions?.includes(condition) === true,
+  source_type: type => context => context.source.type === type,
+  source_tag: tag => context => context.source.tags?.includes(tag) === true
+};
+
+function resolveSingleCondition(conditionKey: string): ((context: RollContext) => boolean) | undefined {
+  const separator = conditionKey.indexOf(':');
+  const name = separator === -1 ? conditionKey : conditionKey.slice(0, separator);
+  const argument = separator === -1 ? '' : conditionKey.slice(separator + 1).toLowerCase();
+  const factory = CONDITION_FACTORIES[name];
+
+  return factory && argument ? factory(argument) : undefined;
+}
+
+/**
+ * Build the condition a key names
+ * @returns undefined for keys that name no known condition
+ */
+export function resolveModifierCondition(conditionKey: string): ((context: RollContext) => boolean) | undefined {
+  const conditions = conditionKey.split('|').map(resolveSingleCondition);
+  if (conditions.some(condition => !condition)) return undefined;
+
+  return conditions.length === 1 ? conditions[0] : context => conditions.some(condition => condition(context));
+}
+
+/**
+ * A modifier with the condition its key names; modifiers without a key are returned as they are
+ */
+export function withModifierCondition(modifier: RollModifier): RollModifier {
+  if (!modifier.conditionKey) return modifier;
+
+  const condition = resolveModifierCondition(modifier.conditionKey);
+  return condition ? { ...modifier, condition } : modifier;
+}
+
+/**
+ * Whether a modifier can be saved and restored with the same condition
+ */
+export function isSerializableModifier(modifier: RollModifier): boolean {
+  return modifier.conditionKey !== undefined
+    ? resolveModifierCondition(modifier.conditionKey) !== undefined
+    : !modifier.condition;
+}
@@ -0,0 +1,127 @@
+/**
+ * Party Roll Feed
+ *
+ * Shares completed rolls with the rest of the party:
+ * - Rolls are broadcast on a Supabase Realtime channel named after the
+ *   journal session code from SessionManager
+ * - Nothing is stored; the feed shows rolls made while connected
+ * - Without Supabase or a session, the feed only shows this device's rolls
+ * - Private rolls are never sent. DM-only rolls reach the party channel only
+ *   as a "roll sent" record; the full roll goes to the session's DM channel
+ * - The DM is the signed-in user who created the journal session
+ *   (`dnd_journals.dm_user_id`). The DM and request channels are private
+ *   Realtime channels, so the server enforces who hears what: Realtime
+ *   Authorization policies on `realtime.messages` let only that user read
+ *   the DM channel and write the request channel
+ */
+
+import { HistoryRoll, PartyRollEvent, PartyRollRequest, RollResult, RollVisibility } from '../types/rolls';
+import { generateUserColor } from './supabase';
+import { transformRollLogToUnified, transformRollResultToLog } from './rollDataTransforms';
+import { summarizeRollResult } from './rollStatistics';
+import { getRollVisibility } from './rollVisibility';
+
+/** Rolls kept in the feed */
+export const PARTY_FEED_LIMIT = 50;
+
+export const PARTY_ROLL_EVENT = 'roll';
+export const PARTY_DM_ROLL_EVENT = 'dm-roll';
+export const PARTY_ROLL_REQUEST_EVENT = 'roll-request';
+
+/** Dispatched on window when the journal session is joined or left */
+export const PARTY_SESSION_CHANGE_EVENT = 'dnd-session-change';
+
+const SESSION_CODE_KEY = 'dnd-session-code';
+
+/**
+ * Session code saved by SessionManager, if a session has been joined
+ */
+export function getPartySessionCode(): string | null {
+  try {
+    return localStorage.getItem(SESSION_CODE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export function getPartyChannelName(sessionCode: string): string {
+  return `party-rolls-${sessionCode}`;
+}
+
+/** Private channel only the session's DM can read; players send DM-only rolls to it */
+export function getPartyDMChannelName(sessionCode: string): string {
+  return `party-rolls-${sessionCode}-dm`;
+}
+
+/** Private channel only the session's DM can write; players receive roll requests on it */
+export function getPartyRequestChannelName(sessionCode: string): string {
+  return `party-rolls-${sessionCode}-requests`;
+}
+
+/**
+ * Whether a signed-in user is the DM of a journal session
+ */
+export function isPartyDMUser(journal: { dm_user_id?: string | null } | null, userId?: string | null): boolean {
+  return Boolean(userId && journal?.dm_user_id === userId);
+}
+
+/**
+ * Build the shared form of a completed roll
+ */
+export function createPartyRollEvent(
+  result: RollResult,
+  { characterId, characterName, userId }: { characterId: string; characterName: string; userId: string }
+): PartyRollEvent {
+  const log = transformRollResultToLog(result);
+
+  return {
+    id: result.metadata.rollId,
+    characterId,
+    characterName,
+    userId,
+    color: generateUserColor(userId),
+    timestamp: result.metadata.timestamp,
+    visibility: getRollVisibility(result),
+    rolls: transformRollLogToUnified(log) as HistoryRoll[],
+    outcome: summarizeRollResult(result)
+  };
+}
+
+/**
+ * The roller's own record of a roll sent to the DM: who rolled, but not what
+ */
+export function toSentRollEvent(event: PartyRollEvent): PartyRollEvent {
+  return { ...event, rolls: [], outcome: undefined };
+}
+
+export function createPartyRollRequest(
+  actionName: string,
+  requestedBy: string,
+  visibility: RollVisibility = 'dm'
+): PartyRollRequest {
+  return {
+    id: `request-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    actionName,
+    visibility,
+    requestedBy,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Add a roll to a newest-first feed, ignoring repeats and keeping the feed short
+ *
+ * The DM hears a DM-only roll twice, as the party's "sent" record and in full;
+ * the full roll replaces the record whichever arrives first.
+ */
+export function addPartyRoll(feed: PartyRollEvent[], event: PartyRollEvent): PartyRollEvent[] {
+  const existing = feed.find(roll => roll.id === event.id);
+  if (existing) {
+    return existing.rolls.length === 0 && event.rolls.length > 0
+      ? feed.map(roll => roll === existing ? event : roll)
+      : feed;
+  }
+  return [event, ...feed]
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, PARTY_FEED_LIMIT);
+}
@@ -62,6 +62,37 @@ export const useAbilityResource = async (characterId, abilityId, abilities, reso
   };
 };
 
+/**
+ * Give back a use taken by useAbilityResource when what it paid for did not happen.
+ * Takes the same abilities and resources, so the resource returns to the value they hold.
+ */
+export const refundAbilityResource = async (characterId, abilityId, abilities, resources) => {
+  const resourceLink = abilities.find(a => a.id === abilityId)?.ability_data?.resource_link;
+  if (!resourceLink) return { success: true };
+  
+  const resource = resources?.find(r => r.resource_name === resourceLink);
+  if (!resource) return { success: false, error: 'Resource not found' };
+  
+  if (supabase) {
+    const { error } = await supabase
+      .from('dnd_character_resources')
+      .update({ 
+        current_value: resource.current_value 
+      })
+      .eq('id', resource.id);
+    
+    if (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  
+  return { 
+    success: true, 
+    new_value: resource.current_value,
+    resource_name: resource.resource_name 
+  };
+};
+
 /**
  * Rest and recover resources
  */
@@ -0,0 +1,158 @@
+/**
+ * Roll Action Search
+ *
+ * Ranks search actions for the roll popup:
+ * - Fuzzy matching on letters in order, preferring word starts ("sa" → Sneak Attack)
+ * - Usage from roll history orders equally good matches, weighted toward recent rolls
+ *   and read from the newest USAGE_HISTORY_LIMIT rolls
+ * - The modifier is the last tie-breaker, as before
+ */
+
+import { RollActionUsage, RollActionUsageMap, RollHistoryEntry } from '../types/rolls';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** A roll this many days old counts half as much as one made today */
+export const USAGE_HALF_LIFE_DAYS = 14;
+
+/** Newest rolls read from history for usage; older ones have long since stopped counting */
+export const USAGE_HISTORY_LIMIT = 500;
+
+interface SearchableAction {
+  id: string;
+  name: string;
+  modifier?: number;
+}
+
+/**
+ * How well a query matches text; null when it does not match
+ *
+ * Every query letter must appear in order. Letters at the start of a word and
+ * runs of consecutive letters score higher, so "perc" ranks Perception above
+ * names that merely contain those letters, and "sa" finds Sneak Attack.
+ */
+export function fuzzyMatchScore(query: string, text: string): number | null {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  if (!needle) return 0;
+
+  const isWordStart = (index: number) => index === 0 || /[^a-z0-9]/.test(haystack[index - 1]);
+  const matchesFrom = (letters: string, from: number) => {
+    for (const letter of letters) {
+      from = haystack.indexOf(letter, from) + 1;
+      if (from === 0) return false;
+    }
+    return true;
+  };
+
+  let score = 0;
+  let position = 0;
+  let previous = -2;
+
+  for (let i = 0; i < needle.length; i++) {
+    const letter = needle[i];
+    let index = haystack.indexOf(letter, position);
+    if (index === -1) return null;
+
+    // Jump ahead to a word starting with the letter, if the rest still matches after it
+    if (index !== previous + 1 && !isWordStart(index)) {
+      for (let candidate = haystack.indexOf(letter, index + 1); candidate !== -1; candidate = haystack.indexOf(letter, candidate + 1)) {
+        if (isWordStart(candidate) && matchesFrom(needle.slice(i + 1), candidate + 1)) {
+          index = candidate;
+          break;
+        }
+      }
+    }
+
+    score += 1;
+    if (isWordStart(index)) score += 3;
+    if (index === previous + 1) score += 2;
+
+    previous = index;
+    position = index + 1;
+  }
+
+  if (haystack.startsWith(needle)) score += 5;
+  return score;
+}
+
+/**
+ * Weight of each past roll, halving every USAGE_HALF_LIFE_DAYS
+ */
+function getUsageWeight(timestamp: number, now: number): number {
+  return 0.5 ** (Math.max(0, now - timestamp) / (USAGE_HALF_LIFE_DAYS * DAY_MS));
+}
+
+/**
+ * Key a history entry's usage is counted under
+ */
+function getUsageKey(entry: RollHistoryEntry): string {
+  return entry.outcome?.actionId ?? entry.log.name.toLowerCase();
+}
+
+/**
+ * Add one history entry to a usage map, returning a new map
+ */
+export function recordRollActionUsage(
+  usage: RollActionUsageMap,
+  entry: RollHistoryEntry,
+  now: number = Date.now()
+): RollActionUsageMap {
+  const key = getUsageKey(entry);
+  const current = usage[key] ?? { count: 0, lastUsed: 0, score: 0 };
+
+  return {
+    ...usage,
+    [key]: {
+      count: current.count + 1,
+      lastUsed: Math.max(current.lastUsed, entry.timestamp),
+      score: current.score + getUsageWeight(entry.timestamp, now)
+    }
+  };
+}
+
+/**
+ * Usage of every action in a roll history
+ */
+export function getRollActionUsage(entries: RollHistoryEntry[], now: number = Date.now()): RollActionUsageMap {
+  return entries.reduce((usage, entry) => recordRollActionUsage(usage, entry, now), {} as RollActionUsageMap);
+}
+
+/**
+ * Usage of one action, by id or by the name older rolls were logged under
+ */
+export function getActionUsage(action: SearchableAction, usage: RollActionUsageMap): RollActionUsage | undefined {
+  return usage[action.id] ?? usage[action.name.toLowerCase()];
+}
+
+/**
+ * Order actions by usage score, then by modifier
+ */
+export function compareActionsByUsage(
+  a: SearchableAction,
+  b: SearchableAction,
+  usage: RollActionUsageMap = {}
+): number {
+  const usageDifference = (getActionUsage(b, usage)?.score ?? 0) - (getActionUsage(a, usage)?.score ?? 0);
+  return usageDifference || (b.modifier ?? 0) - (a.modifier ?? 0);
+}
+
+/**
+ * Filter and rank each category of actions for a search term
+ *
+ * @returns The same categories, holding only matching actions, best first
+ */
+export function searchRollActions<T extends SearchableAction>(
+  rollActions: Record<string, T[]>,
+  searchTerm: string,
+  usage: RollActionUsageMap = {}
+): Record<string, T[]> {
+  return Object.fromEntries(Object.entries(rollActions).map(([category, actions]) => [
+    category,
+    actions
+      .map(action => ({ action, match: fuzzyMatchScore(searchTerm, action.name) }))
+      .filter(({ match }) => match !== null)
+      .sort((a, b) => (b.match - a.match) || compareActionsByUsage(a.action, b.action, usage))
+      .map(({ action }) => action)
+  ]));
+}
@@ -0,0 +1,135 @@
+/**
+ * Roll Commands
+ *
+ * Natural-language rolls typed in the search box:
+ * - "stealth with advantage", "dex save dc 14", "rapier attack vs AC 15", "longbow vs goblin"
+ * - The phrase names a generated roll action (found with the fuzzy search) plus roll options
+ * - Options are applied to the action's roll definition before it is previewed and rolled
+ */
+
+import { RollCommand, RollContext, RollOptions, RollActionUsageMap } from '../types/rolls';
+import { DEFAULT_TARGET_CONFIGURATIONS } from './targetSystem';
+import { searchRollActions } from './rollActionSearch';
+
+interface CommandAction {
+  id: string;
+  name: string;
+  type: string;
+  modifier?: number;
+}
+
+const OPTION_PATTERNS: { pattern: RegExp; apply: (options: RollOptions, match: RegExpMatchArray) => void }[] = [
+  { pattern: /\b(?:with |at |w\/ ?)?(?:disadvantage|disadv)\b/, apply: options => { options.disadvantage = true; } },
+  { pattern: /\b(?:with |at |w\/ ?)?(?:advantage|adv)\b/, apply: options => { options.advantage = true; } },
+  { pattern: /\b(?:while |from )?(?:hidden|hiding|unseen)\b/, apply: options => { options.hidden = true; } },
+  { pattern: /\b(?:(?:vs\.?|versus|against) )?dc ?(\d+)\b/, apply: (options, match) => { options.dc = Number(match[1]); } },
+  { pattern: /\b(?:(?:vs\.?|versus|against) )?ac ?(\d+)\b/, apply: (options, match) => { options.targetAC = Number(match[1]); } }
+];
+
+// Words around the action name that do not help find it
+const FILLER_PATTERN = /^(?:(?:roll|make|do|a|an|my|the|for)\s+)+/;
+const TARGET_PATTERN = /\b(?:vs\.?|versus|against)\s+(?:an?\s+|the\s+)?([a-z][a-z ]*)$/;
+
+/**
+ * Split a typed phrase into an action query and roll options
+ *
+ * @returns null when the phrase sets no options, so it is searched as usual
+ */
+export function parseRollCommand(text: string): RollCommand | null {
+  let rest = ` ${text.toLowerCase().replace(/\s+/g, ' ').trim()} `;
+  const options: RollOptions = {};
+
+  for (const { pattern, apply } of OPTION_PATTERNS) {
+    const match = rest.match(pattern);
+    if (match) {
+      apply(options, match);
+      rest = rest.replace(pattern, ' ');
+    }
+  }
+
+  // Named targets come last ("vs goblin"); only known targets have an AC
+  const target = rest.trim().match(TARGET_PATTERN);
+  const targetKey = target?.[1].trim().replace(/\s+/g, '_');
+  const targetConfig = targetKey ? DEFAULT_TARGET_CONFIGURATIONS[targetKey] : undefined;
+  if (targetConfig && options.targetAC === undefined) {
+    options.targetAC = targetConfig.ac;
+    options.targetName = targetConfig.name;
+    rest = rest.trim().replace(TARGET_PATTERN, ' ');
+  }
+
+  if (Object.keys(options).length === 0) return null;
+
+  return {
+    actionQuery: rest.replace(/\s+/g, ' ').trim().replace(FILLER_PATTERN, ''),
+    options
+  };
+}
+
+/**
+ * Find the action a command names, best match across every category
+ *
+ * "stealth check" and "wisdom saving throw" also try the names the actions use
+ * ("Stealth", "Wisdom Save"). Returns the action with the command's options.
+ */
+export function resolveRollCommand<T extends CommandAction>(
+  command: RollCommand,
+  rollActions: Record<string, T[]>,
+  usage: RollActionUsageMap = {}
+): (T & { rollOptions: RollOptions }) | null {
+  if (!command.actionQuery) return null;
+
+  const actions = Object.values(rollActions).flat().filter(action => action.type !== 'toggle');
+  const queries = [...new Set([
+    command.actionQuery,
+    command.actionQuery.replace(/\s+check$/, ''),
+    command.actionQuery.replace(/\bsaving throw\b/, 'save')
+  ])];
+
+  for (const query of queries) {
+    const [action] = searchRollActions({ actions }, query, usage).actions;
+    if (action) {
+      return { ...action, rollOptions: command.options };
+    }
+  }
+  return null;
+}
+
+/**
+ * Short labels for the options, e.g. ["Advantage", "DC 15"]
+ */
+export function describeRollOptions(options: RollOptions = {}): string[] {
+  const labels: string[] = [];
+  if (options.advantage) labels.push('Advantage');
+  if (options.disadvantage) labels.push('Disadvantage');
+  if (options.hidden) labels.push('Hidden');
+  if (options.dc !== undefined) labels.push(`DC ${options.dc}`);
+  if (options.targetAC !== undefined) {
+    labels.push(options.targetName ? `vs ${options.targetName} (AC ${options.targetAC})` : `vs AC ${options.targetAC}`);
+  }
+  return labels;
+}
+
+/**
+ * A roll definition (or attack sequence) with the options set on its context
+ *
+ * A DC replaces any target AC; the engine compares DCs through the target's saveBonus.
+ */
+export function applyRollOptions<T extends { context: RollContext }>(definition: T, options: RollOptions = {}): T {
+  const { advantage, disadvantage, hidden, dc, targetAC } = options;
+  const context = definition.context;
+
+  return {
+    ...definition,
+    context: {
+      ...context,
+      environment: {
+        ...context.environment,
+        ...(advantage && { advantage: true }),
+        ...(disadvantage && { disadvantage: true }),
+        ...(hidden && { hidden: true })
+      },
+      ...(dc !== undefined && { target: { ...context.target, ac: undefined, saveBonus: dc } }),
+      ...(targetAC !== undefined && dc === undefined && { target: { ...context.target, ac: targetAC } })
+    }
+  };
+}
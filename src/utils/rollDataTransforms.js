@@ -150,6 +150,51 @@ export const transformRollLogToUnified = (log) => {
   return rolls;
 };
 
+/**
+ * Convert an executed roll engine result to a roll log, one dice group per labeled expression
+ * (e.g. "Attack" and "Damage"), group check member or side of a contest, so history
+ * shows it like any other logged roll
+ */
+export const transformRollResultToLog = (result) => {
+  const parts = result.multiResults?.length
+    ? result.multiResults
+    : result.group?.map(outcome => ({ label: outcome.name, result: outcome.result }))
+      ?? (result.contest
+        ? [result.contest.initiator, result.contest.defender].map(side => ({
+          label: side.metadata.definition.context.character.name || side.metadata.definition.context.source.name,
+          result: side
+        }))
+        : [{ label: result.metadata.type, result }]);
+  const definition = result.metadata.definition;
+
+  return {
+    id: result.metadata.rollId,
+    type: result.metadata.type,
+    name: definition?.name || result.metadata.type,
+    timestamp: new Date(result.metadata.timestamp || Date.now()).toISOString(),
+    dice: parts.map(({ label, result: part }) => {
+      const dieRows = part.breakdown.filter(item => item.type === 'die' && item.details?.sides);
+      const diceTotal = dieRows.reduce((sum, item) => sum + item.value, 0);
+
+      return {
+        name: label.charAt(0).toUpperCase() + label.slice(1),
+        dice: dieRows.flatMap(item => (item.details.rolls || [item.value]).map(roll => `d${item.details.sides}: ${roll}`)),
+        // Flat modifiers, riders and critical dice, as one bonus
+        bonus: part.total - diceTotal,
+        total: part.total
+      };
+    }),
+    isCritical: result.criticalSuccess,
+    notes: [
+      ...new Set([
+        ...result.breakdown.filter(item => item.type !== 'die').map(item => item.label),
+        ...(result.metadata.conditionsActive || []),
+        ...(result.reactions || []).map(applied => applied.reaction.name)
+      ])
+    ]
+  };
+};
+
 /**
  * Transform a dice group to breakdown format
  */
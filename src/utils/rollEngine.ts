@@ -6,6 +6,13 @@
  * - Configurable critical hit rules
  * - Modifier resolution and stacking
  * - Advanced dice operations
+ * - Seeded, replayable dice rolls
+ * - Typed damage with resistance, vulnerability and immunity
+ * - Multi-attack sequences resolved against a target AC
+ * - Group checks for the whole party and contested checks
+ * - Pending results that reactions can reroll or replace
+ * - Temporary modifiers that expire on a round clock
+ * - Plugin hooks around analysis and execution
  * - Performance monitoring
  */
 
@@ -33,9 +40,40 @@ import {
   ApplicationTiming,
   RollEngineError,
   AppliedOperation,
-  RollType
+  RollType,
+  DiceAstNode,
+  DiceTermNode,
+  DiceGroupRoll,
+  ExpressionRoll,
+  DiceDistribution,
+  SuccessChance,
+  DamagePacket,
+  DamageResult,
+  DamageType,
+  AttackSequenceDefinition,
+  AttackOutcome,
+  RollReaction,
+  AppliedReaction,
+  PendingRoll,
+  ActiveModifier,
+  ActiveModifierState,
+  CombatClock,
+  ModifierDuration,
+  RollPlugin,
+  RollPluginHook,
+  GroupCheckDefinition,
+  GroupCheckOutcome,
+  ContestedCheckDefinition
 } from '../types/rolls';
 
+import { SeededRandom, generateSeed } from './seededRandom';
+
+import { applyDamagePipeline, findDamageType, isDamageType } from './damagePipeline';
+
+import { determineHit } from './targetSystem';
+
+import { withModifierCondition, isSerializableModifier } from './modifierConditions';
+
 import { 
   parseDiceExpression, 
   validateOperations, 
@@ -43,9 +81,54 @@ import {
   estimateAverage,
   hasAdvantage,
   hasDisadvantage,
-  parseAnyDiceExpression
+  parseAnyDiceExpression,
+  evaluateDiceAst,
+  formatDiceAst,
+  formatDiceTerm,
+  getAdditiveConstant,
+  getDiceTerms,
+  isAdditiveExpression
 } from './diceParser';
 
+import {
+  getDiceDistribution,
+  calculateSuccessProbability,
+  convolve,
+  pointDistribution
+} from './diceDistribution';
+
+/** Rounds a duration lasts on the clock; end-of-turn and concentration effects have no round limit */
+function durationToRounds(duration?: ModifierDuration): number | undefined {
+  if (duration?.amount === undefined) {
+    return undefined;
+  }
+  if (duration.unit === 'rounds') {
+    return duration.amount;
+  }
+  return duration.unit === 'minutes' ? duration.amount * 10 : undefined;
+}
+
+/** "19-20" for a contiguous critical range, otherwise the listed values */
+export function formatCriticalRange(range: number[]): string {
+  const contiguous = range.every((value, index) => index === 0 || value === range[index - 1] + 1);
+  return contiguous && range.length > 1
+    ? `${range[0]}-${range[range.length - 1]}`
+    : range.join(', ');
+}
+
+/** Whether a value is a face of a die with this many sides */
+export function isValidDieFace(value: number, sides: number): boolean {
+  return Number.isInteger(value) && value >= 1 && value <= sides;
+}
+
+/** Outcome of applying a single modifier; dice bonuses keep the dice they rolled */
+interface AppliedModifier {
+  modifier: RollModifier;
+  applied: boolean;
+  value: number;
+  roll?: ExpressionRoll;
+}
+
 // =============================================================================
 // MAIN ROLL ENGINE CLASS
 // =============================================================================
@@ -53,6 +136,14 @@ import {
 export class RollEngine {
   private config: RollEngineConfig;
   private modifierRegistry: ModifierRegistry;
+  private random: SeededRandom;
+  private rollQueue: Promise<unknown> = Promise.resolve();
+  private pendingRolls = new Map<string, PendingRoll>();
+  private clock: CombatClock = { round: 1 };
+  private plugins: RollPlugin[] = [];
+  private pluginQueue: Promise<void> = Promise.resolve();
+  /** Dice the custom roller is still waiting on (physical dice being entered) */
+  private pendingDiceEntries = 0;
   
   constructor(config: Partial<RollEngineConfig> = {}) {
     this.config = {
@@ -75,6 +166,12 @@ export class RollEngine {
       conditions: new Map(),
       temporary: []
     };
+    
+    this.random = new SeededRandom(this.config.seed ?? generateSeed(), this.config.randomFactory);
+    
+    for (const plugin of this.config.plugins || []) {
+      this.registerPlugin(plugin);
+    }
   }
 
   // =============================================================================
@@ -107,6 +204,8 @@ export class RollEngine {
     const startTime = Date.now();
     
     try {
+      definition = await this.runDefinitionHooks('beforeAnalyze', definition);
+      
       // Gather all applicable modifiers
       const modifiers = await this.gatherModifiers(definition);
       
@@ -116,8 +215,10 @@ export class RollEngine {
       // Analyze conditions and special effects
       const conditions = this.analyzeConditions(definition, modifiers);
       
-      // Calculate estimated ranges
-      const estimatedRange = this.calculateEstimatedRange(dice, modifiers);
+      // Calculate estimated ranges (damage after the target's defenses)
+      const estimatedRange = definition.type === 'damage'
+        ? await this.applyDamageDefensesToRange(definition, this.calculateEstimatedRange(dice, modifiers))
+        : this.calculateEstimatedRange(dice, modifiers);
       
       // Determine critical hit information
       const criticalRange = this.determineCriticalRange(definition, modifiers);
@@ -128,6 +229,11 @@ export class RollEngine {
       
       // Generate preview breakdown using same structure as execution
       const breakdown = this.createPreviewBreakdown(definition, dice, modifiers);
+      
+      // Exact odds for the primary expression
+      const { distribution, successChance } = this.calculateProbabilities(
+        definition, modifiers, criticalRange, criticalFailureRange
+      );
 
       return {
         breakdown,
@@ -136,9 +242,11 @@ export class RollEngine {
         criticalRange,
         criticalFailureRange,
         notes,
+        distribution,
+        successChance,
         // Keep deprecated properties for backwards compatibility
         dice,
-        modifiers: modifiers.map(mod => this.createModifierPreview(mod))
+        modifiers: modifiers.filter(mod => this.isBonusModifier(mod)).map(mod => this.createModifierPreview(mod))
       };
       
     } catch (error) {
@@ -154,17 +262,34 @@ export class RollEngine {
    * Execute a roll definition and return detailed results
    */
   async executeRoll(definition: RollDefinition): Promise<RollResult> {
+    const result = await this.executeRollWithoutNotify(definition);
+    await this.notifyPlugins(result);
+    return result;
+  }
+
+  /**
+   * Execute a roll, running beforeRoll hooks but leaving afterRoll/onCritical
+   * until the caller considers the result final
+   */
+  private async executeRollWithoutNotify(definition: RollDefinition): Promise<RollResult> {
     const startTime = Date.now();
     const rollId = this.generateRollId();
     
     try {
       // Validate execution time limit
+      // Dice entered by the player take as long as they need
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new RollEngineError('Roll execution timeout', 'TIMEOUT')), 
-                  this.config.maxExecutionTime);
+        setTimeout(() => {
+          if (this.pendingDiceEntries === 0) {
+            reject(new RollEngineError('Roll execution timeout', 'TIMEOUT'));
+          }
+        }, this.config.maxExecutionTime);
       });
       
-      const rollPromise = this.performRoll(definition, rollId, startTime);
+      const rollPromise = this.enqueue(async () => {
+        const prepared = await this.runDefinitionHooks('beforeRoll', definition);
+        return this.performRoll(prepared, rollId, startTime, this.random);
+      });
       
       return await Promise.race([rollPromise, timeoutPromise]) as RollResult;
       
@@ -181,9 +306,438 @@ export class RollEngine {
     }
   }
 
-  private async performRoll(definition: RollDefinition, rollId: string, startTime: number): Promise<RollResult> {
+  /**
+   * Re-run a previous roll from its recorded seed and draw index.
+   * Produces identical dice and breakdown as long as the same modifiers are registered.
+   */
+  async replayRoll(result: RollResult): Promise<RollResult> {
+    const randomState = result.metadata.random;
+    
+    if (!randomState) {
+      throw new RollEngineError(
+        'Roll has no recorded seed and cannot be replayed',
+        'NOT_REPLAYABLE',
+        { rollId: result.metadata.rollId }
+      );
+    }
+    
+    const random = new SeededRandom(randomState.seed, this.config.randomFactory, randomState.drawIndex);
+    return this.performRoll(result.metadata.definition, result.metadata.rollId, result.metadata.timestamp, random);
+  }
+
+  /**
+   * Rolls draw from one seeded stream, so run them one at a time to keep draw indices replayable
+   */
+  private enqueue<T>(task: () => Promise<T>): Promise<T> {
+    const promise = this.rollQueue.then(task);
+    this.rollQueue = promise.catch(() => undefined);
+    return promise;
+  }
+
+  /**
+   * Current seed and draw index of the engine's random stream
+   */
+  getRandomState(): { seed: number; drawIndex: number } {
+    return { seed: this.random.seed, drawIndex: this.random.drawIndex };
+  }
+
+  /**
+   * Roll several attacks against one target (Extra Attack, Eldritch Blast beams, Scorching Ray).
+   * Each attack resolves to a hit, miss or critical; damage is only rolled for hits, and
+   * once-per-turn modifiers like Sneak Attack are spent on the first hit they apply to.
+   */
+  async executeAttackSequence(sequence: AttackSequenceDefinition): Promise<RollResult> {
+    const startTime = Date.now();
+    const targetAC = sequence.context.target?.ac;
+    
+    if (targetAC === undefined) {
+      throw new RollEngineError('Attack sequence needs a target AC', 'MISSING_TARGET', { sequence });
+    }
+    
+    const modifiers = sequence.modifiers || [];
+    const oncePerTurn = new Set(
+      [
+        ...modifiers,
+        ...(this.modifierRegistry.character.get(sequence.context.character.id) || []),
+        ...this.getTemporaryModifiers(sequence.context.character.id)
+      ]
+        .filter(m => m.application === ApplicationTiming.ONCE_PER_TURN)
+        .map(m => m.id)
+    );
+    const spentModifiers: string[] = [];
+    const outcomes: AttackOutcome[] = [];
+    const breakdown: RollBreakdown[] = [];
+    let total = 0;
+    
+    for (const [index, step] of sequence.attacks.entries()) {
+      const context = step.source ? { ...sequence.context, source: step.source } : sequence.context;
+      
+      const attack = await this.executeRollWithoutNotify({
+        id: `${sequence.id}_${index + 1}`,
+        type: step.type || 'attack',
+        name: `${sequence.name} - ${step.label}`,
+        baseExpression: { fullExpression: step.attack.expression, expressions: [{ expression: step.attack }] },
+        context,
+        modifiers,
+        spentModifiers: [...spentModifiers]
+      });
+      
+      const { hits, critical, reason } = determineHit(
+        attack.total, targetAC, attack.criticalSuccess, attack.criticalFailure
+      );
+      const outcome: AttackOutcome = { label: step.label, attack, hit: hits, critical, reason };
+      
+      if (hits) {
+        const damageContext = step.damageType
+          ? { ...context, source: { ...context.source, properties: { ...context.source.properties, damageType: step.damageType } } }
+          : context;
+        
+        outcome.damage = await this.executeRollWithoutNotify({
+          id: `${sequence.id}_${index + 1}_damage`,
+          type: 'damage',
+          name: `${sequence.name} - ${step.label} Damage`,
+          baseExpression: step.damage,
+          context: damageContext,
+          modifiers,
+          critical,
+          spentModifiers: [...spentModifiers]
+        });
+        
+        spentModifiers.push(...outcome.damage.metadata.modifiersApplied.filter(id => oncePerTurn.has(id)));
+        total += outcome.damage.total;
+        breakdown.push(...outcome.damage.breakdown.map(item => item.type === 'die' ? { ...item, label: step.label } : item));
+      }
+      
+      outcomes.push(outcome);
+    }
+    
+    const result: RollResult = {
+      total,
+      breakdown,
+      criticalSuccess: outcomes.some(outcome => outcome.critical),
+      criticalFailure: outcomes.length > 0 && outcomes.every(outcome => outcome.attack.criticalFailure),
+      success: outcomes.some(outcome => outcome.hit),
+      targetNumber: targetAC,
+      attacks: outcomes,
+      metadata: {
+        type: 'attack',
+        definition: {
+          id: sequence.id,
+          type: 'attack',
+          name: sequence.name,
+          baseExpression: {
+            fullExpression: sequence.attacks.map(step => step.attack.expression).join(','),
+            expressions: sequence.attacks.map(step => ({ label: step.label, expression: step.attack }))
+          },
+          context: sequence.context,
+          modifiers,
+          visibility: sequence.visibility,
+          actionId: sequence.actionId
+        },
+        modifiersApplied: [...new Set(outcomes.flatMap(outcome => [
+          ...outcome.attack.metadata.modifiersApplied,
+          ...(outcome.damage?.metadata.modifiersApplied || [])
+        ]))],
+        conditionsActive: this.getActiveConditions(sequence.context),
+        timestamp: startTime,
+        rollId: this.generateRollId(),
+        executionTime: Date.now() - startTime
+      }
+    };
+    
+    // Subscribers see the whole sequence once rather than each attack and damage roll
+    await this.notifyPlugins(result);
+    return result;
+  }
+
+  /**
+   * Roll one check for every member of a group. Each member's roll uses their own
+   * registered modifiers; natural 20s and 1s have no special effect on checks.
+   * The total is the number of members who succeeded.
+   */
+  async executeGroupCheck(group: GroupCheckDefinition): Promise<RollResult> {
+    const startTime = Date.now();
+    
+    if (group.members.length === 0) {
+      throw new RollEngineError('Group check needs at least one member', 'EMPTY_GROUP', { group });
+    }
+    
+    const outcomes: GroupCheckOutcome[] = [];
+    for (const member of group.members) {
+      const result = await this.executeRollWithoutNotify(member);
+      outcomes.push({
+        characterId: member.context.character.id,
+        name: member.context.character.name || member.context.character.id,
+        result,
+        success: result.total >= group.dc
+      });
+    }
+    
+    const successes = outcomes.filter(outcome => outcome.success).length;
+    const result: RollResult = {
+      total: successes,
+      breakdown: [],
+      criticalSuccess: false,
+      criticalFailure: false,
+      success: successes * 2 >= outcomes.length,
+      targetNumber: group.dc,
+      group: outcomes,
+      metadata: {
+        type: group.type,
+        definition: {
+          id: group.id,
+          type: group.type,
+          name: `Group ${group.name} ${group.type === 'save' ? 'Save' : 'Check'}`,
+          baseExpression: {
+            fullExpression: group.members.map(member => member.baseExpression.fullExpression).join(','),
+            expressions: group.members.flatMap(member => member.baseExpression.expressions)
+          },
+          context: group.members[0].context,
+          modifiers: [],
+          visibility: group.visibility
+        },
+        modifiersApplied: [...new Set(outcomes.flatMap(outcome => outcome.result.metadata.modifiersApplied))],
+        conditionsActive: [],
+        timestamp: startTime,
+        rollId: this.generateRollId(),
+        executionTime: Date.now() - startTime
+      }
+    };
+    
+    await this.notifyPlugins(result);
+    return result;
+  }
+
+  /**
+   * Roll two opposing checks. The result is the initiator's roll, succeeding only
+   * if it beats the defender's total; on a tie the situation stays as it was.
+   */
+  async executeContestedCheck(contest: ContestedCheckDefinition): Promise<RollResult> {
+    const startTime = Date.now();
+    const initiator = await this.executeRollWithoutNotify(contest.initiator);
+    const defender = await this.executeRollWithoutNotify(contest.defender);
+    const winner = initiator.total > defender.total ? 'initiator' : 'defender';
+    
+    const result: RollResult = {
+      total: initiator.total,
+      breakdown: initiator.breakdown,
+      criticalSuccess: false,
+      criticalFailure: false,
+      success: winner === 'initiator',
+      targetNumber: defender.total,
+      contest: { initiator, defender, winner, tie: initiator.total === defender.total },
+      metadata: {
+        type: contest.initiator.type,
+        definition: {
+          ...contest.initiator,
+          id: contest.id,
+          name: contest.name,
+          baseExpression: {
+            fullExpression: `${contest.initiator.baseExpression.fullExpression},${contest.defender.baseExpression.fullExpression}`,
+            expressions: [
+              ...contest.initiator.baseExpression.expressions,
+              ...contest.defender.baseExpression.expressions
+            ]
+          }
+        },
+        modifiersApplied: initiator.metadata.modifiersApplied,
+        conditionsActive: initiator.metadata.conditionsActive,
+        timestamp: startTime,
+        rollId: this.generateRollId(),
+        executionTime: Date.now() - startTime
+      }
+    };
+    
+    await this.notifyPlugins(result);
+    return result;
+  }
+
+  // =============================================================================
+  // REACTIONS
+  // =============================================================================
+
+  /**
+   * Roll and hold the result open so reactions (Lucky, Portent, Silvery Barbs,
+   * Bardic Inspiration) can change it before it is resolved
+   */
+  async executePendingRoll(definition: RollDefinition): Promise<PendingRoll> {
+    const result = await this.executeRollWithoutNotify(definition);
+    const pending: PendingRoll = { id: result.metadata.rollId, result, reactions: [] };
+    
+    this.pendingRolls.set(pending.id, pending);
+    return pending;
+  }
+
+  getPendingRoll(pendingId: string): PendingRoll | undefined {
+    return this.pendingRolls.get(pendingId);
+  }
+
+  /**
+   * Check that a reaction can be applied to a pending roll without applying it,
+   * so its cost is only paid for reactions that will take effect
+   * @returns The pending roll the reaction would change
+   */
+  validateReaction(pendingId: string, reaction: RollReaction): PendingRoll {
+    const pending = this.pendingRolls.get(pendingId);
+    if (!pending) {
+      throw new RollEngineError('No pending roll to react to', 'PENDING_ROLL_NOT_FOUND', { pendingId });
+    }
+    
+    const { result } = pending;
+    if (result.multiResults && result.multiResults.length > 1) {
+      throw new RollEngineError('Reactions apply to single d20 rolls', 'REACTION_NOT_SUPPORTED', { pendingId, reaction });
+    }
+    
+    if (!result.breakdown.some(item => item.type === 'die' && item.details?.sides === 20)) {
+      throw new RollEngineError('Reactions need a d20 roll', 'NO_D20', { pendingId, reaction });
+    }
+    
+    switch (reaction.type) {
+      case ModifierType.REROLL:
+        break;
+      case ModifierType.REPLACE_DIE:
+        if (typeof reaction.value !== 'number' || !isValidDieFace(reaction.value, 20)) {
+          throw new RollEngineError('Replacement must be a d20 face from 1 to 20', 'INVALID_REACTION', { reaction });
+        }
+        break;
+      case ModifierType.DICE_BONUS:
+        if (!reaction.value || typeof reaction.value === 'number') {
+          throw new RollEngineError('Dice bonus reactions need a dice expression', 'INVALID_REACTION', { reaction });
+        }
+        break;
+      default:
+        throw new RollEngineError(`Unsupported reaction type: ${reaction.type}`, 'INVALID_REACTION', { reaction });
+    }
+    
+    return pending;
+  }
+
+  /**
+   * Reroll or replace the natural d20 of a pending roll, or add a bonus die to it.
+   * The original roll stays in the breakdown and the change is added as its own row.
+   */
+  async applyReaction(pendingId: string, reaction: RollReaction): Promise<PendingRoll> {
+    const pending = this.validateReaction(pendingId, reaction);
+    const { result } = pending;
+    const d20Index = result.breakdown.findIndex(item => item.type === 'die' && item.details?.sides === 20);
+    
+    const originalRoll = result.breakdown[d20Index].value +
+      pending.reactions.reduce((sum, applied) => sum + applied.newRoll - applied.originalRoll, 0);
+    
+    const applied = await this.enqueue(() => this.rollReaction(reaction, originalRoll));
+    const row: RollBreakdown = reaction.type === ModifierType.DICE_BONUS
+      ? {
+          type: 'modifier',
+          label: reaction.name,
+          value: applied.value,
+          details: {
+            rolls: applied.rolls,
+            sides: (reaction.value as DiceExpression).parsed.sides,
+            source: `${(reaction.value as DiceExpression).expression} [${applied.rolls.join(', ')}]`
+          }
+        }
+      : {
+          type: 'reroll',
+          label: reaction.name,
+          value: applied.value,
+          details: {
+            originalRoll,
+            rolls: applied.rolls,
+            sides: 20,
+            rerolled: reaction.type === ModifierType.REROLL,
+            source: `${originalRoll} → ${applied.newRoll}`
+          }
+        };
+    
+    pending.reactions.push(applied);
+    
+    // Update the result and its single labeled result the same way
+    const single = result.multiResults?.[0]?.result;
+    for (const target of single ? [result, single] : [result]) {
+      const rollType = single?.metadata.type ?? target.metadata.type;
+      const definition = { ...result.metadata.definition, type: rollType };
+      const rowIndex = target.breakdown.findIndex(item => item.type === 'die' && item.details?.sides === 20);
+      
+      target.breakdown.splice(rowIndex + pending.reactions.length, 0, row);
+      target.total += applied.value;
+      target.criticalSuccess = this.isCriticalRoll(
+        [applied.newRoll], rollType, (single ?? target).metadata.criticalRange
+      );
+      target.criticalFailure = this.isCriticalFailureRoll([applied.newRoll], rollType);
+      if (target.success !== undefined) {
+        target.success = this.determineSuccess(target.total, definition, target.criticalSuccess, target.criticalFailure);
+      }
+      target.metadata.modifiersApplied = [...target.metadata.modifiersApplied, reaction.id];
+      target.reactions = [...pending.reactions];
+    }
+    
+    return pending;
+  }
+
+  /**
+   * Finish a pending roll and return its final result
+   */
+  resolvePendingRoll(pendingId: string): RollResult {
+    const pending = this.pendingRolls.get(pendingId);
+    if (!pending) {
+      throw new RollEngineError('No pending roll to resolve', 'PENDING_ROLL_NOT_FOUND', { pendingId });
+    }
+    
+    this.pendingRolls.delete(pendingId);
+    void this.notifyPlugins(pending.result);
+    return pending.result;
+  }
+
+  // Reactions reaching here have passed validateReaction
+  private async rollReaction(reaction: RollReaction, originalRoll: number): Promise<AppliedReaction> {
+    switch (reaction.type) {
+      case ModifierType.REROLL: {
+        const reroll = await this.rollSingleDie(20, this.random);
+        const newRoll = reaction.keep === 'highest' ? Math.max(originalRoll, reroll)
+          : reaction.keep === 'lowest' ? Math.min(originalRoll, reroll)
+          : reroll;
+        return { reaction, originalRoll, newRoll, rolls: [originalRoll, reroll], value: newRoll - originalRoll };
+      }
+      case ModifierType.REPLACE_DIE: {
+        const newRoll = reaction.value as number;
+        return { reaction, originalRoll, newRoll, rolls: [newRoll], value: newRoll - originalRoll };
+      }
+      case ModifierType.DICE_BONUS: {
+        const bonus = await this.rollDiceWithOperations(reaction.value as DiceExpression, this.random);
+        return {
+          reaction,
+          originalRoll,
+          newRoll: originalRoll,
+          rolls: bonus.groups.flatMap(group => group.roll.rolls),
+          value: bonus.total
+        };
+      }
+      default:
+        throw new RollEngineError(`Unsupported reaction type: ${reaction.type}`, 'INVALID_REACTION', { reaction });
+    }
+  }
+
+  private async performRoll(
+    definition: RollDefinition, 
+    rollId: string, 
+    startTime: number, 
+    random: SeededRandom
+  ): Promise<RollResult> {
+    const drawIndex = random.drawIndex;
+    
     // Everything is now treated as a multi-expression (single expressions have one item)
-    return await this.executeMultiExpression(definition, rollId, startTime);
+    const result = await this.executeMultiExpression(definition, rollId, startTime, random);
+    
+    // Dice from a custom roller can't be re-derived from the seed
+    if (!this.config.customDiceRoller) {
+      result.metadata.random = {
+        seed: random.seed,
+        drawIndex,
+        draws: random.drawIndex - drawIndex
+      };
+    }
+    
+    return result;
   }
 
   private async executeSingleExpression(
@@ -191,7 +745,9 @@ export class RollEngine {
     definition: RollDefinition,
     rollId: string,
     startTime: number,
-    label: string
+    label: string,
+    random: SeededRandom,
+    followsCritical: boolean = false
   ): Promise<RollResult> {
     // Create a temporary definition for this single expression
     const singleDefinition: RollDefinition = {
@@ -214,22 +770,32 @@ export class RollEngine {
     const adjustedExpression = adjustedMultiExpr.expressions[0].expression;
     
     // 3. Execute the dice rolls with operations
-    const diceResults = await this.rollDiceWithOperations(adjustedExpression);
+    const diceResults = await this.rollDiceWithOperations(adjustedExpression, random);
     
-    // 4. Check for critical hits/failures
-    const isCritical = this.checkCriticalHit(diceResults, singleDefinition.type);
+    // 4. Check for critical hits/failures (features like Improved Critical expand the range)
+    const criticalRange = this.mergeCriticalRange(modifiers);
+    const isCritical = this.checkCriticalHit(diceResults, singleDefinition.type, criticalRange);
     const isCriticalFailure = this.checkCriticalFailure(diceResults, singleDefinition.type);
     
-    // 5. Apply critical hit modifications to damage
-    if (isCritical && singleDefinition.type === 'damage') {
-      await this.applyCriticalDamage(diceResults, singleDefinition, modifiers);
-    }
+    // 5. Apply modifiers (dice bonuses are rolled here)
+    const criticalCategory = followsCritical ? this.getDamageCategory(labeledExpr, definition) : null;
+    const modifierResults = await this.applyModifiers(
+      modifiers, singleDefinition, diceResults, random, criticalCategory !== null
+    );
     
-    // 6. Apply modifiers
-    const modifierResults = await this.applyModifiers(modifiers, singleDefinition, diceResults);
+    // 6. Apply critical hit modifications to damage that follows a critical attack
+    const criticalBreakdown = criticalCategory
+      ? await this.applyCriticalDamage([
+          { roll: diceResults, category: criticalCategory, expression: adjustedExpression },
+          // Dice riders are doubled too, unless they are themselves a critical-only bonus
+          ...modifierResults
+            .filter(mod => mod.roll && mod.modifier.application !== ApplicationTiming.ON_CRITICAL)
+            .map(mod => ({ roll: mod.roll!, category: 'extra' as const, expression: mod.modifier.value as DiceExpression }))
+        ], random)
+      : [];
     
     // 7. Calculate final results
-    const breakdown = this.createRollBreakdown(diceResults, modifierResults);
+    const breakdown = [...this.createRollBreakdown(diceResults, modifierResults), ...criticalBreakdown];
     const total = breakdown.reduce((sum, item) => sum + item.value, 0);
     
     // 8. Determine success/failure for appropriate roll types
@@ -245,11 +811,12 @@ export class RollEngine {
       metadata: {
         type: singleDefinition.type,
         definition: singleDefinition,
-        modifiersApplied: modifierResults.filter(m => m.applied).map(m => m.id),
+        modifiersApplied: modifierResults.filter(m => m.applied).map(m => m.modifier.id),
         conditionsActive: this.getActiveConditions(definition.context),
         timestamp: startTime,
         rollId: `${rollId}_${label}`,
-        executionTime: 0 // Will be set by parent
+        executionTime: 0, // Will be set by parent
+        criticalRange
       }
     };
   }
@@ -257,7 +824,8 @@ export class RollEngine {
   private async executeMultiExpression(
     definition: RollDefinition, 
     rollId: string, 
-    startTime: number
+    startTime: number,
+    random: SeededRandom
   ): Promise<RollResult> {
     const multiExpression = definition.baseExpression;
     const multiResults: LabeledRollResult[] = [];
@@ -265,13 +833,17 @@ export class RollEngine {
     let hasAnyCritical = false;
     let hasAnyCriticalFailure = false;
     const allBreakdown: RollBreakdown[] = [];
+    const damagePackets: DamagePacket[] = [];
     
     // Execute each labeled expression separately
     for (const labeledExpr of multiExpression.expressions) {
       const label = labeledExpr.label || 'Roll';
       
-      // Execute this single expression
-      const singleResult = await this.executeSingleExpression(labeledExpr, definition, rollId, startTime, label);
+      // Execute this single expression (damage after a critical attack in the same roll is critical too)
+      const singleResult = await this.executeSingleExpression(
+        labeledExpr, definition, rollId, startTime, label, random,
+        Boolean(definition.critical) || hasAnyCritical
+      );
       
       // Accumulate results
       multiResults.push({
@@ -280,6 +852,9 @@ export class RollEngine {
       });
       
       totalSum += singleResult.total;
+      if (this.getDamageCategory(labeledExpr, definition)) {
+        damagePackets.push({ type: this.getDamageType(labeledExpr, definition), amount: singleResult.total });
+      }
       hasAnyCritical = hasAnyCritical || singleResult.criticalSuccess;
       hasAnyCriticalFailure = hasAnyCriticalFailure || singleResult.criticalFailure;
       
@@ -294,6 +869,25 @@ export class RollEngine {
       });
     }
     
+    // Apply the target's defenses once per damage type, after all damage is rolled
+    let damage: DamageResult | undefined;
+    if (damagePackets.length > 0) {
+      damage = await this.applyDamageDefenses(definition, damagePackets);
+      for (const packet of damage.packets) {
+        for (const step of packet.steps) {
+          allBreakdown.push({
+            type: 'modifier',
+            label: step.label,
+            value: step.after - step.before,
+            details: {
+              source: `${step.before} → ${step.after}`
+            }
+          });
+        }
+      }
+      totalSum += damage.total - damage.original;
+    }
+    
     const executionTime = Date.now() - startTime;
     
     return {
@@ -302,10 +896,11 @@ export class RollEngine {
       criticalSuccess: hasAnyCritical,
       criticalFailure: hasAnyCriticalFailure,
       multiResults,
+      damage,
       metadata: {
         type: definition.type,
         definition,
-        modifiersApplied: [],
+        modifiersApplied: [...new Set(multiResults.flatMap(({ result }) => result.metadata.modifiersApplied))],
         conditionsActive: this.getActiveConditions(definition.context),
         timestamp: startTime,
         rollId,
@@ -333,6 +928,92 @@ export class RollEngine {
     return 'base';
   }
 
+  // =============================================================================
+  // PLUGINS
+  // =============================================================================
+
+  /**
+   * Roll dice with a custom roller from now on, e.g. physical dice entered by
+   * the player; undefined goes back to the seeded random stream
+   */
+  setCustomDiceRoller(roller?: RollEngineConfig['customDiceRoller']): void {
+    this.config.customDiceRoller = roller;
+  }
+
+  /**
+   * Register a plugin, replacing any plugin with the same id
+   * 
+   * @returns Function that unregisters the plugin
+   */
+  registerPlugin(plugin: RollPlugin): () => void {
+    this.plugins = [...this.plugins.filter(existing => existing.id !== plugin.id), plugin]
+      .sort((a, b) => (a.priority ?? 100) - (b.priority ?? 100));
+    
+    return () => this.unregisterPlugin(plugin.id);
+  }
+
+  unregisterPlugin(pluginId: string): void {
+    this.plugins = this.plugins.filter(plugin => plugin.id !== pluginId);
+  }
+
+  getPlugins(): RollPlugin[] {
+    return [...this.plugins];
+  }
+
+  /**
+   * Run definition hooks in order, each seeing the previous plugin's definition.
+   * A failing hook fails the roll, since the rules it adds would be missing.
+   */
+  private async runDefinitionHooks(
+    hook: Extract<RollPluginHook, 'beforeAnalyze' | 'beforeRoll'>,
+    definition: RollDefinition
+  ): Promise<RollDefinition> {
+    let current = definition;
+    
+    for (const plugin of this.plugins) {
+      const handler = plugin[hook];
+      if (!handler) continue;
+      
+      try {
+        current = (await handler(current)) || current;
+      } catch (error) {
+        throw new RollEngineError(
+          `Plugin ${plugin.id} failed in ${hook}: ${error instanceof Error ? error.message : 'Unknown error'}`,
+          'PLUGIN_ERROR',
+          { pluginId: plugin.id, hook, definition: current }
+        );
+      }
+    }
+    
+    return current;
+  }
+
+  /**
+   * Run afterRoll and onCritical hooks for a final result.
+   * Notifications are queued so subscribers see rolls in order, and a failing
+   * subscriber is logged rather than losing a roll that already happened.
+   */
+  private notifyPlugins(result: RollResult): Promise<void> {
+    const notify = async () => {
+      const hooks: Array<Extract<RollPluginHook, 'afterRoll' | 'onCritical'>> = result.criticalSuccess
+        ? ['afterRoll', 'onCritical']
+        : ['afterRoll'];
+      
+      for (const hook of hooks) {
+        for (const plugin of this.plugins) {
+          try {
+            await plugin[hook]?.(result);
+          } catch (error) {
+            console.error(`Plugin ${plugin.id} failed in ${hook}:`, error);
+          }
+        }
+      }
+    };
+    
+    this.pluginQueue = this.pluginQueue.then(notify);
+    return this.pluginQueue;
+  }
+
   // =============================================================================
   // MODIFIER SYSTEM
   // =============================================================================
@@ -352,23 +1033,166 @@ export class RollEngine {
   }
 
   /**
-   * Add temporary modifiers (like spell effects)
+   * Add temporary modifiers (like spell effects)
+   * 
+   * Modifiers with a duration count down on the round clock; adding a modifier
+   * again for the same character refreshes its duration. A `conditionKey` sets
+   * the modifier's condition.
+   */
+  addTemporaryModifiers(modifiers: RollModifier[], characterId?: string): void {
+    const unknown = modifiers.find(modifier => modifier.conditionKey && !isSerializableModifier(modifier));
+    if (unknown) {
+      throw new RollEngineError(
+        `Unknown modifier condition: ${unknown.conditionKey}`, 'INVALID_MODIFIER', { modifier: unknown }
+      );
+    }
+    
+    const ids = new Set(modifiers.map(modifier => modifier.id));
+    this.modifierRegistry.temporary = this.modifierRegistry.temporary.filter(
+      active => active.characterId !== characterId || !ids.has(active.modifier.id)
+    );
+    
+    for (const modifier of modifiers) {
+      this.modifierRegistry.temporary.push({
+        modifier: withModifierCondition(modifier),
+        characterId,
+        remainingRounds: durationToRounds(modifier.duration),
+        appliedRound: this.clock.round
+      });
+    }
+  }
+
+  /**
+   * Remove a temporary modifier before it expires (e.g. Rage ended early)
+   */
+  removeTemporaryModifier(modifierId: string, characterId?: string): void {
+    this.modifierRegistry.temporary = this.modifierRegistry.temporary.filter(
+      active => active.modifier.id !== modifierId || active.characterId !== characterId
+    );
+  }
+
+  /**
+   * Temporary modifiers active for a character, including ones not tied to any character
+   */
+  getActiveModifiers(characterId?: string): ActiveModifier[] {
+    return this.modifierRegistry.temporary.filter(
+      active => active.characterId === undefined || active.characterId === characterId
+    );
+  }
+
+  /**
+   * Snapshot of a character's own temporary modifiers for persistence
+   * 
+   * Conditions are functions and do not survive serialization, so only their
+   * `conditionKey` is kept. Conditional modifiers without a key are left out
+   * rather than restored as if they applied to every roll.
+   */
+  getActiveModifierState(characterId: string): ActiveModifierState {
+    return {
+      round: this.clock.round,
+      modifiers: this.modifierRegistry.temporary.filter(
+        active => active.characterId === characterId && isSerializableModifier(active.modifier)
+      )
+    };
+  }
+
+  /**
+   * Replace a character's temporary modifiers with a saved snapshot,
+   * rebuilding conditions from their keys
+   */
+  restoreActiveModifierState(characterId: string, state: ActiveModifierState): void {
+    this.modifierRegistry.temporary = [
+      ...this.modifierRegistry.temporary.filter(active => active.characterId !== characterId),
+      ...state.modifiers.map(active => ({ ...active, modifier: withModifierCondition(active.modifier), characterId }))
+    ];
+    this.clock = { round: Math.max(this.clock.round, state.round) };
+  }
+
+  getCombatClock(): CombatClock {
+    return { ...this.clock };
+  }
+
+  /**
+   * End a character's turn and advance the round clock
+   * 
+   * End-of-turn modifiers for the character expire first, then the character's
+   * timed modifiers lose a round. Other characters' modifiers wait for their own
+   * turns; modifiers tied to no character tick when no character is given.
+   * 
+   * @returns Modifiers that expired
+   */
+  endTurn(characterId?: string): RollModifier[] {
+    const expired = this.removeTemporary(active =>
+      active.modifier.duration?.unit === 'end_of_turn' &&
+      (characterId === undefined || active.characterId === undefined || active.characterId === characterId)
+    );
+    
+    this.clock = { round: this.clock.round + 1 };
+    this.modifierRegistry.temporary = this.modifierRegistry.temporary.map(active =>
+      active.remainingRounds === undefined || (characterId !== undefined && active.characterId !== characterId)
+        ? active
+        : { ...active, remainingRounds: active.remainingRounds - 1 }
+    );
+    
+    return [...expired, ...this.clearExpiredModifiers()];
+  }
+
+  /**
+   * End every concentration effect a character is maintaining
+   * 
+   * @returns Modifiers that ended
+   */
+  breakConcentration(characterId?: string): RollModifier[] {
+    return this.removeTemporary(active => {
+      const duration = active.modifier.duration;
+      return (duration?.unit === 'concentration' || duration?.concentration === true) &&
+        (characterId === undefined || active.characterId === characterId);
+    });
+  }
+
+  /**
+   * Clear expired temporary modifiers
+   * 
+   * @returns Modifiers that expired
+   */
+  clearExpiredModifiers(): RollModifier[] {
+    return this.removeTemporary(active => active.remainingRounds !== undefined && active.remainingRounds <= 0);
+  }
+
+  private removeTemporary(predicate: (active: ActiveModifier) => boolean): RollModifier[] {
+    const removed = this.modifierRegistry.temporary.filter(predicate);
+    this.modifierRegistry.temporary = this.modifierRegistry.temporary.filter(active => !predicate(active));
+    return removed.map(active => active.modifier);
+  }
+
+  /**
+   * Character and temporary modifiers that apply to a character's rolls
    */
-  addTemporaryModifiers(modifiers: RollModifier[]): void {
-    this.modifierRegistry.temporary.push(...modifiers);
+  getRollerModifiers(characterId: string): RollModifier[] {
+    return [
+      ...(this.modifierRegistry.character.get(characterId) || []),
+      ...this.getTemporaryModifiers(characterId)
+    ];
   }
 
-  /**
-   * Clear expired temporary modifiers
-   */
-  clearExpiredModifiers(): void {
-    // Implementation would check expiration conditions
-    this.modifierRegistry.temporary = [];
+  getCriticalRules(): CriticalRules {
+    return { ...this.config.criticalRules };
+  }
+
+  private getTemporaryModifiers(characterId?: string): RollModifier[] {
+    return this.getActiveModifiers(characterId).map(active => active.modifier);
   }
 
   private async gatherModifiers(definition: RollDefinition): Promise<RollModifier[]> {
     const applicable: RollModifier[] = [];
     
+    // Modifiers passed with the roll itself
+    for (const modifier of definition.modifiers || []) {
+      if (!modifier.condition || modifier.condition(definition.context)) {
+        applicable.push(modifier);
+      }
+    }
+    
     // Character modifiers
     const characterMods = this.modifierRegistry.character.get(definition.context.character.id) || [];
     for (const modifier of characterMods) {
@@ -377,18 +1201,32 @@ export class RollEngine {
       }
     }
     
+    // Plugin resolvers
+    for (const plugin of this.plugins) {
+      for (const resolver of Object.values(plugin.resolvers || {})) {
+        for (const modifier of resolver(definition.context)) {
+          if (!modifier.condition || modifier.condition(definition.context)) {
+            applicable.push(modifier);
+          }
+        }
+      }
+    }
+    
     // Equipment modifiers (would iterate through character's equipment)
     // TODO: Implement equipment modifier gathering
     
     // Temporary modifiers
-    for (const modifier of this.modifierRegistry.temporary) {
+    for (const modifier of this.getTemporaryModifiers(definition.context.character.id)) {
       if (!modifier.condition || modifier.condition(definition.context)) {
         applicable.push(modifier);
       }
     }
     
+    // Once-per-turn modifiers already used this turn
+    const spent = new Set(definition.spentModifiers || []);
+    
     // Sort by priority and handle stacking
-    return this.sortAndDeduplicateModifiers(applicable);
+    return this.sortAndDeduplicateModifiers(applicable.filter(modifier => !spent.has(modifier.id)));
   }
 
   private sortAndDeduplicateModifiers(modifiers: RollModifier[]): RollModifier[] {
@@ -448,31 +1286,24 @@ export class RollEngine {
     
     // Apply modifiers to each expression in the multi-expression
     const modifiedExpressions = multiExpression.expressions.map(labeledExpr => {
-      const expression = labeledExpr.expression;
+      let expression = labeledExpr.expression;
       
-      // Apply advantage/disadvantage to d20 rolls only
-      if (expression.parsed.sides === 20 && (totalAdvantage || totalDisadvantage)) {
-        if (totalAdvantage && totalDisadvantage) {
-          // Advantage and disadvantage cancel out - roll normally
-          return labeledExpr;
-        } else if (totalAdvantage) {
-          // Roll with advantage (2d20kh1)
-          const modExpr = `2d20kh1${expression.parsed.modifier > 0 ? '+' + expression.parsed.modifier : expression.parsed.modifier || ''}`;
-          return {
-            ...labeledExpr,
-            expression: parseDiceExpression(modExpr)
-          };
-        } else if (totalDisadvantage) {
-          // Roll with disadvantage (2d20kl1)
-          const modExpr = `2d20kl1${expression.parsed.modifier > 0 ? '+' + expression.parsed.modifier : expression.parsed.modifier || ''}`;
-          return {
-            ...labeledExpr,
-            expression: parseDiceExpression(modExpr)
-          };
-        }
+      // Apply advantage/disadvantage to d20 rolls only (they cancel out when both apply)
+      if (expression.parsed.sides === 20 && (totalAdvantage || totalDisadvantage) && !(totalAdvantage && totalDisadvantage)) {
+        // Swap the first d20 group for 2d20kh1 / 2d20kl1, keeping the rest of the expression
+        const keep: Operation['type'] = totalAdvantage ? 'keep_highest' : 'keep_lowest';
+        const ast = this.replaceFirstD20(this.getExpressionAst(expression), () => ({
+          type: 'dice',
+          count: 2,
+          sides: 20,
+          operations: [{ type: keep, value: 1 }]
+        }));
+        
+        expression = parseDiceExpression(formatDiceAst(ast));
       }
       
-      return labeledExpr;
+      const withFeatures = this.applyDieOperationModifiers(expression, modifiers);
+      return withFeatures === labeledExpr.expression ? labeledExpr : { ...labeledExpr, expression: withFeatures };
     });
     
     return {
@@ -481,8 +1312,91 @@ export class RollEngine {
     };
   }
 
-  private async rollDiceWithOperations(expression: DiceExpression): Promise<DiceRoll> {
-    const { count, sides, operations } = expression.parsed;
+  private getExpressionAst(expression: DiceExpression): DiceAstNode {
+    return expression.ast ?? parseDiceExpression(expression.expression).ast!;
+  }
+
+  /**
+   * Turn REROLL and MINIMUM modifiers (Halfling Lucky, Reliable Talent) into operations
+   * on the first d20: rerolls happen before advantage picks a die, minimums apply to
+   * the die that was kept
+   */
+  private applyDieOperationModifiers(expression: DiceExpression, modifiers: RollModifier[]): DiceExpression {
+    const dieModifiers = modifiers.filter(modifier =>
+      (modifier.type === ModifierType.REROLL || modifier.type === ModifierType.MINIMUM) &&
+      typeof modifier.value === 'number'
+    );
+    if (expression.parsed.sides !== 20 || dieModifiers.length === 0) {
+      return expression;
+    }
+    
+    const rerolls: Operation[] = dieModifiers
+      .filter(modifier => modifier.type === ModifierType.REROLL)
+      .map(modifier => ({ type: 'reroll', value: [modifier.value as number], source: modifier.name }));
+    const minimums: Operation[] = dieModifiers
+      .filter(modifier => modifier.type === ModifierType.MINIMUM)
+      .map(modifier => ({ type: 'minimum', value: modifier.value as number, source: modifier.name }));
+    
+    const ast = this.replaceFirstD20(this.getExpressionAst(expression), term => ({
+      ...term,
+      operations: [...rerolls, ...term.operations, ...minimums]
+    }));
+    
+    // Keep the tree itself so the operations remember which feature added them
+    return { ...parseDiceExpression(formatDiceAst(ast)), ast };
+  }
+
+  private replaceFirstD20(ast: DiceAstNode, replace: (term: DiceTermNode) => DiceTermNode): DiceAstNode {
+    let replaced = false;
+    
+    const visit = (node: DiceAstNode): DiceAstNode => {
+      if (replaced) return node;
+      
+      switch (node.type) {
+        case 'dice':
+          if (node.sides === 20) {
+            replaced = true;
+            return replace(node);
+          }
+          return node;
+        case 'number':
+          return node;
+        case 'group':
+          return { ...node, expression: visit(node.expression) };
+        case 'negate':
+          return { ...node, operand: visit(node.operand) };
+        case 'binary': {
+          const left = visit(node.left);
+          return { ...node, left, right: visit(node.right) };
+        }
+      }
+    };
+    
+    return visit(ast);
+  }
+
+  /**
+   * Roll every dice group in the expression tree and evaluate the arithmetic
+   */
+  private async rollDiceWithOperations(expression: DiceExpression, random: SeededRandom): Promise<ExpressionRoll> {
+    const ast = this.getExpressionAst(expression);
+    const groups: DiceGroupRoll[] = [];
+    
+    const total = await evaluateDiceAst(ast, async ({ term, sign, scaled }) => {
+      const roll = await this.rollDiceTerm(term, expression, random);
+      groups.push({ notation: formatDiceTerm(term), term, sign, scaled, roll });
+      return roll.total;
+    });
+    
+    return {
+      total,
+      groups,
+      constant: getAdditiveConstant(ast)
+    };
+  }
+
+  private async rollDiceTerm(term: DiceTermNode, expression: DiceExpression, random: SeededRandom): Promise<DiceRoll> {
+    const { count, sides, operations } = term;
     
     // Validate operations
     const validationErrors = validateOperations(operations, count, sides);
@@ -497,7 +1411,7 @@ export class RollEngine {
     // Roll initial dice
     let rolls: number[] = [];
     for (let i = 0; i < count; i++) {
-      rolls.push(this.rollSingleDie(sides));
+      rolls.push(await this.rollSingleDie(sides, random));
     }
     
     const appliedOperations: AppliedOperation[] = [];
@@ -505,7 +1419,7 @@ export class RollEngine {
     
     // Apply operations in order
     for (const operation of operations) {
-      const operationResult = await this.applyDiceOperation(rolls, operation, sides);
+      const operationResult = await this.applyDiceOperation(rolls, operation, sides, random);
       rolls = operationResult.finalRolls;
       appliedOperations.push(operationResult);
       
@@ -514,7 +1428,7 @@ export class RollEngine {
       }
     }
     
-    const total = rolls.reduce((sum, roll) => sum + roll, 0) + (expression.parsed.modifier || 0);
+    const total = rolls.reduce((sum, roll) => sum + roll, 0);
     
     return {
       rolls,
@@ -526,14 +1440,36 @@ export class RollEngine {
     };
   }
 
-  private rollSingleDie(sides: number): number {
-    if (this.config.customDiceRoller) {
-      return this.config.customDiceRoller(sides);
+  /**
+   * Roll one die. A custom roller may answer later (physical dice entered by
+   * the player) and must give a face of the die; replays always use their seed.
+   */
+  private async rollSingleDie(sides: number, random: SeededRandom): Promise<number> {
+    const roller = this.config.customDiceRoller;
+    if (!roller || random !== this.random) {
+      return random.rollDie(sides);
+    }
+    
+    this.pendingDiceEntries++;
+    let value: number;
+    try {
+      value = await roller(sides);
+    } finally {
+      this.pendingDiceEntries--;
+    }
+    
+    if (!isValidDieFace(value, sides)) {
+      throw new RollEngineError(`A d${sides} must show 1 to ${sides}, got ${value}`, 'INVALID_DIE_VALUE', { sides, value });
     }
-    return Math.floor(Math.random() * sides) + 1;
+    return value;
   }
 
-  private async applyDiceOperation(rolls: number[], operation: Operation, sides: number): Promise<AppliedOperation> {
+  private async applyDiceOperation(
+    rolls: number[], 
+    operation: Operation, 
+    sides: number, 
+    random: SeededRandom
+  ): Promise<AppliedOperation> {
     const originalRolls = [...rolls];
     let finalRolls = [...rolls];
     const affectedIndices: number[] = [];
@@ -566,7 +1502,7 @@ export class RollEngine {
         const rerollValues = Array.isArray(operation.value) ? operation.value : [operation.value];
         for (let i = 0; i < finalRolls.length; i++) {
           if (rerollValues.includes(finalRolls[i])) {
-            finalRolls[i] = this.rollSingleDie(sides);
+            finalRolls[i] = await this.rollSingleDie(sides, random);
             affectedIndices.push(i);
           }
         }
@@ -578,7 +1514,7 @@ export class RollEngine {
           let i = 0;
           while (i < finalRolls.length) {
             if (finalRolls[i] >= operation.value) {
-              const newRoll = this.rollSingleDie(sides);
+              const newRoll = await this.rollSingleDie(sides, random);
               finalRolls.push(newRoll);
               affectedIndices.push(finalRolls.length - 1);
             }
@@ -599,6 +1535,24 @@ export class RollEngine {
           description = `Set minimum die value to ${operation.value}`;
         }
         break;
+
+      case 'maximum':
+        if (typeof operation.value === 'number') {
+          for (let i = 0; i < finalRolls.length; i++) {
+            if (finalRolls[i] > operation.value) {
+              finalRolls[i] = operation.value;
+              affectedIndices.push(i);
+            }
+          }
+          description = `Set maximum die value to ${operation.value}`;
+        }
+        break;
+    }
+    
+    // Feature operations describe the substitution itself, e.g. "Reliable Talent: 4 → 10"
+    if (operation.source && affectedIndices.length > 0) {
+      const changes = affectedIndices.map(index => `${originalRolls[index]} → ${finalRolls[index]}`);
+      description = `${operation.source}: ${changes.join(', ')}`;
     }
     
     return {
@@ -606,7 +1560,8 @@ export class RollEngine {
       originalRolls,
       finalRolls,
       affectedIndices,
-      description
+      description,
+      ...(operation.source && { source: operation.source })
     };
   }
 
@@ -627,9 +1582,10 @@ export class RollEngine {
       
       dice.push({
         label,
-        expression: labeledExpr.expression.expression,
+        // With the d20 floors and rerolls it will be rolled with, so averages and ranges include them
+        expression: this.applyDieOperationModifiers(labeledExpr.expression, modifiers).expression,
         source: definition.context.source.name,
-        criticalAffected: labeledExpr.label === 'damage' || definition.type === 'damage',
+        criticalAffected: this.isCriticalAffected(labeledExpr, definition),
         category: this.mapLabelToCategory(labeledExpr.label)
       });
     });
@@ -650,6 +1606,11 @@ export class RollEngine {
     return dice;
   }
 
+  private isCriticalAffected(labeledExpr: LabeledDiceExpression, definition: RollDefinition): boolean {
+    const category = this.getDamageCategory(labeledExpr, definition);
+    return category === 'weapon' || (category === 'extra' && this.config.criticalRules.affectedDice !== 'weapon_only');
+  }
+
   private analyzeConditions(definition: RollDefinition, modifiers: RollModifier[]): ConditionPreview[] {
     const conditions: ConditionPreview[] = [];
     
@@ -679,16 +1640,41 @@ export class RollEngine {
     
     // Check for expanded critical range
     const criticalRange = this.determineCriticalRange(definition, modifiers);
-    if (criticalRange.length > 1 || criticalRange[0] !== 20) {
+    if (criticalRange.length > 1 || (criticalRange.length === 1 && criticalRange[0] !== 20)) {
+      const sources = this.getCriticalRangeModifiers(modifiers).map(modifier => modifier.name);
       conditions.push({
-        label: `Critical ${criticalRange.join('-')}`,
-        description: `Critical hits on ${criticalRange.join(', ')}`,
+        label: `Crits on ${formatCriticalRange(criticalRange)}`,
+        description: `Critical hits on ${formatCriticalRange(criticalRange)}${sources.length > 0 ? ` (${sources.join(', ')})` : ''}`,
         active: true,
         icon: '⭐',
         type: 'special'
       });
     }
     
+    // d20 floors and rerolls (Reliable Talent, Lucky)
+    const rollsD20 = definition.baseExpression.expressions.some(({ expression }) => expression.parsed.sides === 20);
+    for (const modifier of modifiers) {
+      if (!rollsD20 || typeof modifier.value !== 'number') continue;
+      
+      if (modifier.type === ModifierType.MINIMUM) {
+        conditions.push({
+          label: `d20 minimum ${modifier.value}`,
+          description: `A d20 roll below ${modifier.value} counts as ${modifier.value} (${modifier.name})`,
+          active: true,
+          icon: '🎲',
+          type: 'special'
+        });
+      } else if (modifier.type === ModifierType.REROLL) {
+        conditions.push({
+          label: `Reroll ${modifier.value}s`,
+          description: `A d20 roll of ${modifier.value} is rolled again once (${modifier.name})`,
+          active: true,
+          icon: '🎲',
+          type: 'special'
+        });
+      }
+    }
+    
     return conditions;
   }
 
@@ -728,6 +1714,86 @@ export class RollEngine {
     };
   }
 
+  private async applyDamageDefensesToRange(
+    definition: RollDefinition,
+    range: { min: number; max: number; average: number }
+  ): Promise<{ min: number; max: number; average: number }> {
+    const [firstExpression] = definition.baseExpression.expressions;
+    const type = firstExpression ? this.getDamageType(firstExpression, definition) : undefined;
+    const adjust = async (amount: number) => (await this.applyDamageDefenses(definition, [{ type, amount }])).total;
+    
+    return {
+      min: await adjust(range.min),
+      max: await adjust(range.max),
+      average: await adjust(range.average)
+    };
+  }
+
+  /**
+   * Exact distribution of the primary expression (after advantage/disadvantage and
+   * bonuses) and the chance of meeting the target, if there is one
+   */
+  private calculateProbabilities(
+    definition: RollDefinition,
+    modifiers: RollModifier[],
+    criticalRange: number[],
+    criticalFailureRange: number[]
+  ): { distribution?: DiceDistribution; successChance?: SuccessChance } {
+    const primaryExpression = this.getPrimaryExpression(definition.baseExpression);
+    if (!primaryExpression) {
+      return {};
+    }
+    
+    try {
+      const adjusted = this.applyPreRollModifiers(
+        { fullExpression: primaryExpression.expression, expressions: [{ expression: primaryExpression }] },
+        modifiers,
+        definition.context
+      ).expressions[0].expression;
+      
+      // Flat and dice bonuses from modifiers are independent of the base roll
+      const isD20Roll = getDiceTerms(this.getExpressionAst(adjusted)).some(({ term }) => term.sides === 20);
+      let bonus = pointDistribution(0);
+      for (const modifier of modifiers) {
+        if (modifier.type === ModifierType.FLAT_BONUS && typeof modifier.value === 'number') {
+          bonus = convolve(bonus, pointDistribution(modifier.value));
+        } else if (
+          modifier.type === ModifierType.DICE_BONUS &&
+          typeof modifier.value !== 'number' &&
+          this.diceBonusApplies(modifier, isD20Roll, false)
+        ) {
+          bonus = convolve(bonus, getDiceDistribution(modifier.value));
+        }
+      }
+      
+      const distribution = convolve(getDiceDistribution(adjusted), bonus);
+      
+      const target = definition.context.target?.ac ?? definition.context.target?.saveBonus;
+      if (target === undefined) {
+        return { distribution };
+      }
+      
+      // Mirror determineSuccess: attacks auto-hit on crits, attacks and saves auto-fail on crit failures
+      const probability = calculateSuccessProbability(adjusted, target, {
+        bonus,
+        autoSuccess: definition.type === 'attack' ? criticalRange : [],
+        autoFailure: ['attack', 'save'].includes(definition.type) ? criticalFailureRange : []
+      });
+      
+      return {
+        distribution,
+        successChance: {
+          target,
+          targetType: definition.context.target?.ac !== undefined ? 'ac' : 'dc',
+          probability
+        }
+      };
+    } catch {
+      // Odds are informational only - never block the preview
+      return {};
+    }
+  }
+
   private determineCriticalRange(definition: RollDefinition, modifiers: RollModifier[]): number[] {
     // Critical hits only apply to d20 attack/spell attack rolls in D&D 5e
     const primaryExpression = this.getPrimaryExpression(definition.baseExpression);
@@ -737,17 +1803,38 @@ export class RollEngine {
       return []; // No critical range for non-attack rolls or non-d20s
     }
     
-    // Start with configured critical range (default [20])
-    let range = [...this.config.criticalRules.range];
+    return this.mergeCriticalRange(modifiers);
+  }
+
+  /**
+   * Configured critical range (default [20]) expanded by CRITICAL_RANGE modifiers.
+   * Expansions don't stack: the lowest threshold wins, so Improved Critical (19)
+   * and Superior Critical (18) together crit on 18-20.
+   */
+  private mergeCriticalRange(modifiers: RollModifier[]): number[] {
+    const range = new Set(this.config.criticalRules.range);
+    const thresholds = this.getCriticalRangeModifiers(modifiers).map(modifier => modifier.value as number);
     
-    // Check for expanded critical range modifiers (e.g., Champion Fighter 19-20)
-    for (const modifier of modifiers) {
-      if (modifier.type === ModifierType.CRITICAL_RANGE && typeof modifier.value === 'number') {
-        range.push(modifier.value);
+    if (thresholds.length > 0) {
+      for (let value = Math.max(2, Math.min(...thresholds)); value <= 20; value++) {
+        range.add(value);
       }
     }
     
-    return range.sort((a, b) => a - b);
+    return [...range].sort((a, b) => a - b);
+  }
+
+  private getCriticalRangeModifiers(modifiers: RollModifier[]): RollModifier[] {
+    return modifiers.filter(modifier =>
+      modifier.type === ModifierType.CRITICAL_RANGE && typeof modifier.value === 'number'
+    );
+  }
+
+  /**
+   * Modifiers that add to the total; crit ranges, die floors and multipliers change the roll in other ways
+   */
+  private isBonusModifier(modifier: RollModifier): boolean {
+    return modifier.type === ModifierType.FLAT_BONUS || modifier.type === ModifierType.DICE_BONUS;
   }
 
   private createModifierPreview(modifier: RollModifier): ModifierPreview {
@@ -785,6 +1872,10 @@ export class RollEngine {
       notes.push('Advantage and disadvantage cancel out - rolling normally');
     }
     
+    if (definition.critical) {
+      notes.push('Critical hit - extra damage will be added');
+    }
+    
     // Note about conditional modifiers
     const conditionalMods = modifiers.filter(m => m.condition);
     if (conditionalMods.length > 0) {
@@ -798,60 +1889,245 @@ export class RollEngine {
   // RESULT CALCULATION
   // =============================================================================
 
-  private checkCriticalHit(diceResults: DiceRoll, rollType: string): boolean {
+  /**
+   * The dice group that decides crits: the first d20, otherwise the first group
+   */
+  private getPrimaryRoll(expressionRoll: ExpressionRoll): DiceRoll | null {
+    const d20 = expressionRoll.groups.find(group => group.roll.sides === 20);
+    return (d20 ?? expressionRoll.groups[0])?.roll || null;
+  }
+
+  private checkCriticalHit(expressionRoll: ExpressionRoll, rollType: string, criticalRange?: number[]): boolean {
     // Only attack rolls and spell attacks can crit in D&D 5e
     if (!['attack', 'spell_attack'].includes(rollType)) {
       return false;
     }
     
     // Critical hits only happen on d20 rolls
-    if (diceResults.sides !== 20) {
+    const diceResults = this.getPrimaryRoll(expressionRoll);
+    if (diceResults?.sides !== 20) {
+      return false;
+    }
+    
+    return this.isCriticalRoll(diceResults.rolls, rollType, criticalRange);
+  }
+
+  /**
+   * Whether natural d20 rolls crit for this roll type
+   */
+  private isCriticalRoll(
+    rolls: number[],
+    rollType: string,
+    criticalRange: number[] = this.config.criticalRules.range
+  ): boolean {
+    // Only attack rolls and spell attacks can crit in D&D 5e
+    if (!['attack', 'spell_attack'].includes(rollType)) {
       return false;
     }
     
     // Check if any roll is in the critical range
-    return diceResults.rolls.some(roll => 
-      this.config.criticalRules.range.includes(roll)
-    );
+    return rolls.some(roll => criticalRange.includes(roll));
   }
 
-  private checkCriticalFailure(diceResults: DiceRoll, rollType: string): boolean {
+  private checkCriticalFailure(expressionRoll: ExpressionRoll, rollType: string): boolean {
     // Critical failures only happen on d20 rolls for specific types
     if (!['attack', 'spell_attack', 'save', 'death_save'].includes(rollType)) {
       return false;
     }
     
     // Critical failures only happen on d20 rolls
-    if (diceResults.sides !== 20) {
+    const diceResults = this.getPrimaryRoll(expressionRoll);
+    if (diceResults?.sides !== 20) {
+      return false;
+    }
+    
+    return this.isCriticalFailureRoll(diceResults.rolls, rollType);
+  }
+
+  /**
+   * Whether natural d20 rolls are a critical failure for this roll type
+   */
+  private isCriticalFailureRoll(rolls: number[], rollType: string): boolean {
+    if (!['attack', 'spell_attack', 'save', 'death_save'].includes(rollType)) {
       return false;
     }
     
     const failureRange = this.config.criticalRules.failureRange || [1];
-    return diceResults.rolls.some(roll => failureRange.includes(roll));
+    return rolls.some(roll => failureRange.includes(roll));
+  }
+
+  /**
+   * Whether an expression is weapon damage, extra damage (Sneak Attack, Hex, ...) or
+   * not damage at all (the attack roll itself, saves, healing)
+   */
+  private getDamageCategory(
+    labeledExpr: LabeledDiceExpression, 
+    definition: RollDefinition
+  ): 'weapon' | 'extra' | null {
+    const ast = this.getExpressionAst(labeledExpr.expression);
+    if (getDiceTerms(ast).some(({ term }) => term.sides === 20)) {
+      return null;
+    }
+    
+    const label = labeledExpr.label?.toLowerCase();
+    if (!label) {
+      return ['damage', 'attack', 'spell_attack'].includes(definition.type) ? 'weapon' : null;
+    }
+    if (label.includes('heal') || label.includes('save')) {
+      return null;
+    }
+    return label.includes('damage') || label.includes('weapon') ? 'weapon' : 'extra';
+  }
+
+  /**
+   * Damage type of an expression: named in its label ("fire:2d6"), otherwise the source's damage type
+   */
+  private getDamageType(labeledExpr: LabeledDiceExpression, definition: RollDefinition): DamageType | undefined {
+    const sourceType = definition.context.source.properties?.damageType?.toLowerCase?.();
+    return findDamageType(labeledExpr.label) ?? (isDamageType(sourceType) ? sourceType : undefined);
+  }
+
+  /**
+   * Run damage packets through the target's defenses and any damage multiplier/divider modifiers
+   */
+  private async applyDamageDefenses(definition: RollDefinition, packets: DamagePacket[]): Promise<DamageResult> {
+    const modifiers = (await this.gatherModifiers(definition)).filter(
+      m => m.type === ModifierType.MULTIPLIER || m.type === ModifierType.DIVIDER
+    );
+    return applyDamagePipeline(packets, definition.context.target?.defenses, modifiers);
   }
 
+  /**
+   * Roll or compute the extra critical hit damage for an expression
+   * @returns Breakdown rows for the extra damage
+   */
   private async applyCriticalDamage(
-    diceResults: DiceRoll, 
-    definition: RollDefinition, 
-    modifiers: RollModifier[]
-  ): Promise<void> {
-    // Implementation depends on critical damage strategy
-    // For now, just mark as critical - detailed implementation needed
-    diceResults.critical = true;
+    parts: Array<{ roll: ExpressionRoll; category: 'weapon' | 'extra'; expression: DiceExpression }>,
+    random: SeededRandom
+  ): Promise<RollBreakdown[]> {
+    const { damageStrategy, affectedDice, additionalDice } = this.config.criticalRules;
+    const breakdown: RollBreakdown[] = [];
+    
+    for (const { roll: diceResults, category, expression } of parts) {
+      if (category === 'extra' && affectedDice === 'weapon_only') {
+        continue;
+      }
+      
+      // Only dice that add straight into the total are doubled
+      const groups = diceResults.groups.filter(group => group.sign === 1 && !group.scaled);
+      
+      for (const group of groups) {
+        group.roll.critical = true;
+        const { term, roll } = group;
+        const rolledValue = roll.rolls.reduce((sum, value) => sum + value, 0);
+        
+        switch (damageStrategy) {
+          case 'double_dice': {
+            const extra = await this.rollDiceTerm(term, expression, random);
+            breakdown.push(this.createCriticalRow(extra.total, extra.rolls, term.sides, `Rolled extra ${formatDiceTerm(term)}`));
+            break;
+          }
+          case 'max_plus_roll':
+          case 'brutal': {
+            const maxRolls = Array(term.count).fill(term.sides);
+            breakdown.push(this.createCriticalRow(term.count * term.sides, maxRolls, term.sides, `Maximized extra ${formatDiceTerm(term)}`));
+            break;
+          }
+          case 'double_total':
+            breakdown.push(this.createCriticalRow(rolledValue, roll.rolls, term.sides, `Doubled ${formatDiceTerm(term)}`));
+            break;
+        }
+      }
+      
+      // Doubling the total also doubles the flat modifiers in the expression
+      if (damageStrategy === 'double_total' && affectedDice !== 'exclude_modifiers' && diceResults.constant !== 0) {
+        breakdown.push({
+          type: 'critical',
+          label: 'Critical Hit',
+          value: diceResults.constant,
+          details: { source: 'Doubled modifiers' }
+        });
+      }
+      
+      // Brutal crits add extra weapon dice on top (one more of the largest weapon die by default)
+      if (damageStrategy === 'brutal' && category === 'weapon' && groups.length > 0) {
+        const largest = groups.reduce((max, group) => group.term.sides > max.term.sides ? group : max);
+        const brutalTerm = additionalDice
+          ? getDiceTerms(this.getExpressionAst(parseDiceExpression(additionalDice)))[0]?.term
+          : { type: 'dice' as const, count: 1, sides: largest.term.sides, operations: largest.term.operations };
+        
+        if (brutalTerm) {
+          const extra = await this.rollDiceTerm(brutalTerm, expression, random);
+          breakdown.push(this.createCriticalRow(extra.total, extra.rolls, brutalTerm.sides, `Brutal ${formatDiceTerm(brutalTerm)}`));
+        }
+      }
+    }
+    
+    return breakdown;
+  }
+
+  private createCriticalRow(value: number, rolls: number[], sides: number, description: string): RollBreakdown {
+    return {
+      type: 'critical',
+      label: 'Critical Hit',
+      value,
+      details: {
+        rolls,
+        sides,
+        source: `${description} [${rolls.join(', ')}]`
+      }
+    };
   }
 
   private async applyModifiers(
     modifiers: RollModifier[], 
     definition: RollDefinition, 
-    diceResults: DiceRoll
-  ): Promise<Array<{id: string, applied: boolean, value: number}>> {
-    const results: Array<{id: string, applied: boolean, value: number}> = [];
+    diceResults: ExpressionRoll,
+    random: SeededRandom,
+    critical: boolean = false
+  ): Promise<AppliedModifier[]> {
+    const results: AppliedModifier[] = [];
+    const isD20Roll = diceResults.groups.some(group => group.term.sides === 20);
     
     for (const modifier of modifiers) {
+      // Dice bonuses (Bless, Bardic Inspiration, Sneak Attack...) are rolled with the roll itself
+      if (modifier.type === ModifierType.DICE_BONUS && typeof modifier.value !== 'number') {
+        if (!this.diceBonusApplies(modifier, isD20Roll, critical)) {
+          continue;
+        }
+        
+        const roll = await this.rollDiceWithOperations(modifier.value, random);
+        results.push({
+          modifier,
+          applied: true,
+          value: roll.total,
+          roll
+        });
+        continue;
+      }
+      
+      if (modifier.type === ModifierType.REROLL || modifier.type === ModifierType.MINIMUM) {
+        // Added to the d20 as operations before rolling
+        results.push({ modifier, applied: isD20Roll, value: 0 });
+        continue;
+      }
+      
       if (modifier.application === ApplicationTiming.BEFORE_ROLL) {
         continue; // Already applied
       }
       
+      if (modifier.type === ModifierType.MULTIPLIER || modifier.type === ModifierType.DIVIDER) {
+        continue; // Applied per damage type once all damage is rolled
+      }
+      
+      // Flat damage riders (Rage, Agonizing Blast) follow the same rule as dice ones
+      const isDamageRider = modifier.application === ApplicationTiming.ON_DAMAGE ||
+        modifier.application === ApplicationTiming.ONCE_PER_TURN ||
+        modifier.application === ApplicationTiming.ON_CRITICAL;
+      if (isDamageRider && !this.diceBonusApplies(modifier, isD20Roll, critical)) {
+        continue;
+      }
+      
       let applied = true;
       let value = 0;
       
@@ -860,7 +2136,7 @@ export class RollEngine {
       }
       
       results.push({
-        id: modifier.id,
+        modifier,
         applied,
         value
       });
@@ -869,65 +2145,130 @@ export class RollEngine {
     return results;
   }
 
+  /**
+   * Damage riders add to damage rolls (ON_CRITICAL ones only on a crit);
+   * every other dice bonus adds to d20 tests
+   */
+  private diceBonusApplies(modifier: RollModifier, isD20Roll: boolean, critical: boolean): boolean {
+    switch (modifier.application) {
+      case ApplicationTiming.ON_DAMAGE:
+      case ApplicationTiming.ONCE_PER_TURN:
+        return !isD20Roll;
+      case ApplicationTiming.ON_CRITICAL:
+        return !isD20Roll && critical;
+      default:
+        return isD20Roll;
+    }
+  }
+
   private createRollBreakdown(
-    diceResults: DiceRoll, 
-    modifierResults: Array<{id: string, applied: boolean, value: number}>
+    expressionRoll: ExpressionRoll, 
+    modifierResults: AppliedModifier[]
   ): RollBreakdown[] {
     const breakdown: RollBreakdown[] = [];
     
-    // Add dice results with operation details
-    const diceValue = diceResults.rolls.reduce((sum, roll) => sum + roll, 0);
-    
-    // Show dice with operation information
-    if (diceResults.operations && diceResults.operations.length > 0) {
-      // Show original rolls and what operations were applied
-      const lastOp = diceResults.operations[diceResults.operations.length - 1];
+    // Expressions without dice (e.g. "5") show as a single flat number
+    if (expressionRoll.groups.length === 0) {
       breakdown.push({
         type: 'die',
-        label: `Dice (${lastOp.description})`,
-        value: diceValue,
+        label: 'Dice',
+        value: expressionRoll.total,
         details: {
-          originalRoll: lastOp.originalRolls.reduce((sum, r) => sum + r, 0),
-          rolls: diceResults.rolls,
-          sides: diceResults.sides,
-          rerolled: diceResults.rerolled,
-          dropped: lastOp.originalRolls.length > diceResults.rolls.length,
-          source: `Original: [${lastOp.originalRolls.join(', ')}]`
+          rolls: [expressionRoll.total],
+          rerolled: false,
+          isFlatNumber: true
         }
       });
-    } else {
-      // No operations, just show the dice
+    }
+    
+    // One row per dice group, signed the way it is summed into the total
+    const showNotation = expressionRoll.groups.length > 1;
+    for (const group of expressionRoll.groups) {
+      const diceResults = group.roll;
+      const diceValue = diceResults.rolls.reduce((sum, roll) => sum + roll, 0);
+      const value = group.scaled ? diceValue : group.sign * diceValue;
+      
+      // Show dice with operation information
+      if (diceResults.operations && diceResults.operations.length > 0) {
+        // Show original rolls and what operations were applied; substitutions made by
+        // features are always shown, measured from the dice as first rolled
+        const lastOp = diceResults.operations[diceResults.operations.length - 1];
+        const featureOps = diceResults.operations.filter(op => op.source && op.affectedIndices.length > 0);
+        const originalRolls = featureOps.length > 0 ? diceResults.operations[0].originalRolls : lastOp.originalRolls;
+        const substitutions = featureOps.map(op => `; ${op.description}`).join('');
+        breakdown.push({
+          type: 'die',
+          label: `Dice (${(featureOps.length > 0 ? featureOps : [lastOp]).map(op => op.description).join('; ')})`,
+          value,
+          details: {
+            originalRoll: originalRolls.reduce((sum, r) => sum + r, 0),
+            originalRolls,
+            rolls: diceResults.rolls,
+            sides: diceResults.sides,
+            rerolled: diceResults.rerolled,
+            dropped: originalRolls.length > diceResults.rolls.length,
+            source: `${showNotation ? `${group.notation} ` : ''}Original: [${originalRolls.join(', ')}]${substitutions}`
+          }
+        });
+      } else {
+        // No operations, just show the dice
+        breakdown.push({
+          type: 'die',
+          label: 'Dice',
+          value,
+          details: {
+            rolls: diceResults.rolls,
+            sides: diceResults.sides,
+            rerolled: diceResults.rerolled,
+            ...(showNotation ? { source: group.notation } : {})
+          }
+        });
+      }
+    }
+    
+    // Add the built-in modifier from dice expression (e.g., the +5 in "1d20+5")
+    if (expressionRoll.groups.length > 0 && expressionRoll.constant !== 0) {
       breakdown.push({
-        type: 'die',
-        label: 'Dice',
-        value: diceValue,
+        type: 'modifier',
+        label: 'Bonus',
+        value: expressionRoll.constant,
         details: {
-          rolls: diceResults.rolls,
-          sides: diceResults.sides,
-          rerolled: diceResults.rerolled
+          source: 'Expression'
         }
       });
     }
     
-    // Add the built-in modifier from dice expression (e.g., the +5 in "1d20+5")
-    const expressionModifier = diceResults.total - diceValue;
-    if (expressionModifier !== 0) {
+    // Multiplication/division can't be shown per row, so show its effect separately
+    const rowsTotal = breakdown.reduce((sum, item) => sum + item.value, 0);
+    if (rowsTotal !== expressionRoll.total) {
       breakdown.push({
         type: 'modifier',
-        label: 'Bonus',
-        value: expressionModifier,
+        label: 'Arithmetic',
+        value: expressionRoll.total - rowsTotal,
         details: {
           source: 'Expression'
         }
       });
     }
     
-    // Add other modifiers
+    // Add other modifiers, with each dice bonus as its own row
     for (const mod of modifierResults) {
-      if (mod.applied && mod.value !== 0) {
+      if (mod.applied && mod.roll) {
+        const rolls = mod.roll.groups.flatMap(group => group.roll.rolls);
+        breakdown.push({
+          type: 'modifier',
+          label: mod.modifier.name,
+          value: mod.value,
+          details: {
+            rolls,
+            sides: mod.roll.groups[0]?.term.sides,
+            source: `${(mod.modifier.value as DiceExpression).expression} [${rolls.join(', ')}]`
+          }
+        });
+      } else if (mod.applied && mod.value !== 0) {
         breakdown.push({
           type: 'modifier',
-          label: 'Modifier',
+          label: mod.modifier.name,
           value: mod.value
         });
       }
@@ -990,7 +2331,8 @@ export class RollEngine {
     dice.forEach((dicePreview) => {
       // Parse the dice expression
       const diceExpression = parseDiceExpression(dicePreview.expression);
-      const parseResult = diceExpression.parsed;
+      const ast = this.getExpressionAst(diceExpression);
+      const constant = getAdditiveConstant(ast);
       
       // Clean up label consistently with execution
       const cleanLabel = dicePreview.label
@@ -1000,40 +2342,74 @@ export class RollEngine {
         .replace(/\b\w/g, c => c.toUpperCase())
         .trim();
       
-      // Calculate estimated roll value using proper mathematical functions
-      const diceExpr = parseDiceExpression(dicePreview.expression);
-      const baseValue = estimateAverage(diceExpr) - (parseResult.modifier || 0); // Remove modifier since we add it separately
+      const rowsStart = breakdown.length;
+      const terms = getDiceTerms(ast);
       
-      // Create dice breakdown item (without modifier if it's in the expression)
-      breakdown.push({
-        type: 'die',
-        label: cleanLabel,
-        value: baseValue,
-        details: {
-          originalRoll: baseValue,
-          sides: parseResult.sides,
-          source: dicePreview.source,
-          rerolled: false,
-          rolls: Array(parseResult.count).fill(Math.round(baseValue / (parseResult.count || 1)))
-        }
+      // Constant-only expressions (e.g. "5") preview as a flat number
+      if (terms.length === 0) {
+        breakdown.push({
+          type: 'die',
+          label: cleanLabel,
+          value: estimateAverage(diceExpression),
+          details: {
+            source: dicePreview.source,
+            rerolled: false,
+            isFlatNumber: true
+          }
+        });
+      }
+      
+      // One row per dice group, using the estimated average for each
+      terms.forEach(({ term, sign, scaled }) => {
+        const baseValue = estimateAverage(parseDiceExpression(formatDiceTerm(term)));
+        const value = scaled ? baseValue : sign * baseValue;
+        
+        breakdown.push({
+          type: 'die',
+          label: cleanLabel,
+          value,
+          details: {
+            originalRoll: baseValue,
+            sides: term.sides,
+            source: terms.length > 1 ? `${dicePreview.source} (${formatDiceTerm(term)})` : dicePreview.source,
+            rerolled: false,
+            rolls: Array(term.count).fill(Math.round(baseValue / (term.count || 1)))
+          }
+        });
       });
       
       // If there's a modifier in the dice expression, add it as separate breakdown item
-      if (parseResult.modifier && parseResult.modifier !== 0) {
+      if (terms.length > 0 && constant !== 0) {
         breakdown.push({
           type: 'modifier',
           label: cleanLabel,
-          value: parseResult.modifier,
+          value: constant,
           details: {
             source: dicePreview.source
           }
         });
       }
+      
+      // Account for multiplication/division across the rows above
+      if (!isAdditiveExpression(ast)) {
+        const rowsTotal = breakdown.slice(rowsStart).reduce((sum, item) => sum + item.value, 0);
+        const adjustment = estimateAverage(diceExpression) - rowsTotal;
+        if (adjustment !== 0) {
+          breakdown.push({
+            type: 'modifier',
+            label: 'Arithmetic',
+            value: adjustment,
+            details: {
+              source: dicePreview.source
+            }
+          });
+        }
+      }
     });
     
     // Process separate modifiers
     modifiers.forEach((modifier) => {
-      if (typeof modifier.value === 'number' && modifier.value !== 0) {
+      if (this.isBonusModifier(modifier) && typeof modifier.value === 'number' && modifier.value !== 0) {
         const cleanLabel = modifier.name
           .replace(/^.*?:\s*/, '')
           .replace(/_/g, ' ')
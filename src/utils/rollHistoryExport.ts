@@ -0,0 +1,200 @@
+/**
+ * Roll History Export
+ *
+ * Campaign records outside the app:
+ * - CSV and Markdown for spreadsheets and session notes, one line per displayed roll
+ * - JSON with the full stored entries, which importRollHistory reads back
+ *   so history can be moved between devices
+ */
+
+import {
+  HistoryRoll,
+  RollHistoryEntry,
+  RollHistoryExport,
+  RollHistoryExportFormat,
+  RollEngineError
+} from '../types/rolls';
+import { transformRollLogToUnified } from './rollDataTransforms';
+import { summarizeRollLog } from './rollStatistics';
+
+export const ROLL_HISTORY_EXPORT_VERSION = 1;
+
+const EXPORT_KIND = 'dnd-roll-history';
+
+export const ROLL_HISTORY_EXPORT_FILES: Record<RollHistoryExportFormat, { extension: string; mimeType: string }> = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  markdown: { extension: 'md', mimeType: 'text/markdown' }
+};
+
+interface ExportCharacter {
+  id: string;
+  name: string;
+}
+
+type BreakdownItem = HistoryRoll['breakdown'][number];
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+/**
+ * One breakdown component as text, e.g. "d20 [17, 4]: 17" or "Strength: 3"
+ */
+function formatBreakdownItem(item: BreakdownItem): string {
+  const details = item.details as { rolls?: number[]; dropped?: boolean } | undefined;
+  const rolls = details?.rolls && details.rolls.length > 1 ? ` [${details.rolls.join(', ')}]` : '';
+  return `${item.label}${rolls}: ${item.value}${details?.dropped ? ' (dropped)' : ''}`;
+}
+
+export function formatRollBreakdown(breakdown: BreakdownItem[]): string {
+  return breakdown.map(formatBreakdownItem).join('; ');
+}
+
+function formatOutcome(entry: RollHistoryEntry): string {
+  const outcome = entry.outcome;
+  if (!outcome) return '';
+  if (outcome.criticalSuccess) return 'critical';
+  if (outcome.criticalFailure) return 'fumble';
+  if (outcome.success !== undefined) return outcome.success ? 'success' : 'failure';
+  return '';
+}
+
+function toCsvField(value: string | number): string {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toMarkdownCell(value: string | number): string {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/** One row per displayed roll; attacks log their damage as a second roll */
+function toRows(entries: RollHistoryEntry[], character: ExportCharacter): Array<Array<string | number>> {
+  return entries.flatMap(entry => entry.rolls.map(roll => [
+    new Date(entry.timestamp).toISOString(),
+    entry.sessionId,
+    character.name,
+    roll.type,
+    roll.name,
+    roll.total,
+    formatRollBreakdown(roll.breakdown),
+    formatOutcome(entry),
+    (entry.log.notes ?? []).join('; ')
+  ]));
+}
+
+const COLUMNS = ['Timestamp', 'Session', 'Character', 'Type', 'Roll', 'Total', 'Breakdown', 'Outcome', 'Notes'];
+
+function exportCsv(entries: RollHistoryEntry[], character: ExportCharacter): string {
+  return [COLUMNS, ...toRows(entries, character)]
+    .map(row => row.map(toCsvField).join(','))
+    .join('\r\n');
+}
+
+function exportMarkdown(entries: RollHistoryEntry[], character: ExportCharacter): string {
+  const lines = [`# Roll History: ${character.name}`, ''];
+
+  // One table per session, in the order the entries are given
+  let sessionId: string | undefined;
+  for (const entry of entries) {
+    if (entry.sessionId !== sessionId) {
+      sessionId = entry.sessionId;
+      lines.push(
+        ...(lines.length > 2 ? [''] : []),
+        `## Session ${sessionId}`,
+        '',
+        `| ${COLUMNS.filter(column => column !== 'Session' && column !== 'Character').join(' | ')} |`,
+        '| --- | --- | --- | ---: | --- | --- | --- |'
+      );
+    }
+    for (const [timestamp, , , type, name, total, breakdown, outcome, notes] of toRows([entry], character)) {
+      lines.push(`| ${[timestamp, type, name, total, breakdown, outcome, notes].map(toMarkdownCell).join(' | ')} |`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function exportJson(entries: RollHistoryEntry[], character: ExportCharacter): string {
+  const document: RollHistoryExport = {
+    kind: EXPORT_KIND,
+    version: ROLL_HISTORY_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    character,
+    entries
+  };
+  return JSON.stringify(document, null, 2);
+}
+
+/**
+ * Export history entries, newest first as given, in one of the export formats
+ */
+export function exportRollHistory(
+  entries: RollHistoryEntry[],
+  format: RollHistoryExportFormat,
+  character: ExportCharacter
+): string {
+  switch (format) {
+    case 'csv': return exportCsv(entries, character);
+    case 'markdown': return exportMarkdown(entries, character);
+    case 'json': return exportJson(entries, character);
+  }
+}
+
+/**
+ * File name for an export, e.g. "thorin-rolls-2026-10-19.csv"
+ */
+export function getRollHistoryExportFileName(format: RollHistoryExportFormat, characterName: string, date = new Date()): string {
+  const slug = characterName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'character';
+  return `${slug}-rolls-${date.toISOString().slice(0, 10)}.${ROLL_HISTORY_EXPORT_FILES[format].extension}`;
+}
+
+// =============================================================================
+// IMPORT
+// =============================================================================
+
+function invalidImport(reason: string, context?: unknown): RollEngineError {
+  return new RollEngineError(`Invalid roll history file: ${reason}`, 'INVALID_ROLL_HISTORY_IMPORT', context);
+}
+
+/**
+ * Read a JSON export back into entries for a character
+ *
+ * Entries keep their ids, so importing the same file twice can be detected. Stores are
+ * keyed by id alone, so rolls exported from another character get ids of their own
+ * instead of overwriting that character's rows. Display rolls and outcomes are rebuilt
+ * when a file lacks them.
+ */
+export function importRollHistory(text: string, characterId: string): RollHistoryEntry[] {
+  let document: Partial<RollHistoryExport>;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw invalidImport('not JSON', { error });
+  }
+
+  if (document?.kind !== EXPORT_KIND || !Array.isArray(document.entries)) {
+    throw invalidImport('not a roll history export');
+  }
+  if (typeof document.version !== 'number' || document.version > ROLL_HISTORY_EXPORT_VERSION) {
+    throw invalidImport(`unsupported version ${document.version}`, { version: document.version });
+  }
+
+  return document.entries.map((entry, index) => {
+    if (typeof entry?.id !== 'string' || typeof entry.timestamp !== 'number' || !Array.isArray(entry.log?.dice)) {
+      throw invalidImport(`entry ${index + 1} is malformed`, { index });
+    }
+
+    const sourceCharacterId = entry.characterId ?? document.character?.id;
+    return {
+      id: sourceCharacterId === characterId ? entry.id : `${characterId}:${entry.id}`,
+      characterId,
+      sessionId: typeof entry.sessionId === 'string' ? entry.sessionId : 'imported',
+      timestamp: entry.timestamp,
+      log: entry.log,
+      rolls: Array.isArray(entry.rolls) ? entry.rolls : transformRollLogToUnified(entry.log) as HistoryRoll[],
+      outcome: entry.outcome ?? summarizeRollLog(entry.log)
+    };
+  });
+}
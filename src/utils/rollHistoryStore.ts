@@ -0,0 +1,377 @@
+/**
+ * Persistent Roll History
+ *
+ * Keeps every character's logged rolls across reloads:
+ * - Supabase `dnd_roll_history` table when Supabase is configured (`outcome` is a jsonb column)
+ * - IndexedDB in the browser otherwise, and memory where neither is available (tests, SSR)
+ * - Entries are transformed for display and summarized for statistics once, when they are written
+ * - Pages are read newest first, using the oldest timestamp of a page as the cursor
+ */
+
+import {
+  RollLog,
+  RollResult,
+  HistoryRoll,
+  RollHistoryEntry,
+  RollHistoryPage,
+  RollHistorySession,
+  RollHistoryFilter,
+  RollHistoryOutcomeFilter,
+  RollOutcome
+} from '../types/rolls';
+
+import { supabase } from './supabase';
+import { transformRollLogToUnified } from './rollDataTransforms';
+import { summarizeRollResult, summarizeRollLog } from './rollStatistics';
+
+export const ROLL_HISTORY_PAGE_SIZE = 20;
+
+const DB_NAME = 'dnd-helper-roll-history';
+const STORE_NAME = 'rolls';
+const CHARACTER_INDEX = 'character_timestamp';
+const TABLE_NAME = 'dnd_roll_history';
+
+/** Identifies the rolls made since the app was loaded */
+export const ROLL_SESSION_ID = `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export interface RollHistoryQuery {
+  /** Only entries older than this timestamp */
+  before?: number;
+  limit?: number;
+}
+
+export interface RollHistoryStore {
+  /** Store an entry; every store is keyed by id, so an entry with the same id is replaced */
+  add(entry: RollHistoryEntry): Promise<void>;
+  /** A character's entries, newest first */
+  getPage(characterId: string, query?: RollHistoryQuery): Promise<RollHistoryPage>;
+  /** Delete a character's entries older than the timestamp */
+  prune(characterId: string, olderThan: number): Promise<void>;
+  clear(characterId: string): Promise<void>;
+}
+
+/**
+ * Build a page from up to limit + 1 entries; the extra entry only tells us there is more
+ */
+function toPage(entries: RollHistoryEntry[], limit: number): RollHistoryPage {
+  const page = entries.slice(0, limit);
+  return {
+    entries: page,
+    nextCursor: entries.length > limit ? page[page.length - 1].timestamp : undefined
+  };
+}
+
+// =============================================================================
+// ENTRIES
+// =============================================================================
+
+let lastTimestamp = 0;
+
+/**
+ * Stamp a roll log for history, transform it for display and summarize it for statistics
+ */
+export function createRollHistoryEntry(
+  log: RollLog,
+  characterId: string,
+  { sessionId = ROLL_SESSION_ID, result }: { sessionId?: string; result?: RollResult } = {}
+): RollHistoryEntry {
+  // Strictly increasing, so a timestamp cursor never skips a roll
+  const timestamp = Math.max(Date.now(), lastTimestamp + 1);
+  lastTimestamp = timestamp;
+
+  const id = String(log.id ?? `roll-${timestamp}-${Math.random().toString(36).slice(2, 8)}`);
+  const stamped: RollLog = { ...log, id, timestamp: log.timestamp ?? new Date(timestamp).toISOString() };
+
+  return {
+    id,
+    characterId,
+    sessionId,
+    timestamp,
+    log: stamped,
+    rolls: transformRollLogToUnified(stamped) as HistoryRoll[],
+    outcome: result ? summarizeRollResult(result) : summarizeRollLog(stamped)
+  };
+}
+
+/**
+ * Group newest-first entries into runs from the same session
+ */
+export function groupRollHistoryBySession(entries: RollHistoryEntry[]): RollHistorySession[] {
+  const sessions: RollHistorySession[] = [];
+
+  for (const entry of entries) {
+    const current = sessions[sessions.length - 1];
+    if (current?.sessionId === entry.sessionId) {
+      current.entries.push(entry);
+      current.startedAt = entry.timestamp;
+    } else {
+      sessions.push({ sessionId: entry.sessionId, startedAt: entry.timestamp, entries: [entry] });
+    }
+  }
+
+  return sessions;
+}
+
+/**
+ * Every stored entry for a character, newest first
+ */
+export async function getAllRollHistory(store: RollHistoryStore, characterId: string): Promise<RollHistoryEntry[]> {
+  const entries: RollHistoryEntry[] = [];
+  let before: number | undefined;
+
+  do {
+    const page = await store.getPage(characterId, { before, limit: 200 });
+    entries.push(...page.entries);
+    before = page.nextCursor;
+  } while (before !== undefined);
+
+  return entries;
+}
+
+/**
+ * A character's entries stamped from `from` to `to`, inclusive, newest first.
+ * Reads only the pages that overlap the range.
+ */
+export async function getRollHistoryBetween(
+  store: RollHistoryStore,
+  characterId: string,
+  from: number,
+  to: number
+): Promise<RollHistoryEntry[]> {
+  const entries: RollHistoryEntry[] = [];
+  let before: number | undefined = to + 1;
+
+  do {
+    const page = await store.getPage(characterId, { before, limit: 200 });
+    entries.push(...page.entries.filter(entry => entry.timestamp >= from));
+    before = page.entries.some(entry => entry.timestamp < from) ? undefined : page.nextCursor;
+  } while (before !== undefined);
+
+  return entries;
+}
+
+// =============================================================================
+// FILTERING
+// =============================================================================
+
+/**
+ * Whether any part of a filter is set
+ */
+export function isRollHistoryFilterActive(filter: RollHistoryFilter): boolean {
+  return Object.values(filter).some(value => value !== undefined && value !== '');
+}
+
+function matchesOutcome(outcome: RollOutcome | undefined, filter: RollHistoryOutcomeFilter): boolean {
+  switch (filter) {
+    case 'critical': return outcome?.criticalSuccess === true;
+    case 'fumble': return outcome?.criticalFailure === true;
+    case 'success': return outcome?.success === true;
+    case 'failure': return outcome?.success === false;
+  }
+}
+
+/**
+ * Entries matching every part of a filter; text matches roll names and notes
+ */
+export function filterRollHistory(entries: RollHistoryEntry[], filter: RollHistoryFilter): RollHistoryEntry[] {
+  const text = filter.text?.trim().toLowerCase();
+
+  return entries.filter(entry => {
+    if (filter.type && (entry.outcome?.type ?? entry.log.type) !== filter.type) return false;
+    if (filter.outcome && !matchesOutcome(entry.outcome, filter.outcome)) return false;
+    if (filter.from !== undefined && entry.timestamp < filter.from) return false;
+    if (filter.to !== undefined && entry.timestamp > filter.to) return false;
+    if (text) {
+      const searchable = [entry.log.name, ...entry.rolls.map(roll => roll.name), ...(entry.log.notes ?? [])];
+      return searchable.some(value => value.toLowerCase().includes(text));
+    }
+    return true;
+  });
+}
+
+// =============================================================================
+// STORES
+// =============================================================================
+
+export class MemoryRollHistoryStore implements RollHistoryStore {
+  private entries: RollHistoryEntry[] = [];
+
+  async add(entry: RollHistoryEntry): Promise<void> {
+    this.entries = [...this.entries.filter(existing => existing.id !== entry.id), entry];
+  }
+
+  async getPage(characterId: string, { before = Infinity, limit = ROLL_HISTORY_PAGE_SIZE }: RollHistoryQuery = {}): Promise<RollHistoryPage> {
+    const matching = this.entries
+      .filter(entry => entry.characterId === characterId && entry.timestamp < before)
+      .sort((a, b) => b.timestamp - a.timestamp);
+    return toPage(matching.slice(0, limit + 1), limit);
+  }
+
+  async prune(characterId: string, olderThan: number): Promise<void> {
+    this.entries = this.entries.filter(entry => entry.characterId !== characterId || entry.timestamp >= olderThan);
+  }
+
+  async clear(characterId: string): Promise<void> {
+    this.entries = this.entries.filter(entry => entry.characterId !== characterId);
+  }
+}
+
+export class IndexedDbRollHistoryStore implements RollHistoryStore {
+  private db: Promise<IDBDatabase> | null = null;
+
+  async add(entry: RollHistoryEntry): Promise<void> {
+    await this.transaction('readwrite', store => store.put(entry));
+  }
+
+  async getPage(characterId: string, { before = Infinity, limit = ROLL_HISTORY_PAGE_SIZE }: RollHistoryQuery = {}): Promise<RollHistoryPage> {
+    const entries: RollHistoryEntry[] = [];
+
+    await this.transaction('readonly', store => {
+      const request = store.index(CHARACTER_INDEX).openCursor(this.characterRange(characterId, before), 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && entries.length <= limit) {
+          entries.push(cursor.value);
+          cursor.continue();
+        }
+      };
+    });
+
+    return toPage(entries, limit);
+  }
+
+  async prune(characterId: string, olderThan: number): Promise<void> {
+    await this.deleteRange(this.characterRange(characterId, olderThan));
+  }
+
+  async clear(characterId: string): Promise<void> {
+    await this.deleteRange(this.characterRange(characterId));
+  }
+
+  private open(): Promise<IDBDatabase> {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          store.createIndex(CHARACTER_INDEX, ['characterId', 'timestamp']);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  private async transaction(mode: IDBTransactionMode, run: (store: IDBObjectStore) => void): Promise<void> {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      run(transaction.objectStore(STORE_NAME));
+    });
+  }
+
+  /** A character's entries older than `before` */
+  private characterRange(characterId: string, before: number = Infinity): IDBKeyRange {
+    return IDBKeyRange.bound([characterId, -Infinity], [characterId, before], false, true);
+  }
+
+  private deleteRange(range: IDBKeyRange): Promise<void> {
+    return this.transaction('readwrite', store => {
+      const request = store.index(CHARACTER_INDEX).openCursor(range);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+    });
+  }
+}
+
+interface RollHistoryRow {
+  id: string;
+  character_id: string;
+  session_id: string;
+  rolled_at: number;
+  log: RollLog;
+  rolls: HistoryRoll[];
+  outcome?: RollOutcome | null;
+}
+
+export class SupabaseRollHistoryStore implements RollHistoryStore {
+  constructor(private client: NonNullable<typeof supabase>) {}
+
+  async add(entry: RollHistoryEntry): Promise<void> {
+    const row: RollHistoryRow = {
+      id: entry.id,
+      character_id: entry.characterId,
+      session_id: entry.sessionId,
+      rolled_at: entry.timestamp,
+      log: entry.log,
+      rolls: entry.rolls,
+      outcome: entry.outcome ?? null
+    };
+
+    const { error } = await this.client.from(TABLE_NAME).upsert([row], { onConflict: 'id' });
+    if (error) throw error;
+  }
+
+  async getPage(characterId: string, { before, limit = ROLL_HISTORY_PAGE_SIZE }: RollHistoryQuery = {}): Promise<RollHistoryPage> {
+    let query = this.client
+      .from(TABLE_NAME)
+      .select('*')
+      .eq('character_id', characterId);
+    if (before !== undefined) {
+      query = query.lt('rolled_at', before);
+    }
+
+    const { data, error } = await query
+      .order('rolled_at', { ascending: false })
+      .limit(limit + 1);
+    if (error) throw error;
+
+    return toPage((data as RollHistoryRow[] || []).map(row => ({
+      id: row.id,
+      characterId: row.character_id,
+      sessionId: row.session_id,
+      timestamp: row.rolled_at,
+      log: row.log,
+      rolls: row.rolls,
+      outcome: row.outcome ?? undefined
+    })), limit);
+  }
+
+  async prune(characterId: string, olderThan: number): Promise<void> {
+    const { error } = await this.client
+      .from(TABLE_NAME)
+      .delete()
+      .eq('character_id', characterId)
+      .lt('rolled_at', olderThan);
+    if (error) throw error;
+  }
+
+  async clear(characterId: string): Promise<void> {
+    const { error } = await this.client
+      .from(TABLE_NAME)
+      .delete()
+      .eq('character_id', characterId);
+    if (error) throw error;
+  }
+}
+
+/**
+ * The best store available: Supabase when configured, then IndexedDB, then memory
+ */
+export function createRollHistoryStore(): RollHistoryStore {
+  if (supabase) {
+    return new SupabaseRollHistoryStore(supabase);
+  }
+  if (typeof indexedDB !== 'undefined') {
+    return new IndexedDbRollHistoryStore();
+  }
+  return new MemoryRollHistoryStore();
+}
@@ -4,7 +4,7 @@ import { resolveSpellAttack } from './spellResolvers';
 import { resolveConditionalDamage } from './conditionalDamageResolvers';
 import { createTargetContext, resolveSpellAttackWithTarget } from './targetSystem';
 import { resolveSkillCheck, resolveAbilityCheck, resolveSavingThrow } from './skillCheckResolvers';
-import { parseDiceExpression } from './diceParser';
+import { parseDiceExpression, parseAnyDiceExpression } from './diceParser';
 import { analyzeRoll } from './rollEngine';
 
 /**
@@ -265,3 +265,54 @@ export function performSavingThrowUnified(character, saveName, dc = null, contex
   }
 }
 
+
+/**
+ * Labeled expression for a wrapper's roll definition ("attack:1d20+5,damage:1d8+3"),
+ * the form roll engine definitions are created from
+ */
+export function toLabeledExpression(rollDefinition) {
+  return rollDefinition.baseExpression.expressions
+    .map(({ label, expression, modifier }) => {
+      const bonus = modifier ? (modifier > 0 ? `+${modifier}` : `${modifier}`) : '';
+      return `${label}:${expression}${bonus}`;
+    })
+    .join(',');
+}
+
+/**
+ * Attacks a character makes with the Attack action: 2 with Extra Attack,
+ * more for "Extra Attack (2)" and "Extra Attack (3)"
+ */
+export function getAttacksPerAction(character) {
+  const abilities = character?.dnd_character_abilities || [];
+  const extraAttack = abilities.find(ability => ability.ability_name?.toLowerCase().startsWith('extra attack'));
+  if (!extraAttack) return 1;
+  
+  const extraCount = Number(extraAttack.ability_name.match(/\((\d+)\)/)?.[1] ?? 1);
+  return 1 + extraCount;
+}
+
+/**
+ * Build a roll engine attack sequence from a weapon attack wrapper - one swing per attack,
+ * each resolved against the target AC in context.target
+ */
+export function createWeaponAttackSequence(weaponAttack, attackCount, context) {
+  const { weapon, rollDefinition } = weaponAttack;
+  const [attack, ...damage] = rollDefinition.baseExpression.expressions;
+  const damageExpression = toLabeledExpression({ baseExpression: { expressions: damage } });
+  
+  return {
+    id: `${weapon.name.toLowerCase().replace(/\s+/g, '_')}_${Date.now()}`,
+    name: weapon.name,
+    context: {
+      ...context,
+      source: { type: 'weapon', name: weapon.name, tags: ['weapon_attack'] }
+    },
+    attacks: Array.from({ length: attackCount }, (_, index) => ({
+      label: `Attack ${index + 1}`,
+      attack: parseDiceExpression(attack.expression),
+      damage: parseAnyDiceExpression(damageExpression),
+      damageType: weapon.damage_type?.toLowerCase()
+    }))
+  };
+}
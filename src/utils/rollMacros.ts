@@ -0,0 +1,99 @@
+/**
+ * Roll Macros
+ *
+ * Saved multi-step rolls a player defines once and rolls from the search:
+ * - The expression uses the usual labeled syntax ("attack:1d20+7,damage:1d8+4")
+ * - Prompts ask for a value before each roll and fill "{id}" placeholders
+ * - Macros become roll actions through createCustomRollAction, like generated ones
+ */
+
+import { RollMacro, RollMacroPrompt, RollType, RollEngineError } from '../types/rolls';
+import { parseAnyDiceExpression } from './diceParser';
+import { createCustomRollAction } from '../data/rollActionsGenerator';
+
+const PLACEHOLDER_PATTERN = /\{([a-zA-Z][\w-]*)\}/g;
+
+/** Roll types a macro can be made as */
+export const MACRO_ROLL_TYPES: RollType[] = ['attack', 'spell_attack', 'damage', 'healing', 'skill', 'save', 'ability', 'raw'];
+
+/** Prefix of macro action ids, so they never clash with generated actions */
+export const MACRO_ACTION_PREFIX = 'macro-';
+
+export function createRollMacroId(): string {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Prompt ids used in an expression, in order of first use
+ */
+export function getMacroPlaceholders(expression: string): string[] {
+  return [...new Set([...expression.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Fill prompt placeholders; prompts without an answer use their default
+ */
+export function applyMacroPrompts(
+  expression: string,
+  prompts: RollMacroPrompt[],
+  answers: Record<string, string> = {}
+): string {
+  return expression.replace(PLACEHOLDER_PATTERN, (placeholder, id: string) => {
+    const answer = answers[id]?.trim() || prompts.find(prompt => prompt.id === id)?.defaultValue?.trim();
+    if (!answer) {
+      throw new RollEngineError(`No value for "${placeholder}"`, 'MACRO_PROMPT_MISSING', { id });
+    }
+    return answer;
+  });
+}
+
+/**
+ * Problems that would stop a macro from rolling; empty when it is valid
+ */
+export function validateRollMacro(macro: RollMacro): string[] {
+  const errors: string[] = [];
+  const promptIds = macro.prompts.map(prompt => prompt.id);
+
+  if (!macro.name.trim()) {
+    errors.push('Give the macro a name');
+  }
+
+  for (const id of getMacroPlaceholders(macro.expression)) {
+    if (!promptIds.includes(id)) {
+      errors.push(`{${id}} has no prompt`);
+    }
+  }
+  for (const prompt of macro.prompts) {
+    if (!/^[a-zA-Z][\w-]*$/.test(prompt.id)) {
+      errors.push(`Prompt id "${prompt.id}" must start with a letter`);
+    }
+    if (!prompt.label.trim()) {
+      errors.push(`Prompt {${prompt.id}} needs a question`);
+    }
+  }
+  if (new Set(promptIds).size !== promptIds.length) {
+    errors.push('Prompt ids must be unique');
+  }
+
+  // Check the expression as it would roll with a stand-in for every prompt
+  try {
+    const sample = macro.expression.replace(PLACEHOLDER_PATTERN, (_placeholder, id: string) =>
+      macro.prompts.find(prompt => prompt.id === id)?.defaultValue?.trim() || '1');
+    parseAnyDiceExpression(sample);
+  } catch (error) {
+    errors.push(error instanceof Error ? error.message : 'Invalid dice expression');
+  }
+
+  return errors;
+}
+
+/**
+ * A macro as a roll action for the search list
+ */
+export function rollMacroToAction(macro: RollMacro) {
+  return createCustomRollAction(macro.name, 0, 'macro', {
+    id: `${MACRO_ACTION_PREFIX}${macro.id}`,
+    description: macro.expression,
+    macro
+  });
+}
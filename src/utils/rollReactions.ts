@@ -0,0 +1,44 @@
+/**
+ * Roll Reactions
+ *
+ * Reactions a character can spend on their own d20 roll after seeing it,
+ * found among their abilities and paid for by each ability's linked resource:
+ * - Lucky (feat): roll another d20 and keep the higher one. The halfling
+ *   trait of the same name has no resource and is applied while rolling instead
+ * - Portent: replace the d20 with a foretold roll, picked when it is spent
+ */
+
+import { ModifierType, RollDefinition, RollReaction } from '../types/rolls';
+
+interface ReactionAbility {
+  id: string;
+  ability_name?: string;
+  ability_data?: { resource_link?: string };
+}
+
+/**
+ * Reactions the character's abilities give; Portent has no value until a face is picked
+ */
+export function getCharacterReactions(character?: { dnd_character_abilities?: ReactionAbility[] } | null): RollReaction[] {
+  const reactions: RollReaction[] = [];
+
+  for (const ability of character?.dnd_character_abilities ?? []) {
+    const name = ability.ability_name?.toLowerCase().trim();
+
+    if (name === 'lucky' && ability.ability_data?.resource_link) {
+      reactions.push({ id: 'lucky', name: 'Lucky', type: ModifierType.REROLL, keep: 'highest', abilityId: ability.id });
+    } else if (name === 'portent') {
+      reactions.push({ id: 'portent', name: 'Portent', type: ModifierType.REPLACE_DIE, abilityId: ability.id });
+    }
+  }
+
+  return reactions;
+}
+
+/**
+ * Whether reactions can change a roll: the engine reacts to a single d20 roll
+ */
+export function canReactToRoll(definition: Pick<RollDefinition, 'baseExpression'>): boolean {
+  const { expressions } = definition.baseExpression;
+  return expressions.length === 1 && expressions[0].expression.parsed.sides === 20;
+}
@@ -11,7 +11,8 @@ import {
   ModifierSource,
   ModifierType,
   ApplicationTiming,
-  DiceExpression
+  DiceExpression,
+  RollPlugin
 } from '../types/rolls';
 
 import { parseDiceExpression } from './diceParser';
@@ -366,21 +367,6 @@ export function resolveClassFeatureModifiers(context: RollContext): RollModifier
     });
   }
   
-  // Champion Fighter Improved Critical
-  if (isChampionFighter(character)) {
-    modifiers.push({
-      id: 'improved_critical',
-      name: 'Improved Critical',
-      description: 'Critical hit on 19-20',
-      source: ModifierSource.CLASS_FEATURE,
-      type: ModifierType.CRITICAL_RANGE,
-      value: 19,
-      application: ApplicationTiming.BEFORE_ROLL,
-      stacks: false,
-      priority: 40
-    });
-  }
-  
   return modifiers;
 }
 
@@ -554,13 +540,41 @@ function isWarlockWithAgonizingBlast(character: any, context: RollContext): bool
          character.classes?.some((c: any) => c.name.toLowerCase().includes('warlock'));
 }
 
+function hasFeature(character: RollContext['character'], featureName: string): boolean {
+  const abilities: Array<{ ability_name?: string }> = character.dnd_character_abilities || [];
+  return abilities.some(ability => ability.ability_name?.toLowerCase().includes(featureName));
+}
+
 function isEldritchBlast(context: RollContext): boolean {
   return context.source.name.toLowerCase().includes('eldritch blast');
 }
 
-function isChampionFighter(character: any): boolean {
-  return character.subclass?.toLowerCase().includes('champion') ||
-         character.classes?.some((c: any) => c.subclass?.toLowerCase().includes('champion'));
+/**
+ * Fighter level of a Champion, for characters whose features aren't listed; 0 otherwise
+ */
+function getChampionLevel(character: RollContext['character']): number {
+  if (character.subclass?.toLowerCase().includes('champion')) {
+    return character.level;
+  }
+  const classes: Array<{ subclass?: string; level?: number }> = character.classes || [];
+  const champion = classes.find(c => c.subclass?.toLowerCase().includes('champion'));
+  return champion ? champion.level ?? character.level : 0;
+}
+
+/**
+ * Critical threshold of the weapon being attacked with (e.g. a homebrew blade that crits on 19-20)
+ */
+function getWeaponCriticalRange(context: RollContext): number | undefined {
+  if (context.source.type !== 'weapon') {
+    return undefined;
+  }
+  if (typeof context.source.properties?.criticalRange === 'number') {
+    return context.source.properties.criticalRange;
+  }
+  
+  const weapons: Array<{ name?: string; critical_range?: number | null }> = context.character.dnd_character_weapons || [];
+  const weapon = weapons.find(w => w.name?.toLowerCase() === context.source.name.toLowerCase());
+  return weapon?.critical_range ?? undefined;
 }
 
 function getWeaponMagicalBonus(weaponName: string): number {
@@ -569,12 +583,159 @@ function getWeaponMagicalBonus(weaponName: string): number {
   return 0;
 }
 
+// =============================================================================
+// DIE FLOOR FEATURES
+// =============================================================================
+
+/**
+ * Resolve features that change the d20 itself rather than add to it.
+ * The engine applies these as die operations on the first d20 of a roll:
+ * - Reliable Talent: a d20 of 9 or lower counts as 10 on proficient skill checks
+ * - Silver Tongue: the same for Persuasion and Deception checks
+ * - Halfling Lucky: a natural 1 is rerolled once
+ */
+export function resolveDieFloorModifiers(context: RollContext): RollModifier[] {
+  const modifiers: RollModifier[] = [];
+  const character = context.character;
+  
+  if (hasFeature(character, 'reliable talent')) {
+    modifiers.push({
+      id: 'reliable_talent',
+      name: 'Reliable Talent',
+      description: 'Treat a d20 roll of 9 or lower as a 10 on proficient ability checks',
+      source: ModifierSource.CLASS_FEATURE,
+      type: ModifierType.MINIMUM,
+      value: 10,
+      condition: (ctx) => ctx.source.type === 'skill' && ctx.source.properties?.proficient === true,
+      application: ApplicationTiming.DURING_ROLL,
+      stacks: false,
+      priority: 20
+    });
+  }
+  
+  if (hasFeature(character, 'silver tongue')) {
+    modifiers.push({
+      id: 'silver_tongue',
+      name: 'Silver Tongue',
+      description: 'Treat a d20 roll of 9 or lower as a 10 on Persuasion and Deception checks',
+      source: ModifierSource.CLASS_FEATURE,
+      type: ModifierType.MINIMUM,
+      value: 10,
+      // Matched on the skill key; action names read "Persuasion Check"
+      condition: (ctx) => ctx.source.type === 'skill' && ['persuasion', 'deception'].includes(ctx.source.properties?.skill),
+      application: ApplicationTiming.DURING_ROLL,
+      stacks: false,
+      priority: 20
+    });
+  }
+  
+  if (character.race?.toLowerCase().includes('halfling')) {
+    modifiers.push({
+      id: 'halfling_lucky',
+      name: 'Lucky',
+      description: 'Reroll a natural 1 on attack rolls, ability checks and saving throws',
+      source: ModifierSource.RACIAL_TRAIT,
+      type: ModifierType.REROLL,
+      value: 1,
+      application: ApplicationTiming.DURING_ROLL,
+      stacks: false,
+      priority: 10
+    });
+  }
+  
+  return modifiers;
+}
+
+/**
+ * Features that change the d20, packaged as a roll engine plugin
+ */
+export const dieFloorFeaturesPlugin: RollPlugin = {
+  id: 'die_floor_features',
+  priority: 0,
+  resolvers: { die_floors: resolveDieFloorModifiers }
+};
+
+// =============================================================================
+// CRITICAL RANGE FEATURES
+// =============================================================================
+
+/**
+ * Resolve features and items that expand the critical hit range.
+ * Each contributes a CRITICAL_RANGE modifier with its lowest critting d20; the engine
+ * keeps the lowest threshold, since expansions don't stack:
+ * - Improved Critical (Champion 3): 19-20
+ * - Superior Critical (Champion 15): 18-20
+ * - Hexblade's Curse: 19-20 against the cursed target
+ * - Weapons with a `criticalRange` (homebrew items)
+ */
+export function resolveCriticalRangeModifiers(context: RollContext): RollModifier[] {
+  const modifiers: RollModifier[] = [];
+  const character = context.character;
+  const championLevel = getChampionLevel(character);
+  
+  const criticalRange = (id: string, name: string, value: number, source: ModifierSource, description: string): RollModifier => ({
+    id,
+    name,
+    description,
+    source,
+    type: ModifierType.CRITICAL_RANGE,
+    value,
+    application: ApplicationTiming.BEFORE_ROLL,
+    stacks: false,
+    priority: 40
+  });
+  
+  if (hasFeature(character, 'superior critical') || championLevel >= 15) {
+    modifiers.push(criticalRange(
+      'superior_critical', 'Superior Critical', 18, ModifierSource.CLASS_FEATURE, 'Critical hit on 18-20'
+    ));
+  } else if (hasFeature(character, 'improved critical') || championLevel >= 3) {
+    modifiers.push(criticalRange(
+      'improved_critical', 'Improved Critical', 19, ModifierSource.CLASS_FEATURE, 'Critical hit on 19-20'
+    ));
+  }
+  
+  if (hasFeature(character, "hexblade's curse")) {
+    modifiers.push({
+      ...criticalRange(
+        'hexblades_curse', "Hexblade's Curse", 19, ModifierSource.CLASS_FEATURE, 'Critical hit on 19-20 against the cursed target'
+      ),
+      condition: (ctx) => ctx.target?.conditions?.includes('hexblade_cursed') === true
+    });
+  }
+  
+  const weaponRange = getWeaponCriticalRange(context);
+  if (weaponRange !== undefined && weaponRange < 20) {
+    modifiers.push(criticalRange(
+      'weapon_critical_range', context.source.name, weaponRange, ModifierSource.ITEM, `Critical hit on ${weaponRange}-20`
+    ));
+  }
+  
+  return modifiers;
+}
+
+/**
+ * Features and items that expand the critical range, packaged as a roll engine plugin
+ */
+export const criticalRangeFeaturesPlugin: RollPlugin = {
+  id: 'critical_range_features',
+  priority: 0,
+  resolvers: { critical_range: resolveCriticalRangeModifiers }
+};
+
+/**
+ * Feature plugins every engine rolling for characters registers, so app rolls
+ * and simulated rolls apply the same d20 features and crit ranges
+ */
+export const FEATURE_PLUGINS: RollPlugin[] = [dieFloorFeaturesPlugin, criticalRangeFeaturesPlugin];
+
 // =============================================================================
 // RESOLVER REGISTRY
 // =============================================================================
 
 /**
- * Default resolver functions that can be registered with the roll engine
+ * Default resolver functions that can be registered with the roll engine.
+ * d20 features and crit ranges are not listed; they come from FEATURE_PLUGINS.
  */
 export const DEFAULT_RESOLVERS = {
   ability_modifiers: resolveAbilityModifiers,
@@ -587,11 +748,19 @@ export const DEFAULT_RESOLVERS = {
   situational: resolveSituationalModifiers
 } as const;
 
+/**
+ * The default resolvers packaged as a roll engine plugin
+ */
+export const defaultResolversPlugin: RollPlugin = {
+  id: 'default_resolvers',
+  priority: 0,
+  resolvers: DEFAULT_RESOLVERS
+};
+
 /**
  * Register all default resolvers with a roll engine instance
+ * @returns Function that unregisters them
  */
-export function registerDefaultResolvers(rollEngine: any): void {
-  Object.entries(DEFAULT_RESOLVERS).forEach(([key, resolver]) => {
-    rollEngine.registerModifierResolver?.(key, resolver);
-  });
+export function registerDefaultResolvers(rollEngine: { registerPlugin(plugin: RollPlugin): () => void }): () => void {
+  return rollEngine.registerPlugin(defaultResolversPlugin);
 }
\ No newline at end of file
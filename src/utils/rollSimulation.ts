@@ -0,0 +1,228 @@
+/**
+ * Monte Carlo Roll Simulation
+ *
+ * Answers "which is better?" questions by rolling full definitions thousands of times:
+ * - Each run uses its own seeded RollEngine, so a seed reproduces the same histogram
+ * - The engine registers the app's feature plugins and the roller's modifiers, so odds match real rolls
+ * - Attack + damage definitions against a target AC only count damage on a hit
+ * - Work is batched and can be cancelled between batches
+ * - runSimulation moves the work into a Web Worker when one is available
+ */
+
+import {
+  RollDefinition,
+  RollModifier,
+  RollEngineError,
+  AttackSequenceDefinition,
+  SimulationRequest,
+  SimulationProgress,
+  SimulationResult
+} from '../types/rolls';
+
+import { RollEngine } from './rollEngine';
+import { FEATURE_PLUGINS } from './rollResolvers';
+import { generateSeed } from './seededRandom';
+
+const BATCH_SIZE = 250;
+
+export interface SimulationOptions {
+  signal?: AbortSignal;
+  onProgress?: (progress: SimulationProgress) => void;
+}
+
+/** Messages posted by the simulation worker */
+export type SimulationWorkerMessage =
+  | { type: 'progress'; progress: SimulationProgress }
+  | { type: 'result'; result: SimulationResult }
+  | { type: 'error'; message: string; code?: string };
+
+const cancelledError = (id: string) => new RollEngineError('Simulation cancelled', 'SIMULATION_CANCELLED', { id });
+
+/**
+ * Roll a definition against its target AC as a one-attack sequence, so damage
+ * (and critical damage) only counts when the attack hits
+ */
+function toAttackSequence(definition: RollDefinition): AttackSequenceDefinition | null {
+  if (definition.context.target?.ac === undefined) {
+    return null;
+  }
+
+  const expressions = definition.baseExpression.expressions;
+  const attack = expressions.find(labeled => labeled.expression.parsed.sides === 20);
+  const damage = expressions.filter(labeled => labeled !== attack);
+  if (!attack || damage.length === 0) {
+    return null;
+  }
+
+  return {
+    id: definition.id,
+    name: definition.name,
+    context: definition.context,
+    modifiers: definition.modifiers,
+    attacks: [{
+      label: attack.label || definition.name,
+      attack: attack.expression,
+      damage: {
+        fullExpression: damage
+          .map(labeled => labeled.label ? `${labeled.label}:${labeled.expression.expression}` : labeled.expression.expression)
+          .join(','),
+        expressions: damage
+      },
+      type: definition.type === 'spell_attack' ? 'spell_attack' : 'attack'
+    }]
+  };
+}
+
+function percentile(sorted: number[], p: number): number {
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function summarize(
+  request: SimulationRequest,
+  totals: number[],
+  counts: { hits: number; criticals: number; attacks: boolean },
+  seed: number,
+  startTime: number
+): SimulationResult {
+  const sorted = [...totals].sort((a, b) => a - b);
+  const mean = totals.reduce((sum, total) => sum + total, 0) / totals.length;
+  const variance = totals.reduce((sum, total) => sum + (total - mean) ** 2, 0) / totals.length;
+
+  const histogram = new Map<number, number>();
+  for (const total of sorted) {
+    histogram.set(total, (histogram.get(total) ?? 0) + 1);
+  }
+
+  return {
+    id: request.id,
+    iterations: totals.length,
+    mean,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    standardDeviation: Math.sqrt(variance),
+    histogram: [...histogram].map(([value, count]) => ({ value, count })),
+    percentiles: {
+      p10: percentile(sorted, 10),
+      p25: percentile(sorted, 25),
+      p50: percentile(sorted, 50),
+      p75: percentile(sorted, 75),
+      p90: percentile(sorted, 90)
+    },
+    hitRate: counts.attacks ? counts.hits / totals.length : undefined,
+    criticalRate: counts.criticals / totals.length,
+    seed,
+    executionTime: Date.now() - startTime
+  };
+}
+
+/**
+ * Run a simulation on the current thread, yielding between batches
+ */
+export async function simulateRolls(request: SimulationRequest, options: SimulationOptions = {}): Promise<SimulationResult> {
+  if (!Number.isInteger(request.iterations) || request.iterations < 1) {
+    throw new RollEngineError('Simulation needs at least one iteration', 'INVALID_SIMULATION', { request });
+  }
+
+  const startTime = Date.now();
+  const seed = request.seed ?? generateSeed();
+  const engine = new RollEngine({
+    seed,
+    plugins: FEATURE_PLUGINS,
+    ...(request.criticalRules && { criticalRules: request.criticalRules })
+  });
+  if (request.activeModifiers?.length) {
+    engine.addTemporaryModifiers(request.activeModifiers, request.definition.context.character.id);
+  }
+  const sequence = toAttackSequence(request.definition);
+  const totals: number[] = [];
+  const counts = { hits: 0, criticals: 0, attacks: sequence !== null };
+
+  while (totals.length < request.iterations) {
+    if (options.signal?.aborted) {
+      throw cancelledError(request.id);
+    }
+
+    const batchEnd = Math.min(request.iterations, totals.length + BATCH_SIZE);
+    while (totals.length < batchEnd) {
+      const result = sequence
+        ? await engine.executeAttackSequence(sequence)
+        : await engine.executeRoll(request.definition);
+
+      totals.push(result.total);
+      if (result.attacks?.some(attack => attack.hit)) counts.hits++;
+      if (result.criticalSuccess) counts.criticals++;
+    }
+
+    options.onProgress?.({ id: request.id, completed: totals.length, iterations: request.iterations });
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  return summarize(request, totals, counts, seed, startTime);
+}
+
+/**
+ * Resolve conditional modifiers against the roll's own context so the
+ * definition can be cloned into a worker (functions cannot be)
+ */
+export function prepareSimulationRequest(request: SimulationRequest): SimulationRequest {
+  const { definition } = request;
+  const resolve = (modifiers: RollModifier[] = []) => modifiers
+    .filter(modifier => !modifier.condition || modifier.condition(definition.context))
+    .map(({ condition: _condition, conditionKey: _conditionKey, ...modifier }) => modifier);
+
+  return {
+    ...request,
+    definition: { ...definition, modifiers: resolve(definition.modifiers) },
+    ...(request.activeModifiers && { activeModifiers: resolve(request.activeModifiers) })
+  };
+}
+
+/**
+ * Run a simulation off the main thread
+ *
+ * Falls back to simulateRolls where Web Workers are unavailable (tests, SSR).
+ * Aborting the signal terminates the worker and rejects with SIMULATION_CANCELLED.
+ */
+export function runSimulation(request: SimulationRequest, options: SimulationOptions = {}): Promise<SimulationResult> {
+  const prepared = prepareSimulationRequest(request);
+
+  if (typeof Worker === 'undefined') {
+    return simulateRolls(prepared, options);
+  }
+  if (options.signal?.aborted) {
+    return Promise.reject(cancelledError(request.id));
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./rollSimulation.worker.ts', import.meta.url), { type: 'module' });
+
+    const finish = () => {
+      worker.terminate();
+      options.signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      reject(cancelledError(request.id));
+    };
+
+    worker.onmessage = (event: MessageEvent<SimulationWorkerMessage>) => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        options.onProgress?.(message.progress);
+      } else if (message.type === 'result') {
+        finish();
+        resolve(message.result);
+      } else {
+        finish();
+        reject(new RollEngineError(message.message, message.code || 'SIMULATION_ERROR', { id: request.id }));
+      }
+    };
+    worker.onerror = (event) => {
+      finish();
+      reject(new RollEngineError(`Simulation worker failed: ${event.message}`, 'SIMULATION_ERROR', { id: request.id }));
+    };
+
+    options.signal?.addEventListener('abort', onAbort);
+    worker.postMessage(prepared);
+  });
+}
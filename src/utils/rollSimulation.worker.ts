@@ -0,0 +1,26 @@
+/**
+ * Web Worker entry for Monte Carlo roll simulations
+ *
+ * Receives a SimulationRequest and posts progress after every batch, then the result.
+ */
+
+import { RollEngineError, SimulationRequest } from '../types/rolls';
+import { simulateRolls, SimulationWorkerMessage } from './rollSimulation';
+
+const worker = self as unknown as Worker;
+const post = (message: SimulationWorkerMessage) => worker.postMessage(message);
+
+worker.onmessage = async (event: MessageEvent<SimulationRequest>) => {
+  try {
+    const result = await simulateRolls(event.data, {
+      onProgress: progress => post({ type: 'progress', progress })
+    });
+    post({ type: 'result', result });
+  } catch (error) {
+    post({
+      type: 'error',
+      message: error instanceof Error ? error.message : 'Unknown error',
+      code: error instanceof RollEngineError ? error.code : undefined
+    });
+  }
+};
@@ -0,0 +1,244 @@
+/**
+ * Roll Statistics
+ *
+ * Settles "who is cursed" arguments from stored roll history:
+ * - Each roll is summarized into a RollOutcome once, when it is written to history
+ * - d20 faces are compared with a fair die using a chi-square goodness-of-fit test
+ * - d20s count towards fairness as first rolled, before features like Reliable Talent
+ *   or Lucky change them; advantage rolls are left out since a die was picked
+ */
+
+import {
+  RollType,
+  RollLog,
+  RollResult,
+  RollOutcome,
+  RollHistoryEntry,
+  RollStatistics,
+  RollStatisticsFilter,
+  DiceFairness,
+  WeaponDamageStatistics,
+  HitRateStatistics
+} from '../types/rolls';
+
+const D20_FACES = 20;
+
+/** Fewer expected rolls per face than this make the chi-square test unreliable */
+const MIN_EXPECTED_PER_FACE = 5;
+
+// =============================================================================
+// OUTCOMES
+// =============================================================================
+
+/**
+ * Summarize an executed roll for statistics
+ */
+export function summarizeRollResult(result: RollResult): RollOutcome {
+  const parts = result.multiResults?.map(({ result: part }) => part) ?? [result];
+  const isAttack = (part: RollResult) => ['attack', 'spell_attack'].includes(part.metadata.type);
+
+  const attackParts = result.attacks?.map(outcome => outcome.attack) ?? parts.filter(isAttack);
+  const damageParts = result.attacks
+    ? result.attacks.flatMap(outcome => outcome.damage ? [outcome.damage] : [])
+    : parts.filter(part => part.metadata.type === 'damage');
+
+  const d20Rows = (result.attacks ? attackParts : parts)
+    .flatMap(part => part.breakdown)
+    .filter(item => item.type === 'die' && item.details?.sides === 20);
+
+  const context = result.metadata.definition?.context;
+  const hit = result.attacks
+    ? result.attacks.some(outcome => outcome.hit)
+    : attackParts[0]?.success;
+  const decided = [result, ...parts].find(part => part.success !== undefined);
+
+  return {
+    type: result.metadata.type,
+    source: context?.source?.name,
+    actionId: result.metadata.definition?.actionId,
+    naturalD20: d20Rows[0]?.details?.rolls?.[0],
+    // Faces as first rolled, unless advantage or a keep dropped one
+    fairD20s: d20Rows
+      .filter(item => !item.details?.dropped)
+      .flatMap(item => item.details?.originalRolls ?? item.details?.rolls ?? []),
+    criticalSuccess: result.criticalSuccess,
+    criticalFailure: result.criticalFailure,
+    success: hit ?? decided?.success,
+    targetNumber: decided?.targetNumber ?? result.targetNumber,
+    targetAC: attackParts.length > 0 ? context?.target?.ac : undefined,
+    hit,
+    damage: damageParts.length > 0
+      ? damageParts.reduce((sum, part) => sum + part.total, 0)
+      : undefined
+  };
+}
+
+/**
+ * Summarize a roll that was only logged (damage taken, healing); it has no dice to judge
+ */
+export function summarizeRollLog(log: RollLog): RollOutcome {
+  return {
+    type: log.type as RollType,
+    source: log.name,
+    fairD20s: [],
+    criticalSuccess: Boolean(log.isCritical),
+    criticalFailure: false
+  };
+}
+
+// =============================================================================
+// CHI-SQUARE
+// =============================================================================
+
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7
+];
+
+function logGamma(z: number): number {
+  if (z < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);
+  }
+  z -= 1;
+  let x = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i++) {
+    x += LANCZOS[i] / (z + i);
+  }
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(x);
+}
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x)
+ */
+function regularizedGammaQ(a: number, x: number): number {
+  if (x <= 0) {
+    return 1;
+  }
+  const prefix = Math.exp(-x + a * Math.log(x) - logGamma(a));
+
+  // Series for P(a, x) converges quickly below a + 1
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-14; n++) {
+      term *= x / (a + n);
+      sum += term;
+    }
+    return 1 - prefix * sum;
+  }
+
+  // Continued fraction for Q(a, x) otherwise (modified Lentz)
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = b + an / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return prefix * h;
+}
+
+/**
+ * Probability of a chi-square statistic at least this large from a fair die
+ */
+export function chiSquarePValue(chiSquare: number, degreesOfFreedom: number): number {
+  return Math.min(1, Math.max(0, regularizedGammaQ(degreesOfFreedom / 2, chiSquare / 2)));
+}
+
+function judgeFairness(expected: number, pValue?: number): DiceFairness {
+  if (pValue === undefined || expected < MIN_EXPECTED_PER_FACE) return 'insufficient';
+  if (pValue < 0.01) return 'loaded';
+  if (pValue < 0.05) return 'suspicious';
+  return 'fair';
+}
+
+// =============================================================================
+// STATISTICS
+// =============================================================================
+
+/**
+ * Statistics over history entries, optionally limited to one session and roll type
+ */
+export function calculateRollStatistics(
+  entries: RollHistoryEntry[],
+  filter: RollStatisticsFilter = {}
+): RollStatistics {
+  const outcomes = entries
+    .filter(entry => !filter.sessionId || entry.sessionId === filter.sessionId)
+    .flatMap(entry => entry.outcome ? [entry.outcome] : [])
+    .filter(outcome => !filter.type || outcome.type === filter.type);
+
+  // d20 faces against a fair die
+  const counts: number[] = Array(D20_FACES).fill(0);
+  for (const roll of outcomes.flatMap(outcome => outcome.fairD20s)) {
+    counts[roll - 1]++;
+  }
+  const rolls = counts.reduce((sum, count) => sum + count, 0);
+  const expected = rolls / D20_FACES;
+  const chiSquare = rolls > 0
+    ? counts.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0)
+    : 0;
+  const pValue = rolls > 0 ? chiSquarePValue(chiSquare, D20_FACES - 1) : undefined;
+
+  const naturals = outcomes.flatMap(outcome => outcome.naturalD20 !== undefined ? [outcome.naturalD20] : []);
+
+  // Average damage per weapon or spell
+  const damage = new Map<string, number[]>();
+  for (const outcome of outcomes) {
+    if (outcome.damage !== undefined && outcome.source) {
+      damage.set(outcome.source, [...(damage.get(outcome.source) ?? []), outcome.damage]);
+    }
+  }
+  const weapons: WeaponDamageStatistics[] = [...damage]
+    .map(([name, totals]) => ({
+      name,
+      rolls: totals.length,
+      averageDamage: totals.reduce((sum, total) => sum + total, 0) / totals.length
+    }))
+    .sort((a, b) => b.averageDamage - a.averageDamage);
+
+  // Hit rate by target AC
+  const byAC = new Map<number, { attacks: number; hits: number }>();
+  for (const outcome of outcomes) {
+    if (outcome.targetAC !== undefined && outcome.hit !== undefined) {
+      const tally = byAC.get(outcome.targetAC) ?? { attacks: 0, hits: 0 };
+      tally.attacks++;
+      if (outcome.hit) tally.hits++;
+      byAC.set(outcome.targetAC, tally);
+    }
+  }
+  const hitRateByAC: HitRateStatistics[] = [...byAC]
+    .map(([ac, { attacks, hits }]) => ({ ac, attacks, hits, hitRate: hits / attacks }))
+    .sort((a, b) => a.ac - b.ac);
+
+  return {
+    rolls: outcomes.length,
+    d20: {
+      counts,
+      rolls,
+      expected,
+      average: naturals.length > 0
+        ? naturals.reduce((sum, roll) => sum + roll, 0) / naturals.length
+        : undefined,
+      natural20s: naturals.filter(roll => roll === 20).length,
+      natural1s: naturals.filter(roll => roll === 1).length,
+      chiSquare,
+      pValue,
+      fairness: judgeFairness(expected, pValue)
+    },
+    weapons,
+    hitRateByAC
+  };
+}
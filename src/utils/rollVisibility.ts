@@ -0,0 +1,32 @@
+/**
+ * Roll Visibility
+ *
+ * Decides who sees a roll. The roll history, the party feed and the roll
+ * popup all ask here rather than checking visibility values themselves.
+ */
+
+import { RollResult, RollVisibility } from '../types/rolls';
+
+/** Who is looking at a roll */
+export type RollAudience = 'roller' | 'party' | 'dm';
+
+export const ROLL_VISIBILITY_LABELS: Record<RollVisibility, string> = {
+  public: 'Public',
+  private: 'Only me',
+  dm: 'DM only'
+};
+
+export function getRollVisibility(result: Pick<RollResult, 'metadata'>): RollVisibility {
+  return result.metadata?.definition?.visibility ?? 'public';
+}
+
+/**
+ * Whether an audience may see a roll's result
+ */
+export function isRollVisibleTo(visibility: RollVisibility, audience: RollAudience): boolean {
+  switch (visibility) {
+    case 'public': return true;
+    case 'private': return audience === 'roller';
+    case 'dm': return audience === 'dm';
+  }
+}
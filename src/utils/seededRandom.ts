@@ -0,0 +1,78 @@
+/**
+ * Seeded Random Number Generation
+ *
+ * Deterministic, replayable randomness for the roll engine:
+ * - Pluggable PRNG algorithms (mulberry32 by default)
+ * - Draw counting so any roll can be located in the stream by seed + index
+ * - Skipping ahead to a recorded draw index for replays
+ */
+
+/** Creates a PRNG for a seed; the returned function yields floats in [0, 1) */
+export type RandomFactory = (seed: number) => () => number;
+
+/**
+ * mulberry32 - small, fast 32-bit PRNG with good distribution for dice
+ */
+export const mulberry32: RandomFactory = (seed: number) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Generate a fresh 32-bit seed, preferring the platform CSPRNG
+ */
+export function generateSeed(): number {
+  if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * A seeded stream of random draws that tracks its position
+ */
+export class SeededRandom {
+  readonly seed: number;
+  private source: () => number;
+  private position = 0;
+
+  /**
+   * @param seed - 32-bit seed
+   * @param factory - PRNG algorithm
+   * @param startIndex - Number of draws to skip (resume at a recorded draw index)
+   */
+  constructor(seed: number, factory: RandomFactory = mulberry32, startIndex: number = 0) {
+    this.seed = seed >>> 0;
+    this.source = factory(this.seed);
+    this.skip(startIndex);
+  }
+
+  /** Number of draws taken so far */
+  get drawIndex(): number {
+    return this.position;
+  }
+
+  /** Next float in [0, 1) */
+  next(): number {
+    this.position++;
+    return this.source();
+  }
+
+  /** Roll a single die with the given number of sides */
+  rollDie(sides: number): number {
+    return Math.floor(this.next() * sides) + 1;
+  }
+
+  /** Advance the stream without using the draws */
+  skip(count: number): void {
+    for (let i = 0; i < count; i++) {
+      this.next();
+    }
+  }
+}
@@ -1,5 +1,7 @@
 // Unified skill check system with advantage/expertise support
 
+import { parseAnyDiceExpression } from './diceParser';
+
 /**
  * D&D 5e Skills mapping to ability scores
  */
@@ -138,18 +140,8 @@ export function determineAdvantageDisadvantage(character, skillName, context = {
     if (context.hasProperTools) advantageSources.push('Proper tools');
   }
   
-  // Check character features for advantage/disadvantage
-  const features = character.dnd_character_abilities || [];
-  for (const feature of features) {
-    const featureName = feature.ability_name?.toLowerCase() || '';
-    
-    // Reliable Talent (Rogue) - treat rolls of 9 or lower as 10
-    if (featureName.includes('reliable talent') && normalized === 'stealth') {
-      advantageSources.push('Reliable Talent');
-    }
-    
-    // Add more feature checks as needed
-  }
+  // Reliable Talent and similar features set a minimum d20 roll rather than granting
+  // advantage; the roll engine applies them (see resolveDieFloorModifiers)
   
   // Determine final advantage state
   const hasAdvantage = advantageSources.length > 0;
@@ -218,6 +210,7 @@ export function resolveSkillCheck(character, skillName, dc = null, context = {})
     abilityName: getSkillAbility(skillName),
     diceExpression,
     modifier: skillModifier,
+    proficient: skillModifier.breakdown.some(item => item.source === 'Proficiency'),
     advantage: advantage,
     dc: dc,
     tags: ['skill', normalized, advantage.type]
@@ -339,4 +332,115 @@ export function resolveSavingThrow(character, saveName, dc = null, context = {})
     dc,
     tags: ['save', normalizedSave, advantage.type]
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Turn a resolved check into a roll definition for one character
+ */
+function createCheckDefinition(id, character, checkType, checkName, config) {
+  return {
+    id,
+    type: checkType,
+    name: `${character.name} - ${checkName}`,
+    baseExpression: parseAnyDiceExpression(config.diceExpression),
+    context: {
+      character: {
+        ...character,
+        level: character.level || 1,
+        ability_scores: character.dnd_character_stats || {},
+        proficiencyBonus: character.proficiency_bonus || Math.ceil((character.level || 1) / 4) + 1
+      },
+      source: {
+        type: checkType,
+        name: checkName,
+        tags: config.tags,
+        properties: { proficient: config.proficient === true, skill: config.normalizedSkill }
+      },
+      // Advantage is already part of the dice expression
+      environment: { advantage: false, disadvantage: false, hidden: false, blessed: false, inspired: false, conditions: [] }
+    },
+    modifiers: []
+  };
+}
+
+/**
+ * Build a group check: one skill check or saving throw per party member,
+ * each resolved with that member's own proficiencies and advantage
+ */
+export function createGroupCheck(characters, checkType, checkName, dc, context = {}) {
+  if (!characters?.length || !checkName) {
+    throw new Error('Characters and check name required for group check');
+  }
+  
+  const groupId = `group_${checkType}_${checkName.toLowerCase().replace(/\s+/g, '_')}_${Date.now()}`;
+  
+  const members = characters.map(character => {
+    const config = checkType === 'save'
+      ? resolveSavingThrow(character, checkName, dc, context)
+      : resolveSkillCheck(character, checkName, dc, context);
+    
+    return createCheckDefinition(`${groupId}_${character.id}`, character, checkType, checkName, config);
+  });
+  
+  return {
+    id: groupId,
+    name: checkName,
+    type: checkType,
+    dc,
+    members
+  };
+}
+
+/**
+ * Common contests: the initiator's skill against the skills the defender may choose from
+ */
+export const CONTESTED_CHECKS = {
+  grapple: { name: 'Grapple', initiatorSkill: 'Athletics', defenderSkills: ['Athletics', 'Acrobatics'] },
+  shove: { name: 'Shove', initiatorSkill: 'Athletics', defenderSkills: ['Athletics', 'Acrobatics'] },
+  hide: { name: 'Hide', initiatorSkill: 'Stealth', defenderSkills: ['Perception'] }
+};
+
+const ADVANTAGE_RANK = { advantage: 1, normal: 0, disadvantage: -1 };
+
+/**
+ * Resolve the defender's best option when they may choose between skills
+ * (Athletics or Acrobatics to escape a grapple)
+ */
+function resolveBestSkillCheck(character, skillNames, context) {
+  return skillNames
+    .map(skillName => resolveSkillCheck(character, skillName, null, context))
+    .reduce((best, config) => {
+      const modifierDifference = config.modifier.total - best.modifier.total;
+      if (modifierDifference !== 0) {
+        return modifierDifference > 0 ? config : best;
+      }
+      return ADVANTAGE_RANK[config.advantage.type] > ADVANTAGE_RANK[best.advantage.type] ? config : best;
+    });
+}
+
+/**
+ * Build a contested check between two characters
+ * @param contest - An entry of CONTESTED_CHECKS, or { name, initiatorSkill, defenderSkills }
+ * @param initiator - { character, context } for the side attempting the action
+ * @param defender - { character, context } for the side resisting it
+ */
+export function createContestedCheck(contest, initiator, defender) {
+  if (!initiator?.character || !defender?.character || !contest?.initiatorSkill) {
+    throw new Error('Both characters and a contest are required for a contested check');
+  }
+  
+  const contestId = `contest_${contest.name.toLowerCase().replace(/\s+/g, '_')}_${Date.now()}`;
+  const initiatorConfig = resolveSkillCheck(initiator.character, contest.initiatorSkill, null, initiator.context || {});
+  const defenderConfig = resolveBestSkillCheck(defender.character, contest.defenderSkills, defender.context || {});
+  
+  return {
+    id: contestId,
+    name: contest.name,
+    initiator: createCheckDefinition(
+      `${contestId}_initiator`, initiator.character, 'skill', initiatorConfig.skillName, initiatorConfig
+    ),
+    defender: createCheckDefinition(
+      `${contestId}_defender`, defender.character, 'skill', defenderConfig.skillName, defenderConfig
+    )
+  };
+}
@@ -1,5 +1,7 @@
 // Configurable spell attack resolvers to replace hardcoded special cases
 
+import { parseDiceExpression, parseAnyDiceExpression } from './diceParser';
+
 /**
  * Spell configuration database
  * This replaces hardcoded string matching like "eldritch blast"
@@ -143,4 +145,30 @@ export function resolveSpellAttack(ability, character, isHidden = false) {
   
   // If it's not a multi-attack spell, it will be resolved as single attack
   return multiAttackResult;
-}
\ No newline at end of file
+}
+
+/**
+ * Build a roll engine attack sequence from a resolved spell attack - one attack per beam,
+ * each resolved against the target AC in context.target
+ */
+export function createSpellAttackSequence(spellAttack, context) {
+  const bonus = spellAttack.attackBonus;
+  const attackExpression = parseDiceExpression(`1d20${bonus < 0 ? '-' : '+'}${Math.abs(bonus)}`);
+  const beamLabel = spellAttack.numBeams > 1 ? 'Beam' : 'Attack';
+  
+  return {
+    id: `${spellAttack.spellName.toLowerCase().replace(/\s+/g, '_')}_${Date.now()}`,
+    name: spellAttack.spellName,
+    context: {
+      ...context,
+      source: { type: 'spell', name: spellAttack.spellName, tags: spellAttack.tags || ['spell'] }
+    },
+    attacks: Array.from({ length: spellAttack.numBeams }, (_, index) => ({
+      label: `${beamLabel} ${index + 1}`,
+      attack: attackExpression,
+      damage: parseAnyDiceExpression(spellAttack.baseDamage),
+      damageType: spellAttack.damageType,
+      type: 'spell_attack'
+    }))
+  };
+}
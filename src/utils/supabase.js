@@ -157,13 +157,16 @@ export const createJournal = async (sessionCode, initialContent = '') => {
   }
   
   try {
+    const user = await getCurrentUser()
     const { data, error } = await supabase
       .from('dnd_journals')
       .insert([
         {
           session_code: sessionCode,
           content: initialContent,
-          updated_by: (await getCurrentUser())?.id
+          updated_by: user?.id,
+          // Whoever creates the session runs it; party rolls trust this, not the client
+          dm_user_id: user?.id
         }
       ])
       .select()
@@ -0,0 +1,78 @@
+/**
+ * Timed Modifier Presets
+ *
+ * Buffs a player switches on mid-combat. Each is a timed modifier with a
+ * saveable condition, so it survives a reload and runs out on the round clock:
+ * - Bless: +1d4 to attack rolls and saving throws for a minute (concentration)
+ * - Rage: bonus damage on weapon damage rolls for a minute, scaling with level
+ * - Hunter's Mark: +1d6 on weapon damage rolls for an hour (concentration)
+ * They stack, so one preset is never dropped as a duplicate of another.
+ */
+
+import { ApplicationTiming, ModifierSource, ModifierType, RollModifier } from '../types/rolls';
+import { parseDiceExpression } from './diceParser';
+
+export interface TimedModifierPreset {
+  id: string;
+  name: string;
+  create: (level: number) => RollModifier;
+}
+
+/** Rage damage by barbarian level */
+function rageDamage(level: number): number {
+  return level >= 16 ? 4 : level >= 9 ? 3 : 2;
+}
+
+export const TIMED_MODIFIER_PRESETS: TimedModifierPreset[] = [
+  {
+    id: 'bless',
+    name: 'Bless',
+    create: () => ({
+      id: 'bless',
+      name: 'Bless',
+      description: 'Add 1d4 to attack rolls and saving throws',
+      source: ModifierSource.SPELL,
+      type: ModifierType.DICE_BONUS,
+      value: parseDiceExpression('1d4'),
+      conditionKey: 'source_tag:weapon_attack|source_tag:spell_attack|source_type:save',
+      application: ApplicationTiming.BEFORE_ROLL,
+      stacks: true,
+      priority: 50,
+      duration: { unit: 'minutes', amount: 1, concentration: true }
+    })
+  },
+  {
+    id: 'rage',
+    name: 'Rage',
+    create: (level) => ({
+      id: 'rage',
+      name: 'Rage',
+      description: `Add ${rageDamage(level)} to weapon damage rolls`,
+      source: ModifierSource.CLASS_FEATURE,
+      type: ModifierType.FLAT_BONUS,
+      value: rageDamage(level),
+      conditionKey: 'source_type:weapon',
+      application: ApplicationTiming.ON_DAMAGE,
+      stacks: true,
+      priority: 60,
+      duration: { unit: 'minutes', amount: 1 }
+    })
+  },
+  {
+    id: 'hunters_mark',
+    name: "Hunter's Mark",
+    create: () => ({
+      id: 'hunters_mark',
+      name: "Hunter's Mark",
+      description: 'Add 1d6 to weapon damage rolls against the marked target',
+      source: ModifierSource.SPELL,
+      type: ModifierType.DICE_BONUS,
+      value: parseDiceExpression('1d6'),
+      conditionKey: 'source_type:weapon',
+      application: ApplicationTiming.ON_DAMAGE,
+      stacks: true,
+      priority: 62,
+      duration: { unit: 'minutes', amount: 60, concentration: true }
+    })
+  }
+];
@@ -149,7 +149,8 @@ export function createWeaponRollContext(
       properties: {
         damage: weapon?.damage_dice || '1d6',
         attackBonus: weapon?.attack_bonus || 0,
-        damageBonus: weapon?.damage_bonus || 0
+        damageBonus: weapon?.damage_bonus || 0,
+        criticalRange: weapon?.critical_range ?? undefined
       }
     },
     target: {